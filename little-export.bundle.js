@@ -30,4 +30,6 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
 !function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports):"function"==typeof define&&define.amd?define(["exports"],t):t((e="undefined"!=typeof globalThis?globalThis:e||self).CBOR={})}(this,(function(e){"use strict";let t,r,n;try{t=new TextDecoder}catch(e){}let i=0;const s={};let o,a,l,f,u,c,d,h=11281e4,y=1681e4,p={},g=0,w=0,b=[],m=[],A={useRecords:!1,mapsAsObjects:!0},v=!1,O=2;try{new Function("")}catch(e){O=1/0}class k{constructor(e){if(e&&(!e.keyMap&&!e._keyMap||e.useRecords||(e.useRecords=!1,e.mapsAsObjects=!0),!1===e.useRecords&&void 0===e.mapsAsObjects&&(e.mapsAsObjects=!0),e.getStructures&&(e.getShared=e.getStructures),e.getShared&&!e.structures&&((e.structures=[]).uninitialized=!0),e.keyMap)){this.mapKey=new Map;for(let[t,r]of Object.entries(e.keyMap))this.mapKey.set(r,t)}Object.assign(this,e)}decodeKey(e){return this.keyMap&&this.mapKey.get(e)||e}encodeKey(e){return this.keyMap&&this.keyMap.hasOwnProperty(e)?this.keyMap[e]:e}encodeKeys(e){if(!this._keyMap)return e;let t=new Map;for(let[r,n]of Object.entries(e))t.set(this._keyMap.hasOwnProperty(r)?this._keyMap[r]:r,n);return t}decodeKeys(e){if(!this._keyMap||"Map"!=e.constructor.name)return e;if(!this._mapKey){this._mapKey=new Map;for(let[e,t]of Object.entries(this._keyMap))this._mapKey.set(t,e)}let t={};return e.forEach(((e,r)=>t[M(this._mapKey.has(r)?this._mapKey.get(r):r)]=e)),t}mapDecode(e,t){let r=this.decode(e);return this._keyMap&&"Array"===r.constructor.name?r.map((e=>this.decodeKeys(e))):r}decode(e,t){if(r)return H((()=>(Y(),this?this.decode(e,t):k.prototype.decode.call(A,e,t))));n=t>-1?t:e.length,i=0,w=0,a=null,l=null,r=e;try{c=e.dataView||(e.dataView=new DataView(e.buffer,e.byteOffset,e.byteLength))}catch(t){if(r=null,e instanceof Uint8Array)throw t;throw new Error("Source must be a Uint8Array or Buffer but was a "+(e&&"object"==typeof e?e.constructor.name:typeof e))}if(this instanceof k){if(p=this,u=this.sharedValues&&(this.pack?new Array(this.maxPrivatePackedValues||16).concat(this.sharedValues):this.sharedValues),this.structures)return o=this.structures,E();(!o||o.length>0)&&(o=[])}else p=A,(!o||o.length>0)&&(o=[]),u=null;return E()}decodeMultiple(e,t){let r,n=0;try{let s=e.length;v=!0;let o=this?this.decode(e,s):Z.decode(e,s);if(!t){for(r=[o];i<s;)n=i,r.push(E());return r}if(!1===t(o))return;for(;i<s;)if(n=i,!1===t(E()))return}catch(e){throw e.lastPosition=n,e.values=r,e}finally{v=!1,Y()}}}function E(){try{let e=I();if(l){if(i>=l.postBundlePosition){let e=new Error("Unexpected bundle position");throw e.incomplete=!0,e}i=l.postBundlePosition,l=null}if(i==n)o=null,r=null,f&&(f=null);else{if(i>n){let e=new Error("Unexpected end of CBOR data");throw e.incomplete=!0,e}if(!v)throw new Error("Data read, but end of buffer not reached")}return e}catch(e){throw Y(),(e instanceof RangeError||e.message.startsWith("Unexpected end of buffer"))&&(e.incomplete=!0),e}}function I(){let e=r[i++],t=e>>5;if(e&=31,e>23)switch(e){case 24:e=r[i++];break;case 25:if(7==t)return function(){let e=r[i++],t=r[i++],n=(127&e)>>2;if(31===n)return t||3&e?NaN:128&e?-1/0:1/0;if(0===n){let r=((3&e)<<8|t)/(1<<24);return 128&e?-r:r}return _[3]=128&e|56+(n>>1),_[2]=(7&e)<<5|t>>3,_[1]=t<<5,_[0]=0,P[0]}();e=c.getUint16(i),i+=2;break;case 26:if(7==t){let e=c.getFloat32(i);if(p.useFloat32>2){let t=q[(127&r[i])<<1|r[i+1]>>7];return i+=4,(t*e+(e>0?.5:-.5)>>0)/t}return i+=4,e}e=c.getUint32(i),i+=4;break;case 27:if(7==t){let e=c.getFloat64(i);return i+=8,e}if(t>1){if(c.getUint32(i)>0)throw new Error("JavaScript does not support arrays, maps, or strings with length over 4294967295");e=c.getUint32(i+4)}else p.int64AsNumber?(e=4294967296*c.getUint32(i),e+=c.getUint32(i+4)):e=c.getBigUint64(i);i+=8;break;case 31:switch(t){case 2:case 3:throw new Error("Indefinite length not supported for byte or text strings");case 4:let e,r=[],n=0;for(;(e=I())!=s;){if(n>=h)throw new Error(`Array length exceeds ${h}`);r[n++]=e}return 4==t?r:3==t?r.join(""):Buffer.concat(r);case 5:let i;if(p.mapsAsObjects){let e={},t=0;if(p.keyMap)for(;(i=I())!=s;){if(t++>=y)throw new Error(`Property count exceeds ${y}`);e[M(p.decodeKey(i))]=I()}else for(;(i=I())!=s;){if(t++>=y)throw new Error(`Property count exceeds ${y}`);e[M(i)]=I()}return e}{d&&(p.mapsAsObjects=!0,d=!1);let e=new Map;if(p.keyMap){let t=0;for(;(i=I())!=s;){if(t++>=y)throw new Error(`Map size exceeds ${y}`);e.set(p.decodeKey(i),I())}}else{let t=0;for(;(i=I())!=s;){if(t++>=y)throw new Error(`Map size exceeds ${y}`);e.set(i,I())}}return e}case 7:return s;default:throw new Error("Invalid major type for indefinite length "+t)}default:throw new Error("Unknown token "+e)}switch(t){case 0:return e;case 1:return~e;case 2:return f=e,p.copyBuffers?Uint8Array.prototype.slice.call(r,i,i+=f):r.subarray(i,i+=f);case 3:if(w>=i)return a.slice(i-g,(i+=e)-g);if(0==w&&n<140&&e<32){let t=e<16?V(e):function(e){let t=i,n=new Array(e);for(let s=0;s<e;s++){const e=r[i++];if((128&e)>0)return void(i=t);n[s]=e}return B.apply(String,n)}(e);if(null!=t)return t}return x(e);case 4:if(e>=h)throw new Error(`Array length exceeds ${h}`);let t=new Array(e);for(let r=0;r<e;r++)t[r]=I();return t;case 5:if(e>=y)throw new Error(`Map size exceeds ${h}`);if(p.mapsAsObjects){let t={};if(p.keyMap)for(let r=0;r<e;r++)t[M(p.decodeKey(I()))]=I();else for(let r=0;r<e;r++)t[M(I())]=I();return t}{d&&(p.mapsAsObjects=!0,d=!1);let t=new Map;if(p.keyMap)for(let r=0;r<e;r++)t.set(p.decodeKey(I()),I());else for(let r=0;r<e;r++)t.set(I(),I());return t}case 6:if(e>=57337){let t=o[8191&e];if(t)return t.read||(t.read=S(t)),t.read();if(e<65536){if(57343==e){let e=$(),t=I(),r=I();F(t,r);let n={};if(p.keyMap)for(let t=2;t<e;t++){n[M(p.decodeKey(r[t-2]))]=I()}else for(let t=2;t<e;t++){n[M(r[t-2])]=I()}return n}if(57342==e){let e=$(),t=I();for(let r=2;r<e;r++)F(t++,I());return I()}if(57337==e)return function(){let e=$(),t=i+I();for(let t=2;t<e;t++){let e=$();i+=e}let r=i;return i=t,l=[j($()),j($())],l.position0=0,l.position1=0,l.postBundlePosition=i,i=r,I()}();if(p.getShared&&(J(),t=o[8191&e],t))return t.read||(t.read=S(t)),t.read()}}let s=b[e];if(s)return s.handlesRead?s(I):s(I());{let t=I();for(let r=0;r<m.length;r++){let n=m[r](e,t);if(void 0!==n)return n}return new R(t,e)}case 7:switch(e){case 20:return!1;case 21:return!0;case 22:return null;case 23:return;default:let t=(u||K())[e];if(void 0!==t)return t;throw new Error("Unknown token "+e)}default:if(isNaN(e)){let e=new Error("Unexpected end of CBOR data");throw e.incomplete=!0,e}throw new Error("Unknown CBOR token "+e)}var f}const U=/^[a-zA-Z_$][a-zA-Z\d_$]*$/;function S(e){if(!e)throw new Error("Structure is required in record definition");return e.slowReads=0,function(){let e=r[i++];if(e&=31,e>23)switch(e){case 24:e=r[i++];break;case 25:e=c.getUint16(i),i+=2;break;case 26:e=c.getUint32(i),i+=4;break;default:throw new Error("Expected array header, but got "+r[i-1])}let t=this.compiledReader;for(;t;){if(t.propertyCount===e)return t(I);t=t.next}if(this.slowReads++>=O){let r=this.length==e?this:this.slice(0,e);return t=p.keyMap?new Function("r","return {"+r.map((e=>p.decodeKey(e))).map((e=>U.test(e)?M(e)+":r()":"["+JSON.stringify(e)+"]:r()")).join(",")+"}"):new Function("r","return {"+r.map((e=>U.test(e)?M(e)+":r()":"["+JSON.stringify(e)+"]:r()")).join(",")+"}"),this.compiledReader&&(t.next=this.compiledReader),t.propertyCount=e,this.compiledReader=t,t(I)}let n={};if(p.keyMap)for(let t=0;t<e;t++)n[M(p.decodeKey(this[t]))]=I();else for(let t=0;t<e;t++)n[M(this[t])]=I();return n}}function M(e){if("string"==typeof e)return"__proto__"===e?"__proto_":e;if("number"==typeof e||"boolean"==typeof e||"bigint"==typeof e)return e.toString();if(null==e)return e+"";throw new Error("Invalid property name type "+typeof e)}let x=j;function j(e){let n;if(e<16&&(n=V(e)))return n;if(e>64&&t)return t.decode(r.subarray(i,i+=e));const s=i+e,o=[];for(n="";i<s;){const e=r[i++];if(0==(128&e))o.push(e);else if(192==(224&e)){const t=63&r[i++];o.push((31&e)<<6|t)}else if(224==(240&e)){const t=63&r[i++],n=63&r[i++];o.push((31&e)<<12|t<<6|n)}else if(240==(248&e)){let t=(7&e)<<18|(63&r[i++])<<12|(63&r[i++])<<6|63&r[i++];t>65535&&(t-=65536,o.push(t>>>10&1023|55296),t=56320|1023&t),o.push(t)}else o.push(e);o.length>=4096&&(n+=B.apply(String,o),o.length=0)}return o.length>0&&(n+=B.apply(String,o)),n}let B=String.fromCharCode;function V(e){if(e<4){if(e<2){if(0===e)return"";{let e=r[i++];return(128&e)>1?void(i-=1):B(e)}}{let t=r[i++],n=r[i++];if((128&t)>0||(128&n)>0)return void(i-=2);if(e<3)return B(t,n);let s=r[i++];return(128&s)>0?void(i-=3):B(t,n,s)}}{let t=r[i++],n=r[i++],s=r[i++],o=r[i++];if((128&t)>0||(128&n)>0||(128&s)>0||(128&o)>0)return void(i-=4);if(e<6){if(4===e)return B(t,n,s,o);{let e=r[i++];return(128&e)>0?void(i-=5):B(t,n,s,o,e)}}if(e<8){let a=r[i++],l=r[i++];if((128&a)>0||(128&l)>0)return void(i-=6);if(e<7)return B(t,n,s,o,a,l);let f=r[i++];return(128&f)>0?void(i-=7):B(t,n,s,o,a,l,f)}{let a=r[i++],l=r[i++],f=r[i++],u=r[i++];if((128&a)>0||(128&l)>0||(128&f)>0||(128&u)>0)return void(i-=8);if(e<10){if(8===e)return B(t,n,s,o,a,l,f,u);{let e=r[i++];return(128&e)>0?void(i-=9):B(t,n,s,o,a,l,f,u,e)}}if(e<12){let c=r[i++],d=r[i++];if((128&c)>0||(128&d)>0)return void(i-=10);if(e<11)return B(t,n,s,o,a,l,f,u,c,d);let h=r[i++];return(128&h)>0?void(i-=11):B(t,n,s,o,a,l,f,u,c,d,h)}{let c=r[i++],d=r[i++],h=r[i++],y=r[i++];if((128&c)>0||(128&d)>0||(128&h)>0||(128&y)>0)return void(i-=12);if(e<14){if(12===e)return B(t,n,s,o,a,l,f,u,c,d,h,y);{let e=r[i++];return(128&e)>0?void(i-=13):B(t,n,s,o,a,l,f,u,c,d,h,y,e)}}{let p=r[i++],g=r[i++];if((128&p)>0||(128&g)>0)return void(i-=14);if(e<15)return B(t,n,s,o,a,l,f,u,c,d,h,y,p,g);let w=r[i++];return(128&w)>0?void(i-=15):B(t,n,s,o,a,l,f,u,c,d,h,y,p,g,w)}}}}}let P=new Float32Array(1),_=new Uint8Array(P.buffer,0,4);new Array(4096);class R{constructor(e,t){this.value=e,this.tag=t}}b[0]=e=>new Date(e),b[1]=e=>new Date(Math.round(1e3*e)),b[2]=e=>{let t=BigInt(0);for(let r=0,n=e.byteLength;r<n;r++)t=BigInt(e[r])+(t<<BigInt(8));return t},b[3]=e=>BigInt(-1)-b[2](e),b[4]=e=>+(e[1]+"e"+e[0]),b[5]=e=>e[1]*Math.exp(e[0]*Math.log(2));const F=(e,t)=>{let r=o[e-=57344];r&&r.isShared&&((o.restoreStructures||(o.restoreStructures=[]))[e]=r),o[e]=t,t.read=S(t)};b[105]=e=>{let t=e.length,r=e[1];F(e[0],r);let n={};for(let i=2;i<t;i++){n[M(r[i-2])]=e[i]}return n},b[14]=e=>l?l[0].slice(l.position0,l.position0+=e):new R(e,14),b[15]=e=>l?l[1].slice(l.position1,l.position1+=e):new R(e,15);let T={Error:Error,RegExp:RegExp};b[27]=e=>(T[e[0]]||Error)(e[1],e[2]);const D=e=>{if(132!=r[i++]){let e=new Error("Packed values structure must be followed by a 4 element array");throw r.length<i&&(e.incomplete=!0),e}let t=e();if(!t||!t.length){let e=new Error("Packed values structure must be followed by a 4 element array");throw e.incomplete=!0,e}return u=u?t.concat(u.slice(t.length)):t,u.prefixes=e(),u.suffixes=e(),e()};function N(e,t){return"string"==typeof e?e+t:e instanceof Array?e.concat(t):Object.assign({},e,t)}function K(){if(!u){if(!p.getShared)throw new Error("No packed values available");J()}return u}D.handlesRead=!0,b[51]=D,b[6]=e=>{if(!u){if(!p.getShared)return new R(e,6);J()}if("number"==typeof e)return u[16+(e>=0?2*e:-2*e-1)];let t=new Error("No support for non-integer packed references yet");throw void 0===e&&(t.incomplete=!0),t},b[28]=e=>{f||(f=new Map,f.id=0);let t,n=f.id++,s=i;t=r[i]>>5==4?[]:{};let o={target:t};f.set(n,o);let a=e();return o.used?(Object.getPrototypeOf(t)!==Object.getPrototypeOf(a)&&(i=s,t=a,f.set(n,{target:t}),a=e()),Object.assign(t,a)):(o.target=a,a)},b[28].handlesRead=!0,b[29]=e=>{let t=f.get(e);return t.used=!0,t.target},b[258]=e=>new Set(e),(b[259]=e=>(p.mapsAsObjects&&(p.mapsAsObjects=!1,d=!0),e())).handlesRead=!0;m.push(((e,t)=>e>=225&&e<=255?N(K().prefixes[e-224],t):e>=28704&&e<=32767?N(K().prefixes[e-28672],t):e>=1879052288&&e<=2147483647?N(K().prefixes[e-1879048192],t):e>=216&&e<=223?N(t,K().suffixes[e-216]):e>=27647&&e<=28671?N(t,K().suffixes[e-27639]):e>=1811940352&&e<=1879048191?N(t,K().suffixes[e-1811939328]):1399353956==e?{packedValues:u,structures:o.slice(0),version:t}:55799==e?t:void 0));const C=1==new Uint8Array(new Uint16Array([1]).buffer)[0],z=[Uint8Array,Uint8ClampedArray,Uint16Array,Uint32Array,"undefined"==typeof BigUint64Array?{name:"BigUint64Array"}:BigUint64Array,Int8Array,Int16Array,Int32Array,"undefined"==typeof BigInt64Array?{name:"BigInt64Array"}:BigInt64Array,Float32Array,Float64Array],L=[64,68,69,70,71,72,77,78,79,85,86];for(let e=0;e<z.length;e++)W(z[e],L[e]);function W(e,t){let r,n="get"+e.name.slice(0,-5);"function"==typeof e?r=e.BYTES_PER_ELEMENT:e=null;for(let i=0;i<2;i++){if(!i&&1==r)continue;let s=2==r?1:4==r?2:8==r?3:0;b[i?t:t-4]=1==r||i==C?n=>{if(!e)throw new Error("Could not find typed array for code "+t);return p.copyBuffers||1!==r&&(2!==r||1&n.byteOffset)&&(4!==r||3&n.byteOffset)&&(8!==r||7&n.byteOffset)?new e(Uint8Array.prototype.slice.call(n,0).buffer):new e(n.buffer,n.byteOffset,n.byteLength>>s)}:r=>{if(!e)throw new Error("Could not find typed array for code "+t);let o=new DataView(r.buffer,r.byteOffset,r.byteLength),a=r.length>>s,l=new e(a),f=o[n];for(let e=0;e<a;e++)l[e]=f.call(o,e<<s,i);return l}}}function $(){let e=31&r[i++];if(e>23)switch(e){case 24:e=r[i++];break;case 25:e=c.getUint16(i),i+=2;break;case 26:e=c.getUint32(i),i+=4}return e}function J(){if(p.getShared){let e=H((()=>(r=null,p.getShared())))||{},t=e.structures||[];p.sharedVersion=e.version,u=p.sharedValues=e.packedValues,!0===o?p.structures=o=t:o.splice.apply(o,[0,t.length].concat(t))}}function H(e){let t=n,s=i,u=g,d=w,h=a,y=f,b=l,m=new Uint8Array(r.slice(0,n)),A=o,O=p,k=v,E=e();return n=t,i=s,g=u,w=d,a=h,f=y,l=b,r=m,v=k,o=A,p=O,c=new DataView(r.buffer,r.byteOffset,r.byteLength),E}function Y(){r=null,f=null,o=null}const q=new Array(147);for(let e=0;e<256;e++)q[e]=+("1e"+Math.floor(45.15-.30103*e));let Z=new k({useRecords:!1});const G=Z.decode,Q=Z.decodeMultiple,X={NEVER:0,ALWAYS:1,DECIMAL_ROUND:3,DECIMAL_FIT:4};let ee,te,re;try{ee=new TextEncoder}catch(e){}const ne="object"==typeof globalThis&&globalThis.Buffer,ie=void 0!==ne,se=ie?ne.allocUnsafeSlow:Uint8Array,oe=ie?ne:Uint8Array,ae=ie?4294967296:2144337920;let le,fe,ue,ce,de=0,he=null;const ye=/[\u0080-\uFFFF]/,pe=Symbol("record-id");class ge extends k{constructor(e){let t,r,n,i,s;super(e),this.offset=0,e=e||{};let o=oe.prototype.utf8Write?function(e,t,r){return fe.utf8Write(e,t,r)}:!(!ee||!ee.encodeInto)&&function(e,t){return ee.encodeInto(e,fe.subarray(t)).written},a=this,l=e.structures||e.saveStructures,f=e.maxSharedStructures;if(null==f&&(f=l?128:0),f>8190)throw new Error("Maximum maxSharedStructure is 8190");let u=e.sequential;u&&(f=0),this.structures||(this.structures=[]),this.saveStructures&&(this.saveShared=this.saveStructures);let c,d,h,y=e.sharedValues;if(y){h=Object.create(null);for(let e=0,t=y.length;e<t;e++)h[y[e]]=e}let p=[],g=0,w=0;this.mapEncode=function(e,t){if(this._keyMap&&!this._mapped&&"Array"===e.constructor.name)e=e.map((e=>this.encodeKeys(e)));return this.encode(e,t)},this.encode=function(o,l){if(fe||(fe=new se(8192),ue=new DataView(fe.buffer,0,8192),de=0),ce=fe.length-10,ce-de<2048?(fe=new se(fe.length),ue=new DataView(fe.buffer,0,fe.length),ce=fe.length-10,de=0):l===Re&&(de=de+7&2147483640),t=de,a.useSelfDescribedHeader&&(ue.setUint32(de,3654940416),de+=3),s=a.structuredClone?new Map:null,a.bundleStrings&&"string"!=typeof o?(he=[],he.size=1/0):he=null,r=a.structures,r){if(r.uninitialized){let e=a.getShared()||{};a.structures=r=e.structures||[],a.sharedVersion=e.version;let t=a.sharedValues=e.packedValues;if(t){h={};for(let e=0,r=t.length;e<r;e++)h[t[e]]=e}}let e=r.length;if(e>f&&!u&&(e=f),!r.transitions){r.transitions=Object.create(null);for(let t=0;t<e;t++){let e=r[t];if(!e)continue;let n,i=r.transitions;for(let r=0,s=e.length;r<s;r++){void 0===i[pe]&&(i[pe]=t);let s=e[r];n=i[s],n||(n=i[s]=Object.create(null)),i=n}i[pe]=1048576|t}}u||(r.nextId=e)}if(n&&(n=!1),i=r||[],d=h,e.pack){let t=new Map;if(t.values=[],t.encoder=a,t.maxValues=e.maxPrivatePackedValues||(h?16:1/0),t.objectMap=h||!1,t.samplingPackedValues=c,Oe(o,t),t.values.length>0){fe[de++]=216,fe[de++]=51,me(4);let e=t.values;b(e),me(0),me(0),d=Object.create(h||null);for(let t=0,r=e.length;t<r;t++)d[e[t]]=t}}le=l&Te;try{if(le)return;if(b(o),he&&Ue(t,b),a.offset=de,s&&s.idsToInsert){de+=2*s.idsToInsert.length,de>ce&&A(de),a.offset=de;let e=function(e,t){let r,n=2*t.length,i=e.length-n;t.sort(((e,t)=>e.offset>t.offset?1:-1));for(let r=0;r<t.length;r++){let n=t[r];n.id=r;for(let t of n.references)e[t++]=r>>8,e[t]=255&r}for(;r=t.pop();){let t=r.offset;e.copyWithin(t+n,t,i),n-=2;let s=t+n;e[s++]=216,e[s++]=28,i=t}return e}(fe.subarray(t,de),s.idsToInsert);return s=null,e}return l&Re?(fe.start=t,fe.end=de,fe):fe.subarray(t,de)}finally{if(r)if(w<10&&w++,r.length>f&&(r.length=f),g>1e4)r.transitions=null,w=0,g=0,p.length>0&&(p=[]);else if(p.length>0&&!u){for(let e=0,t=p.length;e<t;e++)p[e][pe]=void 0;p=[]}if(n&&a.saveShared){a.structures.length>f&&(a.structures=a.structures.slice(0,f));let e=fe.subarray(t,de);return!1===a.updateSharedData()?a.encode(o):e}l&Fe&&(de=t)}},this.findCommonStringsToPack=()=>(c=new Map,h||(h=Object.create(null)),e=>{let t=e&&e.threshold||4,r=this.pack?e.maxPrivatePackedValues||16:0;y||(y=this.sharedValues=[]);for(let[e,i]of c)i.count>t&&(h[e]=r++,y.push(e),n=!0);for(;this.saveShared&&!1===this.updateSharedData(););c=null});const b=r=>{de>ce&&(fe=A(de));var n,i=typeof r;if("string"===i){if(d){let t=d[r];if(t>=0)return void(t<16?fe[de++]=t+224:(fe[de++]=198,b(1&t?15-t>>1:t-16>>1)));if(c&&!e.pack){let e=c.get(r);e?e.count++:c.set(r,{count:1})}}let i,s=r.length;if(he&&s>=4&&s<1024){if((he.size+=s)>61440){let e,r=(he[0]?3*he[0].length+he[1].length:0)+10;de+r>ce&&(fe=A(de+r)),fe[de++]=217,fe[de++]=223,fe[de++]=249,fe[de++]=he.position?132:130,fe[de++]=26,e=de-t,de+=4,he.position&&Ue(t,b),he=["",""],he.size=0,he.position=e}let e=ye.test(r);return he[e?0:1]+=r,fe[de++]=e?206:207,void b(s)}i=s<32?1:s<256?2:s<65536?3:5;let a=3*s;if(de+a>ce&&(fe=A(de+a)),s<64||!o){let e,t,o,a=de+i;for(e=0;e<s;e++)t=r.charCodeAt(e),t<128?fe[a++]=t:t<2048?(fe[a++]=t>>6|192,fe[a++]=63&t|128):55296==(64512&t)&&56320==(64512&(o=r.charCodeAt(e+1)))?(t=65536+((1023&t)<<10)+(1023&o),e++,fe[a++]=t>>18|240,fe[a++]=t>>12&63|128,fe[a++]=t>>6&63|128,fe[a++]=63&t|128):(fe[a++]=t>>12|224,fe[a++]=t>>6&63|128,fe[a++]=63&t|128);n=a-de-i}else n=o(r,de+i,a);n<24?fe[de++]=96|n:n<256?(i<2&&fe.copyWithin(de+2,de+1,de+1+n),fe[de++]=120,fe[de++]=n):n<65536?(i<3&&fe.copyWithin(de+3,de+2,de+2+n),fe[de++]=121,fe[de++]=n>>8,fe[de++]=255&n):(i<5&&fe.copyWithin(de+5,de+3,de+3+n),fe[de++]=122,ue.setUint32(de,n),de+=4),de+=n}else if("number"===i)if(this.alwaysUseFloat||r>>>0!==r)if(this.alwaysUseFloat||r>>0!==r){let e;if((e=this.useFloat32)>0&&r<4294967296&&r>=-2147483648){let t;if(fe[de++]=250,ue.setFloat32(de,r),e<4||(t=r*q[(127&fe[de])<<1|fe[de+1]>>7])>>0===t)return void(de+=4);de--}fe[de++]=251,ue.setFloat64(de,r),de+=8}else r>=-24?fe[de++]=31-r:r>=-256?(fe[de++]=56,fe[de++]=~r):r>=-65536?(fe[de++]=57,ue.setUint16(de,~r),de+=2):(fe[de++]=58,ue.setUint32(de,~r),de+=4);else r<24?fe[de++]=r:r<256?(fe[de++]=24,fe[de++]=r):r<65536?(fe[de++]=25,fe[de++]=r>>8,fe[de++]=255&r):(fe[de++]=26,ue.setUint32(de,r),de+=4);else if("object"===i)if(r){if(s){let e=s.get(r);if(e){if(fe[de++]=216,fe[de++]=29,fe[de++]=25,!e.references){let t=s.idsToInsert||(s.idsToInsert=[]);e.references=[],t.push(e)}return e.references.push(de-t),void(de+=2)}s.set(r,{offset:de-t})}let e=r.constructor;if(e===Object)m(r);else if(e===Array){(n=r.length)<24?fe[de++]=128|n:me(n);for(let e=0;e<n;e++)b(r[e])}else if(e===Map)if((this.mapsAsObjects?!1!==this.useTag259ForMaps:this.useTag259ForMaps)&&(fe[de++]=217,fe[de++]=1,fe[de++]=3),(n=r.size)<24?fe[de++]=160|n:n<256?(fe[de++]=184,fe[de++]=n):n<65536?(fe[de++]=185,fe[de++]=n>>8,fe[de++]=255&n):(fe[de++]=186,ue.setUint32(de,n),de+=4),a.keyMap)for(let[e,t]of r)b(a.encodeKey(e)),b(t);else for(let[e,t]of r)b(e),b(t);else{for(let e=0,t=te.length;e<t;e++){if(r instanceof re[e]){let t=te[e],n=t.tag;return null==n&&(n=t.getTag&&t.getTag.call(this,r)),n<24?fe[de++]=192|n:n<256?(fe[de++]=216,fe[de++]=n):n<65536?(fe[de++]=217,fe[de++]=n>>8,fe[de++]=255&n):n>-1&&(fe[de++]=218,ue.setUint32(de,n),de+=4),void t.encode.call(this,r,b,A)}}if(r[Symbol.iterator]){if(le){let e=new Error("Iterable should be serialized as iterator");throw e.iteratorNotHandled=!0,e}fe[de++]=159;for(let e of r)b(e);return void(fe[de++]=255)}if(r[Symbol.asyncIterator]||ve(r)){let e=new Error("Iterable/blob should be serialized as iterator");throw e.iteratorNotHandled=!0,e}if(this.useToJSON&&r.toJSON){const e=r.toJSON();if(e!==r)return b(e)}m(r)}}else fe[de++]=246;else if("boolean"===i)fe[de++]=r?245:244;else if("bigint"===i){if(r<BigInt(1)<<BigInt(64)&&r>=0)fe[de++]=27,ue.setBigUint64(de,r);else if(r>-(BigInt(1)<<BigInt(64))&&r<0)fe[de++]=59,ue.setBigUint64(de,-r-BigInt(1));else{if(!this.largeBigIntToFloat){r>=BigInt(0)?fe[de++]=194:(fe[de++]=195,r=BigInt(-1)-r);let e=[];for(;r;)e.push(Number(r&BigInt(255))),r>>=BigInt(8);return void Ie(new Uint8Array(e.reverse()),A)}fe[de++]=251,ue.setFloat64(de,Number(r))}de+=8}else{if("undefined"!==i)throw new Error("Unknown type: "+i);fe[de++]=247}},m=!1===this.useRecords?this.variableMapSize?e=>{let t=Object.keys(e),r=Object.values(e),n=t.length;if(n<24?fe[de++]=160|n:n<256?(fe[de++]=184,fe[de++]=n):n<65536?(fe[de++]=185,fe[de++]=n>>8,fe[de++]=255&n):(fe[de++]=186,ue.setUint32(de,n),de+=4),a.keyMap)for(let e=0;e<n;e++)b(a.encodeKey(t[e])),b(r[e]);else for(let e=0;e<n;e++)b(t[e]),b(r[e])}:e=>{fe[de++]=185;let r=de-t;de+=2;let n=0;if(a.keyMap)for(let t in e)("function"!=typeof e.hasOwnProperty||e.hasOwnProperty(t))&&(b(a.encodeKey(t)),b(e[t]),n++);else for(let t in e)("function"!=typeof e.hasOwnProperty||e.hasOwnProperty(t))&&(b(t),b(e[t]),n++);fe[r+++t]=n>>8,fe[r+t]=255&n}:(e,t)=>{let r,s,o,a=i.transitions||(i.transitions=Object.create(null)),l=0,u=0;if(this.keyMap){o=Object.keys(e).map((e=>this.encodeKey(e))),u=o.length;for(let e=0;e<u;e++){let t=o[e];r=a[t],r||(r=a[t]=Object.create(null),l++),a=r}}else for(let t in e)("function"!=typeof e.hasOwnProperty||e.hasOwnProperty(t))&&(r=a[t],r||(1048576&a[pe]&&(s=65535&a[pe]),r=a[t]=Object.create(null),l++),a=r,u++);let c=a[pe];if(void 0!==c)c&=65535,fe[de++]=217,fe[de++]=c>>8|224,fe[de++]=255&c;else{if(o||(o=a.__keys__||(a.__keys__=Object.keys(e))),void 0===s?(c=i.nextId++,c||(c=0,i.nextId=1),c>=256&&(i.nextId=(c=f)+1)):c=s,i[c]=o,!(c<f)){if(a[pe]=c,ue.setUint32(de,3655335680),de+=3,l&&(g+=w*l),p.length>=256-f&&(p.shift()[pe]=void 0),p.push(a),me(u+2),b(57344+c),b(o),t)return;for(let t in e)("function"!=typeof e.hasOwnProperty||e.hasOwnProperty(t))&&b(e[t]);return}fe[de++]=217,fe[de++]=c>>8|224,fe[de++]=255&c,a=i.transitions;for(let e=0;e<u;e++)(void 0===a[pe]||1048576&a[pe])&&(a[pe]=c),a=a[o[e]];a[pe]=1048576|c,n=!0}if(u<24?fe[de++]=128|u:me(u),!t)for(let t in e)("function"!=typeof e.hasOwnProperty||e.hasOwnProperty(t))&&b(e[t])},A=e=>{let r;if(e>16777216){if(e-t>ae)throw new Error("Encoded buffer would be larger than maximum buffer size");r=Math.min(ae,4096*Math.round(Math.max((e-t)*(e>67108864?1.25:2),4194304)/4096))}else r=1+(Math.max(e-t<<2,fe.length-1)>>12)<<12;let n=new se(r);return ue=new DataView(n.buffer,0,r),fe.copy?fe.copy(n,0,t,e):n.set(fe.slice(t,e)),de-=t,t=0,ce=n.length-10,fe=n};let v=100,O=1e3;function*k(e,r,n){let i=e.constructor;if(i===Object){let t=!1!==a.useRecords;t?m(e,!0):we(Object.keys(e).length,160);for(let n in e){let i=e[n];t||b(n),i&&"object"==typeof i?r[n]?yield*k(i,r[n]):yield*E(i,r,n):b(i)}}else if(i===Array){let n=e.length;me(n);for(let i=0;i<n;i++){let n=e[i];n&&("object"==typeof n||de-t>v)?r.element?yield*k(n,r.element):yield*E(n,r,"element"):b(n)}}else if(e[Symbol.iterator]&&!e.buffer){fe[de++]=159;for(let n of e)n&&("object"==typeof n||de-t>v)?r.element?yield*k(n,r.element):yield*E(n,r,"element"):b(n);fe[de++]=255}else ve(e)?(we(e.size,64),yield fe.subarray(t,de),yield e,I()):e[Symbol.asyncIterator]?(fe[de++]=159,yield fe.subarray(t,de),yield e,I(),fe[de++]=255):b(e);n&&de>t?yield fe.subarray(t,de):de-t>v&&(yield fe.subarray(t,de),I())}function*E(e,r,n){let i=de-t;try{b(e),de-t>v&&(yield fe.subarray(t,de),I())}catch(s){if(!s.iteratorNotHandled)throw s;r[n]={},de=t+i,yield*k.call(this,e,r[n])}}function I(){v=O,a.encode(null,Te)}function U(e,t,r){return v=t&&t.chunkThreshold?O=t.chunkThreshold:100,e&&"object"==typeof e?(a.encode(null,Te),r(e,a.iterateProperties||(a.iterateProperties={}),!0)):[a.encode(e)]}async function*S(e,t){for(let r of k(e,t,!0)){let e=r.constructor;if(e===oe||e===Uint8Array)yield r;else if(ve(r)){let e,t=r.stream().getReader();for(;!(e=await t.read()).done;)yield e.value}else if(r[Symbol.asyncIterator])for await(let e of r)I(),e?yield*S(e,t.async||(t.async={})):yield a.encode(e);else yield r}}this.encodeAsIterable=function(e,t){return U(e,t,k)},this.encodeAsAsyncIterable=function(e,t){return U(e,t,S)}}useBuffer(e){fe=e,ue=new DataView(fe.buffer,fe.byteOffset,fe.byteLength),de=0}clearSharedData(){this.structures&&(this.structures=[]),this.sharedValues&&(this.sharedValues=void 0)}updateSharedData(){let e=this.sharedVersion||0;this.sharedVersion=e+1;let t=this.structures.slice(0),r=new be(t,this.sharedValues,this.sharedVersion),n=this.saveShared(r,(t=>(t&&t.version||0)==e));return!1===n?(r=this.getShared()||{},this.structures=r.structures||[],this.sharedValues=r.packedValues,this.sharedVersion=r.version,this.structures.nextId=this.structures.length):t.forEach(((e,t)=>this.structures[t]=e)),n}}function we(e,t){e<24?fe[de++]=t|e:e<256?(fe[de++]=24|t,fe[de++]=e):e<65536?(fe[de++]=25|t,fe[de++]=e>>8,fe[de++]=255&e):(fe[de++]=26|t,ue.setUint32(de,e),de+=4)}class be{constructor(e,t,r){this.structures=e,this.packedValues=t,this.version=r}}function me(e){e<24?fe[de++]=128|e:e<256?(fe[de++]=152,fe[de++]=e):e<65536?(fe[de++]=153,fe[de++]=e>>8,fe[de++]=255&e):(fe[de++]=154,ue.setUint32(de,e),de+=4)}const Ae="undefined"==typeof Blob?function(){}:Blob;function ve(e){if(e instanceof Ae)return!0;let t=e[Symbol.toStringTag];return"Blob"===t||"File"===t}function Oe(e,t){switch(typeof e){case"string":if(e.length>3){if(t.objectMap[e]>-1||t.values.length>=t.maxValues)return;let r=t.get(e);if(r)2==++r.count&&t.values.push(e);else if(t.set(e,{count:1}),t.samplingPackedValues){let r=t.samplingPackedValues.get(e);r?r.count++:t.samplingPackedValues.set(e,{count:1})}}break;case"object":if(e)if(e instanceof Array)for(let r=0,n=e.length;r<n;r++)Oe(e[r],t);else{let n=!t.encoder.useRecords;for(var r in e)e.hasOwnProperty(r)&&(n&&Oe(r,t),Oe(e[r],t))}break;case"function":console.log(e)}}const ke=1==new Uint8Array(new Uint16Array([1]).buffer)[0];function Ee(e,t){return!ke&&t>1&&(e-=4),{tag:e,encode:function(e,t){let r=e.byteLength,n=e.byteOffset||0,i=e.buffer||e;t(ie?ne.from(i,n,r):new Uint8Array(i,n,r))}}}function Ie(e,t){let r=e.byteLength;r<24?fe[de++]=64+r:r<256?(fe[de++]=88,fe[de++]=r):r<65536?(fe[de++]=89,fe[de++]=r>>8,fe[de++]=255&r):(fe[de++]=90,ue.setUint32(de,r),de+=4),de+r>=fe.length&&t(de+r),fe.set(e.buffer?e:new Uint8Array(e),de),de+=r}function Ue(e,t){ue.setUint32(he.position+e,de-he.position-e+1);let r=he;he=null,t(r[0]),t(r[1])}re=[Date,Set,Error,RegExp,R,ArrayBuffer,Uint8Array,Uint8ClampedArray,Uint16Array,Uint32Array,"undefined"==typeof BigUint64Array?function(){}:BigUint64Array,Int8Array,Int16Array,Int32Array,"undefined"==typeof BigInt64Array?function(){}:BigInt64Array,Float32Array,Float64Array,be],te=[{tag:1,encode(e,t){let r=e.getTime()/1e3;(this.useTimestamp32||0===e.getMilliseconds())&&r>=0&&r<4294967296?(fe[de++]=26,ue.setUint32(de,r),de+=4):(fe[de++]=251,ue.setFloat64(de,r),de+=8)}},{tag:258,encode(e,t){t(Array.from(e))}},{tag:27,encode(e,t){t([e.name,e.message])}},{tag:27,encode(e,t){t(["RegExp",e.source,e.flags])}},{getTag:e=>e.tag,encode(e,t){t(e.value)}},{encode(e,t,r){Ie(e,r)}},{getTag(e){if(e.constructor===Uint8Array&&(this.tagUint8Array||ie&&!1!==this.tagUint8Array))return 64},encode(e,t,r){Ie(e,r)}},Ee(68,1),Ee(69,2),Ee(70,4),Ee(71,8),Ee(72,1),Ee(77,2),Ee(78,4),Ee(79,8),Ee(85,4),Ee(86,8),{encode(e,t){let r=e.packedValues||[],n=e.structures||[];if(r.values.length>0){fe[de++]=216,fe[de++]=51,me(4);let e=r.values;t(e),me(0),me(0),packedObjectMap=Object.create(sharedPackedObjectMap||null);for(let t=0,r=e.length;t<r;t++)packedObjectMap[e[t]]=t}if(n){ue.setUint32(de,3655335424),de+=3;let r=n.slice(0);r.unshift(57344),r.push(new R(e.version,1399353956)),t(r)}else t(new R(e.version,1399353956))}}];let Se=new ge({useRecords:!1});const Me=Se.encode,xe=Se.encodeAsIterable,je=Se.encodeAsAsyncIterable,{NEVER:Be,ALWAYS:Ve,DECIMAL_ROUND:Pe,DECIMAL_FIT:_e}=X,Re=512,Fe=1024,Te=2048;e.ALWAYS=Ve,e.DECIMAL_FIT=_e,e.DECIMAL_ROUND=Pe,e.Decoder=k,e.Encoder=ge,e.FLOAT32_OPTIONS=X,e.NEVER=Be,e.REUSE_BUFFER_MODE=Re,e.Tag=R,e.addExtension=function(e){if(e.Class){if(!e.encode)throw new Error("Extension has no encode function");re.unshift(e.Class),te.unshift(e)}!function(e){b[e.tag]=e.decode}(e)},e.clearSource=Y,e.decode=G,e.decodeIter=function(e,t={}){if(!e||"object"!=typeof e)throw new Error("first argument must be an Iterable, Async Iterable, Iterator, Async Iterator, or a promise");const r=new k(t);let n;const i=e=>{let t;n&&(e=Buffer.concat([n,e]),n=void 0);try{t=r.decodeMultiple(e)}catch(r){if(!r.incomplete)throw r;n=e.slice(r.lastPosition),t=r.values}return t};return"function"==typeof e[Symbol.iterator]?function*(){for(const t of e)yield*i(t)}():"function"==typeof e[Symbol.asyncIterator]?async function*(){for await(const t of e)yield*i(t)}():void 0},e.decodeMultiple=Q,e.encode=Me,e.encodeAsAsyncIterable=je,e.encodeAsIterable=xe,e.encodeIter=function(e,t={}){if(e&&"object"==typeof e){if("function"==typeof e[Symbol.iterator])return function*(e,t){const r=new ge(t);for(const t of e)yield r.encode(t)}(e,t);if("function"==typeof e.then||"function"==typeof e[Symbol.asyncIterator])return async function*(e,t){const r=new ge(t);for await(const t of e)yield r.encode(t)}(e,t);throw new Error("first argument must be an Iterable, Async Iterable, Iterator, Async Iterator, or a Promise")}throw new Error("first argument must be an Iterable, Async Iterable, or a Promise for an Async Iterable")},e.isNativeAccelerationEnabled=!1,e.roundFloat32=function(e){P[0]=e;let t=q[(127&_[3])<<1|_[2]>>7];return(t*e+(e>0?.5:-.5)>>0)/t},e.setSizeLimits=function(e){e.maxMapSize&&(y=e.maxMapSize),e.maxArraySize&&(h=e.maxArraySize),e.maxObjectSize&&e.maxObjectSize}}));
-(function(){function e(e=100){async function t(){"scheduler"in window&&"yield"in scheduler?await scheduler.yield():await new Promise(e=>{i.push(e),a.port2.postMessage(null)}),r=Date.now(),n=null}let r=0,n=null;const a=new MessageChannel,i=[];return a.port1.onmessage=()=>i.shift()?.(),function(a=!1){const i=Date.now();return!a&&i-r<=e?null:(n||(n=t()),n)}}async function t(e,t){const r=await crypto.subtle.importKey("raw",p.encode(e),{name:"PBKDF2"},!1,["deriveKey"]);return crypto.subtle.deriveKey({name:"PBKDF2",salt:t,iterations:6e5,hash:"SHA-256"},r,{name:"AES-GCM",length:256},!1,["encrypt","decrypt"])}function r(e,r,n){const{include:a,exclude:i}=n;if(i&&i[e]){const t=i[e];if("function"==typeof t){if(t(r))return!1;}else if(Array.isArray(t)&&t.some(e=>r===e||r.startsWith(e+"/")))return!1}if(a&&a[e]){const t=a[e];if("function"==typeof t)return t(r);if(Array.isArray(t)&&0<t.length)return t.some(e=>r===e||r.startsWith(e+"/"))}return!0}function n(e,t,r=new WeakMap,n=new Map){if(!e||"object"!=typeof e)return e;if(e instanceof ArrayBuffer||ArrayBuffer.isView(e)||e instanceof Date)return e;if(r.has(e))return r.get(e);if(e instanceof Blob){if(n.has(e))return n.get(e);const r=(h++).toString(16);t.push({uuid:r,blob:e});const a={__le_blob_ref:r,type:e.type,size:e.size};return n.set(e,a),a}let a;if(Array.isArray(e)){const i=Object.keys(e),o=i.length<e.length||i.some(e=>isNaN(e));if(o){a={__le_sparse:!0,length:e.length,data:{}},r.set(e,a);for(const o of i)a.data[o]=LittleExport.prepForCBOR(e[o],t,r,n)}else{a=Array(e.length),r.set(e,a);for(let o=0;o<e.length;o++)a[o]=LittleExport.prepForCBOR(e[o],t,r,n)}}else for(const i in a={},r.set(e,a),e)Object.prototype.hasOwnProperty.call(e,i)&&(a[i]=LittleExport.prepForCBOR(e[i],t,r,n));return a}async function a(e,t){if(!e||"object"!=typeof e)return e;if(e.__le_blob_ref){if(!t)return null;try{const r=await t.getFileHandle(e.__le_blob_ref),n=await r.getFile();return n.slice(0,n.size,e.type)}catch(t){return null}}if(e.__le_sparse){const r=Array(e.length);for(const n in e.data)r[n]=await a(e.data[n],t);return r}if(Array.isArray(e)){const r=Array(e.length);for(let n=0;n<e.length;n++)r[n]=await LittleExport.restoreFromCBOR(e[n],t);return r}if(e.constructor===Object){const r={};for(const n in e)r[n]=await LittleExport.restoreFromCBOR(e[n],t);return r}return e}function i(e,t){const r=new TextEncoder;let n=new Uint8Array(0);const a=(e,t)=>{if(null==t)return;const a=` ${e}=${t+""}\n`,i=r.encode(a);let o=i.length,s=o+"";for(;;){const e=i.length+s.length;if(e===o)break;o=e,s=o+""}const d=r.encode(`${s}${a}`),l=new Uint8Array(n.length+d.length);l.set(n),l.set(d,n.length),n=l};return a("path",e),8589934591<t&&a("size",t),n}function o(e,t,r,n="0",a="000644"){const i=8589934591<t?0:t,o=k.slice(0);o[156]=n.charCodeAt(0);const s=p.encode(e),d=Math.min(s.length,100);o.set(s.subarray(0,d),0),a&&p.encodeInto(a.padEnd(7,"\0"),o.subarray(100,108));const l=(e,t,r)=>{const n=Math.floor(e).toString(8).padStart(r-1,"0");return n.length>=r?void LittleExport.warn("PAX attempted to write octal that was too long (due to either sizes or timestamp)."):void(p.encodeInto(n,o.subarray(t,t+r-1)),o[t+r-1]=0)};l(i,124,12),l(r,136,12);let c=0;for(let s=0;512>s;s++)c+=o[s];const u=c.toString(8).padStart(6,"0");return p.encodeInto(u,o.subarray(148)),o[154]=0,o[155]=32,o}function s(e){const t=b.decode(e.slice(148,156)).replace(/\0/g,"").trim(),r=parseInt(t,8);if(isNaN(r))return!1;let n=0;for(let t=0;512>t;t++)n+=148<=t&&156>t?32:e[t];return n===r}async function d(t={}){function n(e,t,r){return w?T(e,t,r):f.TRUST}async function a(e,t){try{return await e()}catch(r){if(l.onerror&&l.onerror(r),y(`Error: ${t} - ${r.message}`),!k)throw r;return null}}async function i(e,t,a,o){if(R)return!1;if(void 0===F[o])if(w){let t=n(e);if(t&&"function"==typeof t.then&&(t=await t),F[o]=t,F[o]===f.ABORT)return R=!0,!1}else F[o]=f.TRUST;if(F[o]===f.SKIP)return!1;if(F[o]===f.TRUST)return!0;if(w&&t){I[o]||(I[o]=new Set);for(let e=1;e<=t.length;e++){const r=t.slice(0,e).join("/");if(I[o].has(r))return!0}let r=n(e,t,null);return(r&&"function"==typeof r.then&&(r=await r),r===f.ABORT)?(R=!0,!1):r!==f.SKIP&&(r===f.TRUST&&I[o].add(t.join("/")),!0)}return!!w||r(o,a,l)}const o=window.CBOR,l={logSpeed:100,cborExtensionName:"cbor",...t},c=l.decoder||new o.Decoder({structuredClone:!0,bundleStrings:!0,copyBuffers:!1,...l.cborOptions}),h=l.cborExtensionName;let g=l.source;g||(await new Promise(t=>{const r=document.createElement("input");r.type="file",r.onchange=r=>{const e=r.target.files[0];t(e)},r.click()}));const y=l.logger||(()=>{}),S=e(l.logSpeed),k=!1!==l.graceful,w="function"==typeof l.onVisit,T=l.onVisit;let R=!1,E=null;const F={},I={};let C={category:"",detail:""};const v={};let A=!1;try{async function e(e){for(;!W.has(e)&&!N;){const{value:e,done:t}=await _.read();t?N=!0:W.push(e)}return W.has(e)}async function d(t){for(let r=t;0<r&&(0!==W.totalSize||N||(await e(1)),0!==W.totalSize);){const e=Math.min(r,W.totalSize);W.read(e),r-=e}}async function p(e,t){try{for(let r=t;0<r;){const n=S();if(n){let e=`Importing ${C.category}: ${(L/1e6).toFixed(2)} MB`;e+=1e6<t?` (${C.detail}: ${((t-r)/1e6).toFixed(1)}/${(t/1e6).toFixed(1)} MB)`:` (${C.detail})`,y(e),await n}if(0<W.totalSize){const t=Math.min(r,W.totalSize);await W.consume(t,async t=>{await e.write(t),r-=t.byteLength})}else{let{value:t,done:n}=await _.read();if(n)throw new Error("Unexpected EOF.");t.byteLength<=r?(await e.write(t),r-=t.byteLength):(await e.write(t.subarray(0,r)),W.push(t.subarray(r)),r=0)}}}catch(t){try{await e.abort()}catch(e){}throw t}finally{try{await e.close()}catch(t){}}}function k(e){const t={};for(let r=0;r<e.length;){let n=-1;for(let t=r;t<e.length;t++)if(32===e[t]){n=t;break}if(-1===n)break;const a=b.decode(e.subarray(r,n)),i=parseInt(a,10);if(isNaN(i))break;const o=e.subarray(r,r+i),s=b.decode(o),d=s.indexOf("=");if(-1!==d){const e=s.indexOf(" "),r=s.slice(e+1,d),n=s.slice(d+1,-1);t[r]=n}r+=i}return t}let T;if("string"==typeof g){const e=await fetch(g,t.fetchInit);if(!e.ok)throw new Error("Fetching of URL failed.");T=e.body}else if(g&&"function"==typeof g.stream)T=g.stream();else throw new Error("Invalid source.");const I=T.getReader(),B=[];let x=0;for(;8>x;){const{value:e,done:t}=await I.read();if(t)break;B.push(e),x+=e.byteLength}I.releaseLock();let L=0;const K=new ReadableStream({async start(t){for(const e of B)t.enqueue(e);const r=T.getReader();try{for(;;){const{value:e,done:n}=await r.read();if(n)break;t.enqueue(e)}t.close()}catch(r){t.error(r)}}}),z=new Uint8Array(8);if(0<x){let e=0;for(const t of B){const r=8-e;if(0>=r)break;const n=Math.min(r,t.byteLength);z.set(t.subarray(0,n),e),e+=n}}const U=b.decode(z.slice(0,6));let D;if("LE_ENC"===U){if(null===l.password)throw new Error("A password is required to decrypt this data.");let e=l.password||prompt("Enter the password:");if(!e)throw new Error("A password is required to decrypt this data.");D=new P(K,e,S).readable().pipeThrough(new DecompressionStream("gzip"))}else D=31===z[0]&&139===z[1]?K.pipeThrough(new DecompressionStream("gzip")):K;D=D.pipeThrough(new TransformStream({transform(e,t){L+=e.byteLength,t.enqueue(e)}}));const _=D.getReader(),W=new O;let N=!1,j=0;E=!1!==l.opfs&&navigator.storage?await navigator.storage.getDirectory():null;let q;try{E&&(q=await E.getDirectoryHandle(m,{create:!0}))}catch(t){}const H=new Set;for(let t=null;!R;){const g=await e(512);if(!g){if(!1!==l.verifyFile&&!A)if(0<j&&0===W.totalSize)LittleExport.warn("Warning: Stream ended without standard EOF blocks; import likely successful.");else throw new Error("Archive truncated: Stream ended prematurely.");break}const m=W.read(512);if(!1!==l.verifyFile&&0===m[0]&&m.every(e=>0===e)){A=!0;continue}if(!1!==l.verifyFile&&!s(m)){if(0<j&&0===W.totalSize&&N)break;throw new Error("Corrupt TAR header: Checksum mismatch.")}let T=b.decode(m.slice(0,100)).replace(/\0/g,"").trim();const O=m[156],P=b.decode(m.slice(124,136)).replace(/\0/g,"").trim(),I=parseInt(P,8)||0,B=(512-I%512)%512;if(120===O){if(!(await e(I)))throw new Error("Unexpected EOF.");const r=W.read(I);await d(B),t=k(r);continue}let x=I;if(t&&(t.path&&(T=t.path),t.size&&(x=parseInt(t.size,10)),t=null),j++,T.startsWith("data/idb/")){C.category="IndexedDB";const e=T.split("/");C.detail=e[2]?decodeURIComponent(e[2]):"data"}else if(T.startsWith("data/cache/")){C.category="Cache";const e=T.split("/");C.detail=e[2]?decodeURIComponent(e[2]):"item"}else T.startsWith("opfs/")?(C.category="OPFS",C.detail=T.replace("opfs/","")):T.startsWith("data/blobs/")?(C.category="Blobs",C.detail="restoring..."):(C.category="Config",C.detail=T);const K=S();if(K&&(C.category&&y(`Importing ${C.category}: ${(L/1e6).toFixed(2)} MB (${C.detail})`),await K),T.startsWith("data/")){if(T.startsWith("data/blobs/")){const e=T.split("/").pop();if(q){let t=!1;await a(async()=>{const r=await q.getFileHandle(e,{create:!0});await p(await r.createWritable(),x),t=!0},`Blob ${e}`),t||(await d(x))}else await d(x);await d(B);continue}else{if(0===x){await d(B);continue}if(!(await e(x)))throw new Error("Unexpected EOF for metadata.");const t=W.read(x);if("data/ls.json"===T&&!1!==l.localStorage){if(await i(u.LS,null,null,"localStorage")){const e=JSON.parse(b.decode(t)),a=F.localStorage===f.TRUST;for(const t in e){if(R)break;let i=a;if(!i)if(w){let r=n(u.LS,[t],{value:e[t]});if(r&&"function"==typeof r.then&&(r=await r),r===f.ABORT){R=!0;break}i=r!==f.SKIP}else i=r("localStorage",t,l);i&&localStorage.setItem(t,e[t])}}}else if("data/ss.json"===T&&!1!==l.sessionStorage){if(await i(u.SS,null,null,"sessionStorage")){const e=JSON.parse(b.decode(t)),a=F.sessionStorage===f.TRUST;for(const t in e){if(R)break;let i=a;if(!i)if(w){let r=n(u.SS,[t],{value:e[t]});if(r&&"function"==typeof r.then&&(r=await r),r===f.ABORT){R=!0;break}i=r!==f.SKIP}else i=r("sessionStorage",t,l);i&&sessionStorage.setItem(t,e[t])}}}else if("data/cookies.json"===T&&!1!==l.cookies){if(await i(u.COOKIE,null,null,"cookies")){const e=JSON.parse(b.decode(t)),a=F.cookies===f.TRUST;for(const t in e){if(R)break;let i=a;if(!i)if(w){let r=n(u.COOKIE,[t],{value:e[t]});if(r&&"function"==typeof r.then&&(r=await r),r===f.ABORT){R=!0;break}i=r!==f.SKIP}else i=r("cookies",t,l);i&&(document.cookie=`${t}=${e[t]}; path=/; max-age=31536000`)}}}else if(T.startsWith("data/custom/")&&l.onCustomItem)await l.onCustomItem(T.replace("data/custom/",""),t);else if(T.startsWith("data/idb/")&&o&&!1!==l.idb){const e=T.split("/"),r=decodeURIComponent(e[2]);if(T.endsWith("schema."+h)){if(!(await i(u.IDB,[r],r,"idb")))continue;const n=c.decode(t);H.add(r),v[r]&&(v[r].close(),delete v[r]),await a(async()=>{await new Promise(e=>{const t=indexedDB.deleteDatabase(n.name);t.onsuccess=e,t.onerror=e}),await new Promise((t,r)=>{const a=indexedDB.open(n.name,n.version);a.onupgradeneeded=t=>{const e=t.target.result;n.stores.forEach(t=>{if(!e.objectStoreNames.contains(t.name)){const r=e.createObjectStore(t.name,{keyPath:t.keyPath,autoIncrement:t.autoIncrement});t.indexes.forEach(e=>r.createIndex(e.name,e.keyPath,{unique:e.unique,multiEntry:e.multiEntry}))}})},a.onsuccess=r=>{r.target.result.close(),t()},a.onerror=r})},`IDB schema ${r}`)}else{const n=decodeURIComponent(e[3]);if(!H.has(r))continue;if(!(await i(u.IDB,[r,n],`${r}/${n}`,"idb")))continue;const o=c.decode(t),[s,d]=await LittleExport.restoreFromCBOR(o,q);if(!v[r]){const e=await a(async()=>await new Promise((e,t)=>{const n=indexedDB.open(r),a=setTimeout(()=>t(new Error(`Database ${r} timed out.`)),5e3);n.onblocked=()=>{clearTimeout(a),t(new Error(`Database ${r} blocked.`))},n.onsuccess=()=>{clearTimeout(a),e(n.result)},n.onerror=()=>{clearTimeout(a),t(n.error)}}),`Opening IDB ${r}`);if(!e)continue;v[r]=e}await a(async()=>{const e=v[r].transaction(n,"readwrite"),t=e.objectStore(n);for(let e=0;e<s.length;e++)t.put(d[e],t.keyPath?void 0:s[e]);await new Promise((t,r)=>{e.oncomplete=t,e.onerror=()=>r(e.error),e.onabort=()=>r(new Error("Transaction aborted."))})},`IDB ${r}/${n}`)}}else if(T.startsWith("data/cache/")&&o&&!1!==l.cache){const e=T.split("/"),r=decodeURIComponent(e[2]);(await i(u.CACHE,[r],r,"cache"))&&(await a(async()=>{const e=c.decode(t),n=await caches.open(r),a=await LittleExport.restoreFromCBOR(e.data,q),i=a instanceof Blob?a:new Blob([a]),o=new Response(i,{status:e.meta.status,headers:e.meta.headers});await n.put(e.meta.url,o)},`Cache ${r}`))}}}else if(!1!==l.opfs){const e=T.startsWith("opfs/")?T.slice(5):T,t=e.endsWith("/")||53===m[156],r=e.replace(/\/$/,""),n=r.split("/").filter(e=>e.length);if(0<n.length){const e=[...n];(await i(u.OPFS,e,r,"opfs"))?await a(async()=>{let e=E;if(t)for(const t of n)e=await e.getDirectoryHandle(t,{create:!0});else{const t=n[n.length-1],r=n.slice(0,-1);for(const t of r)e=await e.getDirectoryHandle(t,{create:!0});const a=await e.getFileHandle(t,{create:!0});if(0<x)await p(await a.createWritable(),x);else{const e=await a.createWritable();await e.close()}}},`OPFS ${r}`):await d(x)}else await d(x)}else await d(x);await d(B)}Object.values(v).forEach(e=>e.close()),R||y("Import complete!")}catch(t){if(Object.values(v).forEach(e=>{try{e.close()}catch(t){}}),y(`Error: ${t.message}`),l.onerror&&l.onerror(t),!k)throw t}finally{if(E)try{await E.removeEntry(m,{recursive:!0})}catch(t){}}}function l(e,t,r={}){const{readable:n,writable:a}=new TransformStream,i=new w(a,t),o=r.pathPrefix||"",s=o&&!o.endsWith("/")?o+"/":o;return(async()=>{try{if(window.FileSystemDirectoryHandle&&e instanceof FileSystemDirectoryHandle){async function t(e,r){for await(const[n,a]of e.entries()){if("directory"===a.kind&&"PaxHeaders"===n)continue;const e=r?`${r}/${n}`:n,o=s+e;if("file"===a.kind){const e=await a.getFile();await i.writeStream(o,e.size,e.stream())}else"directory"===a.kind&&(await i.writeDir(o),await t(a,e))}}await t(e,"")}else if(e instanceof FileList||Array.isArray(e)&&e[0]instanceof File){const t=Array.from(e),r=t.find(e=>e.webkitRelativePath&&e.webkitRelativePath.includes("/"))||t[0],n=r?r.webkitRelativePath:"",a=n&&n.includes("/")?n.split("/")[0]+"/":"";for(const e of t){let t=e.webkitRelativePath;t&&t.startsWith(a)&&(t=t.slice(a.length)),t||(t=e.name),await i.writeStream(s+t,e.size,e.stream())}}await i.close()}catch(t){try{await a.abort(t)}catch(t){}}})(),n}const u={OPFS:1,IDB:2,LS:4,SS:8,COOKIE:16,CACHE:32},f={SKIP:0,PROCESS:1,TRUST:2,ABORT:3};let h=0;const g=4194304,y=65536,p=new TextEncoder,b=new TextDecoder("utf-8",{fatal:!1}),m=".rfs_temp_blobs",S={USTAR_MAGIC:new Uint8Array([117,115,116,97,114,0]),USTAR_VER:new Uint8Array([48,48]),EMPTY_SPACE:new Uint8Array(8).fill(32)},k=new Uint8Array(512);(function(){const e=(e,t)=>p.encodeInto(e,k.subarray(t));e("000644 \0",100),e("000000 \0",108),e("000000 \0",116),k.set(S.EMPTY_SPACE,148),k[156]=48,k.set(S.USTAR_MAGIC,257),k.set(S.USTAR_VER,263)})();class w{constructor(e,t){this.writer=e.getWriter(),this.yielder=t,this.pos=0,this.time=Math.floor(Date.now()/1e3),this.buffer=new Uint8Array(y),this.bufferOffset=0}async writeEntry(e,t){const r="string"==typeof t?p.encode(t):t,n=r.byteLength;this.onFileProgress&&this.onFileProgress(0,n),await this.smartWrite(e,n,async()=>{await this.write(r)}),this.onFileProgress&&this.onFileProgress(n,n)}async writeStream(e,t,r){let n=0;await this.flush(),await this.smartWrite(e,t,async()=>{const e=r.getReader();try{for(;;){const{done:r,value:a}=await e.read();if(r)break;if(a){const e=t-n;if(0>=e)continue;const r=a.byteLength>e?a.subarray(0,e):a;await this.write(r),n+=r.byteLength,this.onFileProgress&&this.onFileProgress(n,t)}const i=this.yielder();i&&(await i)}if(n<t){const e=t-n,r=new Uint8Array(e);await this.write(r)}}finally{e.releaseLock()}})}async smartWrite(e,t,r){const n=p.encode(e),a=100<n.length||8589934591<t;if(a){const r=i(e,t),n="PaxHeaders/"+(50<e.length?e.slice(0,50):e);await this.write(o(n,r.length,this.time,"x")),await this.write(r),await this.pad()}await this.write(o(e,t,this.time,0===t&&e.endsWith("/")?"5":"0")),r&&(await r()),await this.pad()}async writeDir(e){e.endsWith("/")||(e+="/");const t=p.encode(e),r=100<t.length;if(r){const t=i(e,0),r="PaxHeaders/"+(50<e.length?e.slice(0,50):e);await this.write(o(r,t.length,this.time,"x")),await this.write(t),await this.pad()}const n=o(e,0,this.time,"5","000755");await this.write(n)}async write(e){const t=e.byteLength;t>=y?(await this.flush(),await this.writer.write(e)):this.bufferOffset+t>y?(await this.flush(),this.buffer.set(e,0),this.bufferOffset=t):(this.buffer.set(e,this.bufferOffset),this.bufferOffset+=t),this.pos+=t}async pad(){const e=(512-this.pos%512)%512;0<e&&(await this.write(new Uint8Array(e)))}async flush(){0<this.bufferOffset&&(await this.writer.write(this.buffer.slice(0,this.bufferOffset)),this.bufferOffset=0)}async close(){await this.write(new Uint8Array(1024)),await this.flush(),await this.writer.close()}}class T{constructor(e,r){this.salt=r,this.keyPromise=t(e,r),this.chunks=[],this.currentSize=0}async start(e){e.enqueue(p.encode("LE_ENC")),e.enqueue(this.salt),await this.encryptAndPush(new Uint8Array(0),e,await this.keyPromise)}async transform(e,t){if(this.chunks.push(e),this.currentSize+=e.byteLength,this.currentSize>=g){const e=new Uint8Array(this.currentSize);let r=0;for(const t of this.chunks)e.set(t,r),r+=t.byteLength;const n=await this.keyPromise;let a=0;for(;a+g<=e.length;)await this.encryptAndPush(e.subarray(a,a+g),t,n),a+=g;const i=e.subarray(a);this.chunks=0<i.length?[i]:[],this.currentSize=i.length}}async flush(e){if(0<this.currentSize){const t=new Uint8Array(this.currentSize);let r=0;for(const e of this.chunks)t.set(e,r),r+=e.byteLength;await this.encryptAndPush(t,e,await this.keyPromise)}}async encryptAndPush(e,t,r){const n=crypto.getRandomValues(new Uint8Array(12)),a=await crypto.subtle.encrypt({name:"AES-GCM",iv:n},r,e),i=new DataView(new ArrayBuffer(4));i.setUint32(0,a.byteLength,!0),t.enqueue(n),t.enqueue(new Uint8Array(i.buffer)),t.enqueue(new Uint8Array(a))}}class O{constructor(){this.chunks=[],this.totalSize=0,this.offset=0}push(e){e&&0!==e.byteLength&&(this.chunks.push(e),this.totalSize+=e.byteLength)}has(e){return this.totalSize>=e}_internalConsume(e,t){for(let r=0;r<e&&0<this.chunks.length;){const n=this.chunks[0],a=n.byteLength-this.offset,i=e-r,o=Math.min(a,i);t(n.subarray(this.offset,this.offset+o)),this.offset+=o,this.offset>=n.byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=o,r+=o}}read(e){if(0===e)return new Uint8Array(0);if(this.totalSize<e)throw new Error("Insufficient chunk data.");if(0<this.chunks.length&&this.chunks[0].byteLength-this.offset>=e){const t=this.chunks[0].subarray(this.offset,this.offset+e);return this.offset+=e,this.offset>=this.chunks[0].byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=e,t}const t=new Uint8Array(e);let r=0;return this._internalConsume(e,e=>{t.set(e,r),r+=e.byteLength}),t}async consume(e,t){for(let r=e;0<r&&0<this.chunks.length;){const e=this.chunks[0],n=e.byteLength-this.offset,a=Math.min(n,r);await t(e.subarray(this.offset,this.offset+a)),this.offset+=a,this.offset>=e.byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=a,r-=a}}}class P{constructor(e,t,r){this.stream=e,this.password=t,this.yielder=r,this.buffer=new O}readable(){async function e(e){for(;!r.buffer.has(e);){const{value:e,done:t}=await n.read();if(t)return!1;r.buffer.push(e)}return!0}const r=this;let n;return new ReadableStream({async start(a){n=r.stream.getReader();try{if(!(await e(22)))throw new Error("Not an encrypted archive.");const i=b.decode(r.buffer.read(6));if("LE_ENC"!==i)throw new Error("Not an encrypted archive.");const o=r.buffer.read(16),s=await t(r.password,o);if(!(await e(16)))throw new Error("Corrupt header.");const d=r.buffer.read(12),l=r.buffer.read(4),c=new DataView(l.buffer,l.byteOffset,l.byteLength).getUint32(0,!0);if(16!==c||!(await e(c)))throw new Error("Corrupt header.");const u=r.buffer.read(c);try{await crypto.subtle.decrypt({name:"AES-GCM",iv:d},s,u)}catch(t){throw new Error("Incorrect password or corrupt file.")}for(;;){const e=r.yielder();if(e&&(await e),!r.buffer.has(16)){const{value:e,done:t}=await n.read();if(t){if(0===r.buffer.totalSize)break;throw new Error("Truncated encrypted stream.")}r.buffer.push(e);continue}const t=r.buffer.read(12),i=r.buffer.read(4),o=new DataView(i.buffer,i.byteOffset,i.byteLength).getUint32(0,!0);for(;!r.buffer.has(o);){const{value:e,done:t}=await n.read();if(t)throw new Error("Unexpected EOF in ciphertext.");r.buffer.push(e);const a=r.yielder();a&&(await a)}const d=r.buffer.read(o),l=await crypto.subtle.decrypt({name:"AES-GCM",iv:t},s,d),c=r.yielder(!0);c&&(await c),a.enqueue(new Uint8Array(l))}a.close()}catch(t){a.error(t)}finally{n.releaseLock()}}})}}window.LittleExport={importData:d,exportData:async function(t={}){function n(e,t,r){return y?p(e,t,r):f.TRUST}async function a(e,t){try{return await e()}catch(r){if(g)return o.onerror&&o.onerror(r),l(`Error: ${t} - ${r.message}`),null;throw r}}h=0;const i=window.CBOR,o={fileName:"archive",logSpeed:100,customItems:[],include:{},exclude:{},cborExtensionName:"cbor",...t},s=o.encoder||new i.Encoder({structuredClone:!0,copyBuffers:!1,bundleStrings:!0,...o.cborOptions}),d=o.cborExtensionName,l=o.logger||(()=>{}),c=e(o.logSpeed),g=!1!==o.graceful,y="function"==typeof o.onVisit,p=o.onVisit;let b=!1;const m={category:"",detail:""};let S,k=[],O=o.fileName.includes(".")?o.fileName:o.password?`${o.fileName}.enc`:`${o.fileName}.tar.gz`;if(window.showSaveFilePicker&&!1!==o.download)try{const e=await window.showSaveFilePicker({suggestedName:O});S=await e.createWritable()}catch(t){if("AbortError"===t.name)return void l("Export cancelled.");LittleExport.warn("FileSystem picker failed, falling back.")}S||(S=new WritableStream({write(e){k.push(e)},close(){}}));let P=0;const R=new TransformStream({async transform(e,t){P+=e.byteLength;const r=c();if(r){if(m.category)if("Finishing"===m.category)l("Finishing...");else{let e=`Exporting ${m.category}: ${(P/1e6).toFixed(2)} MB`;e+=1e6<I.total?` (${m.detail}: ${(I.written/1e6).toFixed(1)}/${(I.total/1e6).toFixed(1)} MB)`:` (${m.detail})`,l(e)}await r}t.enqueue(e)}}),E=new CompressionStream("gzip");let F=E.readable;if(o.password){m.category="Setup",m.detail="Encrypting...";const e=crypto.getRandomValues(new Uint8Array(16));F=F.pipeThrough(new TransformStream(new T(o.password,e)))}let I={written:0,total:0};const C=F.pipeThrough(R).pipeTo(S),v=new w(E.writable,c);v.onFileProgress=(e,t)=>{I.written=e,I.total=t};try{for(const e of o.customItems){if(b)break;m.category="custom",m.detail=e.path;const t=`data/custom/${e.path}`;e.data instanceof Blob?await v.writeStream(t,e.data.size,e.data.stream()):await v.writeEntry(t,"string"==typeof e.data?e.data:JSON.stringify(e.data))}if(!b&&o.opfs&&navigator.storage){let e=n(u.OPFS);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){async function t(e,i,s){try{for await(const d of e.values()){if(b)return;I.written=0,I.total=0;const e=[...i,d.name],l=e.join("/");let h=s;if(m.detail=l,!s)if(y){let t=n(u.OPFS,e,{kind:d.kind,handle:d});if(t&&"function"==typeof t.then&&(t=await t),h=t,h===f.ABORT)return void(b=!0);if(h===f.SKIP)continue}else{if(!r("opfs",l,o))continue;h=f.TRUST}const g=h===f.TRUST;"file"===d.kind?await a(async()=>{const e=await d.getFile();await v.writeStream(`opfs/${l}`,e.size,e.stream())},`OPFS file ${l}`):(await v.writeDir(`opfs/${l}`),await t(d,e,!!g&&f.TRUST));const S=c();S&&(await S)}}catch(t){if(l(`Error: accessing OPFS folder /${i.join("/")} failed (${t.message})`),o.onerror&&o.onerror(t),!g)throw t}}m.category="OPFS";const i=await navigator.storage.getDirectory(),s=e===f.TRUST;await t(i,[],!!s&&f.TRUST)}}if(!b&&o.idb&&window.indexedDB&&i){let e=n(u.IDB);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){m.category="IndexedDB";const t=e===f.TRUST,i=await window.indexedDB.databases();for(const{name:e,version:l}of i){if(b)break;I.written=0,I.total=0,m.detail=e;const i=encodeURIComponent(e),h=await a(async()=>await new Promise((t,r)=>{const n=indexedDB.open(e),a=setTimeout(()=>r(new Error(`Database ${e} timed out.`)),5e3);n.onblocked=()=>{clearTimeout(a),r(new Error(`Database ${e} blocked.`))},n.onsuccess=()=>{clearTimeout(a),t(n.result)},n.onerror=()=>{clearTimeout(a),r(n.error)}}),`Opening IDB ${e}`);if(!h)continue;let g=t?f.TRUST:f.PROCESS;if(!t)if(y){let t=n(u.IDB,[e],{database:h});if(t&&"function"==typeof t.then&&(t=await t),g=t,g===f.ABORT){b=!0,h.close();break}if(g===f.SKIP){h.close();continue}}else if(!r("idb",e,o)){h.close();continue}const p=g===f.TRUST;try{const t=Array.from(h.objectStoreNames);if(0===t.length){await v.writeEntry(`data/idb/${i}/schema.${d}`,s.encode({name:e,version:l,stores:[]}));continue}const g=[],S=h.transaction(t,"readonly");for(const e of t){const t=S.objectStore(e);g.push({name:e,keyPath:t.keyPath,autoIncrement:t.autoIncrement,indexes:Array.from(t.indexNames).map(e=>{const r=t.index(e);return{name:r.name,keyPath:r.keyPath,unique:r.unique,multiEntry:r.multiEntry}})})}await v.writeEntry(`data/idb/${i}/schema.${d}`,s.encode({name:e,version:l,stores:g}));for(const l of t){if(b)break;let t=p?f.TRUST:f.PROCESS;if(!p)if(y){let r=n(u.IDB,[e,l],{database:h});if(r&&"function"==typeof r.then&&(r=await r),t=r,t===f.ABORT){b=!0;break}if(t===f.SKIP)continue}else if(!r("idb",`${e}/${l}`,o))continue;m.detail=`${e}/${l}`;let g=null,S=0,k=!0;for(;k&&!b;){const t=await a(async()=>{return await new Promise((t,r)=>{const n=h.transaction(l,"readonly"),a=n.objectStore(l),i=null===g?null:IDBKeyRange.lowerBound(g,!0),o=a.openCursor(i),s=[],d=[];o.onsuccess=r=>{const e=r.target.result;e&&s.length<25?(s.push(e.key),d.push(e.value),g=e.key,e.continue()):t({keys:s,values:d,done:!e})},o.onerror=()=>r(o.error)})},`Reading IDB ${e}/${l}`);if(!t)break;if(k=!t.done,0<t.keys.length){const e=[];for(let r=0;r<t.values.length;r++){const n=[],a=LittleExport.prepForCBOR(t.values[r],n);e.push(a);for(const e of n)await v.writeStream(`data/blobs/${e.uuid}`,e.blob.size,e.blob.stream())}await v.writeEntry(`data/idb/${i}/${encodeURIComponent(l)}/${S++}.${d}`,s.encode([t.keys,e]));const r=c();r&&(await r)}}}}finally{h.close()}}}}if(!b&&o.localStorage){let e=n(u.LS);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){m.category="Storage";const t={},a=e===f.TRUST;for(let e=0;e<localStorage.length&&!b;e++){const i=localStorage.key(e);m.detail=`localStorage: ${i}`;let s=a;if(!s)if(y){let e=n(u.LS,[i],{value:localStorage.getItem(i)});if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT){b=!0;break}s=e!==f.SKIP}else s=r("localStorage",i,o);s&&(t[i]=localStorage.getItem(i))}!b&&0<Object.keys(t).length&&(await v.writeEntry("data/ls.json",JSON.stringify(t)))}}if(!b&&o.sessionStorage){let e=n(u.SS);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){m.category="Storage";const t={},a=e===f.TRUST;for(let e=0;e<sessionStorage.length&&!b;e++){const i=sessionStorage.key(e);m.detail=`sessionStorage: ${i}`;let s=a;if(!s)if(y){let e=n(u.SS,[i],{value:sessionStorage.getItem(i)});if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT){b=!0;break}s=e!==f.SKIP}else s=r("sessionStorage",i,o);s&&(t[i]=sessionStorage.getItem(i))}!b&&0<Object.keys(t).length&&(await v.writeEntry("data/ss.json",JSON.stringify(t)))}}if(!b&&o.cookies){let e=n(u.COOKIE);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){m.category="Storage";const t={},a=e===f.TRUST,i=document.cookie.split(";").map(e=>e.trim()).filter(Boolean);for(const e of i){if(b)break;const i=e.indexOf("="),s=-1<i?e.slice(0,i).trim():e.trim(),d=-1<i?e.slice(i+1).trim():"";if(!s)continue;m.detail=`Cookie: ${s}`;let l=a;if(!l)if(y){let e=n(u.COOKIE,[s],{value:d});if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT){b=!0;break}l=e!==f.SKIP}else l=r("cookies",s,o);l&&(t[s]=d)}!b&&0<Object.keys(t).length&&(await v.writeEntry("data/cookies.json",JSON.stringify(t)))}}if(!b&&o.cache&&window.caches&&i){let e=n(u.CACHE);if(e&&"function"==typeof e.then&&(e=await e),e===f.ABORT&&(b=!0),!b&&e!==f.SKIP){m.category="Cache";const t=await caches.keys(),i=e===f.TRUST;for(const e of t){if(b)break;I.written=0,I.total=0;let t=i;if(!t)if(y){let r=n(u.CACHE,[e],null);if(r&&"function"==typeof r.then&&(r=await r),r===f.ABORT){b=!0;break}t=r!==f.SKIP}else t=r("cache",e,o);if(!t)continue;m.detail=e;const l=c();l&&(await l),await a(async()=>{const t=await caches.open(e);for(const r of await t.keys()){const n=await t.match(r);if(!n)continue;const a=await n.blob(),i=btoa(r.url).slice(0,50).replace(/\//g,"_"),o=[],l=LittleExport.prepForCBOR(a,o);for(const e of o)await v.writeStream(`data/blobs/${e.uuid}`,e.blob.size,e.blob.stream());await v.writeEntry(`data/cache/${encodeURIComponent(e)}/${i}.${d}`,s.encode({meta:{url:r.url,status:n.status,headers:Object.fromEntries(n.headers),type:a.type},data:l}))}},`Cache ${e}`)}}}m.category="Finishing",await v.close(),await C;let e=null;if(0<k.length&&(e=new Blob(k,{type:"application/octet-stream"})),!1!==o.download){if(e){const t=URL.createObjectURL(e),r=document.createElement("a");r.href=t,r.download=O,r.click(),setTimeout(()=>URL.revokeObjectURL(t),1e3)}return l("Export complete!"),null}return l("Export complete!"),e}catch(t){try{await S.abort(t).catch(()=>{})}catch(t){}if(l(`Error: ${t.message}`),o.onerror&&o.onerror(t),!g)throw t}},deriveKey:t,prepForCBOR:n,restoreFromCBOR:a,importFromFolder:async function(t={}){const r=t,n=e(r.logSpeed);let a=r.logger||(()=>{});const i=e=>d({...r,source:{stream:()=>e}});if(window.showDirectoryPicker&&!0!==r.legacy)try{const e=await window.showDirectoryPicker(),t=l(e,n,{pathPrefix:r.pathPrefix});return await i(t)}catch(t){if("AbortError"===t.name)return void a("User cancelled the directory picker.");a("Directory Picker failed, falling back to legacy input."),LittleExport.warn("Directory Picker failed, falling back to legacy input.",t)}return new Promise((e,t)=>{const a=document.createElement("input");a.type="file",a.webkitdirectory=!0,a.multiple=!0,a.style.display="none",document.body.appendChild(a),a.onchange=async()=>{if(!a.files||0===a.files.length)return void e();try{const t=l(a.files,n,{pathPrefix:r.pathPrefix});await i(t),e()}catch(r){t(r)}finally{document.body.removeChild(a)}},a.oncancel=()=>{document.body.removeChild(a),e()},a.click()})},folderToTarStream:l,clearData:async function(e={}){if(0===Object.keys(e).length&&(e={opfs:!0,idb:!0,localStorage:!0,session:!0,cookies:!0,cache:!0}),e.opfs&&navigator.storage)try{const e=await navigator.storage.getDirectory();for await(const t of e.keys())await e.removeEntry(t,{recursive:!0})}catch(t){LittleExport.warn("Failed to clear OPFS:",t)}if(e.localStorage)try{localStorage.clear()}catch(t){LittleExport.warn("Failed to clear localStorage:",t)}if(e.sessionStorage)try{sessionStorage.clear()}catch(t){LittleExport.warn("Failed to clear sessionStorage:",t)}if(e.cookies)try{const e=document.cookie.split(";");for(let t=0;t<e.length;t++){const r=e[t],n=r.indexOf("="),a=-1<n?r.trim().substring(0,n):r.trim();document.cookie=`${a}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`,document.cookie=`${a}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=${window.location.hostname}; path=/`;const i=window.location.hostname.split(".");if(2<i.length){const e=i.slice(-2).join(".");document.cookie=`${a}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=.${e}; path=/`}}}catch(t){LittleExport.warn("Failed to clear cookies:",t)}if(e.cache&&window.caches)try{const e=await caches.keys();for(const t of e)await caches.delete(t)}catch(t){LittleExport.warn("Failed to clear cache:",t)}if(e.idb&&window.indexedDB)try{const e=await window.indexedDB.databases();for(const{name:t}of e)indexedDB.deleteDatabase(t)}catch(t){LittleExport.warn("Failed to clear IndexedDB:",t)}},TYPE:u,warn:console.warn,DECISION:f}})();
\ No newline at end of file
+(()=>{let Ve={OPFS:1,IDB:2,LS:4,SS:8,COOKIE:16,CACHE:32},Je={SKIP:0,PROCESS:1,TRUST:2,ABORT:3},l={KEEP:0,OVERWRITE:1,NEWER:2},Ge=0,Ze="";function Ye(e){var t=new Error("The operation was aborted.");return t.name="AbortError",t.cause=e.reason,t}function Qe(e){if(e?.aborted)throw Ye(e)}function Xe(a=100,r,i){let n=0,s=null,o=new MessageChannel,l=[];return o.port1.onmessage=()=>l.shift()?.(),function(e=!1){Qe(i);var t=Date.now();return!e&&t-n<=a?null:(s||(r&&r(),s=(async()=>{"scheduler"in globalThis&&"yield"in scheduler?await scheduler.yield():await new Promise(e=>{l.push(e),o.port2.postMessage(null)}),n=Date.now(),s=null})()),s)}}let y=4194304,b=6e5,u=1e7,d=67108864,p={LE_ENC:1,LE_EN2:2},a=65536,f=["ArrayBuffer","DataView","Int8Array","Uint8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float16Array","Float32Array","Float64Array","BigInt64Array","BigUint64Array"],et=Symbol("checkpoint"),r=Symbol("seek index"),s=42,tt=new TextEncoder,Fe=new TextDecoder("utf-8",{fatal:!1}),He=".rfs_temp_blobs",Me=".rfs_staging",Ne=".rfs_replaced",dt="1.1.0",at="data/manifest.json",rt="data/checksums.sha256",wt="data/deleted.json",it="data/cookiestore.json",pt="data/offsets.json",e=["replace","merge","skipExisting","upgradeSchema"],nt="__little_export__";async function m(e,t,a=b){e=await crypto.subtle.importKey("raw",tt.encode(e),{name:"PBKDF2"},!1,["deriveKey"]);return crypto.subtle.deriveKey({name:"PBKDF2",salt:t,iterations:a,hash:"SHA-256"},e,{name:"AES-GCM",length:256},!1,["encrypt","decrypt"])}let v=new Uint32Array([1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298]);class st{constructor(){this.h=new Uint32Array([1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225]),this.w=new Uint32Array(64),this.block=new Uint8Array(64),this.blockLength=0,this.length=0}update(e){let t=0;if(this.length+=e.byteLength,0<this.blockLength){if(t=Math.min(64-this.blockLength,e.byteLength),this.block.set(e.subarray(0,t),this.blockLength),this.blockLength+=t,this.blockLength<64)return this;this.compress(this.block,0),this.blockLength=0}for(;t+64<=e.byteLength;t+=64)this.compress(e,t);return t<e.byteLength&&(this.block.set(e.subarray(t),0),this.blockLength=e.byteLength-t),this}compress(t,a){var r=this.w,e=this.h;for(let e=0;e<16;e++,a+=4)r[e]=t[a]<<24|t[a+1]<<16|t[a+2]<<8|t[a+3];for(let e=16;e<64;e++){var i=r[e-15],n=r[e-2];r[e]=r[e-16]+((i>>>7|i<<25)^(i>>>18|i<<14)^i>>>3)+r[e-7]+((n>>>17|n<<15)^(n>>>19|n<<13)^n>>>10)}let s=e[0],o=e[1],l=e[2],c=e[3],h=e[4],f=e[5],u=e[6],d=e[7];for(let e=0;e<64;e++){var w=(h>>>6|h<<26)^(h>>>11|h<<21)^(h>>>25|h<<7),w=d+w+(h&f^~h&u)+v[e]+r[e]|0,p=((s>>>2|s<<30)^(s>>>13|s<<19)^(s>>>22|s<<10))+(s&o^s&l^o&l)|0;d=u,u=f,f=h,h=c+w|0,c=l,l=o,o=s,s=w+p|0}e[0]+=s,e[1]+=o,e[2]+=l,e[3]+=c,e[4]+=h,e[5]+=f,e[6]+=u,e[7]+=d}digest(){var e,t=Math.floor(this.length/536870912),a=8*this.length%4294967296,r=this.blockLength<56?56-this.blockLength:120-this.blockLength,i=new Uint8Array(8+r),n=(i[0]=128,new DataView(i.buffer));n.setUint32(r,t),n.setUint32(4+r,a),this.update(i);let s="";for(e of this.h)s+=e.toString(16).padStart(8,"0");return s}}let i=new Uint32Array(256);for(let e=0;e<256;e++){let t=e;for(let e=0;e<8;e++)t=1&t?3988292384^t>>>1:t>>>1;i[e]=t}function c(t,a=0){a=~a;for(let e=0;e<t.byteLength;e++)a=i[255&(a^t[e])]^a>>>8;return~a>>>0}let ot="undefined"!=typeof document,h={getCookies:()=>document.cookie,async getCookieList(){return globalThis.cookieStore?(await cookieStore.getAll()).map(e=>({...e})):null},async setCookieList(e){for(var t of e)if(globalThis.cookieStore){var{name:a,path:r="/",domain:i,partitioned:n}=t;if(null===t.value)await cookieStore.delete({name:a,path:r,domain:i,partitioned:n});else{a={name:a,value:t.value,path:r,domain:i,expires:t.expires,sameSite:t.sameSite,partitioned:n};try{await cookieStore.set(a)}catch(e){if(!i)throw e;await cookieStore.set({...a,domain:void 0})}}}else document.cookie=(e=>{let t=e.name+`=${e.value??""}; path=`+(e.path||"/");null===e.value?t+="; expires=Thu, 01 Jan 1970 00:00:00 GMT":e.expires&&(t+="; expires="+new Date(e.expires).toUTCString());var a=e.domain?.replace(/^\./,""),r=location.hostname;return a&&(r===a||r.endsWith("."+a))&&(t+="; domain="+e.domain),e.sameSite&&(t+="; samesite="+e.sameSite),!e.secure&&"none"!==e.sameSite||(t+="; secure"),e.partitioned&&(t+="; partitioned"),t})(t)},async clearCookies(){if(globalThis.cookieStore)for(var{name:e,path:t,domain:a,partitioned:r}of await cookieStore.getAll())await cookieStore.delete({name:e,path:t,domain:a,partitioned:r});else{var i=document.cookie.split(";");for(let e=0;e<i.length;e++){var n=i[e],s=n.indexOf("="),s=-1<s?n.trim().substring(0,s):n.trim(),n=(document.cookie=s+"=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/",document.cookie=`${s}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=${location.hostname}; path=/`,location.hostname.split("."));2<n.length&&(n=n.slice(-2).join("."),document.cookie=s+`=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=.${n}; path=/`)}}},readStorage(e){var t=globalThis[e],a={};for(let e=0;e<t.length;e++){var r=t.key(e);a[r]=t.getItem(r)}return a},writeStorage(e,t){var a,r=globalThis[e];for(a in t)null===t[a]?r.removeItem(a):r.setItem(a,t[a])},clearStorage:e=>globalThis[e].clear(),persistStorage:()=>!!navigator.storage?.persist&&navigator.storage.persist(),prompt:e=>prompt(e),pickFile(){return new Promise(t=>{var e=document.createElement("input");e.type="file",e.onchange=e=>{t(e.target.files[0])},e.click()})},showSaveFilePicker:e=>globalThis.showSaveFilePicker?showSaveFilePicker({suggestedName:e}):null,showDirectoryPicker:()=>globalThis.showDirectoryPicker?showDirectoryPicker():null,download(e,t){let a=URL.createObjectURL(e);e=document.createElement("a");e.href=a,e.download=t,e.click(),setTimeout(()=>URL.revokeObjectURL(a),1e3)}},n=null,w=new Map,S=0;function yt(){return ot||!!n}function lt(r,...i){return ot?Promise.resolve().then(()=>h[r](...i)):n?new Promise((e,t)=>{var a=++S;w.set(a,{resolve:e,reject:t}),n.postMessage({id:a,method:r,args:i})}):Promise.reject(new Error(r+" needs the page; call LittleExport.connectWorker(worker) there first."))}async function mt(){var e,t={};for(e of(await lt("getCookies")).split(";")){var a=e.indexOf("="),r=(-1<a?e.slice(0,a):e).trim();r&&(t[r]=-1<a?e.slice(a+1).trim():"")}return t}function ct(e,t,a){var{include:a,exclude:r}=a;if(r&&r[e]){r=r[e];if("function"==typeof r){if(r(t))return!1}else if(Array.isArray(r)&&r.some(e=>t===e||t.startsWith(e+"/")))return!1}if(a&&a[e]){r=a[e];if("function"==typeof r)return r(t);if(Array.isArray(r)&&0<r.length)return r.some(e=>t===e||t.startsWith(e+"/"))}return!0}ot||"function"!=typeof addEventListener||addEventListener("message",e=>{e.data&&e.data.littleExportBridge&&e.ports[0]&&((n=e.ports[0]).onmessage=({data:e})=>{var t,a=w.get(e.id);a&&(w.delete(e.id),e.error?((t=new Error(e.error.message)).name=e.error.name,a.reject(t)):a.resolve(e.result))})});let E=[101,103,204,205,304];function qe(e,t){if(0===t.status)throw new Error(t.url+" is an opaque response, which can't be recreated.");return new Response(E.includes(t.status)?null:e,{status:t.status,statusText:t.statusText||"",headers:t.headers})}async function gt(e,t){if(!e)return null;if(e instanceof Map)return e.get(t)||null;try{return await(await e.getFileHandle(t)).getFile()}catch(e){if("NotFoundError"!==e.name)throw e;return null}}let t={USTAR_MAGIC:new Uint8Array([117,115,116,97,114,0]),USTAR_VER:new Uint8Array([48,48]),EMPTY_SPACE:new Uint8Array(8).fill(32)},o=new Uint8Array(512);var U;function x(e,t,a){let s=new TextEncoder,o=new Uint8Array(0);var r=(a,r)=>{if(null!=r){var a=` ${a}=${String(r)}
+`,i=s.encode(a);let e=i.length,t=String(e);for(;;){var n=i.length+t.length;if(n===e)break;e=n,t=String(e)}r=s.encode(t+a),a=new Uint8Array(o.length+r.length);a.set(o),a.set(r,o.length),o=a}};return r("path",e),8589934591<t&&r("size",t),null!=a&&a%1e3!=0&&r("mtime",(a/1e3).toFixed(3)),o}function A(e,t,a,r="0",i="000644"){t=8589934591<t?0:t;let n=o.slice(0);n[156]=r.charCodeAt(0);r=tt.encode(e),e=Math.min(r.length,100),n.set(r.subarray(0,e),0),i&&tt.encodeInto(i.padEnd(7,"\0"),n.subarray(100,108)),r=(e,t,a)=>{e=Math.floor(e).toString(8).padStart(a-1,"0");e.length>=a?LittleExport.warn("PAX attempted to write octal that was too long (due to either sizes or timestamp)."):(tt.encodeInto(e,n.subarray(t,t+a-1)),n[t+a-1]=0)};r(t,124,12),r(a,136,12);let s=0;for(let e=0;e<512;e++)s+=n[e];e=s.toString(8).padStart(6,"0");return tt.encodeInto(e,n.subarray(148)),n[154]=0,n[155]=32,n}(U=(e,t)=>tt.encodeInto(e,o.subarray(t)))("000644 \0",100),U("000000 \0",108),U("000000 \0",116),o.set(t.EMPTY_SPACE,148),o[156]=48,o.set(t.USTAR_MAGIC,257),o.set(t.USTAR_VER,263);class ht{constructor(e,t){this.writer=e.getWriter(),this.yielder=t,this.pos=0,this.time=Math.floor(Date.now()/1e3),this.buffer=new Uint8Array(a),this.bufferOffset=0,this.entries=0,this.lastPath=null,this.skip=0,this.offsets=null}skipped(e){return 0!==this.skip&&(this.skipEntries(1,e),!0)}skipEntries(e,t){0!==e&&(this.skip-=e,this.entries+=e,this.lastPath=t,0===this.skip)&&this.onResumed&&this.onResumed(t)}async checkpoint(){await this.flush(),await this.writer.write(et)}async startSeekIndex(){await this.flush(),await this.writer.write(r)}async writeEntry(t,a,r){if(!this.skipped(t)){let e="string"==typeof a?tt.encode(a):a;a=e.byteLength;this.checksums&&this.checksums.push([t,(new st).update(e).digest()]),this.onFileProgress&&this.onFileProgress(0,a),await this.smartWrite(t,a,async()=>{await this.write(e)},r),this.onFileProgress&&this.onFileProgress(a,a)}}async writeStream(e,h,f,t){if(this.skipped(e))f.cancel().catch(()=>{});else{let l=0,c=this.checksums?new st:null;await this.flush(),await this.smartWrite(e,h,async()=>{var e,t,a=f.getReader();try{for(;;){var{done:r,value:i}=await a.read();if(r)break;if(i){var n=h-l;if(n<=0)continue;var s=i.byteLength>n?i.subarray(0,n):i;await this.write(s),c&&c.update(s),l+=s.byteLength,this.onFileProgress&&this.onFileProgress(l,h)}var o=this.yielder();o&&await o}l<h&&(e=h-l,t=new Uint8Array(e),await this.write(t),c)&&c.update(t)}finally{a.releaseLock()}},t),c&&this.checksums.push([e,c.digest()])}}async smartWrite(e,t,a,r){this.onEntry&&this.onEntry(e,t),this.entries++,this.lastPath=e;(100<tt.encode(e).length||8589934591<t||null!=r&&r%1e3!=0)&&(i=x(e,t,r),n="PaxHeaders/"+(50<e.length?e.slice(0,50):e),await this.write(A(n,i.length,this.time,"x")),await this.write(i),await this.pad());var i,n=0===t&&e.endsWith("/");await this.write(A(e,t,null!=r?Math.floor(r/1e3):this.time,n?"5":"0")),this.offsets&&!n&&this.offsets.set(e,[this.pos,t,r??1e3*this.time]),a&&await a(),await this.pad()}async writeDir(e){var t,a;e.endsWith("/")||(e+="/"),this.skipped(e)||(this.entries++,this.lastPath=e,100<tt.encode(e).length&&(t=x(e,0),a="PaxHeaders/"+(50<e.length?e.slice(0,50):e),await this.write(A(a,t.length,this.time,"x")),await this.write(t),await this.pad()),a=A(e,0,this.time,"5","000755"),await this.write(a))}async write(e){var t=e.byteLength;t>=a?(await this.flush(),await this.writer.write(e)):this.bufferOffset+t>a?(await this.flush(),this.buffer.set(e,0),this.bufferOffset=t):(this.buffer.set(e,this.bufferOffset),this.bufferOffset+=t),this.pos+=t}async pad(){var e=(512-this.pos%512)%512;0<e&&await this.write(new Uint8Array(e))}async flush(){0<this.bufferOffset&&(await this.writer.write(this.buffer.slice(0,this.bufferOffset)),this.bufferOffset=0)}async close(){await this.write(new Uint8Array(1024)),await this.flush(),await this.writer.close()}}let k={LOCAL:67324752,DESCRIPTOR:134695760,CENTRAL:33639248,END:101010256,END64:101075792,LOCATOR64:117853008},R=21589;function T(e){e=new Date(e);return[e.getHours()<<11|e.getMinutes()<<5|e.getSeconds()>>1,Math.max(e.getFullYear(),1980)-1980<<9|e.getMonth()+1<<5|e.getDate()]}class bt extends ht{constructor(e,t){super(e,t),this.central=[],this.centralIndex=new Map,this.deflater=null}async smartWrite(e,t,a,r){this.onEntry&&this.onEntry(e,t),this.entries++,this.lastPath=e;var t=tt.encode(e),i=this.pos,r=Math.floor(null!=r?r/1e3:this.time),n=(await this.write(this.localHeader(t,2056,8,r)),this.pos),s=new CompressionStream("deflate-raw");let o=s.readable.getReader();var l=(async()=>{for(;;){var{value:e,done:t}=await o.read();if(t)return;await super.write(e)}})(),s={writer:s.writable.getWriter(),crc:0,size:0};this.deflater=s;try{a&&await a(),await s.writer.close(),await l}catch(e){throw l.catch(()=>{}),s.writer.abort(e).catch(()=>{}),e}finally{this.deflater=null}a={nameBytes:t,flags:2056,method:8,crc:s.crc,compressedSize:this.pos-n,size:s.size,offset:i,time:r},l=new Uint8Array(24),t=new DataView(l.buffer),t.setUint32(0,k.DESCRIPTOR,!0),t.setUint32(4,a.crc,!0),t.setBigUint64(8,BigInt(a.compressedSize),!0),t.setBigUint64(16,BigInt(a.size),!0),await this.write(l),n=this.centralIndex.get(e);void 0===n?(this.centralIndex.set(e,this.central.length),this.central.push(a)):this.central[n]=a}async writeDir(e){var t;e.endsWith("/")||(e+="/"),this.skipped(e)||(this.entries++,this.lastPath=e,e=tt.encode(e),t=this.pos,await this.write(this.localHeader(e,2048,0,this.time)),this.central.push({nameBytes:e,flags:2048,method:0,crc:0,compressedSize:0,size:0,offset:t,time:this.time,dir:!0}))}async write(e){if(!this.deflater)return super.write(e);this.deflater.crc=c(e,this.deflater.crc),this.deflater.size+=e.byteLength,await this.deflater.writer.write(e)}localHeader(e,t,a,r){var i=0!=(8&t),n=e.byteLength,s=9+(i?20:0),o=new Uint8Array(30+n+s),l=new DataView(o.buffer),[c,h]=T(1e3*r);l.setUint32(0,k.LOCAL,!0),l.setUint16(4,i?45:20,!0),l.setUint16(6,t,!0),l.setUint16(8,a,!0),l.setUint16(10,c,!0),l.setUint16(12,h,!0),i&&(l.setUint32(18,4294967295,!0),l.setUint32(22,4294967295,!0)),l.setUint16(26,n,!0),l.setUint16(28,s,!0),o.set(e,30);let f=30+n;return i&&(l.setUint16(f,1,!0),l.setUint16(f+2,16,!0),f+=20),this.timestampField(l,f,r),o}timestampField(e,t,a){e.setUint16(t,R,!0),e.setUint16(t+2,5,!0),e.setUint8(t+4,1),e.setUint32(t+5,Math.min(Math.max(a,0),4294967295),!0)}centralHeader(e){var t=[e.size,e.compressedSize,e.offset].filter(e=>4294967295<=e);let a=e.nameBytes.byteLength;var r=t.length?4+8*t.length:0,i=9+r,n=new Uint8Array(46+a+i);let s=new DataView(n.buffer);var o=e=>Math.min(e,4294967295),[l,c]=T(1e3*e.time);return s.setUint32(0,k.CENTRAL,!0),s.setUint16(4,45,!0),s.setUint16(6,e.dir?20:45,!0),s.setUint16(8,e.flags,!0),s.setUint16(10,e.method,!0),s.setUint16(12,l,!0),s.setUint16(14,c,!0),s.setUint32(16,e.crc,!0),s.setUint32(20,o(e.compressedSize),!0),s.setUint32(24,o(e.size),!0),s.setUint16(28,a,!0),s.setUint16(30,i,!0),s.setUint32(38,e.dir?16:0,!0),s.setUint32(42,o(e.offset),!0),n.set(e.nameBytes,46),t.length&&(s.setUint16(46+a,1,!0),s.setUint16(48+a,8*t.length,!0),t.forEach((e,t)=>s.setBigUint64(50+a+8*t,BigInt(e),!0))),this.timestampField(s,46+a+r,e.time),n}async close(){var e,t=this.pos;for(e of this.central){await this.write(this.centralHeader(e));var a=this.yielder();a&&await a}var r=this.pos-t,i=this.central.length;if(65535<=i||4294967295<=t||4294967295<=r){var n=this.pos,s=new Uint8Array(76);let e=new DataView(s.buffer);e.setUint32(0,k.END64,!0),e.setBigUint64(4,44n,!0),e.setUint16(12,45,!0),e.setUint16(14,45,!0),e.setBigUint64(24,BigInt(i),!0),e.setBigUint64(32,BigInt(i),!0),e.setBigUint64(40,BigInt(r),!0),e.setBigUint64(48,BigInt(t),!0),e.setUint32(56,k.LOCATOR64,!0),e.setBigUint64(64,BigInt(n),!0),e.setUint32(72,1,!0),await this.write(s)}n=new Uint8Array(22);let o=new DataView(n.buffer);o.setUint32(0,k.END,!0),o.setUint16(8,Math.min(i,65535),!0),o.setUint16(10,Math.min(i,65535),!0),o.setUint32(12,Math.min(r,4294967295),!0),o.setUint32(16,Math.min(t,4294967295),!0),await this.write(n),await this.flush(),await this.writer.close()}}let B=e=>Array.from(e,e=>e.toString(16).padStart(2,"0")).join(""),O=e=>new Uint8Array(e.match(/../g).map(e=>parseInt(e,16))),P=e=>"string"==typeof e&&/^([0-9a-f]{2})+$/.test(e),C={"RSA-OAEP":"SHA-1","RSA-OAEP-256":"SHA-256","RSA-OAEP-384":"SHA-384","RSA-OAEP-512":"SHA-512"},D="ECDH-P256";async function I(e,t){if(globalThis.CryptoKey&&e instanceof CryptoKey)return e;if("EC"===e?.kty&&"P-256"===e.crv)return crypto.subtle.importKey("jwk",e,{name:"ECDH",namedCurve:"P-256"},!1,t?["deriveBits"]:[]);if("RSA"===e?.kty&&C[e.alg||"RSA-OAEP-256"])return crypto.subtle.importKey("jwk",{...e,alg:e.alg||"RSA-OAEP-256"},{name:"RSA-OAEP",hash:C[e.alg||"RSA-OAEP-256"]},!1,[t?"decrypt":"encrypt"]);throw new Error("Recipient keys must be P-256 ECDH or RSA-OAEP keys (as JWKs or CryptoKeys).")}function z(e){if("ECDH"===e.algorithm.name)return D;let t=e.algorithm.hash.name;return Object.keys(C).find(e=>C[e]===t)}async function L(e,t){t=await crypto.subtle.deriveBits({name:"ECDH",public:t},e,256),e=await crypto.subtle.importKey("raw",t,"HKDF",!1,["deriveKey"]);return crypto.subtle.deriveKey({name:"HKDF",hash:"SHA-256",salt:new Uint8Array(0),info:tt.encode("LE_EN2 content key")},e,{name:"AES-GCM",length:256},!1,["encrypt","decrypt"])}async function F(e,t){let a,r;if("string"==typeof e)a={kdf:"PBKDF2",hash:"SHA-256",iterations:b,salt:B(t)},r=await m(e,t);else{if(!e?.recipients?.length)throw new Error("Encryption needs a password or recipients.");var i,n=crypto.getRandomValues(new Uint8Array(32)),s=[];for(i of e.recipients)s.push((o=n,l=i,p=w=d=u=f=h=c=void 0,d=await I(l,!1),w=z(d),p={alg:w},l.kid&&(p.kid=l.kid),w===D?(l=await crypto.subtle.generateKey({name:"ECDH",namedCurve:"P-256"},!0,["deriveBits"]),{kty:w,crv:c,x:h,y:f}=await crypto.subtle.exportKey("jwk",l.publicKey),u=crypto.getRandomValues(new Uint8Array(12)),l=await L(l.privateKey,d),p.epk={kty:w,crv:c,x:h,y:f},p.iv=B(u),p.key=B(new Uint8Array(await crypto.subtle.encrypt({name:"AES-GCM",iv:u},l,o)))):p.key=B(new Uint8Array(await crypto.subtle.encrypt({name:"RSA-OAEP"},d,o))),await p));a={recipients:s},r=await crypto.subtle.importKey("raw",n,"AES-GCM",!1,["encrypt","decrypt"])}var o,l,c,h,f,u,d,w,p,t=tt.encode(JSON.stringify({...a,cipher:"AES-GCM",chunkSize:y}));if(65535<t.byteLength)throw new Error("Too many recipients.");e=new Uint8Array(8+t.byteLength);return e.set(tt.encode("LE_EN2")),new DataView(e.buffer).setUint16(6,t.byteLength,!0),e.set(t,8),{header:e,key:r}}async function M(a,e){var r=await a(6),t=r&&p[Fe.decode(r)];if(!t)throw new Error("Not an encrypted archive.");let i=null,n=b,s=y,o=null,l=null;if(1===t){if(!(i=await a(16)))throw new Error("Corrupt header.")}else{let e=await a(2);var c=e&&await a(e[0]|e[1]<<8);if(!c)throw new Error("Corrupt header.");let t;try{t=JSON.parse(Fe.decode(c))}catch(e){throw new Error("Corrupt header.")}if(!(Array.isArray(t.recipients)?void 0===t.kdf:"PBKDF2"===t.kdf&&"SHA-256"===t.hash&&Number.isInteger(t.iterations)&&0<t.iterations&&t.iterations<=u&&P(t.salt))||"AES-GCM"!==t.cipher||!Number.isInteger(t.chunkSize)||t.chunkSize<1||t.chunkSize>d)throw new Error("Unsupported encryption parameters.");t.recipients?o=t.recipients:(i=O(t.salt),n=t.iterations),s=t.chunkSize,(l=new Uint8Array(8+c.byteLength)).set(r),l.set(e,6),l.set(c,8)}let h=e.key;if(!h&&o){if(!e.privateKey)throw new Error("A private key is required to decrypt this data.");h=await(async(e,t)=>{var a,r,i=await I(t,!0),n=z(i);for(a of e)if(a?.alg===n&&P(a.key)&&(!t.kid||!a.kid||t.kid===a.kid))try{let e;return e=n===D?(r=await I(a.epk,!1),await crypto.subtle.decrypt({name:"AES-GCM",iv:O(a.iv)},await L(i,r),O(a.key))):await crypto.subtle.decrypt({name:"RSA-OAEP"},i,O(a.key)),crypto.subtle.importKey("raw",e,"AES-GCM",!1,["encrypt","decrypt"])}catch(e){}throw new Error("The private key isn't one of the archive's recipients.")})(o,e.privateKey)}else h||(r=await(async e=>{if(null!==e&&(e=e||await lt("prompt","Enter the password:")))return e;throw new Error("A password is required to decrypt this data.")})(e.password),h=await m(r,i,n));c=await a(12);let f=await a(4);e=f&&16===N(f)&&await a(16);if(!c||!e)throw new Error("Corrupt header.");try{await crypto.subtle.decrypt({name:"AES-GCM",iv:c,...l&&{additionalData:l}},h,e)}catch(e){throw new Error("Incorrect password or corrupt file.")}return{version:t,key:h,chunkSize:s}}let N=e=>new DataView(e.buffer,e.byteOffset,e.byteLength).getUint32(0,!0);function j(e,t){var a=new Uint8Array(9);return new DataView(a.buffer).setBigUint64(0,BigInt(e),!0),a[8]=t?1:0,a}class vt{constructor(e,t,a=null){this.salt=t,this.resumed=null!==a,this.index=a||0,this.setup=this.resumed?Promise.resolve({key:"string"==typeof e?m(e,t):e.key}):F(e,t),this.keyPromise=this.setup.then(e=>e.key),this.keyPromise.catch(()=>{}),this.chunks=[],this.currentSize=0}async start(e){var t;this.resumed||(t=await this.setup,e.enqueue(t.header),await this.encryptAndPush(new Uint8Array(0),e,t.key,t.header))}async transform(a,r){if(a===et)await this.pushBuffered(r,!1),this.chunks=[],this.currentSize=0,r.enqueue(a);else if(this.chunks.push(a),this.currentSize+=a.byteLength,this.currentSize>=y){var i,n=new Uint8Array(this.currentSize);let e=0;for(i of this.chunks)n.set(i,e),e+=i.byteLength;var s=await this.keyPromise;let t=0;for(;t+y<=n.length;)await this.encryptAndPush(n.subarray(t,t+y),r,s,j(this.index++,!1)),t+=y;a=n.subarray(t);this.chunks=0<a.length?[a]:[],this.currentSize=a.length}}async flush(e){await this.pushBuffered(e,!0)}async pushBuffered(t,a){if(0!==this.currentSize||a){var r,i=new Uint8Array(this.currentSize);let e=0;for(r of this.chunks)i.set(r,e),e+=r.byteLength;await this.encryptAndPush(i,t,await this.keyPromise,j(this.index++,a))}}async encryptAndPush(e,t,a,r){var i=crypto.getRandomValues(new Uint8Array(12)),r=await crypto.subtle.encrypt({name:"AES-GCM",iv:i,additionalData:r},a,e),a=new DataView(new ArrayBuffer(4));a.setUint32(0,r.byteLength,!0),t.enqueue(i),t.enqueue(new Uint8Array(a.buffer)),t.enqueue(new Uint8Array(r))}}class St{constructor(e=!1){this.chunks=[],this.currentSize=0,this.members=e?[]:null,this.inputSize=0,this.outputSize=0,this.indexOffset=null}async transform(e,t){e===et?(await this.endMember(t),t.enqueue(e)):e===r?(await this.endMember(t),this.indexOffset=this.outputSize):(this.chunks.push(e),this.currentSize+=e.byteLength,4194304<=this.currentSize&&await this.endMember(t))}async flush(e){var t,a;await this.endMember(e),null!==this.indexOffset&&e.enqueue((e=this.indexOffset,t=new Uint8Array(s),a=new DataView(t.buffer),t.set([31,139,8,4]),t[9]=255,a.setUint16(10,20,!0),t[12]=76,t[13]=69,a.setUint16(14,4,!0),a.setUint32(16,s,!0),t[20]=76,t[21]=73,a.setUint16(22,8,!0),a.setBigUint64(24,BigInt(e),!0),t[32]=3,t))}async endMember(e){if(0!==this.currentSize){var t=new Uint8Array(await new Response(new Blob(this.chunks).stream().pipeThrough(new CompressionStream("gzip"))).arrayBuffer());if(this.members&&this.members.push([this.inputSize,this.outputSize]),this.inputSize+=this.currentSize,this.chunks=[],(this.currentSize=0)!==t[3])throw new Error("Unexpected gzip header.");var a=new Uint8Array(t.byteLength+10),r=new DataView(a.buffer);a.set(t.subarray(0,10),0),a[3]=4,r.setUint16(10,8,!0),a[12]=76,a[13]=69,r.setUint16(14,4,!0),r.setUint32(16,a.byteLength,!0),a.set(t.subarray(10),20),this.outputSize+=a.byteLength,e.enqueue(a)}}}async function K(e){return new Uint8Array(await new Response(new Blob([e]).stream().pipeThrough(new DecompressionStream("gzip"))).arrayBuffer())}function $(t){let r=new W,i,n=null;async function s(e){for(;!r.has(e);){var{value:t,done:a}=await i.read();if(a)return!1;r.push(t)}return!0}return new ReadableStream({async start(){i=t.getReader();var e=await s(20)?r.peek(20):null;e&&4&e[3]&&76===e[12]&&69===e[13]&&4===e[14]||(e=new ReadableStream({start(e){0<r.totalSize&&e.enqueue(r.read(r.totalSize))},async pull(e){var{value:t,done:a}=await i.read();a?e.close():e.enqueue(t)},cancel:e=>i.cancel(e)}),n=e.pipeThrough(new DecompressionStream("gzip")).getReader())},async pull(e){if(n)({value:a,done:t}=await n.read()),t?e.close():e.enqueue(a);else if(await s(20)){var t=r.peek(20),a=new DataView(t.buffer).getUint32(16,!0);if(!await s(a))throw new Error("Truncated gzip member.");e.enqueue(await K(r.read(a)))}else{if(0<r.totalSize)throw new Error("Truncated gzip member.");e.close()}},cancel:e=>(n||i).cancel(e)})}class W{constructor(){this.chunks=[],this.totalSize=0,this.offset=0}push(e){e&&0!==e.byteLength&&(this.chunks.push(e),this.totalSize+=e.byteLength)}has(e){return this.totalSize>=e}peek(e){var t,a=new Uint8Array(e);let r=0,i=this.offset;for(t of this.chunks){var n=t.subarray(i,i+e-r);if(a.set(n,r),r+=n.byteLength,i=0,r>=e)break}return a}_internalConsume(e,t){let a=0;for(;a<e&&0<this.chunks.length;){var r=this.chunks[0],i=r.byteLength-this.offset,n=e-a,i=Math.min(i,n);t(r.subarray(this.offset,this.offset+i)),this.offset+=i,this.offset>=r.byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=i,a+=i}}read(e){if(0===e)return new Uint8Array(0);if(this.totalSize<e)throw new Error("Insufficient chunk data.");var t;if(0<this.chunks.length&&this.chunks[0].byteLength-this.offset>=e)return t=this.chunks[0].subarray(this.offset,this.offset+e),this.offset+=e,this.offset>=this.chunks[0].byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=e,t;let a=new Uint8Array(e),r=0;return this._internalConsume(e,e=>{a.set(e,r),r+=e.byteLength}),a}async consume(e,t){let a=e;for(;0<a&&0<this.chunks.length;){var r=this.chunks[0],i=r.byteLength-this.offset,i=Math.min(i,a);await t(r.subarray(this.offset,this.offset+i)),this.offset+=i,this.offset>=r.byteLength&&(this.chunks.shift(),this.offset=0),this.totalSize-=i,a-=i}}}class _{constructor(e,t,a){this.stream=e,this.credentials=t,this.yielder=a,this.buffer=new W}readable(){let p=this,y;async function m(e){for(;!p.buffer.has(e);){var{value:t,done:a}=await y.read();if(a)return!1;p.buffer.push(t)}return!0}return new ReadableStream({async start(a){y=p.stream.getReader();try{var{version:r,key:i,chunkSize:n}=await M(async e=>await m(e)?p.buffer.read(e):null,p.credentials);p.key=i;let t=0;for(;;){var s=p.yielder();if(s&&await s,!await m(16)){if(0===p.buffer.totalSize&&1===r)break;throw new Error("Truncated encrypted stream.")}var o=p.buffer.read(12),l=N(p.buffer.read(4));if(1<r&&n+16<l)throw new Error(`Encrypted chunk ${t} is corrupt.`);for(;!p.buffer.has(l);){var{value:c,done:h}=await y.read();if(h)throw new Error("Unexpected EOF in ciphertext.");p.buffer.push(c);var f=p.yielder();f&&await f}var u=p.buffer.read(l),d=1<r&&!await m(1);let e;try{e=await crypto.subtle.decrypt(1<r?{name:"AES-GCM",iv:o,additionalData:j(t,d)}:{name:"AES-GCM",iv:o},i,u)}catch(e){throw new Error(1<r?`Encrypted chunk ${t} is corrupt, out of order or truncated.`:"Corrupt encrypted chunk.")}t++;var w=p.yielder(!0);if(w&&await w,a.enqueue(new Uint8Array(e)),d)break}a.close()}catch(e){a.error(e)}finally{y.releaseLock()}}})}}class je{constructor(e,t,a=!0){this.reader=e.getReader(),this.yielder=t,this.verify=a,this.buffer=new W,this.done=!1,this.bytesRead=0,this.entriesRead=0,this.foundEofMarker=!1,this.remaining=0,this.padding=0,this.entry=null,this.hashing=!1,this.sha=null,this.digests=new Map}async pull(){var{value:e,done:t}=await this.reader.read();return t?(this.done=!0,null):(this.bytesRead+=e.byteLength,e)}async ensure(e){for(;!this.buffer.has(e)&&!this.done;)this.buffer.push(await this.pull());return this.buffer.has(e)}async skip(e){let t=e;for(;0<t&&(0!==this.buffer.totalSize||this.done||await this.ensure(1),0!==this.buffer.totalSize);){var a=Math.min(t,this.buffer.totalSize);this.buffer.read(a),t-=a}}async next(){this.sha&&0===this.remaining&&this.digests.set(this.entry.name,this.sha.digest()),this.sha=null,await this.skip(this.remaining+this.padding),this.remaining=0,this.padding=0;let r=null;for(;;){if(!await this.ensure(512)){if(this.verify&&!this.foundEofMarker){if(!(0<this.entriesRead&&0===this.buffer.totalSize))throw new Error("Archive truncated: Stream ended prematurely.");LittleExport.warn("Warning: Stream ended without standard EOF blocks; import likely successful.")}return null}var i=this.buffer.read(512);if(this.verify&&0===i[0]&&i.every(e=>0===e))this.foundEofMarker=!0;else{if(this.verify&&!(a=>{var e=Fe.decode(a.slice(148,156)).replace(/\0/g,"").trim(),e=parseInt(e,8);if(!isNaN(e)){let t=0;for(let e=0;e<512;e++)148<=e&&e<156?t+=32:t+=a[e];return t===e}})(i)){if(0<this.entriesRead&&0===this.buffer.totalSize&&this.done)return null;throw new Error("Corrupt TAR header: Checksum mismatch.")}let e=Fe.decode(i.slice(0,100)).replace(/\0/g,"").trim();var n=i[156],s=Fe.decode(i.slice(124,136)).replace(/\0/g,"").trim();let t=parseInt(s,8)||0;s=Fe.decode(i.slice(136,148)).replace(/\0/g,"").trim();let a=1e3*(parseInt(s,8)||0);if(120!==n)return r&&(r.path&&(e=r.path),r.size&&(t=parseInt(r.size,10)),r.mtime)&&(a=Math.round(1e3*parseFloat(r.mtime))),this.entriesRead++,this.remaining=t,this.padding=(512-t%512)%512,this.entry={name:e,size:t,mtime:a,typeFlag:n,header:i,pax:r},this.hashing&&(this.sha=new st),this.entry;if(!await this.ensure(t))throw new Error("Unexpected EOF.");r=(a=>{var e={};let r=0;for(;r<a.length;){let t=-1;for(let e=r;e<a.length;e++)if(32===a[e]){t=e;break}if(-1===t)break;var i=Fe.decode(a.subarray(r,t)),i=parseInt(i,10);if(isNaN(i))break;var n,s=a.subarray(r,r+i),s=Fe.decode(s),o=s.indexOf("=");-1!==o&&(n=s.indexOf(" "),n=s.slice(n+1,o),s=s.slice(o+1,-1),e[n]=s),r+=i}return e})(this.buffer.read(t)),await this.skip((512-t%512)%512)}}}async read(){var e;if(await this.ensure(this.remaining))return e=this.buffer.read(this.remaining),this.remaining=0,this.sha&&this.sha.update(e),e;throw new Error("Unexpected EOF for metadata.")}async pipeTo(t){var e=this.remaining;try{for(;0<this.remaining;){var a=this.yielder();if(a&&(this.onFileProgress&&this.onFileProgress(e-this.remaining,e),await a),0<this.buffer.totalSize){var r=Math.min(this.remaining,this.buffer.totalSize);await this.buffer.consume(r,async e=>{this.sha&&this.sha.update(e),await t.write(e),this.remaining-=e.byteLength})}else{var i=await this.pull();if(!i)throw new Error("Unexpected EOF.");var n=i.byteLength<=this.remaining?i:i.subarray(0,this.remaining);n!==i&&this.buffer.push(i.subarray(n.byteLength)),this.sha&&this.sha.update(n),await t.write(n),this.remaining-=n.byteLength}}}catch(e){try{await t.abort()}catch(e){}throw e}finally{try{await t.close()}catch(e){}}}}function kt(e,t){let a=0;var r,i,n,s=[];for(r of e.split("\n"))r&&(i=r.slice(0,64),n=r.slice(66),t.has(n))&&(a++,t.get(n)!==i)&&s.push(n);return{checked:a,mismatches:s}}async function H(e){var t=Math.min(e.size,65557),a=e.size-t,r=new DataView(await e.slice(a).arrayBuffer());let i=-1;for(let e=t-22;0<=e;e--)if(r.getUint32(e,!0)===k.END){i=e;break}if(i<0)throw new Error("ZIP end of central directory not found.");let n=r.getUint16(i+10,!0),s=r.getUint32(i+12,!0),o=r.getUint32(i+16,!0);if(65535===n||4294967295===s||4294967295===o){a=i-20;if(a<0||r.getUint32(a,!0)!==k.LOCATOR64)throw new Error("ZIP64 end of central directory not found.");t=Number(r.getBigUint64(8+a,!0)),a=new DataView(await e.slice(t,t+56).arrayBuffer());if(a.getUint32(0,!0)!==k.END64)throw new Error("ZIP64 end of central directory not found.");n=Number(a.getBigUint64(32,!0)),s=Number(a.getBigUint64(40,!0)),o=Number(a.getBigUint64(48,!0))}var l,c,h=new Uint8Array(await e.slice(o,o+s).arrayBuffer()),f=new DataView(h.buffer),u=[];let d=0;for(let e=0;e<n;e++){if(f.getUint32(d,!0)!==k.CENTRAL)throw new Error("Invalid ZIP central directory.");var w=f.getUint16(d+28,!0),p=f.getUint16(d+30,!0),y=f.getUint16(d+32,!0),m={name:Fe.decode(h.subarray(d+46,d+46+w)),flags:f.getUint16(d+8,!0),method:f.getUint16(d+10,!0),crc:f.getUint32(d+16,!0),compressedSize:f.getUint32(d+20,!0),size:f.getUint32(d+24,!0),offset:f.getUint32(d+42,!0),mtime:(l=f.getUint16(d+12,!0),c=f.getUint16(d+14,!0),new Date(1980+(c>>9),(c>>5&15)-1,31&c,l>>11,l>>5&63,2*(31&l)).getTime())};let t=d+46+w;for(var g=t+p;t+4<=g;){var b=f.getUint16(t,!0),v=f.getUint16(t+2,!0);if(1===b){let e=t+4;for(var S of["size","compressedSize","offset"])4294967295===m[S]&&(m[S]=Number(f.getBigUint64(e,!0)),e+=8)}else b===R&&5<=v&&1&f.getUint8(t+4)&&(m.mtime=1e3*f.getUint32(t+5,!0));t+=4+v}u.push(m),d=g+y}return u}async function q(e,t){if(1&t.flags)throw new Error("Encrypted ZIP entries aren't supported: "+t.name);if(0!==t.method&&8!==t.method)throw new Error(`Unsupported ZIP compression method ${t.method}: `+t.name);var a=new DataView(await e.slice(t.offset,t.offset+30).arrayBuffer());if(a.getUint32(0,!0)!==k.LOCAL)throw new Error("Invalid ZIP local header: "+t.name);a=t.offset+30+a.getUint16(26,!0)+a.getUint16(28,!0);let r=e.slice(a,a+t.compressedSize).stream(),i=(8===t.method&&(r=r.pipeThrough(new DecompressionStream("deflate-raw"))),0);return r.pipeThrough(new TransformStream({transform(e,t){i=c(e,i),t.enqueue(e)},flush(){if(i!==t.crc)throw new Error("CRC mismatch: "+t.name)}}))}function V(a,e=Xe()){var{readable:t,writable:r}=new TransformStream;let i=new ht(r,e);return(async()=>{try{for(var e of await H(a)){var t=e.name.replace(/\\/g,"/");t.endsWith("/")?await i.writeDir(t):await i.writeStream(t,e.size,await q(a,e),e.mtime)}await i.close()}catch(e){await i.writer.abort(e).catch(()=>{})}})(),t}async function J(e,t){let r=e.getReader(),a=new W;for(;!a.has(t);){var{value:i,done:n}=await r.read();if(n)break;a.push(i)}return{head:a.peek(Math.min(t,a.totalSize)),stream:new ReadableStream({start(e){0<a.totalSize&&e.enqueue(a.read(a.totalSize))},async pull(e){var{value:t,done:a}=await r.read();a?e.close():e.enqueue(t)},cancel:e=>r.cancel(e)})}}let g=e=>80===e[0]&&75===e[1]&&3===e[2]&&4===e[3];async function G(e,t,a={}){if("string"==typeof e){var r,t=await fetch(e,t);if(t.ok)return 0<(r=Number(t.headers.get("Content-Length")))&&(a.size=r),t.body;throw new Error("Fetching of URL failed.")}if(e&&"function"==typeof e.stream)return e instanceof Blob&&(a.size=e.size),e.stream();throw new Error("Invalid source.")}async function Ke(e,t={},a=Xe(),r={}){let n=await G(e=e||await lt("pickFile"),t.signal?{...t.fetchInit,signal:t.signal}:t.fetchInit,r);var i=n.getReader();let s=[],o=0;for(;o<8;){var{value:l,done:c}=await i.read();if(c)break;s.push(l),o+=l.byteLength}i.releaseLock();var h,f,u=new Uint8Array(8);if(0<o){let e=0;for(var d of s){var w=8-e;if(w<=0)break;w=Math.min(w,d.byteLength);u.set(d.subarray(0,w),e),e+=w}}return g(u)&&e instanceof Blob?(n.cancel().catch(()=>{}),V(e,a)):(e=new ReadableStream({async start(t){for(var e of s)t.enqueue(e);var a=n.getReader();try{for(;;){var{value:r,done:i}=await a.read();if(i)break;t.enqueue(r)}t.close()}catch(e){t.error(e)}}}),r.bytesRead=0,e=e.pipeThrough(new TransformStream({transform(e,t){r.bytesRead+=e.byteLength,t.enqueue(e)}})),h=Fe.decode(u.slice(0,6)),p[h]?({head:t,stream:f}=await J((h=new _(e,{password:t.password,privateKey:t.privateKey,key:r.key},a)).readable(),4),r.key=h.key,g(t)?(delete r.bytesRead,V(await new Response(f).blob(),a)):$(f)):31===u[0]&&139===u[1]?$(e):g(u)?(delete r.bytesRead,V(await new Response(e).blob(),a)):e)}function $e(e){return new globalThis.CBOR.Decoder({structuredClone:!0,bundleStrings:!0,copyBuffers:!1,...e})}function ft(i,n,s){return new Promise((e,t)=>{let a=n?indexedDB.open(i,n):indexedDB.open(i),r=setTimeout(()=>t(new Error(`Database ${i} timed out.`)),5e3);s&&(a.onupgradeneeded=()=>{clearTimeout(r),s(a.result,a.transaction)}),a.onblocked=()=>{clearTimeout(r),t(new Error(`Database ${i} blocked.`))},a.onsuccess=()=>{clearTimeout(r),e(a.result)},a.onerror=()=>{clearTimeout(r),t(a.error)}})}function Et(e,t,a){for(var r of a.stores){var i,n=e.objectStoreNames.contains(r.name)?t.objectStore(r.name):e.createObjectStore(r.name,{keyPath:r.keyPath,autoIncrement:r.autoIncrement});for(i of r.indexes)n.indexNames.contains(i.name)||n.createIndex(i.name,i.keyPath,{unique:i.unique,multiEntry:i.multiEntry})}}function We(a){return new Promise(e=>{var t=indexedDB.deleteDatabase(a);t.onsuccess=e,t.onerror=e})}function Ut(e){var t=Array.from(e.objectStoreNames),a=[];if(0<t.length){var r,i=e.transaction(t,"readonly");for(r of t){let t=i.objectStore(r);a.push({name:r,keyPath:t.keyPath,autoIncrement:t.autoIncrement,indexes:Array.from(t.indexNames).map(e=>{e=t.index(e);return{name:e.name,keyPath:e.keyPath,unique:e.unique,multiEntry:e.multiEntry}})})}}return{name:e.name,version:e.version,stores:a}}async function xt(o,n,l){let c=null;for(;;){let i=await new Promise((t,e)=>{var a=o.transaction(l,"readonly"),r=null!==c?IDBKeyRange.lowerBound(c,!0):null;let i=a.objectStore(l).openCursor(r),n=[],s=[];i.onsuccess=()=>{var e=i.result;e&&n.length<100?(n.push(e.key),s.push(e.value),c=e.key,e.continue()):t({keys:n,values:s,done:!e})},i.onerror=()=>e(i.error)});if(0<i.keys.length&&await new Promise((e,t)=>{let a=n.transaction(l,"readwrite");var r=a.objectStore(l);for(let e=0;e<i.keys.length;e++)r.put(i.values[e],r.keyPath?void 0:i.keys[e]);a.oncomplete=e,a.onerror=()=>t(a.error),a.onabort=()=>t(new Error("Transaction aborted."))}),i.done)return}}let _e=e=>nt+":snapshot:"+e;async function At(e,t,a){if("file"===e.kind&&e.move)return e.move(a,e.name);if("directory"===e.kind){var r,i,n=await a.getDirectoryHandle(e.name,{create:!0}),s=[];for await(r of e.values())s.push(r);for(i of s)await At(i,e,n)}else{a=await a.getFileHandle(e.name,{create:!0});await(await e.getFile()).stream().pipeTo(await a.createWritable())}await t.removeEntry(e.name,{recursive:!0})}async function Rt(e,t,a=null,r=[],i=""){var n,s,o=[];for await(n of e.values())o.push(n);for(s of o){var l=await(async(e,t)=>{for(var a of["getFileHandle","getDirectoryHandle"])try{return await e[a](t)}catch(e){if("NotFoundError"!==e.name&&"TypeMismatchError"!==e.name)throw e}return null})(t,s.name);"directory"===s.kind&&"directory"===l?.kind?await Rt(s,l,a&&await a.getDirectoryHandle(s.name,{create:!0}),r,""+i+s.name+"/"):(l&&a?await At(l,t,a):l&&await t.removeEntry(s.name,{recursive:!0}),r.push(i+s.name+("directory"===s.kind?"/":"")),await At(s,e,t))}}async function Z(i,n){let s=await ft(nt,1,e=>e.createObjectStore("state"));try{return await new Promise((e,t)=>{let a=s.transaction("state",i),r=n(a.objectStore("state"));a.oncomplete=()=>e(r.result),a.onerror=()=>t(a.error),a.onabort=()=>t(new Error("Transaction aborted."))})}finally{s.close()}}function Tt(t){return Z("readonly",e=>e.get(t))}function ut(t,a){return Z("readwrite",e=>null===a?e.delete(t):e.put(a,t))}async function Bt(r,e){var t=r.handle;if(t.queryPermission&&"granted"!==await t.queryPermission({mode:"readwrite"})&&"granted"!==await t.requestPermission({mode:"readwrite"}))throw new Error("Permission to write to the export file was denied.");let i=await t.getFile();if(i.size<r.offset)throw new Error("The export file is shorter than its checkpoint.");if(r.salt||r.contentKey){if(r.salt&&!e)throw new Error("The password of the export is required to resume it.");if(void 0===r.chunkIndex)throw new Error("The export being resumed uses an older encryption format; start it over.");let a=0;try{await M(async e=>{var t;return a+e>r.offset?null:(t=new Uint8Array(await i.slice(a,a+e).arrayBuffer()),a+=e,t)},r.salt?{password:e}:{key:r.contentKey})}catch(e){if("Incorrect password or corrupt file."===e.message)throw new Error("Incorrect password for the export being resumed.");throw e}}e=await t.createWritable({keepExistingData:!0});return await e.truncate(r.offset),await e.seek(r.offset),e}function Ot(e){return e.startsWith("opfs/")?"opfs":e.startsWith("data/idb/")?"idb":e.startsWith("data/blobs/")?"blobs":e.startsWith("data/cache/")?"cache":e.startsWith("data/custom/")?"custom":"data/ls.json"===e?"localStorage":"data/ss.json"===e?"sessionStorage":"data/cookies.json"===e||e===it?"cookies":null}async function Pt(e){try{var{usage:t,usageDetails:a}=await navigator.storage.estimate();if(a)return(e.opfs&&a.fileSystem||0)+(e.idb&&a.indexedDB||0)+(e.cache&&a.caches||0);if(e.opfs&&e.idb&&e.cache&&t)return t}catch(e){}return null}async function Ct(e){try{var t=await lt("persistStorage");return e(t?"Storage is persisted.":"The browser didn't make storage persistent."),!!t}catch(e){return LittleExport.warn("Requesting persistent storage failed:",e),!1}}async function Y(u={}){let d=globalThis.CBOR,R={logSpeed:100,cborExtensionName:"cbor",...u},w=R.decoder||$e(R.cborOptions),Z=R.cborExtensionName,p=null;if(void 0!==R.idbStrategy&&!e.includes(R.idbStrategy))throw new Error(`Unknown idbStrategy "${R.idbStrategy}".`);if(R.atomic&&R.resumable)throw new Error("An import can't be both atomic and resumable.");async function T(e,t,a,r,i=!1,n=null){let s=R.onConflict(e,t,n?{existing:a,incoming:r,meta:n}:{existing:a,incoming:r});return(s=s&&"function"==typeof s.then?await s:s)!==l.KEEP&&(s!==l.NEWER||i)?s&&"object"==typeof s?{value:s.value}:{value:r}:null}function B(){return R.idbStrategy||(p?.delta?"upgradeSchema":"replace")}let y=R.logger||(()=>{}),t=()=>{};var a=Xe(R.logSpeed,()=>t(),R.signal);let m=!1!==R.graceful,g=!0===R.atomic;var Y=0<R.idbTransactionSize?R.idbTransactionSize:8388608;let b="function"==typeof R.onVisit,r=R.onVisit,v=!1,O=null,S=null,P=null,C={},s={};function D(e,t,a){return b?r(e,t,a):Je.TRUST}async function I(e,t){try{return await e()}catch(e){if(g||R.signal?.aborted||(R.onerror&&R.onerror(e),y(`Error: ${t} - `+e.message),!m))throw e;return null}}async function z(t,a,e,r,i=null){if(v)return!1;if(void 0===C[r])if(b){let e=D(t);if(e&&"function"==typeof e.then&&(e=await e),C[r]=e,C[r]===Je.ABORT)return!(v=!0)}else C[r]=Je.TRUST;if(C[r]===Je.SKIP)return!1;if(C[r]===Je.TRUST)return!0;if(b&&a){s[r]||(s[r]=new Set);for(let e=1;e<=a.length;e++){var n=a.slice(0,e).join("/");if(s[r].has(n))return!0}let e=D(t,a,i);return(e=e&&"function"==typeof e.then?await e:e)===Je.ABORT?!(v=!0):e!==Je.SKIP&&(e===Je.TRUST&&s[r].add(a.join("/")),!0)}return!!b||ct(r,e,R)}let L={category:"",detail:""},F={};var M=yt();M||!1===R.localStorage&&!1===R.sessionStorage&&!1===R.cookies||LittleExport.warn("localStorage, sessionStorage and cookies need LittleExport.connectWorker() in a worker; skipping them.");let N={ls:new Map,ss:new Map,cookies:new Map,cache:new Map,createdCaches:new Set,idb:new Map},Q=[],j=null,K=null,X=[];function ee(){for(var e in Object.values(F).forEach(e=>{try{e.close()}catch(e){}}),F)delete F[e]}async function te(e){g&&!N.idb.has(e)&&(F[e]&&(F[e].close(),delete F[e]),N.idb.set(e,await(async t=>{if(!(await indexedDB.databases()).some(e=>e.name===t))return null;var e=await ft(t);try{let a=Ut(e);await We(_e(t));var r=await ft(_e(t),1,e=>{for(var t of a.stores)e.createObjectStore(t.name)});try{for(var i of a.stores)await xt(e,r,i.name)}finally{r.close()}return a}finally{e.close()}})(e)))}async function $(t,a=null){try{var r,i=t.replace(/\/$/,"").split("/");let e=S;for(r of i.slice(0,-1))e=await e.getDirectoryHandle(r);var n=i[i.length-1],s=t.endsWith("/")?await e.getDirectoryHandle(n):await e.getFileHandle(n);if(a){for(var o of i.slice(0,-1))a=await a.getDirectoryHandle(o,{create:!0});await At(s,e,a)}else await e.removeEntry(n,{recursive:!0})}catch(e){if("NotFoundError"!==e.name&&"TypeMismatchError"!==e.name)throw e}}async function ae(){y("Rolling back the import...");var i=async(t,e)=>{try{await e()}catch(e){LittleExport.warn(`Restoring ${t} failed:`,e)}};N.ls.size&&await i("localStorage",()=>lt("writeStorage","localStorage",Object.fromEntries(N.ls))),N.ss.size&&await i("sessionStorage",()=>lt("writeStorage","sessionStorage",Object.fromEntries(N.ss))),N.cookies.size&&await i("cookies",()=>lt("setCookieList",[...N.cookies.values()]));for(let{cacheName:t,request:a,response:r}of N.cache.values())N.createdCaches.has(t)||await i("Cache "+t,async()=>{var e=await caches.open(t);r?await e.put(a,r):await e.delete(a)});for(let e of N.createdCaches)await i("Cache "+e,()=>caches.delete(e));for(let[e,t]of N.idb)await i("IDB "+e,()=>(async(e,a)=>{if(await We(e),a){var t=await ft(e,a.version,(e,t)=>Et(e,t,a)),r=await ft(_e(e));try{for(var i of a.stores)await xt(r,t,i.name)}finally{t.close(),r.close()}}await We(_e(e))})(e,t));K&&await i("OPFS",async()=>{for(var e of X.reverse())await $(e);await Rt(K,S),await S.removeEntry(Ne,{recursive:!0})}),j&&await i("OPFS",()=>S.removeEntry(Me,{recursive:!0}))}try{Qe(R.signal),R.persist&&await Ct(y);var re=R.source||await lt("pickFile");let r={},k=new je(await Ke(re,R,a,r),a,!1!==R.verifyFile);var ie=!1!==R.checkQuota||R.onProgress?await(async(e,t,a)=>{if(!(e instanceof Blob))return null;try{var r=await It(e,at,{...t,password:t.password??null},Xe(),{key:a});return r&&JSON.parse(await r.text()).counts||null}catch(e){return null}})(re,R,r.key):null;!1!==R.checkQuota&&await(async(t,a,r)=>{if(navigator.storage?.estimate){let e=a||0;if(t&&(a=e=>t[e]?.bytes||0,e=(!1!==r.opfs?a("opfs"):0)+(!1!==r.idb?a("idb"):0)+(!1!==r.cache?a("cache"):0)+(!1!==r.idb||!1!==r.cache?2*a("blobs"):0)),e){var{usage:a=0,quota:i}=await navigator.storage.estimate();if(i){var n,s=e=>!(!1===r[e]||t&&!t[e]?.entries),s=await Pt({opfs:s("opfs"),idb:s("idb")&&"merge"!==r.idbStrategy&&"skipExisting"!==r.idbStrategy,cache:s("cache")})||0,s=Math.max(0,i-Math.max(0,a-s));if(!(e<=s))throw(n=new Error(`Not enough storage for this import: it needs about ${(e/1e6).toFixed(1)} MB, but only ${(s/1e6).toFixed(1)} MB is free.`)).name="QuotaExceededError",n.required=e,n.available=s,n.usage=a,n.quota=i,n}}}})(ie,r.size,R).catch(e=>{throw k.reader.cancel().catch(()=>{}),e});let i=!!r.size&&0<=r.bytesRead,n=ie?Object.values(ie).reduce((e,t)=>e+t.bytes,0):null,s="setup",o=0,l=((t=(e=s)=>{var t,a;s=e,R.onProgress&&(a=(t="importing"===e?k.entry:null)?t.size-k.remaining:0,R.onProgress({phase:e,category:t?Ot(t.name):null,path:t?t.name:null,entryBytesDone:a,entryBytesTotal:t?t.size:0,totalBytesDone:i?r.bytesRead:o+a,totalBytesEstimate:i?r.size:n,entriesDone:t?k.entriesRead-1:k.entriesRead}))})(),k.onFileProgress=(e,t)=>{let a=`Importing ${L.category}: ${(k.bytesRead/1e6).toFixed(2)} MB`;a+=1e6<t?` (${L.detail}: ${(e/1e6).toFixed(1)}/${(t/1e6).toFixed(1)} MB)`:` (${L.detail})`,y(a)},S=!1!==R.opfs&&navigator.storage?await navigator.storage.getDirectory():null,null);try{(P=S||(navigator.storage?.getDirectory?await navigator.storage.getDirectory():null))&&(l=await P.getDirectoryHandle(He,{create:!0}))}catch(e){P=null}if(l=l||new Map,g&&S){for(var ne of[Me,Ne])await S.removeEntry(ne,{recursive:!0}).catch(()=>{});j=await S.getDirectoryHandle(Me,{create:!0})}let c=new Set,f=new Set,E={},U=null,h={records:0,bytes:0,transactions:0,ms:0},x=new Map,e=0;function se(e,t){var a=[...new Set(t.map(e=>e.storeName))];let r=e.transaction(a,"readwrite",{durability:"relaxed"});var i,n,s,o,l=B();for({storeName:i,keys:n,values:s,clearFirst:o}of t){var c=r.objectStore(i);o&&c.clear();for(let e=0;e<n.length;e++)if(s[e]!==E){var h=c.keyPath?void 0:n[e];if("skipExisting"!==l)c.put(s[e],h);else{let t=c.add(s[e],h);t.onerror=e=>{"ConstraintError"===t.error.name&&(e.preventDefault(),e.stopPropagation())}}}}return new Promise((e,t)=>{r.oncomplete=e,r.onerror=e=>t(e.target.error||r.error),r.onabort=()=>t(new Error("Transaction aborted."))})}async function W(e=!1){if(U){var a,r=U.dbName,t=[],i=U.ops.filter(e=>!e.deferred);if(i.length&&t.push(i),e)U.ops=U.ops.filter(e=>e.deferred),U.bytes=0;else{var n,s=new Map;for(n of U.ops)n.deferred&&(s.has(n.storeName)||s.set(n.storeName,[]),s.get(n.storeName).push(n));t.push(...s.values()),U.ops=[]}U.ops.length||(U=null);for(a of t){let t=F[r];var o=a.reduce((e,t)=>e+t.keys.length,0),l=a.reduce((e,t)=>e+t.bytes,0),c=performance.now();try{await se(t,a)}catch(e){if(1===a.length){await I(()=>{throw e},`IDB ${r}/`+a[0].storeName);continue}for(let e of a)await I(()=>se(t,[e]),`IDB ${r}/`+e.storeName);continue}c=performance.now()-c;h.records+=o,h.bytes+=l,h.transactions++,h.ms+=c,y(`IndexedDB ${r}: wrote ${o} records (${(l/1e6).toFixed(2)} MB) to ${new Set(a.map(e=>e.storeName)).size} stores in ${c.toFixed(0)} ms (${Math.round(o/(c/1e3||.001))} records/s)`)}}}async function oe(e){var r=C.cookies===Je.TRUST;let i=[];(R.onConflict||g)&&(i=await lt("getCookieList")||Object.entries(await mt()).map(([e,t])=>({name:e,value:t,expires:Date.now()+31536e6})));var n,s=[];for(n of e){if(v)break;let a=n.name,t=r;if(!t)if(b){let e=D(Ve.COOKIE,[a],{value:n.value,cookie:n});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){v=!0;break}t=e!==Je.SKIP}else t=ct("cookies",a,R);if(t){let t=n.path||"/";var o=i.find(e=>e.name===a&&(!e.path||e.path===t)),l=a+";"+t;g&&!N.cookies.has(l)&&N.cookies.set(l,o||{name:a,value:null,path:t,domain:n.domain});let e=n.value;if(o&&o.value!==e){l=await T(Ve.COOKIE,[a],o.value,e);if(!l)continue;e=String(l.value)}s.push({...n,value:e})}}await lt("setCookieList",s)}async function le(r){if(S&&!1!==R.opfs)for(let e of r.opfs||[]){if(v)return;var t=e.replace(/\/$/,"").split("/");await z(Ve.OPFS,t,t.join("/"),"opfs")&&(g?Q.push(e):await I(()=>$(e),"Deleting OPFS "+e))}if(globalThis.indexedDB&&!1!==R.idb){let a={};for(let[e,t]of r.idb||[]){if(v)return;var i=t?[e,t]:[e];await z(Ve.IDB,i,i.join("/"),"idb")&&(F[e]&&(F[e].close(),delete F[e]),await I(()=>te(e),"Snapshotting IDB "+e),t?(a[e]||(a[e]=[]),a[e].push(t)):await I(()=>We(e),"Deleting IDB "+e))}for(let e in a)await I(()=>(async(e,t)=>{let a=await ft(e);var r=a.version;let i=t.filter(e=>a.objectStoreNames.contains(e));a.close(),0!==i.length&&(await ft(e,r+1,e=>{for(var t of i)e.deleteObjectStore(t)})).close()})(e,a[e]),"Deleting IDB stores in "+e)}}t("importing");let A;for(;!v;){var[ce,he]=U?U.since:[k.entriesRead,k.entry?.name],fe=(O&&ce>O.applied&&(O.applied=ce,O.lastPath=he,await(async()=>{if(!(Date.now()-e<1e3)){e=Date.now(),O.processedDbSchemas=[...c];let t=new Set(U?.ops.filter(e=>e.clearFirst).map(e=>U.dbName+"/"+e.storeName));O.clearedStores=[...f].filter(e=>!t.has(e)),await ut("import",O).catch(e=>LittleExport.warn("Saving the import journal failed:",e))}})()),A=k.entry?.name??null,k.entry?.size||0);let h=await k.next();if(o+=fe,!h)break;var ue,de,we,{name:_,size:pe}=h,ye=(!U||_.startsWith("data/blobs/")||5===(ue=_.split("/")).length&&"idb"===ue[1]&&decodeURIComponent(ue[2])===U.dbName||await W(),R.resumable&&1===k.entriesRead&&_!==at&&LittleExport.warn("Only archives with a manifest can be resumed; importing without a journal."),_.startsWith("data/idb/")?(L.category="IndexedDB",de=_.split("/"),L.detail=de[2]?decodeURIComponent(de[2]):"data"):_.startsWith("data/cache/")?(L.category="Cache",we=_.split("/"),L.detail=we[2]?decodeURIComponent(we[2]):"item"):_.startsWith("opfs/")?(L.category="OPFS",L.detail=_.replace("opfs/","")):_.startsWith("data/blobs/")?(L.category="Blobs",L.detail="restoring..."):(L.category="Config",L.detail=_),a());if(ye&&(L.category&&y(`Importing ${L.category}: ${(k.bytesRead/1e6).toFixed(2)} MB (${L.detail})`),await ye),O&&k.entriesRead<=O.applied&&_!==at){if(k.entriesRead===O.applied&&_!==O.lastPath)throw new Error("The archive doesn't match its import journal.");if(!_.startsWith("data/blobs/")||await(async(e,t)=>{try{return(await gt(l,e))?.size===t}catch(e){return!1}})(_.split("/").pop(),pe))continue}if(_.startsWith("data/")){if(_.startsWith("data/blobs/")){let t=_.split("/").pop();await I(async()=>{var e;l instanceof Map?l.set(t,new Blob([await k.read()])):(e=await l.getFileHandle(t,{create:!0}),await k.pipeTo(await e.createWritable()))},"Blob "+t)}else if(0!==pe){let S=await k.read();if(_===at)await I(async()=>{if(1<(p=JSON.parse(Fe.decode(S))).formatVersion&&LittleExport.warn(`Archive format version ${p.formatVersion} is newer than supported (1); import may be incomplete.`),p.checksums&&!1!==R.verifyFile&&(k.hashing=!0),R.resumable&&1===k.entriesRead){var e=p.origin+" "+p.created,t=await Tt("import").catch(()=>null);if(t?.id===e){for(var a of(O=t).processedDbSchemas)c.add(a);for(var r of t.clearedStores)f.add(r);y(`Resuming the import after ${t.applied} entries.`)}else O={id:e,applied:0,lastPath:null,processedDbSchemas:[],clearedStores:[]};await 0}t=p.cbor;t?.extension&&void 0===u.cborExtensionName&&(Z=t.extension),t?.options&&d&&!R.decoder&&!u.cborOptions&&(w=$e(t.options))},"Reading manifest");else if(_===rt){if(k.hashing){var me,ge=kt(Fe.decode(S),k.digests).mismatches;for(me of ge){var H=new Error("Checksum mismatch: "+me);if(H.path=me,!m||g)throw H;y("Error: "+H.message),R.onerror&&R.onerror(H)}}}else if("data/ls.json"===_&&!1!==R.localStorage&&M){if(await z(Ve.LS,null,null,"localStorage")){var q,be=JSON.parse(Fe.decode(S)),ve=C.localStorage===Je.TRUST,Se=await lt("readStorage","localStorage"),ke={};for(q in be){if(v)break;let t=ve;if(!t)if(b){let e=D(Ve.LS,[q],{value:be[q]});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){v=!0;break}t=e!==Je.SKIP}else t=ct("localStorage",q,R);if(t){let e=be[q];var V=Se[q]??null;if(g&&!N.ls.has(q)&&N.ls.set(q,V),R.onConflict&&null!==V&&V!==e){var Ee=await T(Ve.LS,[q],V,e);if(!Ee)continue;e=String(Ee.value)}ke[q]=e}}await lt("writeStorage","localStorage",ke)}}else if("data/ss.json"===_&&!1!==R.sessionStorage&&M){if(await z(Ve.SS,null,null,"sessionStorage")){var J,Ue=JSON.parse(Fe.decode(S)),xe=C.sessionStorage===Je.TRUST,Ae=await lt("readStorage","sessionStorage"),Re={};for(J in Ue){if(v)break;let t=xe;if(!t)if(b){let e=D(Ve.SS,[J],{value:Ue[J]});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){v=!0;break}t=e!==Je.SKIP}else t=ct("sessionStorage",J,R);if(t){let e=Ue[J];var G=Ae[J]??null;if(g&&!N.ss.has(J)&&N.ss.set(J,G),R.onConflict&&null!==G&&G!==e){var Te=await T(Ve.SS,[J],G,e);if(!Te)continue;e=String(Te.value)}Re[J]=e}}await lt("writeStorage","sessionStorage",Re)}}else if(_===it&&!1!==R.cookies&&M)await z(Ve.COOKIE,null,null,"cookies")&&await oe(JSON.parse(Fe.decode(S)));else if("data/cookies.json"===_&&!1!==R.cookies&&M&&A!==it){if(await z(Ve.COOKIE,null,null,"cookies")){let t=JSON.parse(Fe.decode(S)),a=Date.now()+31536e6;await oe(Object.keys(t).map(e=>({name:e,value:t[e],path:"/",expires:a})))}}else if(_.startsWith("data/custom/")&&R.onCustomItem)await R.onCustomItem(_.replace("data/custom/",""),S);else if(_.startsWith("data/idb/")&&d&&!1!==R.idb){var Be=_.split("/");let v=decodeURIComponent(Be[2]);if(_.endsWith("schema."+Z)){if(await z(Ve.IDB,[v],v,"idb")){let i=w.decode(S);c.add(v),F[v]&&(F[v].close(),delete F[v]),await I(async()=>{if(await te(v),"replace"!==B()){var r=i;if((await indexedDB.databases()).some(e=>e.name===r.name)){let t=await ft(r.name);var a=t.version;let e=a<r.version;if(!e&&0<r.stores.length)if(r.stores.some(e=>!t.objectStoreNames.contains(e.name)))e=!0;else{let a=t.transaction(r.stores.map(e=>e.name),"readonly");e=r.stores.some(e=>{let t=a.objectStore(e.name);return e.indexes.some(e=>!t.indexNames.contains(e.name))})}t.close(),e&&(await ft(r.name,Math.max(a+1,r.version),(e,t)=>Et(e,t,r))).close()}else{let e=await ft(r.name,r.version,(e,t)=>Et(e,t,r));void e.close()}}else await We(i.name),(await ft(i.name,i.version,(e,t)=>Et(e,t,i))).close()},"IDB schema "+v)}}else{let b=decodeURIComponent(Be[3]);if(c.has(v)&&await z(Ve.IDB,[v,b],v+"/"+b,"idb")){let e=w.decode(S),g={bufferBytes:0};var Oe=await I(()=>LittleExport.restoreFromCBOR(e,l,g),`IDB ${v}/`+b);if(Oe){let[w,p]=Oe;if(!F[v]){var Pe=await I(()=>ft(v),"Opening IDB "+v);if(!Pe)continue;F[v]=Pe}let y=B();var Ce=v+"/"+b;let m="upgradeSchema"===y&&!f.has(Ce);f.add(Ce),await I(async()=>{if(R.onConflict&&"merge"===y){var e,t,n=F[v],s=[v,b],o=w,a=p;for([e,t]of await new Promise((e,t)=>{let a=n.transaction(s[1],"readonly"),r=a.objectStore(s[1]),i=new Map;o.forEach((e,t)=>{let a=r.openCursor(e);a.onsuccess=()=>{a.result&&i.set(t,a.result.value)}}),a.oncomplete=()=>e(i),a.onerror=()=>t(a.error)})){var r=await T(Ve.IDB,[...s,o[e]],t,a[e]);a[e]=r?r.value:E}await 0}var i,l,c,h,f,u,d;i=v,l=b,c=w,h=p,f=m,u=S.length+g.bufferBytes,d=i+"/"+l,x.has(d)||x.set(d,F[i].transaction(l).objectStore(l).indexNames.length),d=2<=x.get(d),(U=U||{dbName:i,ops:[],bytes:0,deferredBytes:0,since:[k.entriesRead-1,A]}).ops.push({storeName:l,keys:c,values:h,clearFirst:f,deferred:d,bytes:u}),d?U.deferredBytes+=u:U.bytes+=u},`IDB ${v}/`+b),U?.deferredBytes>=4*Y?await W():U?.bytes>=Y&&await W(!0)}}}}else if(_===wt&&!1!==R.applyDeletions)await le(JSON.parse(Fe.decode(S)));else if(_.startsWith("data/cache/")&&d&&!1!==R.cache){var De=_.split("/");let o=decodeURIComponent(De[2]);await z(Ve.CACHE,[o],o,"cache")&&await I(async()=>{var e=w.decode(S),t=(t=e.meta,new Request(t.url,{method:t.method||"GET",headers:t.requestHeaders||{}})),a=(r=o,n=t,a=JSON.stringify([r,n.url,[...n.headers]]),await(!g||N.cache.has(a)||(await caches.has(r)||N.createdCaches.add(r),s=await caches.match(n,{cacheName:r}),!N.cache.set(a,{cacheName:r,request:n,response:s||null}))),await caches.open(o)),r=await LittleExport.restoreFromCBOR(e.data,l);if(null===r)throw new Error(`The body of ${e.meta.url} is missing from the archive's blobs.`);let i=qe(r instanceof Blob?r:new Blob([r]),e.meta);if(R.onConflict){var n=await a.match(t);if(n){var s=await T(Ve.CACHE,[o,e.meta.url],n,i,!1,e.meta);if(!s)return;i=s.value instanceof Response?s.value:qe(s.value,e.meta)}}await a.put(t,i)},"Cache "+o)}}}else if(!1!==R.opfs){var Ie=_.startsWith("opfs/")?_.slice(5):_;let l=Ie.endsWith("/")||53===h.typeFlag;var ze=Ie.replace(/\/$/,"");let c=ze.split("/").filter(e=>e.length);if(0<c.length){let o=[...c];await z(Ve.OPFS,o,ze,"opfs",l?{kind:"directory"}:{kind:"file",size:h.size,lastModified:h.mtime})&&await I(async()=>{let e=j||S;if(l)for(var t of c)e=await e.getDirectoryHandle(t,{create:!0});else{var a,r=c[c.length-1];for(a of c.slice(0,-1))e=await e.getDirectoryHandle(a,{create:!0});let t=null;R.onConflict&&(i=await(async(t,a)=>{try{let e=t;for(var r of a.slice(0,-1))e=await e.getDirectoryHandle(r);return await e.getFileHandle(a[a.length-1])}catch(e){if("NotFoundError"===e.name||"TypeMismatchError"===e.name)return null;throw e}})(S,c))&&(t=await i.getFile());var i=await e.getFileHandle(r,{create:!0});if(t){let e=null;var r={size:h.size,lastModified:h.mtime,data:async()=>e=e||await k.read()},n=await T(Ve.OPFS,o,t,r,h.mtime>t.lastModified);if(n){var s=await i.createWritable();if(n.value!==r||e)try{await s.write(n.value===r?e:n.value),await s.close()}catch(e){throw await s.abort().catch(()=>{}),e}else await k.pipeTo(s)}}else await k.pipeTo(await i.createWritable())}},"OPFS "+ze)}}}if(t("finishing"),v&&g||await W(),h.transactions&&y(`IndexedDB: wrote ${h.records} records (${(h.bytes/1e6).toFixed(2)} MB) in ${h.transactions} transactions and ${(h.ms/1e3).toFixed(1)} s (${Math.round(h.records/(h.ms/1e3||.001))} records/s)`),ee(),v&&g&&await ae(),!v){if(g){if(y("Committing the import..."),j){K=await S.getDirectoryHandle(Ne,{create:!0});for(var Le of Q)await $(Le,K);await Rt(j,S,K,X),await S.removeEntry(Me,{recursive:!0}),j=null,await S.removeEntry(Ne,{recursive:!0}),K=null}for(let t of N.idb.keys())await We(_e(t)).catch(e=>LittleExport.warn(`Removing the IDB snapshot of ${t} failed:`,e));await 0}O&&(await ut("import",null).catch(()=>{}),O=null),y("Import complete!"),t("complete")}}catch(e){if(ee(),g&&await ae(),R.signal?.aborted)throw y("Import aborted."),Ye(R.signal);if(y("Error: "+e.message),R.onerror&&R.onerror(e),!m)throw e}finally{if(P&&(!O||R.signal?.aborted))try{await P.removeEntry(He,{recursive:!0})}catch(e){}}}let Q={write(){},close(){},abort(){}};async function Dt(e,t={}){var a=Xe(t.logSpeed,null,t.signal),r=new je(await Ke(e,t,a),a,!1!==t.verifyFile);let i=null;for(;;){var n=await r.next();if(!n)break;n.name===at&&(i=JSON.parse(Fe.decode(await r.read())));n=a();n&&await n}return i}async function X(s,e){let o=async(e,t)=>new Uint8Array(await s.slice(e,t).arrayBuffer());var t=Fe.decode(await o(0,6));if(!p[t])return{size:s.size,evenChunks:!0,read:o};let a=0,{version:l,key:c,chunkSize:h}=await M(async e=>a+e>s.size?null:(a+=e,o(a-e,a)),e),f=a,u=h+32,d=Math.floor((s.size-f)/u);var t=s.size-f-32*(d+1),e=f+d*u,r=await o(e+12,e+16),r=4===r.byteLength&&N(r)===s.size-e-16;if(r&&t<0)throw new Error("Corrupt header.");let w=null;return{size:t,evenChunks:r,key:c,async read(e,t){var a=new Uint8Array(t-e);let r=0;for(;e+r<t;){var i=Math.floor((e+r)/h),n=await(async t=>{if(w?.[0]!==t){var a=f+t*u,a=await o(a,Math.min(a+u,s.size)),r=new Error(`Encrypted chunk ${t} is corrupt, out of order or truncated.`);if(a.byteLength<32||N(a.subarray(12,16))!==a.byteLength-16)throw r;let e;try{e=await crypto.subtle.decrypt({name:"AES-GCM",iv:a.subarray(0,12),...1<l&&{additionalData:j(t,t===d)}},c,a.subarray(16))}catch(e){throw r}w=[t,new Uint8Array(e)]}return w[1]})(i),i=e+r-i*h,n=n.subarray(i,i+t-e-r);if(0===n.byteLength)throw new Error("Unexpected EOF.");a.set(n,r),r+=n.byteLength}return a}}}async function ee(a){if(!a.evenChunks||a.size<s)return null;var e=await a.read(a.size-s,a.size),e=e&&(e=e,n=new DataView(e.buffer,e.byteOffset,e.byteLength),e.byteLength===s&&31===e[0]&&139===e[1]&&4&e[3]&&76===e[20]&&73===e[21]&&8===n.getUint16(22,!0)?Number(n.getBigUint64(24,!0)):null);if(null===e||e>a.size)return null;let r=e,i=a.size-s;var t,n=new ReadableStream({async pull(e){if(r>=i)return e.close();var t=Math.min(r+y,i);e.enqueue(await a.read(r,t)),r=t}}),e=new je($(n),Xe(),!1);return(await e.next())?.name!==pt?null:(t=JSON.parse(Fe.decode(await e.read())),e.reader.cancel().catch(()=>{}),t)}function te(a,r,e,t){let i=0,n=r.length-2;for(;i<n;){var s=Math.ceil((i+n)/2);r[s][0]<=e?i=s:n=s-1}let o=i,l=e-r[o][0],c=t;return new ReadableStream({async pull(e){if(0<c&&o>=r.length-1)throw new Error("The seek index doesn't match the archive.");var t;0<c&&(t=(await K(await a.read(r[o][1],r[o+1][1]))).subarray(l,l+c),o++,l=0,c-=t.byteLength,0<t.byteLength)&&e.enqueue(t),0===c&&e.close()}})}function ae(e,t,a){e=kt(e,new Map([[t,a]])).mismatches;if(e.length)throw(a=new Error("Checksum mismatch: "+t)).path=t,a}async function re(e,t,a){for(var r=t?new st:null,i=[],n=e.getReader();;){var{value:s,done:o}=await n.read();if(o)break;i.push(s),r&&r.update(s);o=a();o&&await o}return{chunks:i,digest:r?.digest()}}async function It(i,n,r,s,e={}){var o=n.split("/").filter(Boolean).pop()||n,l=!1!==r.verifyFile;if(g(new Uint8Array(await i.slice(0,4).arrayBuffer()))){let e=await H(i);var c=t=>e.findLast(e=>e.name.replace(/\\/g,"/")===t),h=c(n);if(!h)return null;let{chunks:t,digest:a}=await re(await q(i,h),l,s),r=l&&c(rt);return r&&ae(await new Response(await q(i,r)).text(),n,a),new File(t,o,{lastModified:h.mtime})}c=await X(i,{password:r.password,privateKey:r.privateKey,key:e.key});e.key=c.key;let f=null;try{f=await ee(c)}catch(e){LittleExport.warn("Reading the seek index failed:",e)}if(f){if(!Object.hasOwn(f.entries,n))return null;var[h,i,r]=f.entries[n];let{chunks:e,digest:t}=await re(te(c,f.members,h,i),l,s),a=l&&f.entries[rt];return a&&ae(await new Response(te(c,f.members,a[0],a[1])).text(),n,t),new File(e,o,{lastModified:r})}}async function ie(e,t={},a=Xe()){var{head:e,stream:r}=await J(await G(e=e||await lt("pickFile"),t.fetchInit),6),e=!!p[Fe.decode(e)];let i=r;if(t.decrypt){if(!e)throw new Error("The archive isn't encrypted.");i=new _(r,{password:t.password,privateKey:t.privateKey},a).readable()}else if(e)throw new Error("The archive is already encrypted.");return i=t.newPassword||t.newRecipients?.length?i.pipeThrough(new TransformStream(new vt(t.newPassword||{recipients:t.newRecipients},crypto.getRandomValues(new Uint8Array(16))))):i}async function ne(e,t,a,r){let i=t.logger||(()=>{}),n=Xe(t.logSpeed),s=null,o=t.fileName;o&&o.includes(".")||("function"==typeof r&&(h=await J(await ie(e,a,n),4),s=h.stream,r=r(h.head)),o=`${o||"archive"}.`+r);let l=null;if((globalThis.showSaveFilePicker||!ot)&&!1!==t.download)try{l=await lt("showSaveFilePicker",o)}catch(e){if("AbortError"===e.name)return i("Cancelled."),null;LittleExport.warn("FileSystem picker failed, falling back.")}let c=[];var h=l?await l.createWritable():new WritableStream({write(e){c.push(e)}});let f=0;try{await(s=s||await ie(e,a,n)).pipeThrough(new TransformStream({async transform(e,t){f+=e.byteLength;var a=n();a&&(i(`Writing: ${(f/1e6).toFixed(2)} MB`),await a),t.enqueue(e)}})).pipeTo(h)}catch(e){throw await h.abort(e).catch(()=>{}),e}if(i("Done!"),!l){r=new Blob(c,{type:"application/octet-stream"});if(!1===t.download)return r;await lt("download",r,o)}return null}function se(n,e,t={}){let{readable:a,writable:s}=new TransformStream,o=new ht(s,e);e=t.pathPrefix||"";let l=e&&!e.endsWith("/")?e+"/":e;return(async()=>{try{if(globalThis.FileSystemDirectoryHandle&&n instanceof FileSystemDirectoryHandle)await async function e(t,a){for await(var[r,i]of t.entries()){var n,s;"directory"===i.kind&&"PaxHeaders"===r||(r=a?a+"/"+r:r,n=l+r,"file"===i.kind?(s=await i.getFile(),await o.writeStream(n,s.size,s.stream(),s.lastModified)):"directory"===i.kind&&(await o.writeDir(n),await e(i,r)))}}(n,"");else if(n instanceof FileList||Array.isArray(n)&&n[0]instanceof File){var t,e=Array.from(n),a=e.find(e=>e.webkitRelativePath&&e.webkitRelativePath.includes("/"))||e[0],r=a?a.webkitRelativePath:"",i=r&&r.includes("/")?r.split("/")[0]+"/":"";for(t of e){let e=t.webkitRelativePath;e=(e=e&&e.startsWith(i)?e.slice(i.length):e)||t.name,await o.writeStream(l+e,t.size,t.stream(),t.lastModified)}}await o.close()}catch(e){try{await s.abort(e)}catch(e){}}})(),a}globalThis.LittleExport={importData:Y,exportData:async function(L={}){Ge=0,Ze="";var t=globalThis.CBOR;let f={fileName:"archive",logSpeed:100,customItems:[],include:{},exclude:{},cborExtensionName:"cbor",...L},A=(L={structuredClone:!0,copyBuffers:!1,bundleStrings:!0,...f.cborOptions},f.encoder||new t.Encoder(L)),R=f.cborExtensionName,F=0<f.idbChunkSize?f.idbChunkSize:1048576,M=0<=f.idbBufferThreshold?f.idbBufferThreshold:1048576,u=f.logger||(()=>{}),a=()=>{},T=Xe(f.logSpeed,()=>a(),f.signal),r=!1!==f.graceful,d="function"==typeof f.onVisit,N=f.onVisit;var i=yt(),n=(!i&&(f.localStorage||f.sessionStorage||f.cookies)&&LittleExport.warn("localStorage, sessionStorage and cookies need LittleExport.connectWorker() in a worker; skipping them."),f.format||"tar");if("tar"!==n&&"zip"!==n)throw new Error(`Unknown format "${f.format}".`);if("zip"===n&&(f.resumable||f.resume))throw new Error("Resumable exports only support the tar format.");var s="tar"===n&&!!f.seekable;if(s&&(f.resumable||f.resume))throw new Error("Seekable exports can't be resumable.");let B=!1;function w(e,t,a){return d?N(e,t,a):Je.TRUST}async function O(e,t){try{return await e()}catch(e){if(!f.signal?.aborted&&r)return f.onerror&&f.onerror(e),u(`Error: ${t} - `+e.message),null;throw e}}let p={category:"",detail:""},o,j=[];var K=f.recipients?.length?f.recipients:null;if(f.password&&K){var e=new Error("Use either a password or recipients, not both.");if(f.onerror&&f.onerror(e),r)return;throw e}let $=f.fileName.includes(".")?f.fileName:f.password||K?f.fileName+".enc":"zip"===n?f.fileName+".zip":f.fileName+".tar.gz",P=(Qe(f.signal),f.persist&&await Ct(u),e=!(!f.resumable&&!f.resume),null),l=null;if(!f.resume||(P=await Tt("checkpoint").catch(e=>(LittleExport.warn("Reading the export checkpoint failed:",e),null)))||u("No export checkpoint found, starting over."),P)try{l=P.handle,$=P.fileName,o=await Bt(P,f.password)}catch(e){if(u("Error: "+e.message),f.onerror&&f.onerror(e),r)return;throw e}else if((globalThis.showSaveFilePicker||!ot)&&!1!==f.download)try{(l=await lt("showSaveFilePicker",$))&&(o=await l.createWritable())}catch(e){if("AbortError"===e.name)return void u("Export cancelled.");LittleExport.warn("FileSystem picker failed, falling back.")}o=o||new WritableStream({write(e){j.push(e)},close(){}});let y=e&&!!l,W=null;if(e&&!l&&LittleExport.warn("Resumable exports need showSaveFilePicker; continuing without checkpoints."),y){let t=o,a=P?P.offset:0;o=new WritableStream({async write(e){e!==et?(await t.write(e),a+=e.byteLength):(await t.close(),await(t=await l.createWritable({keepExistingData:!0})).seek(a),W&&W(a))},close:()=>t.close(),abort:e=>t.abort(e)}),P||await ut("checkpoint",null).catch(()=>{})}let _=f.onProgress?await Pt(f):null,H=P?P.offset:0;var e=new TransformStream({async transform(e,t){if(e!==et){H+=e.byteLength;var a=T();if(a){if(p.category)if("Finishing"===p.category)u("Finishing...");else{let e=`Exporting ${p.category}: ${(H/1e6).toFixed(2)} MB`;1e6<m.total?e+=` (${p.detail}: ${(m.written/1e6).toFixed(1)}/${(m.total/1e6).toFixed(1)} MB)`:e+=` (${p.detail})`,u(e)}await a}}t.enqueue(e)}}),q=y||s?new St(s):null,V="zip"===n?new TransformStream:q?new TransformStream(q):new CompressionStream("gzip");let J=V.readable;var G=P?!(!P.salt&&!P.contentKey):!(!f.password&&!K);let Z=P?P.salt||null:f.password?crypto.getRandomValues(new Uint8Array(16)):null,c=null,m=(G&&(p.category="Setup",p.detail="Encrypting...",c=new vt(P?.contentKey?{key:P.contentKey}:Z?f.password:{recipients:K},Z,P?P.chunkIndex:null),J=J.pipeThrough(new TransformStream(c))),{written:0,total:0}),Y=J.pipeThrough(e).pipeTo(o),C=(Y.catch(()=>{}),new("zip"===n?bt:ht)(V.writable,T)),h=(C.onFileProgress=(e,t)=>{m.written=e,m.total=t},s&&(C.offsets=new Map),P?P.counts:{}),Q={path:null,size:0,entriesBefore:0},X=Object.values(h).reduce((e,t)=>e+t.bytes,0),g=(a=e=>{var t,a,r;f.onProgress&&(e||={"":"setup",Setup:"setup",Finishing:"finishing"}[p.category]||"exporting",{path:t,size:a}=Q,r=!!t&&"complete"!==e,f.onProgress({phase:e,category:t?Ot(t):null,path:t,entryBytesDone:t?m.written:0,entryBytesTotal:a,totalBytesDone:X+(t?m.written:0),totalBytesEstimate:_,entriesDone:r?Q.entriesBefore:C.entries}))},C.onEntry=(e,t)=>{X+=Q.size,Q={path:e,size:t,entriesBefore:C.entries},m.written=0,m.total=t;var a=Ot(e);a&&!e.endsWith("/")&&(h[a]||(h[a]={entries:0,bytes:0}),h[a].entries++,h[a].bytes+=t)},a(),P?.manifest||{format:"LittleExport",formatVersion:1,version:dt,created:(new Date).toISOString(),origin:globalThis.location.origin,encrypted:G,categories:[0<f.customItems.length&&"custom",f.opfs&&navigator.storage&&"opfs",f.idb&&globalThis.indexedDB&&t&&"idb",f.localStorage&&i&&"localStorage",f.sessionStorage&&i&&"sessionStorage",f.cookies&&i&&"cookies",f.cache&&globalThis.caches&&t&&"cache"].filter(Boolean),cbor:{extension:R,options:f.encoder?null:L},checksums:!!f.checksums,delta:null}),ee={opfs:{},idb:{}};var te,ae,b={opfs:[],idb:[]};let re=new Set,ie=new Set,v=null,ne=!(!f.incremental&&!f.baseline),se=()=>new Error("The data changed since the checkpoint, so the export can't be resumed."),oe=P?P.stores:{},le=null,ce=0;async function D(){if(!(!y||B||0<C.skip||C.pos-ce<Math.max(67108864,ce))){ce=C.pos;var a=new Promise(e=>W=e);await C.checkpoint();let e=await Promise.race([a,Y]),t=c&&!Z?await c.keyPromise:void 0;await O(()=>ut("checkpoint",{handle:l,fileName:$,offset:e,tarPos:C.pos,entries:C.entries,lastPath:C.lastPath,salt:Z,contentKey:t,chunkIndex:c?.index,manifest:g,counts:h,checksums:C.checksums,stores:oe,idb:le,blobIdCounter:Ge,category:p.category,detail:p.detail,updated:Date.now()}),"Saving export checkpoint")}}P&&(C.skip=P.entries,C.pos=P.tarPos,ce=P.tarPos,C.onResumed=e=>{if(e!==P.lastPath)throw se();Ge=P.blobIdCounter,u("Resumed from the checkpoint.")});try{if(f.baseline){if(p.category="Setup",p.detail="Reading baseline...",!(v=f.baseline.index?f.baseline:await Dt(f.baseline,{password:f.baselinePassword||f.password,privateKey:f.baselinePrivateKey,fetchInit:f.fetchInit,signal:f.signal}))?.index)throw new Error("The baseline has no index to compare against. Export it with incremental: true.");g.delta=v.created}await C.writeEntry(at,JSON.stringify(g)),g.checksums&&(C.checksums=P?P.checksums:[]);for(var S of f.customItems){if(B)break;p.category="custom",p.detail=S.path;var he="data/custom/"+S.path;S.data instanceof Blob?await C.writeStream(he,S.data.size,S.data.stream()):await C.writeEntry(he,"string"==typeof S.data?S.data:JSON.stringify(S.data)),await D()}if(!B&&f.opfs&&navigator.storage){let e=w(Ve.OPFS);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP)if(p.category="OPFS",await async function n(t,s,o){try{let e=t.values();if(y){e=[];for await(var a of t.values())e.push(a);e.sort((e,t)=>e.name<t.name?-1:e.name>t.name?1:0)}for await(let i of e){if(B)return;m.written=0,m.total=0;var l=[...s,i.name];let a=l.join("/"),r="file"===i.kind?a:a+"/",t=o;if(re.add(r),p.detail=a,!o)if(d){let e=w(Ve.OPFS,l,{kind:i.kind,handle:i});if(e&&"function"==typeof e.then&&(e=await e),(t=e)===Je.ABORT)return void(B=!0);if(t===Je.SKIP)continue}else{if(!ct("opfs",a,f))continue;t=Je.TRUST}var c=t===Je.TRUST,h=("file"===i.kind?await O(async()=>{var e=await i.getFile(),t=(ee.opfs[r]=[e.size,e.lastModified],v?.index.opfs?.[r]);t&&t[0]===e.size&&t[1]===e.lastModified||await C.writeStream("opfs/"+a,e.size,e.stream(),e.lastModified)},"OPFS file "+a):(void(ee.opfs[r]=0)===v?.index.opfs?.[r]&&await C.writeDir("opfs/"+a),await n(i,l,c&&Je.TRUST)),await D(),T());h&&await h}B||ie.add(s.join("/"))}catch(e){if(f.signal?.aborted)throw e;if(u(`Error: accessing OPFS folder /${s.join("/")} failed (${e.message})`),f.onerror&&f.onerror(e),!r)throw e}}(await navigator.storage.getDirectory(),[],e===Je.TRUST&&Je.TRUST),v&&!B)for(var fe in v.index.opfs){var ue=fe.replace(/\/$/,"").split("/").slice(0,-1);ie.has(ue.join("/"))&&!re.has(fe)&&b.opfs.push(fe)}}if(!B&&f.idb&&globalThis.indexedDB&&t){let e=w(Ve.IDB);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP){p.category="IndexedDB";var de=e===Je.TRUST,we=await globalThis.indexedDB.databases();async function pe(o,e,l,t=null){var a=ne?new st:null;let n=encodeURIComponent(e)+"/"+encodeURIComponent(l),c=null,h=0,r=!0,i=t?[]:null,f=0,u=!i;var s=P?.idb;async function d(e,t,a){for(var r of e)await C.writeStream("data/blobs/"+r.uuid,r.blob.size,r.blob.stream());for(var i of t)await C.writeEntry(`data/idb/${n}/${h++}.`+R,i);le={key:n,lastKey:a,chunkId:h},await D()}async function w(){for(var e of i)await d(...e);i=null,u=!0}!a&&0<C.skip&&s?.key===n&&(c=s.lastKey,h=s.chunkId,C.skipEntries(C.skip,P.lastPath));s=Ge;Ge=0,Ze=(new st).update(tt.encode(n)).digest().slice(0,16)+".";try{let s=25;for(;r&&!B;){var p=await O(()=>new Promise((e,t)=>{var a=o.transaction(l,"readonly").objectStore(l),r=null!==c?IDBKeyRange.lowerBound(c,!0):null;let i=a.getAllKeys(r,s),n=a.getAll(r,s);n.onsuccess=()=>e({keys:i.result,values:n.result}),i.onerror=()=>t(i.error),n.onerror=()=>t(n.error)}),`Reading IDB ${e}/`+l);if(!p)return i&&await w(),{hash:null,written:u};if(r=p.keys.length===s,0<p.keys.length){c=p.keys[p.keys.length-1];var y=[],m=[];for(let e=0;e<p.values.length;e++)y.push(LittleExport.prepForCBOR(p.values[e],m,new WeakMap,new Map,M));var g,b,v=function e(t,a,r=[]){var i,n=A.encode([t,a]);return n.length>2*F&&1<t.length?(i=t.length>>1,e(t.slice(0,i),a.slice(0,i),r),e(t.slice(i),a.slice(i),r)):r.push(n),r}(p.keys,y);let e=0;for(g of v)e+=g.length,a&&a.update(g);for(b of m)if(b.bytes&&(e+=b.bytes.byteLength),a)if(b.bytes)a.update(b.bytes);else for(var S=b.blob.stream().getReader();;){var{value:k,done:E}=await S.read();if(E)break;a.update(k)}s=Math.max(1,Math.min(1e4,8*s,Math.floor(F/(e/p.keys.length)))),i?(i.push([m,v,c]),67108864<(f+=e)&&(i=null,u=!1)):u&&await d(m,v,c);var U=T();U&&await U}}var x=a?a.digest():null;return i&&!B&&x!==t&&await w(),u&&0===h&&!B&&await C.writeEntry(`data/idb/${n}/0.`+R,A.encode([[],[]])),{hash:x,written:u}}finally{Ge=s,Ze="",le=null}}if(v){var ye,me=new Set(we.map(e=>e.name));for(ye in v.index.idb)me.has(ye)||b.idb.push([ye])}y&&we.sort((e,t)=>e.name<t.name?-1:1);for(let{name:a,version:e}of we){if(B)break;if(a!==nt&&!a.startsWith(nt+":")){m.written=0,m.total=0,p.detail=a;var ge=encodeURIComponent(a),k=await O(()=>ft(a),"Opening IDB "+a);if(k){let t=de?Je.TRUST:Je.PROCESS;if(!de)if(d){let e=w(Ve.IDB,[a],{database:k});if(e&&"function"==typeof e.then&&(e=await e),(t=e)===Je.ABORT){B=!0,k.close();break}if(t===Je.SKIP){k.close();continue}}else if(!ct("idb",a,f)){k.close();continue}var be=t===Je.TRUST,ve={version:e,stores:{}};ee.idb[a]=ve;try{var Se=Array.from(k.objectStoreNames),ke=v?.index.idb?.[a];if(ke)for(var Ee in ke.stores)Se.includes(Ee)||b.idb.push([a,Ee]);if(0===Se.length)await C.writeEntry(`data/idb/${ge}/schema.`+R,A.encode({name:a,version:e,stores:[]}));else{var E,Ue=Ut(k).stores;await C.writeEntry(`data/idb/${ge}/schema.`+R,A.encode({name:a,version:e,stores:Ue}));for(E of Se){if(B)break;var xe=be?Je.TRUST:Je.PROCESS;if(!be)if(d){let e=w(Ve.IDB,[a,E],{database:k});if((xe=e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){B=!0;break}if(xe===Je.SKIP)continue}else if(!ct("idb",a+"/"+E,f))continue;p.detail=a+"/"+E;var Ae=ge+"/"+encodeURIComponent(E),U=oe[Ae];if(U&&0<C.skip&&C.skip>=U[0])C.skipEntries(U[0],U[3]),Ge=U[2],ve.stores[E]=U[1];else{var Re=C.entries,Te=ke?.stores[E]||null;let{hash:e,written:t}=await pe(k,a,E,Te);t||B||e===Te||({hash:e}=await pe(k,a,E)),ve.stores[E]=e,y&&!B&&(oe[Ae]=[C.entries-Re,e,Ge,C.lastPath])}}}}finally{k.close()}}}}}}if(!B&&f.localStorage&&i){let e=w(Ve.LS);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP){p.category="Storage";var x,Be={},Oe=e===Je.TRUST,Pe=await lt("readStorage","localStorage");for(x in Pe){if(B)break;p.detail="localStorage: "+x;let t=Oe;if(!t)if(d){let e=w(Ve.LS,[x],{value:Pe[x]});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){B=!0;break}t=e!==Je.SKIP}else t=ct("localStorage",x,f);t&&(Be[x]=Pe[x])}!B&&0<Object.keys(Be).length&&(await C.writeEntry("data/ls.json",JSON.stringify(Be)),await D())}}if(!B&&f.sessionStorage&&i){let e=w(Ve.SS);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP){p.category="Storage";var I,Ce={},De=e===Je.TRUST,Ie=await lt("readStorage","sessionStorage");for(I in Ie){if(B)break;p.detail="sessionStorage: "+I;let t=De;if(!t)if(d){let e=w(Ve.SS,[I],{value:Ie[I]});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){B=!0;break}t=e!==Je.SKIP}else t=ct("sessionStorage",I,f);t&&(Ce[I]=Ie[I])}!B&&0<Object.keys(Ce).length&&(await C.writeEntry("data/ss.json",JSON.stringify(Ce)),await D())}}if(!B&&f.cookies&&i){let e=w(Ve.COOKIE);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP){p.category="Storage";var ze,Le={},Fe=e===Je.TRUST,Me=await lt("getCookieList"),Ne=Me||[],je=[];if(!Me)for(var[Ke,$e]of Object.entries(await mt()))Ne.push({name:Ke,value:$e});for(ze of Ne){if(B)break;var z=ze.name,We=ze.value;if(z){p.detail="Cookie: "+z;let t=Fe;if(!t)if(d){let e=w(Ve.COOKIE,[z],{value:We,cookie:ze});if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){B=!0;break}t=e!==Je.SKIP}else t=ct("cookies",z,f);t&&(z in Le||(Le[z]=We),je.push(ze))}}!B&&Me&&0<je.length&&await C.writeEntry(it,JSON.stringify(je)),!B&&0<Object.keys(Le).length&&(await C.writeEntry("data/cookies.json",JSON.stringify(Le)),await D())}}if(!B&&f.cache&&globalThis.caches&&t){let e=w(Ve.CACHE);if(e&&"function"==typeof e.then&&(e=await e),!(B=e===Je.ABORT?!0:B)&&e!==Je.SKIP){p.category="Cache";var _e,He=await caches.keys(),qe=e===Je.TRUST;for(let c of He){if(B)break;m.written=0,m.total=0;let t=qe;if(!t)if(d){let e=w(Ve.CACHE,[c],null);if((e=e&&"function"==typeof e.then?await e:e)===Je.ABORT){B=!0;break}t=e!==Je.SKIP}else t=ct("cache",c,f);t&&(p.detail=c,(_e=T())&&await _e,await O(async()=>{var e,t=await caches.open(c);for(e of await t.keys()){var a=await t.match(e);if(a)if("opaque"===a.type)u("Skipping opaque cache entry "+e.url);else{var r,i=await a.blob(),n=((e,t)=>{var a={},t=(t.headers.get("Vary")||"").split(",").map(e=>e.trim().toLowerCase()).filter(Boolean);if(!t.includes("*"))for(var r of t){var i=e.headers.get(r);null!==i&&(a[r]=i)}return a})(e,a),s=(s=e.method,o=e.url,l=n,l=Object.entries(n).sort(([e],[t])=>e<t?-1:1).map(([e,t])=>e+": "+t),(new st).update(tt.encode([s,o,...l].join("\n"))).digest()),o=[],l=LittleExport.prepForCBOR(i,o);for(r of o)await C.writeStream("data/blobs/"+r.uuid,r.blob.size,r.blob.stream());await C.writeEntry(`data/cache/${encodeURIComponent(c)}/${s}.`+R,A.encode({meta:{url:e.url,method:e.method,requestHeaders:n,status:a.status,statusText:a.statusText,headers:Object.fromEntries(a.headers),type:i.type,redirected:a.redirected},data:l})),await D()}}},"Cache "+c))}}}if(p.category="Finishing",a(),0<C.skip)throw se();B||(v&&(b.opfs.length||b.idb.length)&&await C.writeEntry(wt,JSON.stringify(b)),C.checksums&&(te="zip"===n?C.checksums.filter(([e])=>e!==at):C.checksums,C.checksums=null,await C.writeEntry(rt,te.map(([e,t])=>t+`  ${e}
+`).join(""))),await C.writeEntry(at,JSON.stringify({...g,complete:!0,counts:h,...ne&&{index:ee}})),s&&(await C.startSeekIndex(),ae=Object.fromEntries(C.offsets),C.offsets=null,await C.writeEntry(pt,JSON.stringify({members:[...q.members,[C.pos,q.outputSize]],entries:ae})))),await C.close(),await Y,y&&await O(()=>ut("checkpoint",null),"Removing export checkpoint"),a("complete");let e=null;return(0<j.length&&(e=new Blob(j,{type:"application/octet-stream"})),!1!==f.download)?(e&&await lt("download",e,$),u("Export complete!"),null):(u("Export complete!"),e)}catch(e){try{await o.abort(e).catch(()=>{})}catch(e){}if(f.signal?.aborted)throw u("Export aborted."),Ye(f.signal);if(u("Error: "+e.message),f.onerror&&f.onerror(e),!r)throw e}},inspectArchive:async function(e,t={}){var a=globalThis.CBOR,r={logSpeed:100,cborExtensionName:"cbor",...t};let i=r.decoder||a&&$e(r.cborOptions),n=r.cborExtensionName;for(var s=r.logger||(()=>{}),o=Xe(r.logSpeed),l={manifest:null,opfs:[],idb:{},localStorage:[],sessionStorage:[],cookies:[],cache:{},custom:[],blobs:[],other:[],errors:[],checksums:null,seekable:!1},c=new je(await Ke(e,r,o),o,!1!==r.verifyFile);;){var h=await c.next();if(!h)break;var{name:f,size:u}=h;if(53!==h.typeFlag&&!f.endsWith("/")){var d,w,p=o();p&&(s(`Inspecting: ${(c.bytesRead/1e6).toFixed(2)} MB (${f})`),await p);try{if(f.startsWith("opfs/"))l.opfs.push({path:f.slice(5),size:u,lastModified:h.mtime});else if(f.startsWith("data/blobs/"))l.blobs.push({id:f.slice(11),size:u});else if(f.startsWith("data/custom/"))l.custom.push({path:f.slice(12),size:u});else if(f===at){l.manifest=JSON.parse(Fe.decode(await c.read()));var y=l.manifest.cbor;y?.extension&&void 0===t.cborExtensionName&&(n=y.extension),y?.options&&a&&!r.decoder&&!t.cborOptions&&(i=$e(y.options)),l.manifest.checksums&&!1!==r.verifyFile&&(c.hashing=!0)}else if(f===rt&&c.hashing){var m,{checked:g,mismatches:b}=kt(Fe.decode(await c.read()),c.digests);for(m of b)l.errors.push({path:m,message:"Checksum mismatch"});l.checksums={verified:g-b.length,failed:b.length}}else if("data/ls.json"===f)l.localStorage=Object.keys(JSON.parse(Fe.decode(await c.read())));else if("data/ss.json"===f)l.sessionStorage=Object.keys(JSON.parse(Fe.decode(await c.read())));else if("data/cookies.json"===f)l.cookies=Object.keys(JSON.parse(Fe.decode(await c.read())));else if(f!==it)if(f===pt)l.seekable=!0;else if(f.startsWith("data/idb/")&&i){var v=f.split("/"),S=decodeURIComponent(v[2]),k=(l.idb[S]||(l.idb[S]={version:null,stores:{}}),l.idb[S]);if(f.endsWith("schema."+n)){var E,U=i.decode(await c.read());k.version=U.version;for(E of U.stores)k.stores[E.name]||(k.stores[E.name]={records:0,chunks:0,bytes:0})}else{var x=decodeURIComponent(v[3]),A=(k.stores[x]||(k.stores[x]={records:0,chunks:0,bytes:0}),k.stores[x]),[R]=i.decode(await c.read());A.records+=R.length,A.chunks++,A.bytes+=u}}else f.startsWith("data/cache/")&&i?(d=decodeURIComponent(f.split("/")[2]),w=i.decode(await c.read()),l.cache[d]||(l.cache[d]=[]),l.cache[d].push(w.meta.url)):l.other.push({path:f,size:u});c.hashing&&0<c.remaining&&await c.pipeTo(Q)}catch(e){l.errors.push({path:f,message:e.message})}}}return s("Inspection complete!"),l},readManifest:Dt,extractEntry:async function(e,a,t={}){var r=Xe((t={logSpeed:100,...t}).logSpeed),i={};if((e=e||await lt("pickFile"))instanceof Blob){var n=await It(e,a,t,r,i);if(void 0!==n)return n}var s=new je(await Ke(e,t,r,i),r,!1!==t.verifyFile);for(s.hashing=!1!==t.verifyFile;;){var o=await s.next();if(!o)return null;if(o.name===at&&o.name!==a&&s.hashing)s.hashing=!!JSON.parse(Fe.decode(await s.read())).checksums;else if(o.name===a&&53!==o.typeFlag){let t=[];for(await s.pipeTo({write:e=>t.push(e),close(){},abort(){}});s.hashing;){var l=await s.next();if(!l)break;if(l.name===rt){ae(Fe.decode(await s.read()),a,s.digests.get(a));break}l=r();l&&await l}return s.reader.cancel().catch(()=>{}),new File(t,a.split("/").filter(Boolean).pop()||a,{lastModified:o.mtime})}o=r();o&&await o}},reencryptArchive:async function(e,t={}){if(t.newPassword||t.newRecipients?.length)return ne(e,t,{decrypt:!0,password:t.oldPassword,privateKey:t.privateKey,newPassword:t.newPassword,newRecipients:t.newRecipients,fetchInit:t.fetchInit},"enc");throw new Error("A new password or newRecipients is required.")},decryptArchive:async function(e,t={}){return ne(e,t,{decrypt:!0,password:t.password,privateKey:t.privateKey,fetchInit:t.fetchInit},e=>g(e)?"zip":"tar.gz")},encryptArchive:async function(e,t={}){if(t.password||t.recipients?.length)return ne(e,t,{newPassword:t.password,newRecipients:t.recipients,fetchInit:t.fetchInit},"enc");throw new Error("A password or recipients is required.")},deriveKey:m,prepForCBOR:function(t,a,r=new WeakMap,i=new Map,n=1/0){if(!t||"object"!=typeof t)return t;var e,s;if(t instanceof ArrayBuffer||ArrayBuffer.isView(t))return s=t.constructor.name,t.byteLength<=n||!f.includes(s)?t:i.has(t)?i.get(t):(e=ArrayBuffer.isView(t)?new Uint8Array(t.buffer,t.byteOffset,t.byteLength):new Uint8Array(t),l=Ze+(Ge++).toString(16),a.push({uuid:l,blob:new Blob([e]),bytes:e}),l={__le_blob_ref:l,type:"",size:e.byteLength,view:s},i.set(t,l),l);if(t instanceof Date)return t;if(r.has(t))return r.get(t);if(t instanceof Blob)return i.has(t)?i.get(t):(e=Ze+(Ge++).toString(16),a.push({uuid:e,blob:t}),s={__le_blob_ref:e,type:t.type,size:t.size},i.set(t,s),s);let o;if(Array.isArray(t)){var l=Object.keys(t);if(l.length<t.length||l.some(e=>isNaN(e))){o={__le_sparse:!0,length:t.length,data:{}},r.set(t,o);for(var c of l)o.data[c]=LittleExport.prepForCBOR(t[c],a,r,i,n)}else{o=new Array(t.length),r.set(t,o);for(let e=0;e<t.length;e++)o[e]=LittleExport.prepForCBOR(t[e],a,r,i,n)}}else for(var h in o={},r.set(t,o),t)Object.prototype.hasOwnProperty.call(t,h)&&(o[h]=LittleExport.prepForCBOR(t[h],a,r,i,n));return o},restoreFromCBOR:async function e(t,a,r){if(!t||"object"!=typeof t)return t;if(t.__le_blob_ref){var i=await gt(a,t.__le_blob_ref);if(!i&&t.view)throw(n=new Error(`Buffer ${t.__le_blob_ref} is missing from the archive's blobs.`)).path="data/blobs/"+t.__le_blob_ref,n;if(!i)return null;if(!t.view)return i.slice(0,i.size,t.type);var n=globalThis[t.view];if(f.includes(t.view)&&"function"==typeof n)return i=await i.arrayBuffer(),r&&(r.bufferBytes+=i.byteLength),"ArrayBuffer"===t.view?i:"DataView"===t.view?new DataView(i):new n(i,0,i.byteLength/n.BYTES_PER_ELEMENT);throw new Error("Unsupported buffer type "+t.view)}if(t.__le_sparse){var s,o=new Array(t.length);for(s in t.data)o[s]=await e(t.data[s],a,r);return o}if(Array.isArray(t)){var l=new Array(t.length);for(let e=0;e<t.length;e++)l[e]=await LittleExport.restoreFromCBOR(t[e],a,r);return l}if(t.constructor!==Object)return t;var c,h={};for(c in t)h[c]=await LittleExport.restoreFromCBOR(t[c],a,r);return h},importFromFolder:async function(t={}){let i=t,n=(Qe(i.signal),Xe(i.logSpeed,null,i.signal)),s=(t=i.logger||(()=>{}),e=>Y({...i,source:{stream:()=>e}}));if(globalThis.showDirectoryPicker&&!0!==i.legacy||!ot)try{var e,a=await lt("showDirectoryPicker");if(a)return e=se(a,n,{pathPrefix:i.pathPrefix}),await s(e);throw new Error("showDirectoryPicker isn't supported.")}catch(e){if(i.signal?.aborted)throw e;if("AbortError"===e.name)return void t("User cancelled the directory picker.");if(!ot)throw e;t("Directory Picker failed, falling back to legacy input."),LittleExport.warn("Directory Picker failed, falling back to legacy input.",e)}return new Promise((t,a)=>{let r=document.createElement("input");r.type="file",r.webkitdirectory=!0,r.multiple=!0,r.style.display="none",document.body.appendChild(r),r.onchange=async()=>{if(r.files&&0!==r.files.length)try{var e=se(r.files,n,{pathPrefix:i.pathPrefix});await s(e),t()}catch(e){a(e)}finally{document.body.removeChild(r)}else t()},r.oncancel=()=>{document.body.removeChild(r),t()},r.click()})},folderToTarStream:se,zipToTarStream:V,connectWorker:function(e){let i=new MessageChannel;return i.port1.onmessage=async({data:t})=>{var{id:t,method:e,args:a}=t;try{if(!Object.hasOwn(h,e))throw new Error(`Unknown bridge call "${e}".`);var r=await h[e](...a);i.port1.postMessage({id:t,result:r})}catch(e){i.port1.postMessage({id:t,error:{name:e.name,message:e.message}})}},e.postMessage({littleExportBridge:!0},[i.port2]),()=>i.port1.close()},openArchiveStream:Ke,createDecoder:$e,TarReader:je,TarWriter:ht,ZipWriter:bt,EncryptionTransformer:vt,openReencryptedStream:ie,clearData:async function(e={}){let{signal:a,...t}=e;async function r(t,e){Qe(a);try{await e()}catch(e){if(a?.aborted)throw Ye(a);LittleExport.warn(`Failed to clear ${t}:`,e)}}(e=0===Object.keys(t).length?{opfs:!0,idb:!0,localStorage:!0,session:!0,cookies:!0,cache:!0}:e).opfs&&navigator.storage&&await r("OPFS",async()=>{var e,t=await navigator.storage.getDirectory();for await(e of t.keys())Qe(a),await t.removeEntry(e,{recursive:!0})}),e.localStorage&&await r("localStorage",()=>lt("clearStorage","localStorage")),e.sessionStorage&&await r("sessionStorage",()=>lt("clearStorage","sessionStorage")),e.cookies&&await r("cookies",()=>lt("clearCookies")),e.cache&&globalThis.caches&&await r("cache",async()=>{var e;for(e of await caches.keys())Qe(a),await caches.delete(e)}),e.idb&&globalThis.indexedDB&&await r("IndexedDB",async()=>{var e;for({name:e}of await globalThis.indexedDB.databases())Qe(a),indexedDB.deleteDatabase(e)})},getExportCheckpoint:async function(){var e,t,a,r,i,n,s=await Tt("checkpoint");return s?({fileName:s,offset:e,category:t,detail:a,updated:r,salt:i,contentKey:n}=s,{fileName:s,offset:e,category:t,detail:a,updated:r,encrypted:!(!i&&!n)}):null},discardExportCheckpoint:function(){return ut("checkpoint",null)},TYPE:Ve,warn:console.warn,DECISION:Je,CONFLICT:l,VERSION:dt,FORMAT_VERSION:1}})();
\ No newline at end of file
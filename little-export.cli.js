@@ -0,0 +1,723 @@
+#!/usr/bin/env node
+// Command-line tool for LittleExport archives (Node 20+). Runs the browser core as-is, since Node has the streams, compression and Web Crypto it uses.
+const fs = require("fs");
+const path = require("path");
+
+globalThis.CBOR = require("./cbor-x.js");
+require("./little-export.core.js");
+const LittleExport = globalThis.LittleExport;
+const CBOR = globalThis.CBOR;
+
+const MANIFEST_PATH = "data/manifest.json";
+const CHECKSUMS_PATH = "data/checksums.sha256";
+const BLOBS_PREFIX = "data/blobs/";
+
+const USAGE = `Usage: little-export <command> [options]
+
+Commands:
+  list <archive>             List what an archive contains (--json for the full listing)
+  verify <archive>           Check the archive's structure and checksums (exits with 1 on problems)
+  extract <archive> <dir>    Extract an archive, decoding IndexedDB and Cache entries to JSON (--raw to keep CBOR)
+  get <archive> <path> <out> Write one file of an archive, as is (seekable archives are only read where it is)
+  decrypt <archive> <out>    Write the plain tar (gzip-compressed if <out> ends with .gz)
+  encrypt <archive> <out>    Encrypt an archive with --password or to --recipient keys, keeping its compressed content as it is
+  reencrypt <archive> <out>  Change the password of an encrypted archive from --password (or --private-key) to --new-password (or --recipient keys)
+  pack <dir> <archive>       Build an archive from an extracted directory (ZIP if <archive> ends with .zip)
+
+Options:
+  --password <password>      Password of an encrypted archive, or to encrypt with when packing (or set LITTLE_EXPORT_PASSWORD)
+  --new-password <password>  Password to re-encrypt with (or set LITTLE_EXPORT_NEW_PASSWORD)
+  --private-key <file>       JWK file with the private key of an archive encrypted to recipients
+  --recipient <file>         JWK file with a public key to encrypt to when encrypting, re-encrypting or packing (repeatable)
+`;
+
+function parseArgs(argv) {
+  const args = {
+    positional: [],
+    password: process.env.LITTLE_EXPORT_PASSWORD,
+    newPassword: process.env.LITTLE_EXPORT_NEW_PASSWORD,
+    recipients: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--password") args.password = argv[++i];
+    else if (arg === "--new-password") args.newPassword = argv[++i];
+    else if (arg === "--private-key") args.privateKey = readJwk(argv[++i]);
+    else if (arg === "--recipient") args.recipients.push(readJwk(argv[++i]));
+    else if (arg === "--json") args.json = true;
+    else if (arg === "--raw") args.raw = true;
+    else if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}.`);
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+function readJwk(file) {
+  if (!file) throw new Error("Missing key file.");
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Couldn't read the key in ${file}: ${e.message}`);
+  }
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1048576) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1073741824) return `${(n / 1048576).toFixed(1)} MB`;
+  return `${(n / 1073741824).toFixed(2)} GB`;
+}
+
+// password: null makes the core fail instead of prompting for one
+function archiveOptions(args) {
+  return { password: args.password || null, privateKey: args.privateKey };
+}
+
+// The password or recipients to encrypt with, which can't both be given
+function encryptionTarget(password, args) {
+  if (password && args.recipients.length) {
+    throw new Error("Use either a password or --recipient, not both.");
+  }
+  return password || args.recipients.length
+    ? { newPassword: password, newRecipients: args.recipients }
+    : null;
+}
+
+// A failed stream (like a wrong password) doesn't leave a partial file behind
+async function writeStreamToFile(readable, file) {
+  const fh = await fs.promises.open(file, "w");
+  try {
+    for await (const chunk of readable) await fh.write(chunk);
+  } catch (e) {
+    await fh.close();
+    fs.rmSync(file, { force: true });
+    throw e;
+  }
+  await fh.close();
+}
+
+const TYPED_VIEWS = [
+  DataView,
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+];
+
+// Readable JSON for decoded CBOR. Values JSON can't hold are wrapped as { "$le": type, ... }, and blob references point at their extracted file.
+function toReadable(value, stack = new Set()) {
+  if (value === undefined) return { $le: "undefined" };
+  if (value === null || typeof value === "string" || typeof value === "boolean")
+    return value;
+  if (typeof value === "number") {
+    if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+    return {
+      $le: "number",
+      value: Object.is(value, -0) ? "-0" : String(value),
+    };
+  }
+  if (typeof value === "bigint") return { $le: "bigint", value: String(value) };
+  if (typeof value !== "object") {
+    throw new Error(
+      `Values of type ${typeof value} can't be converted to JSON.`,
+    );
+  }
+
+  if (value instanceof Date) {
+    return { $le: "Date", value: isNaN(value) ? null : value.toISOString() };
+  }
+  if (value instanceof ArrayBuffer) {
+    return {
+      $le: "ArrayBuffer",
+      base64: Buffer.from(value).toString("base64"),
+    };
+  }
+  if (ArrayBuffer.isView(value)) {
+    const type = Buffer.isBuffer(value) ? "Uint8Array" : value.constructor.name;
+    const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    return { $le: type, base64: bytes.toString("base64") };
+  }
+  if (value instanceof RegExp) {
+    return { $le: "RegExp", source: value.source, flags: value.flags };
+  }
+  if (CBOR.Tag && value instanceof CBOR.Tag) {
+    return {
+      $le: "Tag",
+      tag: value.tag,
+      value: toReadable(value.value, stack),
+    };
+  }
+
+  if (stack.has(value)) {
+    throw new Error("Circular references can't be converted to JSON.");
+  }
+  stack.add(value);
+  try {
+    if (value instanceof Map) {
+      return {
+        $le: "Map",
+        entries: [...value].map(([k, v]) => [
+          toReadable(k, stack),
+          toReadable(v, stack),
+        ]),
+      };
+    }
+    if (value instanceof Set) {
+      return {
+        $le: "Set",
+        values: [...value].map((v) => toReadable(v, stack)),
+      };
+    }
+    if (Array.isArray(value)) return value.map((v) => toReadable(v, stack));
+    if (typeof value.__le_blob_ref === "string") {
+      return {
+        $le: "blob",
+        path: BLOBS_PREFIX + value.__le_blob_ref,
+        type: value.type,
+        size: value.size,
+        view: value.view, // Set for externalized ArrayBuffers and typed arrays
+      };
+    }
+
+    const res = {};
+    for (const k of Object.keys(value)) res[k] = toReadable(value[k], stack);
+    // Objects that happen to have a "$le" key are wrapped so they aren't mistaken for the above
+    return Object.hasOwn(value, "$le") ? { $le: "object", value: res } : res;
+  } finally {
+    stack.delete(value);
+  }
+}
+
+// Reverses toReadable. Blob references get the current size of their file in dir.
+function fromReadable(value, dir) {
+  if (Array.isArray(value)) return value.map((v) => fromReadable(v, dir));
+  if (!value || typeof value !== "object") return value;
+
+  const decodeBytes = (base64) => {
+    const bytes = Buffer.from(base64, "base64");
+    return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  };
+  switch (value.$le) {
+    case undefined:
+      break;
+    case "undefined":
+      return undefined;
+    case "number":
+      return value.value === "-0" ? -0 : Number(value.value);
+    case "bigint":
+      return BigInt(value.value);
+    case "Date":
+      return new Date(value.value === null ? NaN : value.value);
+    case "ArrayBuffer":
+      return decodeBytes(value.base64).slice().buffer;
+    case "RegExp":
+      return new RegExp(value.source, value.flags);
+    case "Tag":
+      return new CBOR.Tag(fromReadable(value.value, dir), value.tag);
+    case "Map":
+      return new Map(
+        value.entries.map(([k, v]) => [
+          fromReadable(k, dir),
+          fromReadable(v, dir),
+        ]),
+      );
+    case "Set":
+      return new Set(value.values.map((v) => fromReadable(v, dir)));
+    case "blob": {
+      const file = path.join(dir, ...value.path.split("/"));
+      return {
+        __le_blob_ref: value.path.slice(BLOBS_PREFIX.length),
+        type: value.type,
+        size: fs.existsSync(file) ? fs.statSync(file).size : value.size,
+        ...(value.view && { view: value.view }),
+      };
+    }
+    case "object":
+      value = value.value;
+      break;
+    default: {
+      const View = globalThis[value.$le];
+      if (!TYPED_VIEWS.includes(View)) {
+        throw new Error(`Unknown $le type "${value.$le}".`);
+      }
+      const bytes = decodeBytes(value.base64).slice();
+      return value.$le === "DataView"
+        ? new DataView(bytes.buffer)
+        : new View(bytes.buffer, 0, bytes.byteLength / View.BYTES_PER_ELEMENT);
+    }
+  }
+
+  const res = {};
+  for (const k of Object.keys(value)) res[k] = fromReadable(value[k], dir);
+  return res;
+}
+
+// IndexedDB chunks are [keys, values], which read better as a list of records
+const isStoreChunk = (name, ext) =>
+  name.startsWith("data/idb/") && !name.endsWith(`/schema.${ext}`);
+
+function isCborEntry(name, ext) {
+  return (
+    (name.startsWith("data/idb/") || name.startsWith("data/cache/")) &&
+    name.endsWith(`.${ext}`)
+  );
+}
+
+// Joins an archive path onto dir, or returns null if it would end up outside of it
+function safeJoin(dir, name) {
+  const parts = name.split("/").filter((p) => p && p !== ".");
+  if (parts.length === 0 || parts.includes("..")) return null;
+  return path.join(dir, ...parts);
+}
+
+async function openTar(file, args) {
+  const source = await fs.openAsBlob(file);
+  return new LittleExport.TarReader(
+    await LittleExport.openArchiveStream(source, archiveOptions(args)),
+    () => null,
+  );
+}
+
+async function list(args) {
+  const [file] = args.positional;
+  const listing = await LittleExport.inspectArchive(await fs.openAsBlob(file), {
+    ...archiveOptions(args),
+    verifyFile: false,
+  });
+  if (args.json) {
+    console.log(JSON.stringify(listing, null, 2));
+    return 0;
+  }
+
+  const { manifest } = listing;
+  if (manifest) {
+    // Fields the manifest doesn't have are left out
+    const kind = [manifest.format, manifest.version, "archive"]
+      .filter((part) => part !== undefined && part !== null)
+      .join(" ");
+    console.log(
+      `${kind}${manifest.origin ? ` of ${manifest.origin}` : ""}${manifest.created ? `, created ${manifest.created}` : ""}${manifest.delta ? " (incremental)" : ""}`,
+    );
+  } else {
+    console.log("Archive without a manifest");
+  }
+  if (listing.opfs.length) {
+    console.log(`\nOPFS (${listing.opfs.length} files):`);
+    for (const f of listing.opfs)
+      console.log(`  ${f.path}  ${formatBytes(f.size)}`);
+  }
+  for (const [db, { version, stores }] of Object.entries(listing.idb)) {
+    console.log(`\nIndexedDB ${db} (version ${version}):`);
+    for (const [store, s] of Object.entries(stores)) {
+      console.log(`  ${store}: ${s.records} records, ${formatBytes(s.bytes)}`);
+    }
+  }
+  for (const kind of ["localStorage", "sessionStorage", "cookies"]) {
+    if (listing[kind].length) {
+      console.log(`\n${kind}: ${listing[kind].join(", ")}`);
+    }
+  }
+  for (const [cache, urls] of Object.entries(listing.cache)) {
+    console.log(`\nCache ${cache}:`);
+    for (const url of urls) console.log(`  ${url}`);
+  }
+  if (listing.custom.length) {
+    console.log(`\nCustom items:`);
+    for (const f of listing.custom)
+      console.log(`  ${f.path}  ${formatBytes(f.size)}`);
+  }
+  if (listing.blobs.length) {
+    const total = listing.blobs.reduce((sum, b) => sum + b.size, 0);
+    console.log(`\n${listing.blobs.length} blobs, ${formatBytes(total)}`);
+  }
+  for (const e of listing.errors)
+    console.error(`Error: ${e.path}: ${e.message}`);
+  return listing.errors.length ? 1 : 0;
+}
+
+async function verify(args) {
+  const [file] = args.positional;
+  const listing = await LittleExport.inspectArchive(
+    await fs.openAsBlob(file),
+    archiveOptions(args),
+  );
+  const problems = listing.errors.map((e) => `${e.path}: ${e.message}`);
+  if (listing.manifest && !listing.manifest.complete) {
+    problems.push(
+      "The manifest isn't marked complete; the export may have been cut short.",
+    );
+  }
+  for (const problem of problems) console.error(`Error: ${problem}`);
+
+  if (listing.checksums) {
+    console.log(
+      `${listing.checksums.verified} checksums verified, ${listing.checksums.failed} failed.`,
+    );
+  } else {
+    console.log(
+      "The archive has no checksums; only its structure was checked.",
+    );
+  }
+  console.log(problems.length ? "Verification failed." : "OK");
+  return problems.length ? 1 : 0;
+}
+
+async function extract(args) {
+  const [file, outDir] = args.positional;
+  const tar = await openTar(file, args);
+  let decoder = LittleExport.createDecoder();
+  let ext = "cbor";
+  let files = 0;
+
+  while (true) {
+    const entry = await tar.next();
+    if (!entry) break;
+    const target = safeJoin(outDir, entry.name);
+    if (!target) {
+      console.warn(`Skipping unsafe path: ${entry.name}`);
+      continue;
+    }
+    if (entry.typeFlag === 53 || entry.name.endsWith("/")) {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    files++;
+
+    if (entry.name === MANIFEST_PATH) {
+      const bytes = await tar.read();
+      const manifest = JSON.parse(Buffer.from(bytes).toString("utf8"));
+      if (manifest.cbor?.extension) ext = manifest.cbor.extension;
+      if (manifest.cbor?.options) {
+        decoder = LittleExport.createDecoder(manifest.cbor.options);
+      }
+      fs.writeFileSync(target, bytes);
+    } else if (!args.raw && isCborEntry(entry.name, ext)) {
+      const bytes = await tar.read();
+      try {
+        let value = decoder.decode(bytes);
+        if (isStoreChunk(entry.name, ext)) {
+          const [keys, values] = value;
+          value = keys.map((key, i) => ({ key, value: values[i] }));
+        }
+        fs.writeFileSync(
+          `${target}.json`,
+          JSON.stringify(toReadable(value), null, 2),
+        );
+      } catch (e) {
+        console.warn(`Keeping ${entry.name} as CBOR: ${e.message}`);
+        fs.writeFileSync(target, bytes);
+      }
+    } else {
+      const fh = await fs.promises.open(target, "w");
+      await tar.pipeTo({
+        write: (chunk) => fh.write(chunk),
+        close: () => fh.close(),
+        abort: () => {},
+      });
+      // Files keep their modification time from the archive, like tar does
+      const mtime = new Date(entry.mtime);
+      fs.utimesSync(target, mtime, mtime);
+    }
+  }
+  console.log(`Extracted ${files} files to ${outDir}.`);
+  return 0;
+}
+
+async function get(args) {
+  const [file, entryPath, out] = args.positional;
+  const result = await LittleExport.extractEntry(
+    await fs.openAsBlob(file),
+    entryPath,
+    archiveOptions(args),
+  );
+  if (!result) throw new Error(`The archive has no file ${entryPath}.`);
+  await writeStreamToFile(result.stream(), out);
+  const mtime = new Date(result.lastModified);
+  fs.utimesSync(out, mtime, mtime);
+  console.log(`Wrote ${out}.`);
+  return 0;
+}
+
+async function decrypt(args) {
+  const [file, out] = args.positional;
+  let stream = await LittleExport.openArchiveStream(
+    await fs.openAsBlob(file),
+    archiveOptions(args),
+  );
+  if (out.endsWith(".gz"))
+    stream = stream.pipeThrough(new CompressionStream("gzip"));
+  await writeStreamToFile(stream, out);
+  console.log(`Wrote ${out}.`);
+  return 0;
+}
+
+async function encrypt(args) {
+  const [file, out] = args.positional;
+  const target = encryptionTarget(args.password, args);
+  if (!target) throw new Error("--password or --recipient is required.");
+  await writeStreamToFile(
+    await LittleExport.openReencryptedStream(await fs.openAsBlob(file), target),
+    out,
+  );
+  console.log(`Wrote ${out}.`);
+  return 0;
+}
+
+async function reencrypt(args) {
+  const [file, out] = args.positional;
+  const target = encryptionTarget(args.newPassword, args);
+  if (!target) throw new Error("--new-password or --recipient is required.");
+  await writeStreamToFile(
+    await LittleExport.openReencryptedStream(await fs.openAsBlob(file), {
+      ...archiveOptions(args),
+      ...target,
+      decrypt: true,
+    }),
+    out,
+  );
+  console.log(`Wrote ${out}.`);
+  return 0;
+}
+
+// Lists the files and directories under dir as archive paths
+function walk(dir, prefix = "", out = []) {
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const name = prefix + dirent.name;
+    if (dirent.isDirectory()) {
+      out.push(name + "/");
+      walk(path.join(dir, dirent.name), name + "/", out);
+    } else if (dirent.isFile()) {
+      out.push(name);
+    }
+  }
+  return out;
+}
+
+// Same order as exportData, so that blobs come before the records that reference them
+function packRank(name) {
+  if (name.startsWith("data/custom/")) return 0;
+  if (name.startsWith("opfs/")) return 1;
+  if (name.startsWith(BLOBS_PREFIX)) return 2;
+  if (name.startsWith("data/idb/")) return 3;
+  if (name === "data/ls.json") return 4;
+  if (name === "data/ss.json") return 5;
+  // cookiestore.json has to come right before cookies.json
+  if (name === "data/cookiestore.json") return 6;
+  if (name === "data/cookies.json") return 7;
+  if (name.startsWith("data/cache/")) return 8;
+  if (name === "data/deleted.json") return 10;
+  return 9;
+}
+
+function comparePackOrder(a, b, ext) {
+  const rank = packRank(a) - packRank(b);
+  if (rank !== 0) return rank;
+  // Each database's schema comes before its stores
+  if (a.startsWith("data/idb/")) {
+    const [dbA, dbB] = [a.split("/")[2], b.split("/")[2]];
+    if (dbA !== dbB) return dbA < dbB ? -1 : 1;
+    const schema = `/schema.${ext}`;
+    if (a.endsWith(schema) !== b.endsWith(schema))
+      return a.endsWith(schema) ? -1 : 1;
+  }
+  // Numeric, so that chunk 10 comes after chunk 9
+  return a.localeCompare(b, "en", { numeric: true });
+}
+
+function getEntryCategory(name) {
+  if (name.startsWith("opfs/")) return "opfs";
+  if (name.startsWith("data/idb/")) return "idb";
+  if (name.startsWith(BLOBS_PREFIX)) return "blobs";
+  if (name.startsWith("data/cache/")) return "cache";
+  if (name.startsWith("data/custom/")) return "custom";
+  if (name === "data/ls.json") return "localStorage";
+  if (name === "data/ss.json") return "sessionStorage";
+  if (name === "data/cookies.json" || name === "data/cookiestore.json")
+    return "cookies";
+  return null;
+}
+
+async function pack(args) {
+  const [dir, out] = args.positional;
+  const manifestFile = path.join(dir, "data", "manifest.json");
+  const manifest = fs.existsSync(manifestFile)
+    ? JSON.parse(fs.readFileSync(manifestFile, "utf8"))
+    : null;
+  const ext = manifest?.cbor?.extension || "cbor";
+  // Same defaults as exportData
+  const cborOptions = {
+    structuredClone: true,
+    copyBuffers: false,
+    bundleStrings: true,
+    ...manifest?.cbor?.options,
+  };
+  let encoder = null;
+
+  // JSON written by extract becomes CBOR again (and replaces a CBOR file of the same name)
+  const entries = new Map();
+  for (const name of walk(dir)) {
+    if (name === MANIFEST_PATH || name === CHECKSUMS_PATH) continue;
+    const jsonOf = name.endsWith(`.${ext}.json`) && name.slice(0, -5);
+    if (jsonOf && isCborEntry(jsonOf, ext)) entries.set(jsonOf, name);
+    else if (!entries.has(name)) entries.set(name, name);
+  }
+  const names = [...entries.keys()].sort((a, b) => comparePackOrder(a, b, ext));
+  const hasJson = names.some((name) => entries.get(name) !== name);
+  if (hasJson && manifest?.cbor && !manifest.cbor.options) {
+    throw new Error(
+      "The archive was made with a custom CBOR encoder, so its JSON files can't be packed.",
+    );
+  }
+
+  const zip = out.endsWith(".zip");
+  const compression = zip
+    ? new TransformStream()
+    : new CompressionStream("gzip");
+  let pipeline = compression.readable;
+  const target = encryptionTarget(args.password, args);
+  if (target) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    pipeline = pipeline.pipeThrough(
+      new TransformStream(
+        new LittleExport.EncryptionTransformer(
+          target.newPassword || { recipients: target.newRecipients },
+          salt,
+        ),
+      ),
+    );
+  }
+  const written = writeStreamToFile(pipeline, out);
+  written.catch(() => {});
+  const tar = zip
+    ? new LittleExport.ZipWriter(compression.writable, () => null)
+    : new LittleExport.TarWriter(compression.writable, () => null);
+
+  const counts = {};
+  tar.onEntry = (name, size) => {
+    const category = getEntryCategory(name);
+    if (!category || name.endsWith("/")) return;
+    if (!counts[category]) counts[category] = { entries: 0, bytes: 0 };
+    counts[category].entries++;
+    counts[category].bytes += size;
+  };
+
+  try {
+    // The incremental index would be stale after edits, so it's dropped
+    let header;
+    if (manifest) {
+      const { counts: _, complete, index, ...rest } = manifest;
+      header = { ...rest, encrypted: !!target };
+    } else {
+      // A folder without a manifest gets one like exportData writes, with checksums
+      header = {
+        format: "LittleExport",
+        formatVersion: LittleExport.FORMAT_VERSION,
+        version: LittleExport.VERSION,
+        created: new Date().toISOString(),
+        encrypted: !!target,
+        categories: [
+          ...new Set(names.map(getEntryCategory).filter(Boolean)),
+        ].filter((category) => category !== "blobs"),
+        cbor: { extension: ext, options: cborOptions },
+        checksums: true,
+        delta: null,
+      };
+    }
+    if (header.checksums) tar.checksums = [];
+    await tar.writeEntry(MANIFEST_PATH, JSON.stringify(header));
+
+    for (const name of names) {
+      const source = path.join(dir, ...entries.get(name).split("/"));
+      if (name.endsWith("/")) {
+        if (name.startsWith("opfs/")) await tar.writeDir(name);
+      } else if (entries.get(name) !== name) {
+        if (!encoder) encoder = new CBOR.Encoder(cborOptions);
+        let value = fromReadable(
+          JSON.parse(fs.readFileSync(source, "utf8")),
+          dir,
+        );
+        if (isStoreChunk(name, ext)) {
+          value = [value.map((r) => r.key), value.map((r) => r.value)];
+        }
+        await tar.writeEntry(name, encoder.encode(value));
+      } else {
+        const blob = await fs.openAsBlob(source);
+        // OPFS files keep their modification time, other entries get the time of packing like exportData gives them
+        const mtime = name.startsWith("opfs/")
+          ? fs.statSync(source).mtimeMs
+          : undefined;
+        await tar.writeStream(name, blob.size, blob.stream(), mtime);
+      }
+    }
+
+    if (tar.checksums) {
+      // ZIP archives only list the final manifest, which comes after the checksums
+      const sums = zip
+        ? tar.checksums.filter(([name]) => name !== MANIFEST_PATH)
+        : tar.checksums;
+      tar.checksums = null;
+      await tar.writeEntry(
+        CHECKSUMS_PATH,
+        sums.map(([name, hash]) => `${hash}  ${name}\n`).join(""),
+      );
+    }
+    await tar.writeEntry(
+      MANIFEST_PATH,
+      JSON.stringify({ ...header, complete: true, counts }),
+    );
+    await tar.close();
+    await written;
+  } catch (e) {
+    // Don't leave a truncated archive behind
+    await tar.writer.abort(e).catch(() => {});
+    await written.catch(() => {});
+    fs.rmSync(out, { force: true });
+    throw e;
+  }
+  console.log(`Packed ${names.length} entries into ${out}.`);
+  return 0;
+}
+
+const COMMANDS = {
+  list: [list, 1],
+  verify: [verify, 1],
+  extract: [extract, 2],
+  get: [get, 3],
+  decrypt: [decrypt, 2],
+  encrypt: [encrypt, 2],
+  reencrypt: [reencrypt, 2],
+  pack: [pack, 2],
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  if (!COMMANDS[command] || args.help) {
+    console.log(USAGE);
+    return command && !args.help ? 1 : 0;
+  }
+  const [fn, argCount] = COMMANDS[command];
+  if (args.positional.length !== argCount) {
+    console.error(USAGE);
+    return 1;
+  }
+  return fn(args);
+}
+
+// The core keeps a MessageChannel open for yielding, so the process is ended explicitly
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  },
+);
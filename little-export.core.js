@@ -1,10 +1,25 @@
 (function () {
   const TYPE = { OPFS: 1, IDB: 2, LS: 4, SS: 8, COOKIE: 16, CACHE: 32 };
   const DECISION = { SKIP: 0, PROCESS: 1, TRUST: 2, ABORT: 3 };
+  const CONFLICT = { KEEP: 0, OVERWRITE: 1, NEWER: 2 };
 
   let blobIdCounter = 0;
+  let blobIdPrefix = ""; // Set while an IndexedDB store is exported, whose blobs are numbered on their own
+
+  // The error an operation rejects with once its signal (the signal option) is aborted
+  function abortError(signal) {
+    const err = new Error("The operation was aborted.");
+    err.name = "AbortError";
+    err.cause = signal.reason;
+    return err;
+  }
+
+  function checkSignal(signal) {
+    if (signal?.aborted) throw abortError(signal);
+  }
 
-  function createYielder(threshold = 100) {
+  // onYield is called whenever a yield starts (progress is reported at the same pace). Every call throws an AbortError once signal is aborted, which stops the loops that yield.
+  function createYielder(threshold = 100, onYield, signal) {
     // Testing has shown that Chromium's performance.now() is worst-case slower than all other browsers (but can still be called millions of times per second). Date.now() Browsers like Firefox actually have performance.now() over 10x faster than Date.now(), upwards of hundreds of millions of checks per second. However, this shouldn't really matter too much here as yielding is not checked often enough for this to add up significantly.
     let lastYield = 0;
     let inflight = null;
@@ -14,7 +29,7 @@
     channel.port1.onmessage = () => resolvers.shift()?.();
 
     async function doYield() {
-      if ("scheduler" in window && "yield" in scheduler) {
+      if ("scheduler" in globalThis && "yield" in scheduler) {
         await scheduler.yield();
       } else {
         await new Promise((res) => {
@@ -27,20 +42,68 @@
     }
 
     return function (force = false) {
+      checkSignal(signal);
       const now = Date.now();
       if (!force && now - lastYield <= threshold) return null;
-      if (!inflight) inflight = doYield();
+      if (!inflight) {
+        if (onYield) onYield();
+        inflight = doYield();
+      }
       return inflight;
     };
   }
 
   const CHUNK_SIZE = 4194304;
+  const KDF_ITERATIONS = 600000;
+  const MAX_KDF_ITERATIONS = 10000000; // Limits of encryption headers, which come from the archive and can't be trusted
+  const MAX_CHUNK_SIZE = 67108864;
+  const ENCRYPTION_VERSIONS = { LE_ENC: 1, LE_EN2: 2 }; // Signatures of encrypted archives. Version 2 authenticates the order of chunks.
   const TAR_BUFFER_SIZE = 65536;
+  const GZIP_MEMBER_SIZE = 4194304;
+  const CHECKPOINT_MIN_BYTES = 67108864;
+  const IDB_CHUNK_SIZE = 1048576; // Target size of an IndexedDB .cbor chunk
+  const IDB_FIRST_BATCH = 25; // Records read before anything is known about their size
+  const IDB_MAX_BATCH = 10000;
+  const IDB_HELD_BYTES = 67108864; // With a baseline, how much of a store is kept until its hash shows whether it changed. Bigger stores are read again to be written.
+  const IDB_TRANSACTION_SIZE = 8388608; // Archived bytes of records an import writes per transaction
+  const IDB_INDEX_HEAVY = 2; // Stores with at least this many indexes are imported last, on their own
+  const IDB_BUFFER_THRESHOLD = 1048576; // ArrayBuffers and typed arrays larger than this are stored in data/blobs/
+  // Types that externalized buffers can be restored as
+  const BUFFER_VIEWS = [
+    "ArrayBuffer",
+    "DataView",
+    "Int8Array",
+    "Uint8Array",
+    "Uint8ClampedArray",
+    "Int16Array",
+    "Uint16Array",
+    "Int32Array",
+    "Uint32Array",
+    "Float16Array",
+    "Float32Array",
+    "Float64Array",
+    "BigInt64Array",
+    "BigUint64Array",
+  ];
+  const CHECKPOINT_MARK = Symbol("checkpoint"); // Sent down the export pipeline to end the gzip member and commit the file
+  const SEEK_INDEX_MARK = Symbol("seek index"); // Ends the gzip member before the seek index, which the trailer member points to
+  const SEEK_TRAILER_SIZE = 42;
   const ENC = new TextEncoder();
   const DEC = new TextDecoder("utf-8", { fatal: false });
   const TEMP_BLOB_DIR = ".rfs_temp_blobs";
-
-  async function deriveKey(password, salt) {
+  const STAGING_DIR = ".rfs_staging"; // OPFS writes of atomic imports before they are committed
+  const REPLACED_DIR = ".rfs_replaced"; // What committing an atomic import replaces or deletes in OPFS, until the commit is done
+  const VERSION = "1.1.0";
+  const FORMAT_VERSION = 1;
+  const MANIFEST_PATH = "data/manifest.json";
+  const CHECKSUMS_PATH = "data/checksums.sha256";
+  const DELETED_PATH = "data/deleted.json";
+  const COOKIE_LIST_PATH = "data/cookiestore.json"; // Cookies with their attributes, from the Cookie Store API
+  const SEEK_INDEX_PATH = "data/offsets.json"; // Where every entry's data is in seekable archives
+  const IDB_STRATEGIES = ["replace", "merge", "skipExisting", "upgradeSchema"];
+  const STATE_DB = "__little_export__"; // LittleExport's own state (export checkpoints); never exported
+
+  async function deriveKey(password, salt, iterations = KDF_ITERATIONS) {
     const km = await crypto.subtle.importKey(
       "raw",
       ENC.encode(password),
@@ -49,7 +112,7 @@
       ["deriveKey"],
     );
     return crypto.subtle.deriveKey(
-      { name: "PBKDF2", salt, iterations: 600000, hash: "SHA-256" },
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
       km,
       { name: "AES-GCM", length: 256 },
       false,
@@ -57,6 +120,367 @@
     );
   }
 
+  // Incremental SHA-256, since crypto.subtle.digest can't hash a stream piece by piece.
+  const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+    0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+    0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+    0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  class Sha256 {
+    constructor() {
+      this.h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+        0x1f83d9ab, 0x5be0cd19,
+      ]);
+      this.w = new Uint32Array(64);
+      this.block = new Uint8Array(64);
+      this.blockLength = 0;
+      this.length = 0;
+    }
+
+    update(bytes) {
+      let i = 0;
+      this.length += bytes.byteLength;
+
+      if (this.blockLength > 0) {
+        i = Math.min(64 - this.blockLength, bytes.byteLength);
+        this.block.set(bytes.subarray(0, i), this.blockLength);
+        this.blockLength += i;
+        if (this.blockLength < 64) return this;
+        this.compress(this.block, 0);
+        this.blockLength = 0;
+      }
+
+      for (; i + 64 <= bytes.byteLength; i += 64) this.compress(bytes, i);
+
+      if (i < bytes.byteLength) {
+        this.block.set(bytes.subarray(i), 0);
+        this.blockLength = bytes.byteLength - i;
+      }
+      return this;
+    }
+
+    compress(b, off) {
+      const w = this.w;
+      const h = this.h;
+      for (let j = 0; j < 16; j++, off += 4) {
+        w[j] =
+          (b[off] << 24) | (b[off + 1] << 16) | (b[off + 2] << 8) | b[off + 3];
+      }
+      for (let j = 16; j < 64; j++) {
+        const x = w[j - 15];
+        const y = w[j - 2];
+        const s0 =
+          ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 =
+          ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[j] = w[j - 16] + s0 + w[j - 7] + s1;
+      }
+
+      let a = h[0];
+      let bb = h[1];
+      let c = h[2];
+      let d = h[3];
+      let e = h[4];
+      let f = h[5];
+      let g = h[6];
+      let hh = h[7];
+      for (let j = 0; j < 64; j++) {
+        const S1 =
+          ((e >>> 6) | (e << 26)) ^
+          ((e >>> 11) | (e << 21)) ^
+          ((e >>> 25) | (e << 7));
+        const t1 = (hh + S1 + ((e & f) ^ (~e & g)) + SHA256_K[j] + w[j]) | 0;
+        const S0 =
+          ((a >>> 2) | (a << 30)) ^
+          ((a >>> 13) | (a << 19)) ^
+          ((a >>> 22) | (a << 10));
+        const t2 = (S0 + ((a & bb) ^ (a & c) ^ (bb & c))) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = bb;
+        bb = a;
+        a = (t1 + t2) | 0;
+      }
+
+      h[0] += a;
+      h[1] += bb;
+      h[2] += c;
+      h[3] += d;
+      h[4] += e;
+      h[5] += f;
+      h[6] += g;
+      h[7] += hh;
+    }
+
+    // Returns the lowercase hex digest. The instance can't be updated afterwards.
+    digest() {
+      const bitsHigh = Math.floor(this.length / 0x20000000);
+      const bitsLow = (this.length * 8) % 4294967296;
+      const padLength =
+        this.blockLength < 56 ? 56 - this.blockLength : 120 - this.blockLength;
+      const tail = new Uint8Array(padLength + 8);
+      tail[0] = 0x80;
+      const view = new DataView(tail.buffer);
+      view.setUint32(padLength, bitsHigh);
+      view.setUint32(padLength + 4, bitsLow);
+      this.update(tail);
+
+      let hex = "";
+      for (const word of this.h) hex += word.toString(16).padStart(8, "0");
+      return hex;
+    }
+  }
+
+  const CRC32_TABLE = new Uint32Array(256);
+  (function initCrc32() {
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC32_TABLE[n] = c;
+    }
+  })();
+
+  // Continues a CRC-32 (the checksum ZIP uses) over more bytes
+  function crc32(bytes, crc = 0) {
+    crc = ~crc;
+    for (let i = 0; i < bytes.byteLength; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+  }
+
+  const inWindow = typeof document !== "undefined";
+
+  // document.cookie string of a cookie from getCookieList (a null value expires it)
+  function toCookieString(c) {
+    let str = `${c.name}=${c.value ?? ""}; path=${c.path || "/"}`;
+    if (c.value === null) str += "; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+    else if (c.expires) str += `; expires=${new Date(c.expires).toUTCString()}`;
+    // Another site's domain would make the browser ignore the cookie
+    const domain = c.domain?.replace(/^\./, "");
+    const host = location.hostname;
+    if (domain && (host === domain || host.endsWith(`.${domain}`))) {
+      str += `; domain=${c.domain}`;
+    }
+    if (c.sameSite) str += `; samesite=${c.sameSite}`;
+    if (c.secure || c.sameSite === "none") str += "; secure";
+    if (c.partitioned) str += "; partitioned";
+    return str;
+  }
+
+  // Window-only APIs. In a worker, they're called on the page through the bridge (see connectWorker).
+  const HOST = {
+    getCookies: () => document.cookie,
+    // Cookies with their attributes, or null without the Cookie Store API
+    async getCookieList() {
+      if (!globalThis.cookieStore) return null;
+      return (await cookieStore.getAll()).map((c) => ({ ...c }));
+    },
+    // Sets cookies with their attributes (see getCookieList); a null value removes the cookie
+    async setCookieList(cookies) {
+      for (const c of cookies) {
+        if (!globalThis.cookieStore) {
+          document.cookie = toCookieString(c);
+          continue;
+        }
+        const { name, path = "/", domain, partitioned } = c;
+        if (c.value === null) {
+          await cookieStore.delete({ name, path, domain, partitioned });
+          continue;
+        }
+        const options = {
+          name,
+          value: c.value,
+          path,
+          domain,
+          expires: c.expires,
+          sameSite: c.sameSite,
+          partitioned,
+        };
+        try {
+          await cookieStore.set(options);
+        } catch (e) {
+          // The domain of another site (the archive may come from elsewhere) is rejected
+          if (!domain) throw e;
+          await cookieStore.set({ ...options, domain: undefined });
+        }
+      }
+    },
+    async clearCookies() {
+      // The Cookie Store API knows the path and domain of every cookie, so each one can be deleted exactly
+      if (globalThis.cookieStore) {
+        for (const {
+          name,
+          path,
+          domain,
+          partitioned,
+        } of await cookieStore.getAll()) {
+          await cookieStore.delete({ name, path, domain, partitioned });
+        }
+        return;
+      }
+
+      // Note that this cookie logic is not guaranteed to clear custom domains or non-standard paths.
+      const cookies = document.cookie.split(";");
+
+      for (let i = 0; i < cookies.length; i++) {
+        const cookie = cookies[i];
+        const eqPos = cookie.indexOf("=");
+        const name =
+          eqPos > -1 ? cookie.trim().substring(0, eqPos) : cookie.trim();
+
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`; // current path
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=${location.hostname}; path=/`; // current domain
+        const domainParts = location.hostname.split(".");
+        if (domainParts.length > 2) {
+          const baseDomain = domainParts.slice(-2).join(".");
+          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=.${baseDomain}; path=/`; // clear base domain
+        }
+      }
+    },
+    // kind is "localStorage" or "sessionStorage"
+    readStorage(kind) {
+      const storage = globalThis[kind];
+      const items = {};
+      for (let i = 0; i < storage.length; i++) {
+        const k = storage.key(i);
+        items[k] = storage.getItem(k);
+      }
+      return items;
+    },
+    // null values remove their keys
+    writeStorage(kind, items) {
+      const storage = globalThis[kind];
+      for (const k in items) {
+        if (items[k] === null) storage.removeItem(k);
+        else storage.setItem(k, items[k]);
+      }
+    },
+    clearStorage: (kind) => globalThis[kind].clear(),
+    // Whether the origin's storage is (now) exempt from eviction
+    persistStorage: () =>
+      navigator.storage?.persist ? navigator.storage.persist() : false,
+    prompt: (message) => prompt(message),
+    pickFile() {
+      return new Promise((resolve) => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.onchange = (e) => {
+          resolve(e.target.files[0]);
+        };
+
+        input.click();
+      });
+    },
+    showSaveFilePicker: (suggestedName) =>
+      globalThis.showSaveFilePicker
+        ? showSaveFilePicker({ suggestedName })
+        : null,
+    showDirectoryPicker: () =>
+      globalThis.showDirectoryPicker ? showDirectoryPicker() : null,
+    download(blob, fileName) {
+      const downloadUrl = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = downloadUrl;
+      a.download = fileName;
+      a.click();
+
+      // Cleanup URL after a delay
+      setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
+    },
+  };
+
+  let bridgePort = null; // Set in a worker once the page calls connectWorker
+  const bridgeCalls = new Map();
+  let bridgeCallId = 0;
+
+  if (!inWindow && typeof addEventListener === "function") {
+    addEventListener("message", (e) => {
+      if (!e.data || !e.data.littleExportBridge || !e.ports[0]) return;
+      bridgePort = e.ports[0];
+      bridgePort.onmessage = ({ data }) => {
+        const call = bridgeCalls.get(data.id);
+        if (!call) return;
+        bridgeCalls.delete(data.id);
+        if (!data.error) {
+          call.resolve(data.result);
+          return;
+        }
+        const err = new Error(data.error.message);
+        err.name = data.error.name;
+        call.reject(err);
+      };
+    });
+  }
+
+  // Whether window-only APIs (page storage, cookies, pickers, downloads) can be used
+  function hasHost() {
+    return inWindow || !!bridgePort;
+  }
+
+  // Calls one of the HOST functions, through the bridge when running in a worker
+  function callHost(method, ...args) {
+    if (inWindow) return Promise.resolve().then(() => HOST[method](...args));
+    if (!bridgePort) {
+      return Promise.reject(
+        new Error(
+          `${method} needs the page; call LittleExport.connectWorker(worker) there first.`,
+        ),
+      );
+    }
+    return new Promise((resolve, reject) => {
+      const id = ++bridgeCallId;
+      bridgeCalls.set(id, { resolve, reject });
+      bridgePort.postMessage({ id, method, args });
+    });
+  }
+
+  // Answers HOST calls of LittleExport running in a worker (a Worker or ServiceWorker). Returns a function that disconnects it.
+  function connectWorker(worker) {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = async ({ data }) => {
+      const { id, method, args } = data;
+      try {
+        if (!Object.hasOwn(HOST, method)) {
+          throw new Error(`Unknown bridge call "${method}".`);
+        }
+        const result = await HOST[method](...args);
+        channel.port1.postMessage({ id, result });
+      } catch (e) {
+        channel.port1.postMessage({
+          id,
+          error: { name: e.name, message: e.message },
+        });
+      }
+    };
+    worker.postMessage({ littleExportBridge: true }, [channel.port2]);
+    return () => channel.port1.close();
+  }
+
+  // The page's cookies as name -> value (read through the bridge in workers)
+  async function readCookies() {
+    const c = {};
+    for (const pair of (await callHost("getCookies")).split(";")) {
+      const eqIndex = pair.indexOf("=");
+      const key = (eqIndex > -1 ? pair.slice(0, eqIndex) : pair).trim();
+      if (key) c[key] = eqIndex > -1 ? pair.slice(eqIndex + 1).trim() : "";
+    }
+    return c;
+  }
+
   // Simple mode filter, supports functions and arrays
   function checkSimpleFilter(category, pathStr, config) {
     const { include, exclude } = config;
@@ -86,23 +510,88 @@
     return true;
   }
 
+  // Request headers a cached response varies on, since Cache Storage only matches the entry if they are the same
+  function getVaryHeaders(request, response) {
+    const headers = {};
+    const vary = (response.headers.get("Vary") || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (vary.includes("*")) return headers; // Never matched again anyway
+    for (const name of vary) {
+      const value = request.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+    return headers;
+  }
+
+  // Archive name of a cache entry: the SHA-256 of everything Cache Storage tells entries apart by (the search part of the URL included)
+  function getCacheEntryName(method, url, requestHeaders) {
+    const headers = Object.entries(requestHeaders)
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([name, value]) => `${name}: ${value}`);
+    return new Sha256()
+      .update(ENC.encode([method, url, ...headers].join("\n")))
+      .digest();
+  }
+
+  function toCacheRequest(meta) {
+    return new Request(meta.url, {
+      method: meta.method || "GET",
+      headers: meta.requestHeaders || {},
+    });
+  }
+
+  // Responses with these statuses can't have a body
+  const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+
+  function toCacheResponse(body, meta) {
+    if (meta.status === 0) {
+      throw new Error(
+        `${meta.url} is an opaque response, which can't be recreated.`,
+      );
+    }
+    return new Response(
+      NULL_BODY_STATUSES.includes(meta.status) ? null : body,
+      {
+        status: meta.status,
+        statusText: meta.statusText || "",
+        headers: meta.headers,
+      },
+    );
+  }
+
   // All access of this function will be from LittleExport.prepForCBOR to allow for customization.
+  // ArrayBuffers and typed arrays over bufferThreshold bytes are externalized like Blobs, and their references record what to restore them as.
   function prepForCBOR(
     item,
     externalBlobs,
     seen = new WeakMap(),
     blobMap = new Map(),
+    bufferThreshold = Infinity,
   ) {
     if (!item || typeof item !== "object") return item;
 
-    if (
-      item instanceof ArrayBuffer ||
-      ArrayBuffer.isView(item) ||
-      item instanceof Date
-    ) {
-      return item;
+    if (item instanceof ArrayBuffer || ArrayBuffer.isView(item)) {
+      const view = item.constructor.name;
+      if (item.byteLength <= bufferThreshold || !BUFFER_VIEWS.includes(view)) {
+        return item;
+      }
+      if (blobMap.has(item)) return blobMap.get(item);
+
+      const bytes = ArrayBuffer.isView(item)
+        ? new Uint8Array(item.buffer, item.byteOffset, item.byteLength)
+        : new Uint8Array(item);
+      const id = blobIdPrefix + (blobIdCounter++).toString(16);
+      externalBlobs.push({ uuid: id, blob: new Blob([bytes]), bytes });
+
+      const ref = { __le_blob_ref: id, type: "", size: bytes.byteLength, view };
+      blobMap.set(item, ref);
+      return ref;
     }
 
+    if (item instanceof Date) return item;
+
     if (seen.has(item)) return seen.get(item);
 
     if (item instanceof Blob) {
@@ -110,7 +599,7 @@
         return blobMap.get(item);
       }
 
-      const id = (blobIdCounter++).toString(16);
+      const id = blobIdPrefix + (blobIdCounter++).toString(16);
       externalBlobs.push({ uuid: id, blob: item });
 
       const ref = { __le_blob_ref: id, type: item.type, size: item.size };
@@ -133,6 +622,7 @@
             externalBlobs,
             seen,
             blobMap,
+            bufferThreshold,
           );
         }
       } else {
@@ -144,6 +634,7 @@
             externalBlobs,
             seen,
             blobMap,
+            bufferThreshold,
           );
         }
       }
@@ -157,6 +648,7 @@
             externalBlobs,
             seen,
             blobMap,
+            bufferThreshold,
           );
         }
       }
@@ -165,23 +657,50 @@
     return res;
   }
 
-  async function restoreFromCBOR(item, tempBlobDir) {
+  // The extracted blob with this id, or null if there's none. tempBlobDir is a directory handle, or a Map of id -> Blob where OPFS isn't available.
+  async function readTempBlob(tempBlobDir, id) {
+    if (!tempBlobDir) return null;
+    if (tempBlobDir instanceof Map) return tempBlobDir.get(id) || null;
+    try {
+      return await (await tempBlobDir.getFileHandle(id)).getFile();
+    } catch (e) {
+      if (e.name !== "NotFoundError") throw e;
+      return null;
+    }
+  }
+
+  // Externalized buffers are read back into memory, and their sizes are added to restored.bufferBytes if restored is passed.
+  // A missing Blob becomes null, but a missing buffer throws: it's the content of a record (like an Emscripten file), not an attachment.
+  async function restoreFromCBOR(item, tempBlobDir, restored) {
     if (!item || typeof item !== "object") return item;
     if (item.__le_blob_ref) {
-      if (!tempBlobDir) return null;
-      try {
-        const fh = await tempBlobDir.getFileHandle(item.__le_blob_ref);
-        const file = await fh.getFile();
-        return file.slice(0, file.size, item.type);
-      } catch (e) {
-        return null; // Blob not found, gracefully return null
+      const file = await readTempBlob(tempBlobDir, item.__le_blob_ref);
+      if (!file && item.view) {
+        const err = new Error(
+          `Buffer ${item.__le_blob_ref} is missing from the archive's blobs.`,
+        );
+        err.path = `data/blobs/${item.__le_blob_ref}`;
+        throw err;
+      }
+      if (!file) return null; // Blob not found, gracefully return null
+      if (!item.view) return file.slice(0, file.size, item.type);
+      // Unknown views, and ones this browser doesn't have (like Float16Array), are errors rather than silently lost data
+      const View = globalThis[item.view];
+      if (!BUFFER_VIEWS.includes(item.view) || typeof View !== "function") {
+        throw new Error(`Unsupported buffer type ${item.view}`);
       }
+      const buffer = await file.arrayBuffer();
+      if (restored) restored.bufferBytes += buffer.byteLength;
+      if (item.view === "ArrayBuffer") return buffer;
+      return item.view === "DataView"
+        ? new DataView(buffer)
+        : new View(buffer, 0, buffer.byteLength / View.BYTES_PER_ELEMENT);
     }
 
     if (item.__le_sparse) {
       const arr = new Array(item.length);
       for (const k in item.data) {
-        arr[k] = await restoreFromCBOR(item.data[k], tempBlobDir);
+        arr[k] = await restoreFromCBOR(item.data[k], tempBlobDir, restored);
       }
       return arr;
     }
@@ -189,7 +708,11 @@
     if (Array.isArray(item)) {
       const res = new Array(item.length);
       for (let i = 0; i < item.length; i++) {
-        res[i] = await LittleExport.restoreFromCBOR(item[i], tempBlobDir);
+        res[i] = await LittleExport.restoreFromCBOR(
+          item[i],
+          tempBlobDir,
+          restored,
+        );
       }
       return res;
     }
@@ -197,7 +720,11 @@
     if (item.constructor === Object) {
       const n = {};
       for (const k in item) {
-        n[k] = await LittleExport.restoreFromCBOR(item[k], tempBlobDir);
+        n[k] = await LittleExport.restoreFromCBOR(
+          item[k],
+          tempBlobDir,
+          restored,
+        );
       }
       return n;
     }
@@ -222,7 +749,7 @@
     HEADER_TEMPLATE.set(TAR_CONSTANTS.USTAR_VER, 263);
   })();
 
-  function createPaxData(path, size) {
+  function createPaxData(path, size, mtime) {
     const encoder = new TextEncoder();
     let content = new Uint8Array(0);
 
@@ -256,6 +783,10 @@
     if (size > 8589934591) {
       addRecord("size", size);
     }
+    // Sub-second part of the modification time, which the header's whole seconds lose
+    if (mtime != null && mtime % 1000 !== 0) {
+      addRecord("mtime", (mtime / 1000).toFixed(3));
+    }
 
     return content;
   }
@@ -314,65 +845,125 @@
       this.time = Math.floor(Date.now() / 1000);
       this.buffer = new Uint8Array(TAR_BUFFER_SIZE);
       this.bufferOffset = 0;
+      this.entries = 0;
+      this.lastPath = null;
+      this.skip = 0; // Entries that are already in the output of a resumed export
+      this.offsets = null; // path -> [data offset, size, mtime] of every file, for seekable archives
+    }
+
+    // While resuming, entries that were written before the checkpoint are only counted
+    skipped(path) {
+      if (this.skip === 0) return false;
+      this.skipEntries(1, path);
+      return true;
+    }
+
+    skipEntries(n, lastPath) {
+      if (n === 0) return;
+      this.skip -= n;
+      this.entries += n;
+      this.lastPath = lastPath;
+      if (this.skip === 0 && this.onResumed) this.onResumed(lastPath);
     }
 
-    async writeEntry(path, data) {
+    // Ends the current gzip member so that everything written so far can be committed
+    async checkpoint() {
+      await this.flush();
+      await this.writer.write(CHECKPOINT_MARK);
+    }
+
+    // Ends the current gzip member, so that the seek index written next starts a member of its own
+    async startSeekIndex() {
+      await this.flush();
+      await this.writer.write(SEEK_INDEX_MARK);
+    }
+
+    // mtime is the entry's modification time in milliseconds (the time the writer was created if omitted)
+    async writeEntry(path, data, mtime) {
+      if (this.skipped(path)) return;
       const bytes = typeof data === "string" ? ENC.encode(data) : data;
       const size = bytes.byteLength;
+      if (this.checksums) {
+        this.checksums.push([path, new Sha256().update(bytes).digest()]);
+      }
       if (this.onFileProgress) this.onFileProgress(0, size);
-      await this.smartWrite(path, size, async () => {
-        await this.write(bytes);
-      });
+      await this.smartWrite(
+        path,
+        size,
+        async () => {
+          await this.write(bytes);
+        },
+        mtime,
+      );
 
       if (this.onFileProgress) this.onFileProgress(size, size);
     }
 
-    async writeStream(path, size, readableStream) {
+    async writeStream(path, size, readableStream, mtime) {
+      if (this.skipped(path)) {
+        readableStream.cancel().catch(() => {});
+        return;
+      }
       let contentWritten = 0;
+      const sha = this.checksums ? new Sha256() : null;
       await this.flush();
-      await this.smartWrite(path, size, async () => {
-        const reader = readableStream.getReader();
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            if (value) {
-              const remaining = size - contentWritten;
-              if (remaining <= 0) {
-                continue;
-              }
+      await this.smartWrite(
+        path,
+        size,
+        async () => {
+          const reader = readableStream.getReader();
+          try {
+            while (true) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              if (value) {
+                const remaining = size - contentWritten;
+                if (remaining <= 0) {
+                  continue;
+                }
 
-              const toWrite =
-                value.byteLength > remaining
-                  ? value.subarray(0, remaining)
-                  : value;
-              await this.write(toWrite);
-              contentWritten += toWrite.byteLength;
+                const toWrite =
+                  value.byteLength > remaining
+                    ? value.subarray(0, remaining)
+                    : value;
+                await this.write(toWrite);
+                if (sha) sha.update(toWrite);
+                contentWritten += toWrite.byteLength;
 
-              if (this.onFileProgress)
-                this.onFileProgress(contentWritten, size);
+                if (this.onFileProgress)
+                  this.onFileProgress(contentWritten, size);
+              }
+              const p = this.yielder();
+              if (p) await p;
             }
-            const p = this.yielder();
-            if (p) await p;
-          }
 
-          if (contentWritten < size) {
-            const missing = size - contentWritten;
-            const zeros = new Uint8Array(missing);
-            await this.write(zeros);
+            if (contentWritten < size) {
+              const missing = size - contentWritten;
+              const zeros = new Uint8Array(missing);
+              await this.write(zeros);
+              if (sha) sha.update(zeros);
+            }
+          } finally {
+            reader.releaseLock();
           }
-        } finally {
-          reader.releaseLock();
-        }
-      });
+        },
+        mtime,
+      );
+      if (sha) this.checksums.push([path, sha.digest()]);
     }
 
-    async smartWrite(path, size, contentFn) {
+    async smartWrite(path, size, contentFn, mtime) {
+      if (this.onEntry) this.onEntry(path, size);
+      this.entries++;
+      this.lastPath = path;
       const pathBytes = ENC.encode(path);
-      const needsPax = pathBytes.length > 100 || size > 8589934591;
+      const needsPax =
+        pathBytes.length > 100 ||
+        size > 8589934591 ||
+        (mtime != null && mtime % 1000 !== 0);
 
       if (needsPax) {
-        const paxData = createPaxData(path, size); // Already handles encoding internally
+        const paxData = createPaxData(path, size, mtime); // Already handles encoding internally
         const safePaxName =
           "PaxHeaders/" + (path.length > 50 ? path.slice(0, 50) : path);
 
@@ -383,14 +974,18 @@
         await this.pad();
       }
 
+      const isDir = size === 0 && path.endsWith("/");
       await this.write(
         createTarHeader(
           path,
           size,
-          this.time,
-          size === 0 && path.endsWith("/") ? "5" : "0",
+          mtime != null ? Math.floor(mtime / 1000) : this.time,
+          isDir ? "5" : "0",
         ),
       );
+      if (this.offsets && !isDir) {
+        this.offsets.set(path, [this.pos, size, mtime ?? this.time * 1000]);
+      }
       if (contentFn) await contentFn();
       await this.pad();
     }
@@ -398,6 +993,9 @@
     async writeDir(path) {
       // Ensure path ends with /
       if (!path.endsWith("/")) path += "/";
+      if (this.skipped(path)) return;
+      this.entries++;
+      this.lastPath = path;
 
       // Inline PAX logic
       const pathBytes = ENC.encode(path);
@@ -454,108 +1052,862 @@
     }
   }
 
-  class EncryptionTransformer {
-    constructor(password, salt) {
-      this.salt = salt;
-      this.keyPromise = deriveKey(password, salt);
-      this.chunks = [];
-      this.currentSize = 0;
-    }
-
-    async start(controller) {
-      controller.enqueue(ENC.encode("LE_ENC"));
-      controller.enqueue(this.salt);
-      await this.encryptAndPush(
-        new Uint8Array(0),
-        controller,
-        await this.keyPromise,
-      );
-    }
+  const ZIP_SIG = {
+    LOCAL: 0x04034b50,
+    DESCRIPTOR: 0x08074b50,
+    CENTRAL: 0x02014b50,
+    END: 0x06054b50,
+    END64: 0x06064b50,
+    LOCATOR64: 0x07064b50,
+  };
+  const ZIP_UTF8 = 0x0800; // Names are UTF-8
+  const ZIP_DESCRIPTOR = 0x0008; // CRC and sizes follow the data
+  const ZIP_TIMESTAMP = 0x5455; // Extra field with the Unix modification time
+
+  // MS-DOS time and date (local time, two-second precision) of a time in milliseconds
+  function toDosTime(ms) {
+    const d = new Date(ms);
+    return [
+      (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      ((Math.max(d.getFullYear(), 1980) - 1980) << 9) |
+        ((d.getMonth() + 1) << 5) |
+        d.getDate(),
+    ];
+  }
 
-    async transform(chunk, controller) {
-      this.chunks.push(chunk);
-      this.currentSize += chunk.byteLength;
+  function fromDosTime(time, date) {
+    return new Date(
+      (date >> 9) + 1980,
+      ((date >> 5) & 15) - 1,
+      date & 31,
+      time >> 11,
+      (time >> 5) & 63,
+      (time & 31) * 2,
+    ).getTime();
+  }
 
-      if (this.currentSize >= CHUNK_SIZE) {
-        const fullBuffer = new Uint8Array(this.currentSize);
-        let offset = 0;
-        for (const c of this.chunks) {
-          fullBuffer.set(c, offset);
-          offset += c.byteLength;
-        }
+  // Writes a ZIP64 archive with the same entries TarWriter would. Contents are deflated while they stream in, so their CRCs and sizes follow them in data descriptors.
+  class ZipWriter extends TarWriter {
+    constructor(writableStream, yielder) {
+      super(writableStream, yielder);
+      this.central = [];
+      this.centralIndex = new Map(); // path -> index in central
+      this.deflater = null; // Set while an entry's content is written
+    }
 
-        const key = await this.keyPromise;
-        let pos = 0;
-        while (pos + CHUNK_SIZE <= fullBuffer.length) {
-          await this.encryptAndPush(
-            fullBuffer.subarray(pos, pos + CHUNK_SIZE),
-            controller,
-            key,
-          );
-          pos += CHUNK_SIZE;
+    async smartWrite(path, size, contentFn, mtime) {
+      if (this.onEntry) this.onEntry(path, size);
+      this.entries++;
+      this.lastPath = path;
+      const nameBytes = ENC.encode(path);
+      const offset = this.pos;
+      const flags = ZIP_UTF8 | ZIP_DESCRIPTOR;
+      const time = Math.floor(mtime != null ? mtime / 1000 : this.time);
+      await this.write(this.localHeader(nameBytes, flags, 8, time));
+
+      const start = this.pos;
+      const deflate = new CompressionStream("deflate-raw");
+      const reader = deflate.readable.getReader();
+      const pumped = (async () => {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) return;
+          await super.write(value);
         }
+      })();
+      const deflater = {
+        writer: deflate.writable.getWriter(),
+        crc: 0,
+        size: 0,
+      };
+      this.deflater = deflater;
+      try {
+        if (contentFn) await contentFn();
+        await deflater.writer.close();
+        await pumped;
+      } catch (e) {
+        pumped.catch(() => {});
+        deflater.writer.abort(e).catch(() => {});
+        throw e;
+      } finally {
+        this.deflater = null;
+      }
 
-        const remainder = fullBuffer.subarray(pos);
-        this.chunks = remainder.length > 0 ? [remainder] : [];
-        this.currentSize = remainder.length;
+      const entry = {
+        nameBytes,
+        flags,
+        method: 8,
+        crc: deflater.crc,
+        compressedSize: this.pos - start,
+        size: deflater.size,
+        offset,
+        time,
+      };
+      const descriptor = new Uint8Array(24);
+      const view = new DataView(descriptor.buffer);
+      view.setUint32(0, ZIP_SIG.DESCRIPTOR, true);
+      view.setUint32(4, entry.crc, true);
+      view.setBigUint64(8, BigInt(entry.compressedSize), true);
+      view.setBigUint64(16, BigInt(entry.size), true);
+      await this.write(descriptor);
+      // A path written again (like the final manifest) takes over the earlier record, so the central directory lists it once, in its first place
+      const index = this.centralIndex.get(path);
+      if (index === undefined) {
+        this.centralIndex.set(path, this.central.length);
+        this.central.push(entry);
+      } else {
+        this.central[index] = entry;
       }
     }
 
-    async flush(controller) {
-      if (this.currentSize > 0) {
-        const finalBuffer = new Uint8Array(this.currentSize);
-        let offset = 0;
-        for (const c of this.chunks) {
-          finalBuffer.set(c, offset);
-          offset += c.byteLength;
-        }
-        await this.encryptAndPush(
-          finalBuffer,
-          controller,
-          await this.keyPromise,
-        );
-      }
+    async writeDir(path) {
+      if (!path.endsWith("/")) path += "/";
+      if (this.skipped(path)) return;
+      this.entries++;
+      this.lastPath = path;
+      const nameBytes = ENC.encode(path);
+      const offset = this.pos;
+      await this.write(this.localHeader(nameBytes, ZIP_UTF8, 0, this.time));
+      this.central.push({
+        nameBytes,
+        flags: ZIP_UTF8,
+        method: 0,
+        crc: 0,
+        compressedSize: 0,
+        size: 0,
+        offset,
+        time: this.time,
+        dir: true,
+      });
     }
 
-    async encryptAndPush(data, controller, key) {
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      const ciphertext = await crypto.subtle.encrypt(
-        { name: "AES-GCM", iv },
-        key,
-        data,
-      );
-      const lenParams = new DataView(new ArrayBuffer(4));
-      lenParams.setUint32(0, ciphertext.byteLength, true);
-      controller.enqueue(iv);
-      controller.enqueue(new Uint8Array(lenParams.buffer));
-      controller.enqueue(new Uint8Array(ciphertext));
+    async write(chunk) {
+      if (!this.deflater) return super.write(chunk);
+      this.deflater.crc = crc32(chunk, this.deflater.crc);
+      this.deflater.size += chunk.byteLength;
+      await this.deflater.writer.write(chunk);
     }
-  }
 
-  class ChunkBuffer {
-    constructor() {
-      this.chunks = [];
-      this.totalSize = 0;
-      this.offset = 0; // Pointer to start of valid data in chunks[0]
+    // Entries with data descriptors get a ZIP64 extra field, so that their descriptors have 64-bit sizes. Every entry gets an extended timestamp field, as DOS times are local and only have two-second precision.
+    localHeader(nameBytes, flags, method, time) {
+      const zip64 = (flags & ZIP_DESCRIPTOR) !== 0;
+      const n = nameBytes.byteLength;
+      const extraLength = 9 + (zip64 ? 20 : 0);
+      const header = new Uint8Array(30 + n + extraLength);
+      const view = new DataView(header.buffer);
+      const [dosTime, dosDate] = toDosTime(time * 1000);
+      view.setUint32(0, ZIP_SIG.LOCAL, true);
+      view.setUint16(4, zip64 ? 45 : 20, true);
+      view.setUint16(6, flags, true);
+      view.setUint16(8, method, true);
+      view.setUint16(10, dosTime, true);
+      view.setUint16(12, dosDate, true);
+      if (zip64) {
+        view.setUint32(18, 0xffffffff, true);
+        view.setUint32(22, 0xffffffff, true);
+      }
+      view.setUint16(26, n, true);
+      view.setUint16(28, extraLength, true);
+      header.set(nameBytes, 30);
+      let extra = 30 + n;
+      if (zip64) {
+        view.setUint16(extra, 1, true);
+        view.setUint16(extra + 2, 16, true);
+        extra += 20;
+      }
+      this.timestampField(view, extra, time);
+      return header;
     }
 
-    push(chunk) {
-      if (!chunk || chunk.byteLength === 0) return;
-      this.chunks.push(chunk);
-      this.totalSize += chunk.byteLength;
+    timestampField(view, pos, time) {
+      view.setUint16(pos, ZIP_TIMESTAMP, true);
+      view.setUint16(pos + 2, 5, true);
+      view.setUint8(pos + 4, 1); // Only the modification time is present
+      view.setUint32(pos + 5, Math.min(Math.max(time, 0), 0xffffffff), true);
     }
 
-    has(n) {
-      return this.totalSize >= n;
+    centralHeader(entry) {
+      // Values that don't fit in 32 bits move to the ZIP64 extra field, in this order
+      const big = [entry.size, entry.compressedSize, entry.offset].filter(
+        (v) => v >= 0xffffffff,
+      );
+      const n = entry.nameBytes.byteLength;
+      const zip64Length = big.length ? 4 + big.length * 8 : 0;
+      const extraLength = zip64Length + 9;
+      const header = new Uint8Array(46 + n + extraLength);
+      const view = new DataView(header.buffer);
+      const u32 = (v) => Math.min(v, 0xffffffff);
+      const [dosTime, dosDate] = toDosTime(entry.time * 1000);
+      view.setUint32(0, ZIP_SIG.CENTRAL, true);
+      view.setUint16(4, 45, true);
+      view.setUint16(6, entry.dir ? 20 : 45, true);
+      view.setUint16(8, entry.flags, true);
+      view.setUint16(10, entry.method, true);
+      view.setUint16(12, dosTime, true);
+      view.setUint16(14, dosDate, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, u32(entry.compressedSize), true);
+      view.setUint32(24, u32(entry.size), true);
+      view.setUint16(28, n, true);
+      view.setUint16(30, extraLength, true);
+      view.setUint32(38, entry.dir ? 0x10 : 0, true); // MS-DOS directory attribute
+      view.setUint32(42, u32(entry.offset), true);
+      header.set(entry.nameBytes, 46);
+      if (big.length) {
+        view.setUint16(46 + n, 1, true);
+        view.setUint16(48 + n, big.length * 8, true);
+        big.forEach((v, i) =>
+          view.setBigUint64(50 + n + i * 8, BigInt(v), true),
+        );
+      }
+      this.timestampField(view, 46 + n + zip64Length, entry.time);
+      return header;
     }
 
-    _internalConsume(n, callback) {
-      let consumed = 0;
-      while (consumed < n && this.chunks.length > 0) {
-        const chunk = this.chunks[0];
-        const availableInChunk = chunk.byteLength - this.offset;
-        const remainingNeeded = n - consumed;
-        const toTake = Math.min(availableInChunk, remainingNeeded);
+    async close() {
+      const cdOffset = this.pos;
+      for (const entry of this.central) {
+        await this.write(this.centralHeader(entry));
+        const p = this.yielder();
+        if (p) await p;
+      }
+      const cdSize = this.pos - cdOffset;
+      const count = this.central.length;
+
+      if (count >= 0xffff || cdOffset >= 0xffffffff || cdSize >= 0xffffffff) {
+        const end64Offset = this.pos;
+        const end64 = new Uint8Array(76);
+        const view = new DataView(end64.buffer);
+        view.setUint32(0, ZIP_SIG.END64, true);
+        view.setBigUint64(4, 44n, true); // Size of the rest of the record
+        view.setUint16(12, 45, true);
+        view.setUint16(14, 45, true);
+        view.setBigUint64(24, BigInt(count), true);
+        view.setBigUint64(32, BigInt(count), true);
+        view.setBigUint64(40, BigInt(cdSize), true);
+        view.setBigUint64(48, BigInt(cdOffset), true);
+        view.setUint32(56, ZIP_SIG.LOCATOR64, true);
+        view.setBigUint64(64, BigInt(end64Offset), true);
+        view.setUint32(72, 1, true); // Total number of disks
+        await this.write(end64);
+      }
+
+      const end = new Uint8Array(22);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, ZIP_SIG.END, true);
+      view.setUint16(8, Math.min(count, 0xffff), true);
+      view.setUint16(10, Math.min(count, 0xffff), true);
+      view.setUint32(12, Math.min(cdSize, 0xffffffff), true);
+      view.setUint32(16, Math.min(cdOffset, 0xffffffff), true);
+      await this.write(end);
+      await this.flush();
+      await this.writer.close();
+    }
+  }
+
+  const toHex = (bytes) =>
+    Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  const fromHex = (hex) =>
+    new Uint8Array(hex.match(/../g).map((b) => parseInt(b, 16)));
+  const isHex = (value) =>
+    typeof value === "string" && /^([0-9a-f]{2})+$/.test(value);
+
+  const RSA_OAEP_HASHES = {
+    "RSA-OAEP": "SHA-1",
+    "RSA-OAEP-256": "SHA-256",
+    "RSA-OAEP-384": "SHA-384",
+    "RSA-OAEP-512": "SHA-512",
+  };
+  const ECDH_RECIPIENT = "ECDH-P256"; // Ephemeral-static ECDH on P-256, with HKDF-SHA-256 deriving an AES-GCM key that wraps the content key
+
+  // Imports a recipient's public key, or the private key that decrypts for one, from a JWK (or takes a CryptoKey as is). RSA JWKs without an alg use RSA-OAEP-256.
+  async function importRecipientKey(jwk, isPrivate) {
+    if (globalThis.CryptoKey && jwk instanceof CryptoKey) return jwk;
+    if (jwk?.kty === "EC" && jwk.crv === "P-256") {
+      return crypto.subtle.importKey(
+        "jwk",
+        jwk,
+        { name: "ECDH", namedCurve: "P-256" },
+        false,
+        isPrivate ? ["deriveBits"] : [],
+      );
+    }
+    if (jwk?.kty === "RSA" && RSA_OAEP_HASHES[jwk.alg || "RSA-OAEP-256"]) {
+      return crypto.subtle.importKey(
+        "jwk",
+        { ...jwk, alg: jwk.alg || "RSA-OAEP-256" },
+        { name: "RSA-OAEP", hash: RSA_OAEP_HASHES[jwk.alg || "RSA-OAEP-256"] },
+        false,
+        [isPrivate ? "decrypt" : "encrypt"],
+      );
+    }
+    throw new Error(
+      "Recipient keys must be P-256 ECDH or RSA-OAEP keys (as JWKs or CryptoKeys).",
+    );
+  }
+
+  // The name recipient entries use for a key's algorithm
+  function recipientAlgorithm(key) {
+    if (key.algorithm.name === "ECDH") return ECDH_RECIPIENT;
+    const hash = key.algorithm.hash.name;
+    return Object.keys(RSA_OAEP_HASHES).find(
+      (alg) => RSA_OAEP_HASHES[alg] === hash,
+    );
+  }
+
+  async function ecdhWrappingKey(privateKey, publicKey) {
+    const bits = await crypto.subtle.deriveBits(
+      { name: "ECDH", public: publicKey },
+      privateKey,
+      256,
+    );
+    const secret = await crypto.subtle.importKey("raw", bits, "HKDF", false, [
+      "deriveKey",
+    ]);
+    return crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: new Uint8Array(0),
+        info: ENC.encode("LE_EN2 content key"),
+      },
+      secret,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"],
+    );
+  }
+
+  // Encrypts the raw content key to one recipient
+  async function wrapContentKey(rawKey, recipient) {
+    const publicKey = await importRecipientKey(recipient, false);
+    const alg = recipientAlgorithm(publicKey);
+    const entry = { alg };
+    if (recipient.kid) entry.kid = recipient.kid;
+    if (alg === ECDH_RECIPIENT) {
+      const ephemeral = await crypto.subtle.generateKey(
+        { name: "ECDH", namedCurve: "P-256" },
+        true,
+        ["deriveBits"],
+      );
+      const { kty, crv, x, y } = await crypto.subtle.exportKey(
+        "jwk",
+        ephemeral.publicKey,
+      );
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const wrappingKey = await ecdhWrappingKey(
+        ephemeral.privateKey,
+        publicKey,
+      );
+      entry.epk = { kty, crv, x, y };
+      entry.iv = toHex(iv);
+      entry.key = toHex(
+        new Uint8Array(
+          await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv },
+            wrappingKey,
+            rawKey,
+          ),
+        ),
+      );
+    } else {
+      entry.key = toHex(
+        new Uint8Array(
+          await crypto.subtle.encrypt({ name: "RSA-OAEP" }, publicKey, rawKey),
+        ),
+      );
+    }
+    return entry;
+  }
+
+  // Finds the recipient entry privateKey can decrypt, and returns the content key
+  async function unwrapContentKey(recipients, privateKeyInput) {
+    const privateKey = await importRecipientKey(privateKeyInput, true);
+    const alg = recipientAlgorithm(privateKey);
+    for (const entry of recipients) {
+      if (entry?.alg !== alg || !isHex(entry.key)) continue;
+      if (privateKeyInput.kid && entry.kid && privateKeyInput.kid !== entry.kid)
+        continue;
+      try {
+        let rawKey;
+        if (alg === ECDH_RECIPIENT) {
+          const epk = await importRecipientKey(entry.epk, false);
+          rawKey = await crypto.subtle.decrypt(
+            { name: "AES-GCM", iv: fromHex(entry.iv) },
+            await ecdhWrappingKey(privateKey, epk),
+            fromHex(entry.key),
+          );
+        } else {
+          rawKey = await crypto.subtle.decrypt(
+            { name: "RSA-OAEP" },
+            privateKey,
+            fromHex(entry.key),
+          );
+        }
+        return crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, [
+          "encrypt",
+          "decrypt",
+        ]);
+      } catch (e) {} // Wrapped for another key of the same type
+    }
+    throw new Error("The private key isn't one of the archive's recipients.");
+  }
+
+  // Prepares a new LE_EN2 file: the signature, the header's length (UInt16LE) and the header as JSON (which the password check block after it authenticates), with the key for its chunks.
+  // secret is a password, or { recipients } to encrypt a random content key to each of their public keys.
+  async function createEncryption(secret, salt) {
+    let fields, key;
+    if (typeof secret === "string") {
+      fields = {
+        kdf: "PBKDF2",
+        hash: "SHA-256",
+        iterations: KDF_ITERATIONS,
+        salt: toHex(salt),
+      };
+      key = await deriveKey(secret, salt);
+    } else {
+      if (!secret?.recipients?.length) {
+        throw new Error("Encryption needs a password or recipients.");
+      }
+      const rawKey = crypto.getRandomValues(new Uint8Array(32));
+      const recipients = [];
+      for (const recipient of secret.recipients) {
+        recipients.push(await wrapContentKey(rawKey, recipient));
+      }
+      fields = { recipients };
+      key = await crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, [
+        "encrypt",
+        "decrypt",
+      ]);
+    }
+
+    const json = ENC.encode(
+      JSON.stringify({ ...fields, cipher: "AES-GCM", chunkSize: CHUNK_SIZE }),
+    );
+    if (json.byteLength > 0xffff) throw new Error("Too many recipients.");
+    const header = new Uint8Array(8 + json.byteLength);
+    header.set(ENC.encode("LE_EN2"));
+    new DataView(header.buffer).setUint16(6, json.byteLength, true);
+    header.set(json, 8);
+    return { header, key };
+  }
+
+  // Reads the start of an encrypted archive through read(n), which resolves to the next n bytes or null at the end, and checks the credentials against it.
+  // credentials has the password (prompted for if needed and not null) or privateKey, or the key itself when resuming an export.
+  async function openEncryptionHeader(read, credentials) {
+    const sig = await read(6);
+    const version = sig && ENCRYPTION_VERSIONS[DEC.decode(sig)];
+    if (!version) throw new Error("Not an encrypted archive.");
+
+    let salt = null;
+    let iterations = KDF_ITERATIONS;
+    let chunkSize = CHUNK_SIZE;
+    let recipients = null;
+    let additionalData = null;
+    if (version === 1) {
+      salt = await read(16);
+      if (!salt) throw new Error("Corrupt header.");
+    } else {
+      const lengthBytes = await read(2);
+      const json =
+        lengthBytes && (await read(lengthBytes[0] | (lengthBytes[1] << 8)));
+      if (!json) throw new Error("Corrupt header.");
+      let header;
+      try {
+        header = JSON.parse(DEC.decode(json));
+      } catch (e) {
+        throw new Error("Corrupt header.");
+      }
+      const supported = Array.isArray(header.recipients)
+        ? header.kdf === undefined
+        : header.kdf === "PBKDF2" &&
+          header.hash === "SHA-256" &&
+          Number.isInteger(header.iterations) &&
+          header.iterations > 0 &&
+          header.iterations <= MAX_KDF_ITERATIONS &&
+          isHex(header.salt);
+      if (
+        !supported ||
+        header.cipher !== "AES-GCM" ||
+        !Number.isInteger(header.chunkSize) ||
+        header.chunkSize < 1 ||
+        header.chunkSize > MAX_CHUNK_SIZE
+      ) {
+        throw new Error("Unsupported encryption parameters.");
+      }
+      if (header.recipients) recipients = header.recipients;
+      else {
+        salt = fromHex(header.salt);
+        iterations = header.iterations;
+      }
+      chunkSize = header.chunkSize;
+      additionalData = new Uint8Array(8 + json.byteLength);
+      additionalData.set(sig);
+      additionalData.set(lengthBytes, 6);
+      additionalData.set(json, 8);
+    }
+
+    let key = credentials.key;
+    if (!key && recipients) {
+      if (!credentials.privateKey) {
+        throw new Error("A private key is required to decrypt this data.");
+      }
+      key = await unwrapContentKey(recipients, credentials.privateKey);
+    } else if (!key) {
+      const password = await getArchivePassword(credentials.password);
+      key = await deriveKey(password, salt, iterations);
+    }
+    const iv = await read(12);
+    const lengthBytes = await read(4);
+    const check =
+      lengthBytes && readUint32(lengthBytes) === 16 && (await read(16));
+    if (!iv || !check) throw new Error("Corrupt header.");
+    try {
+      await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv, ...(additionalData && { additionalData }) },
+        key,
+        check,
+      );
+    } catch (e) {
+      throw new Error("Incorrect password or corrupt file.");
+    }
+    return { version, key, chunkSize };
+  }
+
+  const readUint32 = (bytes) =>
+    new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(
+      0,
+      true,
+    );
+
+  // Additional data of a version 2 chunk: its index (UInt64LE) and whether it's the last one, so that chunks can't be reordered, repeated or cut off
+  function chunkAdditionalData(index, final) {
+    const data = new Uint8Array(9);
+    new DataView(data.buffer).setBigUint64(0, BigInt(index), true);
+    data[8] = final ? 1 : 0;
+    return data;
+  }
+
+  // Writes the LE_EN2 format. secret is a password or { recipients } (see createEncryption).
+  // When appending to an existing file (which already has the header), resumeIndex is the number of chunks it has, and secret is its password or { key }.
+  class EncryptionTransformer {
+    constructor(secret, salt, resumeIndex = null) {
+      this.salt = salt;
+      this.resumed = resumeIndex !== null;
+      this.index = resumeIndex || 0;
+      this.setup = this.resumed
+        ? Promise.resolve({
+            key:
+              typeof secret === "string" ? deriveKey(secret, salt) : secret.key,
+          })
+        : createEncryption(secret, salt);
+      this.keyPromise = this.setup.then((setup) => setup.key);
+      this.keyPromise.catch(() => {}); // A failed setup is thrown by start()
+      this.chunks = [];
+      this.currentSize = 0;
+    }
+
+    async start(controller) {
+      if (this.resumed) return;
+      const setup = await this.setup;
+      controller.enqueue(setup.header);
+      await this.encryptAndPush(
+        new Uint8Array(0),
+        controller,
+        setup.key,
+        setup.header,
+      );
+    }
+
+    async transform(chunk, controller) {
+      if (chunk === CHECKPOINT_MARK) {
+        await this.pushBuffered(controller, false);
+        this.chunks = [];
+        this.currentSize = 0;
+        controller.enqueue(chunk);
+        return;
+      }
+      this.chunks.push(chunk);
+      this.currentSize += chunk.byteLength;
+
+      if (this.currentSize >= CHUNK_SIZE) {
+        const fullBuffer = new Uint8Array(this.currentSize);
+        let offset = 0;
+        for (const c of this.chunks) {
+          fullBuffer.set(c, offset);
+          offset += c.byteLength;
+        }
+
+        const key = await this.keyPromise;
+        let pos = 0;
+        while (pos + CHUNK_SIZE <= fullBuffer.length) {
+          await this.encryptAndPush(
+            fullBuffer.subarray(pos, pos + CHUNK_SIZE),
+            controller,
+            key,
+            chunkAdditionalData(this.index++, false),
+          );
+          pos += CHUNK_SIZE;
+        }
+
+        const remainder = fullBuffer.subarray(pos);
+        this.chunks = remainder.length > 0 ? [remainder] : [];
+        this.currentSize = remainder.length;
+      }
+    }
+
+    // The last chunk is written even if it's empty, since it marks the end
+    async flush(controller) {
+      await this.pushBuffered(controller, true);
+    }
+
+    async pushBuffered(controller, final) {
+      if (this.currentSize === 0 && !final) return;
+      const buffer = new Uint8Array(this.currentSize);
+      let offset = 0;
+      for (const c of this.chunks) {
+        buffer.set(c, offset);
+        offset += c.byteLength;
+      }
+      await this.encryptAndPush(
+        buffer,
+        controller,
+        await this.keyPromise,
+        chunkAdditionalData(this.index++, final),
+      );
+    }
+
+    async encryptAndPush(data, controller, key, additionalData) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv, additionalData },
+        key,
+        data,
+      );
+      const lenParams = new DataView(new ArrayBuffer(4));
+      lenParams.setUint32(0, ciphertext.byteLength, true);
+      controller.enqueue(iv);
+      controller.enqueue(new Uint8Array(lenParams.buffer));
+      controller.enqueue(new Uint8Array(ciphertext));
+    }
+  }
+
+  // Gzip split into members of up to GZIP_MEMBER_SIZE input bytes. Concatenated members are still a valid gzip file, and each header carries the member's size in an "LE" extra field (like BGZF) so that readers can split them again.
+  // When seekable, members keeps where each member starts ([input offset, output offset]), and the output ends with a trailer member pointing at the seek index.
+  class BlockGzipTransformer {
+    constructor(seekable = false) {
+      this.chunks = [];
+      this.currentSize = 0;
+      this.members = seekable ? [] : null;
+      this.inputSize = 0; // Of the members written so far
+      this.outputSize = 0;
+      this.indexOffset = null;
+    }
+
+    async transform(chunk, controller) {
+      if (chunk === CHECKPOINT_MARK) {
+        await this.endMember(controller);
+        controller.enqueue(chunk);
+        return;
+      }
+      if (chunk === SEEK_INDEX_MARK) {
+        await this.endMember(controller);
+        this.indexOffset = this.outputSize;
+        return;
+      }
+      this.chunks.push(chunk);
+      this.currentSize += chunk.byteLength;
+      if (this.currentSize >= GZIP_MEMBER_SIZE) {
+        await this.endMember(controller);
+      }
+    }
+
+    async flush(controller) {
+      await this.endMember(controller);
+      if (this.indexOffset !== null) {
+        controller.enqueue(seekTrailer(this.indexOffset));
+      }
+    }
+
+    async endMember(controller) {
+      if (this.currentSize === 0) return;
+      const gz = new Uint8Array(
+        await new Response(
+          new Blob(this.chunks)
+            .stream()
+            .pipeThrough(new CompressionStream("gzip")),
+        ).arrayBuffer(),
+      );
+      if (this.members) this.members.push([this.inputSize, this.outputSize]);
+      this.inputSize += this.currentSize;
+      this.chunks = [];
+      this.currentSize = 0;
+
+      if (gz[3] !== 0) throw new Error("Unexpected gzip header.");
+      const member = new Uint8Array(gz.byteLength + 10);
+      const view = new DataView(member.buffer);
+      member.set(gz.subarray(0, 10), 0);
+      member[3] = 4; // FEXTRA
+      view.setUint16(10, 8, true); // XLEN
+      member[12] = 76; // "L"
+      member[13] = 69; // "E"
+      view.setUint16(14, 4, true);
+      view.setUint32(16, member.byteLength, true);
+      member.set(gz.subarray(10), 20);
+      this.outputSize += member.byteLength;
+      controller.enqueue(member);
+    }
+  }
+
+  // The last member of a seekable archive: an empty member whose extra field also has an "LI" subfield, with the offset of the seek index's member (UInt64LE)
+  function seekTrailer(indexOffset) {
+    const member = new Uint8Array(SEEK_TRAILER_SIZE);
+    const view = new DataView(member.buffer);
+    member.set([0x1f, 0x8b, 8, 4]); // FEXTRA
+    member[9] = 255; // Unknown OS
+    view.setUint16(10, 20, true); // XLEN
+    member[12] = 76; // "L"
+    member[13] = 69; // "E"
+    view.setUint16(14, 4, true);
+    view.setUint32(16, SEEK_TRAILER_SIZE, true);
+    member[20] = 76; // "L"
+    member[21] = 73; // "I"
+    view.setUint16(22, 8, true);
+    view.setBigUint64(24, BigInt(indexOffset), true);
+    member[32] = 3; // An empty final deflate block, followed by a CRC and size of 0
+    return member;
+  }
+
+  // Returns the offset of the seek index from the last SEEK_TRAILER_SIZE bytes of a gzip stream, or null if they aren't a trailer
+  function readSeekTrailer(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (
+      bytes.byteLength !== SEEK_TRAILER_SIZE ||
+      bytes[0] !== 0x1f ||
+      bytes[1] !== 0x8b ||
+      !(bytes[3] & 4) ||
+      bytes[20] !== 76 ||
+      bytes[21] !== 73 ||
+      view.getUint16(22, true) !== 8
+    ) {
+      return null;
+    }
+    return Number(view.getBigUint64(24, true));
+  }
+
+  // Decompresses a single gzip member
+  async function gunzipMember(member) {
+    return new Uint8Array(
+      await new Response(
+        new Blob([member])
+          .stream()
+          .pipeThrough(new DecompressionStream("gzip")),
+      ).arrayBuffer(),
+    );
+  }
+
+  // Decompresses gzip, including the members of block gzip one by one (DecompressionStream stops after the first member)
+  function gunzip(readableStream) {
+    const buffer = new ChunkBuffer();
+    let reader;
+    let inner = null; // Plain gzip goes through a single DecompressionStream
+
+    async function ensure(n) {
+      while (!buffer.has(n)) {
+        const { value, done } = await reader.read();
+        if (done) return false;
+        buffer.push(value);
+      }
+      return true;
+    }
+
+    return new ReadableStream({
+      async start() {
+        reader = readableStream.getReader();
+        const header = (await ensure(20)) ? buffer.peek(20) : null;
+        const blocked =
+          header &&
+          header[3] & 4 &&
+          header[12] === 76 &&
+          header[13] === 69 &&
+          header[14] === 4;
+        if (blocked) return;
+
+        const rest = new ReadableStream({
+          start(controller) {
+            if (buffer.totalSize > 0) {
+              controller.enqueue(buffer.read(buffer.totalSize));
+            }
+          },
+          async pull(controller) {
+            const { value, done } = await reader.read();
+            if (done) controller.close();
+            else controller.enqueue(value);
+          },
+          cancel: (reason) => reader.cancel(reason),
+        });
+        inner = rest.pipeThrough(new DecompressionStream("gzip")).getReader();
+      },
+      async pull(controller) {
+        if (inner) {
+          const { value, done } = await inner.read();
+          if (done) controller.close();
+          else controller.enqueue(value);
+          return;
+        }
+        if (!(await ensure(20))) {
+          if (buffer.totalSize > 0) throw new Error("Truncated gzip member.");
+          controller.close();
+          return;
+        }
+        const header = buffer.peek(20);
+        const size = new DataView(header.buffer).getUint32(16, true);
+        if (!(await ensure(size))) throw new Error("Truncated gzip member.");
+        controller.enqueue(await gunzipMember(buffer.read(size)));
+      },
+      cancel: (reason) => (inner || reader).cancel(reason),
+    });
+  }
+
+  class ChunkBuffer {
+    constructor() {
+      this.chunks = [];
+      this.totalSize = 0;
+      this.offset = 0; // Pointer to start of valid data in chunks[0]
+    }
+
+    push(chunk) {
+      if (!chunk || chunk.byteLength === 0) return;
+      this.chunks.push(chunk);
+      this.totalSize += chunk.byteLength;
+    }
+
+    has(n) {
+      return this.totalSize >= n;
+    }
+
+    // Copies the first n bytes without consuming them
+    peek(n) {
+      const result = new Uint8Array(n);
+      let offset = 0;
+      let start = this.offset;
+      for (const chunk of this.chunks) {
+        const part = chunk.subarray(start, start + n - offset);
+        result.set(part, offset);
+        offset += part.byteLength;
+        start = 0;
+        if (offset >= n) break;
+      }
+      return result;
+    }
+
+    _internalConsume(n, callback) {
+      let consumed = 0;
+      while (consumed < n && this.chunks.length > 0) {
+        const chunk = this.chunks[0];
+        const availableInChunk = chunk.byteLength - this.offset;
+        const remainingNeeded = n - consumed;
+        const toTake = Math.min(availableInChunk, remainingNeeded);
 
         callback(chunk.subarray(this.offset, this.offset + toTake));
 
@@ -619,10 +1971,11 @@
     }
   }
 
+  // credentials are { password, privateKey } (see openEncryptionHeader)
   class DecryptionSource {
-    constructor(readableStream, password, yielder) {
+    constructor(readableStream, credentials, yielder) {
       this.stream = readableStream;
-      this.password = password;
+      this.credentials = credentials;
       this.yielder = yielder;
       this.buffer = new ChunkBuffer();
     }
@@ -644,107 +1997,1143 @@
         async start(controller) {
           reader = self.stream.getReader();
           try {
-            if (!(await ensure(22)))
-              throw new Error("Not an encrypted archive.");
-            const sig = DEC.decode(self.buffer.read(6));
-            if (sig !== "LE_ENC") throw new Error("Not an encrypted archive.");
-
-            const salt = self.buffer.read(16);
-            const key = await deriveKey(self.password, salt);
-
-            if (!(await ensure(16))) throw new Error("Corrupt header.");
-            const initIV = self.buffer.read(12);
-            const initLenRaw = self.buffer.read(4);
-            const initLen = new DataView(
-              initLenRaw.buffer,
-              initLenRaw.byteOffset,
-              initLenRaw.byteLength,
-            ).getUint32(0, true);
-
-            if (initLen !== 16 || !(await ensure(initLen)))
-              throw new Error("Corrupt header.");
-            const initCipher = self.buffer.read(initLen);
-            try {
-              await crypto.subtle.decrypt(
-                { name: "AES-GCM", iv: initIV },
-                key,
-                initCipher,
-              );
-            } catch (e) {
-              throw new Error("Incorrect password or corrupt file.");
-            }
+            const { version, key, chunkSize } = await openEncryptionHeader(
+              async (n) => ((await ensure(n)) ? self.buffer.read(n) : null),
+              self.credentials,
+            );
+            self.key = key;
 
+            let index = 0;
             while (true) {
               const p = self.yielder();
               if (p) await p;
 
-              if (!self.buffer.has(16)) {
+              if (!(await ensure(16))) {
+                if (self.buffer.totalSize === 0 && version === 1) break;
+                throw new Error("Truncated encrypted stream.");
+              }
+              const iv = self.buffer.read(12);
+              const lenVal = readUint32(self.buffer.read(4));
+              if (version > 1 && lenVal > chunkSize + 16) {
+                throw new Error(`Encrypted chunk ${index} is corrupt.`);
+              }
+
+              while (!self.buffer.has(lenVal)) {
                 const { value, done } = await reader.read();
-                if (done) {
-                  if (self.buffer.totalSize === 0) break;
-                  throw new Error("Truncated encrypted stream.");
-                }
+                if (done) throw new Error("Unexpected EOF in ciphertext.");
                 self.buffer.push(value);
-                continue;
+                const p2 = self.yielder();
+                if (p2) await p2;
               }
-              const iv = self.buffer.read(12);
-              const lenRaw = self.buffer.read(4);
-              const lenVal = new DataView(
-                lenRaw.buffer,
-                lenRaw.byteOffset,
-                lenRaw.byteLength,
-              ).getUint32(0, true);
+              const cipher = self.buffer.read(lenVal);
+
+              // Version 2 chunks only decrypt at their own index, and the last one only at the end of the stream
+              const final = version > 1 && !(await ensure(1));
+              let plain;
+              try {
+                plain = await crypto.subtle.decrypt(
+                  version > 1
+                    ? {
+                        name: "AES-GCM",
+                        iv,
+                        additionalData: chunkAdditionalData(index, final),
+                      }
+                    : { name: "AES-GCM", iv },
+                  key,
+                  cipher,
+                );
+              } catch (e) {
+                throw new Error(
+                  version > 1
+                    ? `Encrypted chunk ${index} is corrupt, out of order or truncated.`
+                    : "Corrupt encrypted chunk.",
+                );
+              }
+              index++;
+
+              const pForce = self.yielder(true);
+              if (pForce) await pForce;
+
+              controller.enqueue(new Uint8Array(plain));
+              if (final) break;
+            }
+            controller.close();
+          } catch (e) {
+            controller.error(e);
+          } finally {
+            reader.releaseLock();
+          }
+        },
+      });
+    }
+  }
+
+  function verifyChecksum(header) {
+    const claimedStr = DEC.decode(header.slice(148, 156))
+      .replace(/\0/g, "")
+      .trim();
+    const claimed = parseInt(claimedStr, 8);
+
+    if (isNaN(claimed)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      // The 8 bytes at 148 must be treated as spaces (ASCII 32)
+      if (i >= 148 && i < 156) sum += 32;
+      else sum += header[i];
+    }
+    return sum === claimed;
+  }
+
+  function parsePax(paxBytes) {
+    const res = {};
+    let pos = 0;
+    while (pos < paxBytes.length) {
+      // Find the first space to get the length
+      let spacePos = -1;
+      for (let i = pos; i < paxBytes.length; i++) {
+        if (paxBytes[i] === 32) {
+          spacePos = i;
+          break;
+        }
+      }
+      if (spacePos === -1) break;
+
+      const lenStr = DEC.decode(paxBytes.subarray(pos, spacePos));
+      const len = parseInt(lenStr, 10);
+      if (isNaN(len)) break;
+
+      // Slice the exact byte range for this record
+      const recordBytes = paxBytes.subarray(pos, pos + len);
+      const recordStr = DEC.decode(recordBytes);
+
+      const eq = recordStr.indexOf("=");
+      if (eq !== -1) {
+        const spaceIdx = recordStr.indexOf(" ");
+        const key = recordStr.slice(spaceIdx + 1, eq);
+        const val = recordStr.slice(eq + 1, -1); // remove trailing \n
+        res[key] = val;
+      }
+      pos += len;
+    }
+    return res;
+  }
+
+  // Reads entries from an uncompressed tar stream. Unread entry data (and its padding) is skipped automatically by next().
+  class TarReader {
+    constructor(readableStream, yielder, verify = true) {
+      this.reader = readableStream.getReader();
+      this.yielder = yielder;
+      this.verify = verify;
+      this.buffer = new ChunkBuffer();
+      this.done = false;
+      this.bytesRead = 0;
+      this.entriesRead = 0;
+      this.foundEofMarker = false;
+      this.remaining = 0; // Unread bytes of the current entry
+      this.padding = 0;
+      this.entry = null;
+      // When hashing is on, the SHA-256 of every fully read entry is kept in digests (path -> hex)
+      this.hashing = false;
+      this.sha = null;
+      this.digests = new Map();
+    }
+
+    async pull() {
+      const { value, done } = await this.reader.read();
+      if (done) {
+        this.done = true;
+        return null;
+      }
+      this.bytesRead += value.byteLength;
+      return value;
+    }
+
+    async ensure(n) {
+      while (!this.buffer.has(n) && !this.done) {
+        this.buffer.push(await this.pull());
+      }
+      return this.buffer.has(n);
+    }
+
+    async skip(n) {
+      let remaining = n;
+      while (remaining > 0) {
+        if (this.buffer.totalSize === 0 && !this.done) await this.ensure(1);
+        if (this.buffer.totalSize === 0) break;
+        const toSkip = Math.min(remaining, this.buffer.totalSize);
+        this.buffer.read(toSkip); // discard
+        remaining -= toSkip;
+      }
+    }
+
+    // Returns { name, size, typeFlag, header, pax } for the next entry, or null once the archive ends.
+    async next() {
+      if (this.sha && this.remaining === 0) {
+        this.digests.set(this.entry.name, this.sha.digest());
+      }
+      this.sha = null;
+      await this.skip(this.remaining + this.padding);
+      this.remaining = 0;
+      this.padding = 0;
+      let pax = null;
+
+      while (true) {
+        if (!(await this.ensure(512))) {
+          // Stream ended but we never saw the two null blocks
+          if (this.verify && !this.foundEofMarker) {
+            // If we processed at least one file, consider it successful anyway
+            if (this.entriesRead > 0 && this.buffer.totalSize === 0) {
+              LittleExport.warn(
+                "Warning: Stream ended without standard EOF blocks; import likely successful.",
+              );
+            } else {
+              throw new Error("Archive truncated: Stream ended prematurely.");
+            }
+          }
+          return null;
+        }
+
+        const header = this.buffer.read(512);
+
+        // Check for the first EOF block (all zeros)
+        if (this.verify && header[0] === 0 && header.every((b) => b === 0)) {
+          this.foundEofMarker = true;
+          continue;
+        }
+
+        if (this.verify && !verifyChecksum(header)) {
+          // Relaxed check: if we are at EOF (trailing garbage) and have processed files, stop.
+          if (
+            this.entriesRead > 0 &&
+            this.buffer.totalSize === 0 &&
+            this.done
+          ) {
+            return null;
+          }
+          throw new Error("Corrupt TAR header: Checksum mismatch.");
+        }
+
+        let name = DEC.decode(header.slice(0, 100)).replace(/\0/g, "").trim();
+        const typeFlag = header[156]; // '0', '5', 'x'
+        const sizeStr = DEC.decode(header.slice(124, 136))
+          .replace(/\0/g, "")
+          .trim();
+        let size = parseInt(sizeStr, 8) || 0;
+        const mtimeStr = DEC.decode(header.slice(136, 148))
+          .replace(/\0/g, "")
+          .trim();
+        let mtime = (parseInt(mtimeStr, 8) || 0) * 1000;
+
+        if (typeFlag === 120) {
+          if (!(await this.ensure(size))) throw new Error("Unexpected EOF.");
+          pax = parsePax(this.buffer.read(size));
+          await this.skip((512 - (size % 512)) % 512);
+          continue; // Move to the next block which contains the actual file
+        }
+
+        if (pax) {
+          if (pax.path) name = pax.path;
+          if (pax.size) size = parseInt(pax.size, 10);
+          if (pax.mtime) mtime = Math.round(parseFloat(pax.mtime) * 1000);
+        }
+
+        this.entriesRead++;
+        this.remaining = size;
+        this.padding = (512 - (size % 512)) % 512;
+        this.entry = { name, size, mtime, typeFlag, header, pax };
+        if (this.hashing) this.sha = new Sha256();
+        return this.entry;
+      }
+    }
+
+    // Reads the whole current entry into memory
+    async read() {
+      if (!(await this.ensure(this.remaining)))
+        throw new Error("Unexpected EOF for metadata.");
+      const data = this.buffer.read(this.remaining);
+      this.remaining = 0;
+      if (this.sha) this.sha.update(data);
+      return data;
+    }
+
+    // Streams the current entry into a writer, closing it afterwards (or aborting on failure)
+    async pipeTo(writer) {
+      const size = this.remaining;
+      try {
+        while (this.remaining > 0) {
+          const p = this.yielder();
+          if (p) {
+            if (this.onFileProgress)
+              this.onFileProgress(size - this.remaining, size);
+            await p;
+          }
+
+          if (this.buffer.totalSize > 0) {
+            const batchSize = Math.min(this.remaining, this.buffer.totalSize);
+            await this.buffer.consume(batchSize, async (chunk) => {
+              if (this.sha) this.sha.update(chunk);
+              await writer.write(chunk);
+              this.remaining -= chunk.byteLength;
+            });
+          } else {
+            const value = await this.pull();
+            if (!value) throw new Error("Unexpected EOF.");
+            const chunk =
+              value.byteLength <= this.remaining
+                ? value
+                : value.subarray(0, this.remaining);
+            if (chunk !== value)
+              this.buffer.push(value.subarray(chunk.byteLength));
+            if (this.sha) this.sha.update(chunk);
+            await writer.write(chunk);
+            this.remaining -= chunk.byteLength;
+          }
+        }
+      } catch (e) {
+        try {
+          await writer.abort();
+        } catch (_) {}
+        throw e;
+      } finally {
+        try {
+          await writer.close();
+        } catch (e) {}
+      }
+    }
+  }
+
+  // Compares the digests a TarReader collected with a checksums file. Returns how many entries were compared and the paths that didn't match.
+  function compareChecksums(checksumsText, digests) {
+    let checked = 0;
+    const mismatches = [];
+    for (const line of checksumsText.split("\n")) {
+      if (!line) continue;
+      // sha256sum format: "<hex>  <path>"
+      const hash = line.slice(0, 64);
+      const path = line.slice(66);
+      if (!digests.has(path)) continue;
+      checked++;
+      if (digests.get(path) !== hash) mismatches.push(path);
+    }
+    return { checked, mismatches };
+  }
+
+  // Lists the entries of a ZIP file from its central directory
+  async function readZipDirectory(blob) {
+    const tailSize = Math.min(blob.size, 65557); // End record plus the longest comment
+    const tailStart = blob.size - tailSize;
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+    let endPos = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === ZIP_SIG.END) {
+        endPos = i;
+        break;
+      }
+    }
+    if (endPos < 0) throw new Error("ZIP end of central directory not found.");
+
+    let count = tail.getUint16(endPos + 10, true);
+    let cdSize = tail.getUint32(endPos + 12, true);
+    let cdOffset = tail.getUint32(endPos + 16, true);
+    if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+      const locator = endPos - 20;
+      if (locator < 0 || tail.getUint32(locator, true) !== ZIP_SIG.LOCATOR64) {
+        throw new Error("ZIP64 end of central directory not found.");
+      }
+      const end64Offset = Number(tail.getBigUint64(locator + 8, true));
+      const end64 = new DataView(
+        await blob.slice(end64Offset, end64Offset + 56).arrayBuffer(),
+      );
+      if (end64.getUint32(0, true) !== ZIP_SIG.END64) {
+        throw new Error("ZIP64 end of central directory not found.");
+      }
+      count = Number(end64.getBigUint64(32, true));
+      cdSize = Number(end64.getBigUint64(40, true));
+      cdOffset = Number(end64.getBigUint64(48, true));
+    }
+
+    const cd = new Uint8Array(
+      await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer(),
+    );
+    const view = new DataView(cd.buffer);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pos, true) !== ZIP_SIG.CENTRAL) {
+        throw new Error("Invalid ZIP central directory.");
+      }
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraLength = view.getUint16(pos + 30, true);
+      const commentLength = view.getUint16(pos + 32, true);
+      const entry = {
+        name: DEC.decode(cd.subarray(pos + 46, pos + 46 + nameLength)),
+        flags: view.getUint16(pos + 8, true),
+        method: view.getUint16(pos + 10, true),
+        crc: view.getUint32(pos + 16, true),
+        compressedSize: view.getUint32(pos + 20, true),
+        size: view.getUint32(pos + 24, true),
+        offset: view.getUint32(pos + 42, true),
+        mtime: fromDosTime(
+          view.getUint16(pos + 12, true),
+          view.getUint16(pos + 14, true),
+        ),
+      };
+
+      // 32-bit fields set to 0xFFFFFFFF are in the ZIP64 extra field, in this order
+      let extra = pos + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = view.getUint16(extra, true);
+        const length = view.getUint16(extra + 2, true);
+        if (id === 1) {
+          let field = extra + 4;
+          for (const key of ["size", "compressedSize", "offset"]) {
+            if (entry[key] !== 0xffffffff) continue;
+            entry[key] = Number(view.getBigUint64(field, true));
+            field += 8;
+          }
+        } else if (id === ZIP_TIMESTAMP && length >= 5) {
+          if (view.getUint8(extra + 4) & 1) {
+            entry.mtime = view.getUint32(extra + 5, true) * 1000;
+          }
+        }
+        extra += 4 + length;
+      }
+
+      entries.push(entry);
+      pos = extraEnd + commentLength;
+    }
+    return entries;
+  }
+
+  // Returns the (decompressed and CRC-checked) content of a ZIP entry
+  async function openZipEntry(blob, entry) {
+    if (entry.flags & 1) {
+      throw new Error(`Encrypted ZIP entries aren't supported: ${entry.name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(
+        `Unsupported ZIP compression method ${entry.method}: ${entry.name}`,
+      );
+    }
+    const local = new DataView(
+      await blob.slice(entry.offset, entry.offset + 30).arrayBuffer(),
+    );
+    if (local.getUint32(0, true) !== ZIP_SIG.LOCAL) {
+      throw new Error(`Invalid ZIP local header: ${entry.name}`);
+    }
+    const dataStart =
+      entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+
+    let stream = blob
+      .slice(dataStart, dataStart + entry.compressedSize)
+      .stream();
+    if (entry.method === 8) {
+      stream = stream.pipeThrough(new DecompressionStream("deflate-raw"));
+    }
+    let crc = 0;
+    return stream.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          crc = crc32(chunk, crc);
+          controller.enqueue(chunk);
+        },
+        flush() {
+          if (crc !== entry.crc) throw new Error(`CRC mismatch: ${entry.name}`);
+        },
+      }),
+    );
+  }
+
+  // Turns a ZIP file (Blob/File) into a tar stream, like folderToTarStream
+  function zipToTarStream(blob, yielder = createYielder()) {
+    const { readable, writable } = new TransformStream();
+    const tar = new TarWriter(writable, yielder);
+
+    (async () => {
+      try {
+        for (const entry of await readZipDirectory(blob)) {
+          const name = entry.name.replace(/\\/g, "/");
+          if (name.endsWith("/")) {
+            await tar.writeDir(name);
+          } else {
+            await tar.writeStream(
+              name,
+              entry.size,
+              await openZipEntry(blob, entry),
+              entry.mtime,
+            );
+          }
+        }
+        await tar.close();
+      } catch (e) {
+        await tar.writer.abort(e).catch(() => {}); // The writable is locked by the TarWriter
+      }
+    })();
+
+    return readable;
+  }
+
+  // Reads the first n bytes of a stream, returning them with a stream that still starts at the beginning
+  async function peekStream(stream, n) {
+    const reader = stream.getReader();
+    const buffer = new ChunkBuffer();
+    while (!buffer.has(n)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer.push(value);
+    }
+    const head = buffer.peek(Math.min(n, buffer.totalSize));
+    return {
+      head,
+      stream: new ReadableStream({
+        start(controller) {
+          if (buffer.totalSize > 0) {
+            controller.enqueue(buffer.read(buffer.totalSize));
+          }
+        },
+        async pull(controller) {
+          const { value, done } = await reader.read();
+          if (done) controller.close();
+          else controller.enqueue(value);
+        },
+        cancel: (reason) => reader.cancel(reason),
+      }),
+    };
+  }
+
+  const isZip = (bytes) =>
+    bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 3 && bytes[3] === 4;
+
+  // Returns the bytes of a URL, Blob/File or anything with .stream()
+  // info.size is set to the source's size in bytes when it's known (a Blob's size or the Content-Length of a URL)
+  async function openSourceStream(sourceInput, fetchInit, info = {}) {
+    if (typeof sourceInput === "string") {
+      const response = await fetch(sourceInput, fetchInit);
+      if (!response.ok) throw new Error("Fetching of URL failed.");
+      const length = Number(response.headers.get("Content-Length"));
+      if (length > 0) info.size = length;
+      return response.body;
+    } else if (sourceInput && typeof sourceInput.stream === "function") {
+      if (sourceInput instanceof Blob) info.size = sourceInput.size;
+      return sourceInput.stream();
+    }
+    throw new Error("Invalid source.");
+  }
+
+  // Asks for the password of an encrypted archive unless one was passed. password: null never prompts.
+  async function getArchivePassword(password) {
+    if (password === null) {
+      throw new Error("A password is required to decrypt this data.");
+    }
+    password = password || (await callHost("prompt", "Enter the password:"));
+    if (!password)
+      throw new Error("A password is required to decrypt this data.");
+    return password;
+  }
+
+  // Opens an archive source (URL, Blob/File or anything with .stream()) and returns the plain tar stream, decrypting and decompressing as needed. ZIP files are read through their central directory, so streamed ones are buffered into a Blob first.
+  async function openArchiveStream(
+    sourceInput,
+    opts = {},
+    yielder = createYielder(),
+    info = {}, // See openSourceStream. info.bytesRead is also kept up to date, unless it's a ZIP archive. info.key is the key of an encrypted archive: used instead of a password or private key if set, and set once the archive is opened.
+  ) {
+    if (!sourceInput) sourceInput = await callHost("pickFile");
+    const rawStream = await openSourceStream(
+      sourceInput,
+      opts.signal ? { ...opts.fetchInit, signal: opts.signal } : opts.fetchInit,
+      info,
+    );
+
+    const rawReader = rawStream.getReader();
+    const initialChunks = [];
+    let initialBytes = 0;
+
+    while (initialBytes < 8) {
+      const { value, done } = await rawReader.read();
+      if (done) break;
+      initialChunks.push(value);
+      initialBytes += value.byteLength;
+    }
+    rawReader.releaseLock();
+
+    const probeHeader = new Uint8Array(8);
+    if (initialBytes > 0) {
+      let offset = 0;
+      for (const chunk of initialChunks) {
+        const needed = 8 - offset;
+        if (needed <= 0) break;
+        const toCopy = Math.min(needed, chunk.byteLength);
+        probeHeader.set(chunk.subarray(0, toCopy), offset);
+        offset += toCopy;
+      }
+    }
+
+    // A ZIP file is read from its end, so there's no need to stream it
+    if (isZip(probeHeader) && sourceInput instanceof Blob) {
+      rawStream.cancel().catch(() => {});
+      return zipToTarStream(sourceInput, yielder);
+    }
+
+    const combinedStream = new ReadableStream({
+      async start(controller) {
+        for (const chunk of initialChunks) {
+          controller.enqueue(chunk);
+        }
+        const reader = rawStream.getReader();
+        try {
+          while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            controller.enqueue(value);
+          }
+          controller.close();
+        } catch (e) {
+          controller.error(e);
+        }
+      },
+    });
+
+    // Counts the archive bytes that have been read (ZIP archives are read through their central directory instead)
+    info.bytesRead = 0;
+    const sourceStream = combinedStream.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          info.bytesRead += chunk.byteLength;
+          controller.enqueue(chunk);
+        },
+      }),
+    );
+
+    const sig = DEC.decode(probeHeader.slice(0, 6));
+
+    if (ENCRYPTION_VERSIONS[sig]) {
+      const decryption = new DecryptionSource(
+        sourceStream,
+        { password: opts.password, privateKey: opts.privateKey, key: info.key },
+        yielder,
+      );
+      const { head, stream } = await peekStream(decryption.readable(), 4);
+      info.key = decryption.key;
+      if (isZip(head)) {
+        delete info.bytesRead;
+        return zipToTarStream(await new Response(stream).blob(), yielder);
+      }
+      return gunzip(stream);
+    } else if (probeHeader[0] === 0x1f && probeHeader[1] === 0x8b) {
+      return gunzip(sourceStream);
+    } else if (isZip(probeHeader)) {
+      delete info.bytesRead;
+      return zipToTarStream(await new Response(sourceStream).blob(), yielder);
+    }
+    return sourceStream;
+  }
+
+  function createDecoder(cborOptions) {
+    return new globalThis.CBOR.Decoder({
+      structuredClone: true, // Circular references may cause errors/problems if disabled.
+      bundleStrings: true, // Optimization for strings at the cost of inconsistency with the formal CBOR spec (and lack of explicit documentation in cbor-x to parse). See the LittleExport README for more information.
+      copyBuffers: false, // Free optimization of preventing copying of buffers (less memory use).
+      // implied
+      ...cborOptions,
+    });
+  }
+
+  // Opens a database, rejecting instead of hanging if another connection blocks it
+  function openDatabase(name, version, onUpgrade) {
+    return new Promise((resolve, reject) => {
+      const req = version
+        ? indexedDB.open(name, version)
+        : indexedDB.open(name);
+      const timeout = setTimeout(
+        () => reject(new Error(`Database ${name} timed out.`)),
+        5000,
+      );
+      if (onUpgrade) {
+        req.onupgradeneeded = () => {
+          clearTimeout(timeout); // Upgrades can legitimately take a while
+          onUpgrade(req.result, req.transaction);
+        };
+      }
+      req.onblocked = () => {
+        clearTimeout(timeout);
+        reject(new Error(`Database ${name} blocked.`));
+      };
+      req.onsuccess = () => {
+        clearTimeout(timeout);
+        resolve(req.result);
+      };
+      req.onerror = () => {
+        clearTimeout(timeout);
+        reject(req.error);
+      };
+    });
+  }
+
+  // Creates whatever stores and indexes of an exported schema are missing. Must be called from an upgrade.
+  function applySchema(db, tx, schema) {
+    for (const s of schema.stores) {
+      const st = db.objectStoreNames.contains(s.name)
+        ? tx.objectStore(s.name)
+        : db.createObjectStore(s.name, {
+            keyPath: s.keyPath,
+            autoIncrement: s.autoIncrement,
+          });
+      for (const i of s.indexes) {
+        if (st.indexNames.contains(i.name)) continue;
+        st.createIndex(i.name, i.keyPath, {
+          unique: i.unique,
+          multiEntry: i.multiEntry,
+        });
+      }
+    }
+  }
+
+  // Brings a database up to an exported schema without deleting it. Missing stores and indexes are added through a version bump.
+  async function upgradeSchema(schema) {
+    const exists = (await indexedDB.databases()).some(
+      (d) => d.name === schema.name,
+    );
+    if (!exists) {
+      const db = await openDatabase(schema.name, schema.version, (db, tx) =>
+        applySchema(db, tx, schema),
+      );
+      db.close();
+      return;
+    }
+
+    const db = await openDatabase(schema.name);
+    const version = db.version;
+    let needsUpgrade = version < schema.version;
+    if (!needsUpgrade && schema.stores.length > 0) {
+      if (schema.stores.some((s) => !db.objectStoreNames.contains(s.name))) {
+        needsUpgrade = true;
+      } else {
+        const tx = db.transaction(
+          schema.stores.map((s) => s.name),
+          "readonly",
+        );
+        needsUpgrade = schema.stores.some((s) => {
+          const st = tx.objectStore(s.name);
+          return s.indexes.some((i) => !st.indexNames.contains(i.name));
+        });
+      }
+    }
+    db.close();
+
+    if (needsUpgrade) {
+      const upgraded = await openDatabase(
+        schema.name,
+        Math.max(version + 1, schema.version),
+        (db, tx) => applySchema(db, tx, schema),
+      );
+      upgraded.close();
+    }
+  }
+
+  function deleteDatabase(name) {
+    return new Promise((r) => {
+      const q = indexedDB.deleteDatabase(name);
+      q.onsuccess = r;
+      q.onerror = r;
+    });
+  }
+
+  // Removes object stores from an existing database through a version bump
+  async function deleteStores(name, storeNames) {
+    const db = await openDatabase(name);
+    const version = db.version;
+    const present = storeNames.filter((s) => db.objectStoreNames.contains(s));
+    db.close();
+    if (present.length === 0) return;
+    const upgraded = await openDatabase(name, version + 1, (db) => {
+      for (const s of present) db.deleteObjectStore(s);
+    });
+    upgraded.close();
+  }
+
+  function readSchema(db) {
+    const storeNames = Array.from(db.objectStoreNames);
+    const stores = [];
+    if (storeNames.length > 0) {
+      const tx = db.transaction(storeNames, "readonly");
+      for (const sName of storeNames) {
+        const s = tx.objectStore(sName);
+        stores.push({
+          name: sName,
+          keyPath: s.keyPath,
+          autoIncrement: s.autoIncrement,
+          indexes: Array.from(s.indexNames).map((i) => {
+            const idx = s.index(i);
+            return {
+              name: idx.name,
+              keyPath: idx.keyPath,
+              unique: idx.unique,
+              multiEntry: idx.multiEntry,
+            };
+          }),
+        });
+      }
+    }
+    return { name: db.name, version: db.version, stores };
+  }
+
+  // Copies every record of a store into the store with the same name in another database, in batches
+  async function copyStore(from, to, storeName) {
+    let lastKey = null;
+    while (true) {
+      const batch = await new Promise((resolve, reject) => {
+        const tx = from.transaction(storeName, "readonly");
+        const range =
+          lastKey !== null ? IDBKeyRange.lowerBound(lastKey, true) : null;
+        const req = tx.objectStore(storeName).openCursor(range);
+        const keys = [];
+        const values = [];
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (cursor && keys.length < 100) {
+            keys.push(cursor.key);
+            values.push(cursor.value);
+            lastKey = cursor.key;
+            cursor.continue();
+          } else {
+            resolve({ keys, values, done: !cursor });
+          }
+        };
+        req.onerror = () => reject(req.error);
+      });
+
+      if (batch.keys.length > 0) {
+        await new Promise((resolve, reject) => {
+          const tx = to.transaction(storeName, "readwrite");
+          const st = tx.objectStore(storeName);
+          for (let i = 0; i < batch.keys.length; i++) {
+            st.put(batch.values[i], st.keyPath ? undefined : batch.keys[i]);
+          }
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(new Error("Transaction aborted."));
+        });
+      }
+      if (batch.done) return;
+    }
+  }
+
+  const snapshotName = (name) => `${STATE_DB}:snapshot:${name}`;
+
+  // Copies a database into a snapshot database (with out-of-line keys) and returns its schema, or null if it doesn't exist
+  async function snapshotDatabase(name) {
+    const exists = (await indexedDB.databases()).some((d) => d.name === name);
+    if (!exists) return null;
+
+    const db = await openDatabase(name);
+    try {
+      const schema = readSchema(db);
+      await deleteDatabase(snapshotName(name));
+      const snapshot = await openDatabase(snapshotName(name), 1, (s) => {
+        for (const st of schema.stores) s.createObjectStore(st.name);
+      });
+      try {
+        for (const st of schema.stores) await copyStore(db, snapshot, st.name);
+      } finally {
+        snapshot.close();
+      }
+      return schema;
+    } finally {
+      db.close();
+    }
+  }
+
+  // Puts a database back the way snapshotDatabase found it (deleting it if it didn't exist)
+  async function restoreDatabase(name, schema) {
+    await deleteDatabase(name);
+    if (schema) {
+      const db = await openDatabase(name, schema.version, (db, tx) =>
+        applySchema(db, tx, schema),
+      );
+      const snapshot = await openDatabase(snapshotName(name));
+      try {
+        for (const st of schema.stores) await copyStore(snapshot, db, st.name);
+      } finally {
+        db.close();
+        snapshot.close();
+      }
+    }
+    await deleteDatabase(snapshotName(name));
+  }
+
+  // Returns the file handle at a path, or null if there's no file there
+  async function findFile(root, parts) {
+    try {
+      let dir = root;
+      for (const p of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(p);
+      return await dir.getFileHandle(parts[parts.length - 1]);
+    } catch (e) {
+      if (e.name === "NotFoundError" || e.name === "TypeMismatchError")
+        return null;
+      throw e;
+    }
+  }
+
+  // Returns the file or directory called name in dir, or null if there's none
+  async function findEntry(dir, name) {
+    for (const get of ["getFileHandle", "getDirectoryHandle"]) {
+      try {
+        return await dir[get](name);
+      } catch (e) {
+        if (e.name !== "NotFoundError" && e.name !== "TypeMismatchError")
+          throw e;
+      }
+    }
+    return null;
+  }
+
+  // Moves an OPFS file or directory from one directory into another. Files are copied where FileSystemHandle.move() isn't supported, and directories always go file by file.
+  async function moveEntry(handle, from, to) {
+    if (handle.kind === "file" && handle.move) {
+      return handle.move(to, handle.name);
+    }
+    if (handle.kind === "directory") {
+      const target = await to.getDirectoryHandle(handle.name, { create: true });
+      const children = [];
+      for await (const child of handle.values()) children.push(child);
+      for (const child of children) await moveEntry(child, handle, target);
+    } else {
+      const target = await to.getFileHandle(handle.name, { create: true });
+      await (
+        await handle.getFile()
+      )
+        .stream()
+        .pipeTo(await target.createWritable());
+    }
+    await from.removeEntry(handle.name, { recursive: true });
+  }
+
+  // Moves every staged OPFS entry into the same place under another directory. What's in the way is moved to the same place under aside if it's passed (removed otherwise), and the paths of the entries moved in are added to created, so a failed commit can be undone.
+  async function commitStaging(
+    from,
+    to,
+    aside = null,
+    created = [],
+    path = "",
+  ) {
+    const entries = [];
+    for await (const entry of from.values()) entries.push(entry);
+    for (const entry of entries) {
+      const existing = await findEntry(to, entry.name);
+      if (entry.kind === "directory" && existing?.kind === "directory") {
+        await commitStaging(
+          entry,
+          existing,
+          aside &&
+            (await aside.getDirectoryHandle(entry.name, { create: true })),
+          created,
+          `${path}${entry.name}/`,
+        );
+        continue;
+      }
+      if (existing && aside) await moveEntry(existing, to, aside);
+      else if (existing) await to.removeEntry(entry.name, { recursive: true });
+      created.push(path + entry.name + (entry.kind === "directory" ? "/" : ""));
+      await moveEntry(entry, from, to);
+    }
+  }
+
+  // Runs a request against LittleExport's own key-value store and resolves with its result once the transaction completes
+  async function stateRequest(mode, fn) {
+    const db = await openDatabase(STATE_DB, 1, (db) =>
+      db.createObjectStore("state"),
+    );
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction("state", mode);
+        const req = fn(tx.objectStore("state"));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(new Error("Transaction aborted."));
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  function getState(key) {
+    return stateRequest("readonly", (st) => st.get(key));
+  }
+
+  // A null value deletes the record
+  function setState(key, value) {
+    return stateRequest("readwrite", (st) =>
+      value === null ? st.delete(key) : st.put(value, key),
+    );
+  }
+
+  // Reopens the file of an export checkpoint for appending, after making sure the password still matches it
+  async function reopenOutput(checkpoint, password) {
+    const handle = checkpoint.handle;
+    if (
+      handle.queryPermission &&
+      (await handle.queryPermission({ mode: "readwrite" })) !== "granted" &&
+      (await handle.requestPermission({ mode: "readwrite" })) !== "granted"
+    ) {
+      throw new Error("Permission to write to the export file was denied.");
+    }
+
+    const file = await handle.getFile();
+    if (file.size < checkpoint.offset) {
+      throw new Error("The export file is shorter than its checkpoint.");
+    }
+    if (checkpoint.salt || checkpoint.contentKey) {
+      if (checkpoint.salt && !password) {
+        throw new Error("The password of the export is required to resume it.");
+      }
+      // Checkpoints from before the LE_EN2 format don't know how many chunks were written
+      if (checkpoint.chunkIndex === undefined) {
+        throw new Error(
+          "The export being resumed uses an older encryption format; start it over.",
+        );
+      }
+      let pos = 0;
+      const read = async (n) => {
+        if (pos + n > checkpoint.offset) return null;
+        const bytes = new Uint8Array(
+          await file.slice(pos, pos + n).arrayBuffer(),
+        );
+        pos += n;
+        return bytes;
+      };
+      try {
+        await openEncryptionHeader(
+          read,
+          checkpoint.salt ? { password } : { key: checkpoint.contentKey },
+        );
+      } catch (e) {
+        if (e.message === "Incorrect password or corrupt file.") {
+          throw new Error("Incorrect password for the export being resumed.");
+        }
+        throw e;
+      }
+    }
 
-              while (!self.buffer.has(lenVal)) {
-                const { value, done } = await reader.read();
-                if (done) throw new Error("Unexpected EOF in ciphertext.");
-                self.buffer.push(value);
-                const p2 = self.yielder();
-                if (p2) await p2;
-              }
-              const cipher = self.buffer.read(lenVal);
-              const plain = await crypto.subtle.decrypt(
-                { name: "AES-GCM", iv },
-                key,
-                cipher,
-              );
+    const writable = await handle.createWritable({ keepExistingData: true });
+    await writable.truncate(checkpoint.offset);
+    await writable.seek(checkpoint.offset);
+    return writable;
+  }
 
-              const pForce = self.yielder(true);
-              if (pForce) await pForce;
+  // Maps an archive path to the category it belongs to (used for manifest counts)
+  function getEntryCategory(path) {
+    if (path.startsWith("opfs/")) return "opfs";
+    if (path.startsWith("data/idb/")) return "idb";
+    if (path.startsWith("data/blobs/")) return "blobs";
+    if (path.startsWith("data/cache/")) return "cache";
+    if (path.startsWith("data/custom/")) return "custom";
+    if (path === "data/ls.json") return "localStorage";
+    if (path === "data/ss.json") return "sessionStorage";
+    if (path === "data/cookies.json" || path === COOKIE_LIST_PATH)
+      return "cookies";
+    return null;
+  }
 
-              controller.enqueue(new Uint8Array(plain));
-            }
-            controller.close();
-          } catch (e) {
-            controller.error(e);
-          } finally {
-            reader.releaseLock();
-          }
-        },
-      });
-    }
+  // Roughly how many bytes an export's entries will take (for onProgress), or how much an import can free by replacing data. It's the browser's usage of the exported storage types where it reports them separately (Chromium), or its whole usage when OPFS, IndexedDB and Cache Storage are all exported. null otherwise.
+  async function estimateExportSize(opts) {
+    try {
+      const { usage, usageDetails } = await navigator.storage.estimate();
+      if (usageDetails) {
+        return (
+          (opts.opfs ? usageDetails.fileSystem || 0 : 0) +
+          (opts.idb ? usageDetails.indexedDB || 0 : 0) +
+          (opts.cache ? usageDetails.caches || 0 : 0)
+        );
+      }
+      if (opts.opfs && opts.idb && opts.cache && usage) return usage;
+    } catch (e) {}
+    return null;
   }
 
-  function verifyChecksum(header) {
-    const claimedStr = DEC.decode(header.slice(148, 156))
-      .replace(/\0/g, "")
-      .trim();
-    const claimed = parseInt(claimedStr, 8);
+  // Asks the browser not to evict the origin's storage (the persist option). Returns whether it's persisted.
+  async function requestPersistence(logger) {
+    try {
+      const persisted = await callHost("persistStorage");
+      logger(
+        persisted
+          ? "Storage is persisted."
+          : "The browser didn't make storage persistent.",
+      );
+      return !!persisted;
+    } catch (e) {
+      LittleExport.warn("Requesting persistent storage failed:", e);
+      return false;
+    }
+  }
 
-    if (isNaN(claimed)) return false;
+  // The counts of an archive's final manifest, when it can be read without going through the archive (seekable and ZIP archives as a Blob). null otherwise.
+  // key is the one openArchiveStream already got for an encrypted archive, so it isn't derived again.
+  async function readArchiveCounts(source, opts, key) {
+    if (!(source instanceof Blob)) return null;
+    try {
+      const file = await readIndexedEntry(
+        source,
+        MANIFEST_PATH,
+        { ...opts, password: opts.password ?? null }, // Prompting is left to the import
+        createYielder(),
+        { key },
+      );
+      return (file && JSON.parse(await file.text()).counts) || null;
+    } catch (e) {
+      return null;
+    }
+  }
 
-    let sum = 0;
-    for (let i = 0; i < 512; i++) {
-      // The 8 bytes at 148 must be treated as spaces (ASCII 32)
-      if (i >= 148 && i < 156) sum += 32;
-      else sum += header[i];
+  // Throws a QuotaExceededError if the origin doesn't have room for an import, before anything is written.
+  // The bytes needed are what the final manifest counts for the categories being imported (see readArchiveCounts). Otherwise they're the archive's size, which is less than the data when it's compressed.
+  async function checkImportQuota(counts, sourceSize, opts) {
+    if (!navigator.storage?.estimate) return;
+    let required = sourceSize || 0;
+    if (counts) {
+      const bytes = (category) => counts[category]?.bytes || 0;
+      required =
+        (opts.opfs !== false ? bytes("opfs") : 0) +
+        (opts.idb !== false ? bytes("idb") : 0) +
+        (opts.cache !== false ? bytes("cache") : 0) +
+        // Blobs are extracted to OPFS before they're stored
+        (opts.idb !== false || opts.cache !== false ? 2 * bytes("blobs") : 0);
     }
-    return sum === claimed;
+    if (!required) return;
+
+    const { usage = 0, quota } = await navigator.storage.estimate();
+    if (!quota) return;
+    // Replaced data frees its space, so what the storage types the archive writes to already use is counted as free (merged databases keep theirs)
+    const writes = (category) =>
+      opts[category] !== false && (!counts || !!counts[category]?.entries);
+    const replaced =
+      (await estimateExportSize({
+        opfs: writes("opfs"),
+        idb:
+          writes("idb") &&
+          opts.idbStrategy !== "merge" &&
+          opts.idbStrategy !== "skipExisting",
+        cache: writes("cache"),
+      })) || 0;
+    const available = Math.max(0, quota - Math.max(0, usage - replaced));
+    if (required <= available) return;
+    const err = new Error(
+      `Not enough storage for this import: it needs about ${(required / 1e6).toFixed(1)} MB, but only ${(available / 1e6).toFixed(1)} MB is free.`,
+    );
+    err.name = "QuotaExceededError";
+    err.required = required;
+    err.available = available;
+    err.usage = usage;
+    err.quota = quota;
+    throw err;
   }
 
   async function exportData(config = {}) {
     blobIdCounter = 0;
-    const CBOR = window.CBOR;
+    blobIdPrefix = "";
+    const CBOR = globalThis.CBOR;
 
     // Check the LittleExport docs on all the options.
     const opts = {
@@ -757,22 +3146,56 @@
       ...config,
     };
 
-    const encoder =
-      opts.encoder ||
-      new CBOR.Encoder({
-        structuredClone: true, // Circular references may cause errors/problems if disabled.
-        copyBuffers: false, // Free optimization of preventing copying of buffers (less memory use).
-        bundleStrings: true, // Optimization for strings at the cost of inconsistency with the formal CBOR spec (and lack of explicit documentation in cbor-x to parse). See the LittleExport README for more information.
-        ...opts.cborOptions,
-      });
+    const cborOptions = {
+      structuredClone: true, // Circular references may cause errors/problems if disabled.
+      copyBuffers: false, // Free optimization of preventing copying of buffers (less memory use).
+      bundleStrings: true, // Optimization for strings at the cost of inconsistency with the formal CBOR spec (and lack of explicit documentation in cbor-x to parse). See the LittleExport README for more information.
+      ...opts.cborOptions,
+    };
+    const encoder = opts.encoder || new CBOR.Encoder(cborOptions);
 
     const cborExtensionName = opts.cborExtensionName;
+    const idbChunkSize =
+      opts.idbChunkSize > 0 ? opts.idbChunkSize : IDB_CHUNK_SIZE;
+    const idbBufferThreshold =
+      opts.idbBufferThreshold >= 0
+        ? opts.idbBufferThreshold
+        : IDB_BUFFER_THRESHOLD;
     const logger = opts.logger || (() => {});
-    const yielder = createYielder(opts.logSpeed);
+    let reportProgress = () => {}; // Set up once the archive is being written
+    const yielder = createYielder(
+      opts.logSpeed,
+      () => reportProgress(),
+      opts.signal,
+    );
     const graceful = opts.graceful !== false;
     const useOnVisit = typeof opts.onVisit === "function";
     const onVisit = opts.onVisit;
 
+    // In a worker without the bridge, page storage can't be reached
+    const pageStorage = hasHost();
+    if (
+      !pageStorage &&
+      (opts.localStorage || opts.sessionStorage || opts.cookies)
+    ) {
+      LittleExport.warn(
+        "localStorage, sessionStorage and cookies need LittleExport.connectWorker() in a worker; skipping them.",
+      );
+    }
+
+    const format = opts.format || "tar";
+    if (format !== "tar" && format !== "zip") {
+      throw new Error(`Unknown format "${opts.format}".`);
+    }
+    if (format === "zip" && (opts.resumable || opts.resume)) {
+      throw new Error("Resumable exports only support the tar format.");
+    }
+    // ZIP archives can always be seeked through their central directory
+    const seekable = format === "tar" && !!opts.seekable;
+    if (seekable && (opts.resumable || opts.resume)) {
+      throw new Error("Seekable exports can't be resumable.");
+    }
+
     let aborted = false;
 
     function getDecision(type, path, meta) {
@@ -784,6 +3207,7 @@
       try {
         return await fn();
       } catch (e) {
+        if (opts.signal?.aborted) throw e;
         if (graceful) {
           if (opts.onerror) opts.onerror(e);
           logger(`Error: ${context} - ${e.message}`);
@@ -798,16 +3222,53 @@
     let outputStream,
       chunks = [];
 
+    const recipients = opts.recipients?.length ? opts.recipients : null;
+    if (opts.password && recipients) {
+      const e = new Error("Use either a password or recipients, not both.");
+      if (opts.onerror) opts.onerror(e);
+      if (!graceful) throw e;
+      return;
+    }
     let fileName = opts.fileName.includes(".")
       ? opts.fileName
-      : opts.password
+      : opts.password || recipients
         ? `${opts.fileName}.enc`
-        : `${opts.fileName}.tar.gz`;
-    if (window.showSaveFilePicker && opts.download !== false) {
+        : format === "zip"
+          ? `${opts.fileName}.zip`
+          : `${opts.fileName}.tar.gz`;
+    checkSignal(opts.signal);
+    // Keeps the browser from evicting what's being exported (or the checkpoint of a resumable export)
+    if (opts.persist) await requestPersistence(logger);
+    // Resumable exports commit the file at every checkpoint, so that it can be appended to after a crash
+    const resumable = !!(opts.resumable || opts.resume);
+    let checkpoint = null;
+    let handle = null;
+    if (opts.resume) {
+      checkpoint = await getState("checkpoint").catch((e) => {
+        LittleExport.warn("Reading the export checkpoint failed:", e);
+        return null;
+      });
+      if (!checkpoint) logger("No export checkpoint found, starting over.");
+    }
+
+    if (checkpoint) {
+      try {
+        handle = checkpoint.handle;
+        fileName = checkpoint.fileName;
+        outputStream = await reopenOutput(checkpoint, opts.password);
+      } catch (e) {
+        logger(`Error: ${e.message}`);
+        if (opts.onerror) opts.onerror(e);
+        if (!graceful) throw e;
+        return;
+      }
+    } else if (
+      (globalThis.showSaveFilePicker || !inWindow) &&
+      opts.download !== false
+    ) {
       try {
-        const name = fileName;
-        const handle = await window.showSaveFilePicker({ suggestedName: name });
-        outputStream = await handle.createWritable();
+        handle = await callHost("showSaveFilePicker", fileName);
+        if (handle) outputStream = await handle.createWritable();
       } catch (e) {
         if (e.name === "AbortError") {
           logger("Export cancelled.");
@@ -826,9 +3287,48 @@
       });
     }
 
-    let outputBytesWritten = 0;
+    const checkpointing = resumable && !!handle;
+    let onCommit = null;
+    if (resumable && !handle) {
+      LittleExport.warn(
+        "Resumable exports need showSaveFilePicker; continuing without checkpoints.",
+      );
+    }
+    if (checkpointing) {
+      let writable = outputStream;
+      let offset = checkpoint ? checkpoint.offset : 0;
+      outputStream = new WritableStream({
+        async write(chunk) {
+          if (chunk !== CHECKPOINT_MARK) {
+            await writable.write(chunk);
+            offset += chunk.byteLength;
+            return;
+          }
+          // Written data only reaches the file on close()
+          await writable.close();
+          writable = await handle.createWritable({ keepExistingData: true });
+          await writable.seek(offset);
+          if (onCommit) onCommit(offset);
+        },
+        close: () => writable.close(),
+        abort: (reason) => writable.abort(reason),
+      });
+      if (!checkpoint) {
+        await setState("checkpoint", null).catch(() => {});
+      }
+    }
+
+    const totalBytesEstimate = opts.onProgress
+      ? await estimateExportSize(opts)
+      : null;
+
+    let outputBytesWritten = checkpoint ? checkpoint.offset : 0;
     const countingStream = new TransformStream({
       async transform(chunk, controller) {
+        if (chunk === CHECKPOINT_MARK) {
+          controller.enqueue(chunk);
+          return;
+        }
         outputBytesWritten += chunk.byteLength;
         const p = yielder();
         if (p) {
@@ -851,29 +3351,216 @@
       },
     });
 
-    const gzip = new CompressionStream("gzip");
-    let pipeline = gzip.readable;
-
-    if (opts.password) {
+    // ZIP compresses each entry itself. Checkpoints need gzip members that end where a checkpoint is taken, and seeking needs members that can be decompressed on their own.
+    const blockGzip =
+      checkpointing || seekable ? new BlockGzipTransformer(seekable) : null;
+    const compression =
+      format === "zip"
+        ? new TransformStream()
+        : blockGzip
+          ? new TransformStream(blockGzip)
+          : new CompressionStream("gzip");
+    let pipeline = compression.readable;
+
+    // A resumed export keeps encrypting the way its file started, with the password's salt or the recipients' content key
+    const encrypted = checkpoint
+      ? !!(checkpoint.salt || checkpoint.contentKey)
+      : !!(opts.password || recipients);
+    const salt = checkpoint
+      ? checkpoint.salt || null
+      : opts.password
+        ? crypto.getRandomValues(new Uint8Array(16))
+        : null;
+    let encryption = null;
+    if (encrypted) {
       status.category = "Setup";
       status.detail = "Encrypting...";
-      const salt = crypto.getRandomValues(new Uint8Array(16));
-      pipeline = pipeline.pipeThrough(
-        new TransformStream(new EncryptionTransformer(opts.password, salt)),
+      encryption = new EncryptionTransformer(
+        checkpoint?.contentKey
+          ? { key: checkpoint.contentKey }
+          : salt
+            ? opts.password
+            : { recipients },
+        salt,
+        checkpoint ? checkpoint.chunkIndex : null,
       );
+      pipeline = pipeline.pipeThrough(new TransformStream(encryption));
     }
 
     let currentFileProgress = { written: 0, total: 0 };
     const exportFinishedPromise = pipeline
       .pipeThrough(countingStream)
       .pipeTo(outputStream);
-    const tar = new TarWriter(gzip.writable, yielder);
+    exportFinishedPromise.catch(() => {}); // Output errors also surface through the tar writes, and this is awaited at the end
+    const tar =
+      format === "zip"
+        ? new ZipWriter(compression.writable, yielder)
+        : new TarWriter(compression.writable, yielder);
     tar.onFileProgress = (written, total) => {
       currentFileProgress.written = written;
       currentFileProgress.total = total;
     };
+    if (seekable) tar.offsets = new Map();
+
+    // Per-category entry counts and byte totals for the final manifest
+    const counts = checkpoint ? checkpoint.counts : {};
+    // Structured progress for onProgress, reported whenever the yielder yields and when the phase changes. Bytes are entry contents; those of a resumed export's earlier entries come from its counts.
+    let progressEntry = { path: null, size: 0, entriesBefore: 0 };
+    let bytesBefore = Object.values(counts).reduce((n, c) => n + c.bytes, 0);
+    reportProgress = (phase) => {
+      if (!opts.onProgress) return;
+      phase ||=
+        { "": "setup", Setup: "setup", Finishing: "finishing" }[
+          status.category
+        ] || "exporting";
+      const { path, size } = progressEntry;
+      const writing = !!path && phase !== "complete";
+      opts.onProgress({
+        phase,
+        category: path ? getEntryCategory(path) : null,
+        path,
+        entryBytesDone: path ? currentFileProgress.written : 0,
+        entryBytesTotal: size,
+        totalBytesDone: bytesBefore + (path ? currentFileProgress.written : 0),
+        totalBytesEstimate,
+        entriesDone: writing ? progressEntry.entriesBefore : tar.entries,
+      });
+    };
+
+    tar.onEntry = (path, size) => {
+      bytesBefore += progressEntry.size;
+      progressEntry = { path, size, entriesBefore: tar.entries };
+      currentFileProgress.written = 0;
+      currentFileProgress.total = size;
+
+      const category = getEntryCategory(path);
+      if (!category || path.endsWith("/")) return;
+      if (!counts[category]) counts[category] = { entries: 0, bytes: 0 };
+      counts[category].entries++;
+      counts[category].bytes += size;
+    };
+    reportProgress();
+
+    const manifest = checkpoint?.manifest || {
+      format: "LittleExport",
+      formatVersion: FORMAT_VERSION,
+      version: VERSION,
+      created: new Date().toISOString(),
+      origin: globalThis.location.origin,
+      encrypted,
+      categories: [
+        opts.customItems.length > 0 && "custom",
+        opts.opfs && navigator.storage && "opfs",
+        opts.idb && globalThis.indexedDB && CBOR && "idb",
+        opts.localStorage && pageStorage && "localStorage",
+        opts.sessionStorage && pageStorage && "sessionStorage",
+        opts.cookies && pageStorage && "cookies",
+        opts.cache && globalThis.caches && CBOR && "cache",
+      ].filter(Boolean),
+      cbor: {
+        extension: cborExtensionName,
+        options: opts.encoder ? null : cborOptions, // null means a custom encoder was used
+      },
+      checksums: !!opts.checksums,
+      delta: null, // Creation time of the baseline for incremental archives
+    };
+
+    // What the archive covers, so that later exports can use it as a baseline
+    const index = { opfs: {}, idb: {} };
+    const deleted = { opfs: [], idb: [] };
+    const seenOpfs = new Set();
+    const listedOpfsDirs = new Set();
+    let baseline = null;
+    const hashStores = !!(opts.incremental || opts.baseline);
+
+    // A resumed export runs again from the start, but entries before the checkpoint aren't written (and finished IDB stores aren't even read)
+    const changedError = () =>
+      new Error(
+        "The data changed since the checkpoint, so the export can't be resumed.",
+      );
+    const resumeStores = checkpoint ? checkpoint.stores : {}; // [entries, hash, blobIdCounter after, last path] of finished IDB stores
+    let currentStore = null; // { key, lastKey, chunkId } of the IDB store being written
+    let lastCheckpointPos = 0;
+    if (checkpoint) {
+      tar.skip = checkpoint.entries;
+      tar.pos = checkpoint.tarPos;
+      lastCheckpointPos = checkpoint.tarPos;
+      tar.onResumed = (path) => {
+        if (path !== checkpoint.lastPath) throw changedError();
+        blobIdCounter = checkpoint.blobIdCounter;
+        logger("Resumed from the checkpoint.");
+      };
+    }
+
+    // Commits the output and records where the export is. Checkpoints are at least CHECKPOINT_MIN_BYTES apart and further apart as the file grows, since every commit copies the whole file.
+    async function maybeCheckpoint() {
+      if (!checkpointing || aborted || tar.skip > 0) return;
+      if (
+        tar.pos - lastCheckpointPos <
+        Math.max(CHECKPOINT_MIN_BYTES, lastCheckpointPos)
+      )
+        return;
+      lastCheckpointPos = tar.pos;
+
+      const committed = new Promise((resolve) => (onCommit = resolve));
+      await tar.checkpoint();
+      // If the output fails first, its error ends the export instead
+      const offset = await Promise.race([committed, exportFinishedPromise]);
+      // Non-extractable, so the stored key can only encrypt the rest of this export
+      const contentKey =
+        encryption && !salt ? await encryption.keyPromise : undefined;
+      await tryGraceful(
+        () =>
+          setState("checkpoint", {
+            handle,
+            fileName,
+            offset,
+            tarPos: tar.pos,
+            entries: tar.entries,
+            lastPath: tar.lastPath,
+            salt,
+            contentKey,
+            chunkIndex: encryption?.index, // Encrypted chunks written so far, which the next one's index follows
+            manifest,
+            counts,
+            checksums: tar.checksums,
+            stores: resumeStores,
+            idb: currentStore,
+            blobIdCounter,
+            category: status.category,
+            detail: status.detail,
+            updated: Date.now(),
+          }),
+        "Saving export checkpoint",
+      );
+    }
 
     try {
+      if (opts.baseline) {
+        status.category = "Setup";
+        status.detail = "Reading baseline...";
+        baseline = opts.baseline.index
+          ? opts.baseline
+          : await readManifest(opts.baseline, {
+              password: opts.baselinePassword || opts.password,
+              privateKey: opts.baselinePrivateKey,
+              fetchInit: opts.fetchInit,
+              signal: opts.signal,
+            });
+        if (!baseline?.index) {
+          throw new Error(
+            "The baseline has no index to compare against. Export it with incremental: true.",
+          );
+        }
+        manifest.delta = baseline.created;
+      }
+
+      // The manifest is always the first entry so that importers can read it before anything else. A second copy with the counts is written right before the end of the archive.
+      await tar.writeEntry(MANIFEST_PATH, JSON.stringify(manifest));
+      if (manifest.checksums) {
+        tar.checksums = checkpoint ? checkpoint.checksums : []; // [path, sha256] pairs
+      }
+
       // Custom items (always processed)
       for (const item of opts.customItems) {
         if (aborted) break;
@@ -890,6 +3577,7 @@
               : JSON.stringify(item.data),
           );
         }
+        await maybeCheckpoint();
       }
 
       // OPFS
@@ -907,14 +3595,27 @@
 
           async function walkOpfs(dir, pathArray, inherited) {
             try {
-              for await (const entry of dir.values()) {
+              // Resumable exports need the same order every time
+              let entries = dir.values();
+              if (checkpointing) {
+                entries = [];
+                for await (const entry of dir.values()) entries.push(entry);
+                entries.sort((a, b) =>
+                  a.name < b.name ? -1 : a.name > b.name ? 1 : 0,
+                );
+              }
+
+              for await (const entry of entries) {
                 if (aborted) return;
                 currentFileProgress.written = 0;
                 currentFileProgress.total = 0;
 
                 const currentPath = [...pathArray, entry.name];
                 const pathStr = currentPath.join("/");
+                const indexKey =
+                  entry.kind === "file" ? pathStr : pathStr + "/";
                 let decision = inherited;
+                seenOpfs.add(indexKey);
 
                 status.detail = pathStr;
 
@@ -943,15 +3644,28 @@
                 if (entry.kind === "file") {
                   await tryGraceful(async () => {
                     const f = await entry.getFile();
+                    index.opfs[indexKey] = [f.size, f.lastModified];
+                    // Unchanged since the baseline
+                    const prev = baseline?.index.opfs?.[indexKey];
+                    if (
+                      prev &&
+                      prev[0] === f.size &&
+                      prev[1] === f.lastModified
+                    )
+                      return;
                     await tar.writeStream(
                       `opfs/${pathStr}`,
                       f.size,
                       f.stream(),
+                      f.lastModified,
                     );
                   }, `OPFS file ${pathStr}`);
                 } else {
                   // Write and recurse
-                  await tar.writeDir(`opfs/${pathStr}`);
+                  index.opfs[indexKey] = 0;
+                  if (baseline?.index.opfs?.[indexKey] === undefined) {
+                    await tar.writeDir(`opfs/${pathStr}`);
+                  }
                   await walkOpfs(
                     entry,
                     currentPath,
@@ -959,10 +3673,13 @@
                   );
                 }
 
+                await maybeCheckpoint();
                 const p = yielder();
                 if (p) await p;
               }
+              if (!aborted) listedOpfsDirs.add(pathArray.join("/"));
             } catch (e) {
+              if (opts.signal?.aborted) throw e;
               // Log error but allow other folders to continue processing
               logger(
                 `Error: accessing OPFS folder /${pathArray.join("/")} failed (${e.message})`,
@@ -973,11 +3690,21 @@
           }
 
           await walkOpfs(root, [], trustAll ? DECISION.TRUST : false);
+
+          // Only entries whose parent folder was fully listed can be known to be deleted (filtered folders aren't listed)
+          if (baseline && !aborted) {
+            for (const key in baseline.index.opfs) {
+              const parent = key.replace(/\/$/, "").split("/").slice(0, -1);
+              if (listedOpfsDirs.has(parent.join("/")) && !seenOpfs.has(key)) {
+                deleted.opfs.push(key);
+              }
+            }
+          }
         }
       }
 
       // IndexedDB
-      if (!aborted && opts.idb && window.indexedDB && CBOR) {
+      if (!aborted && opts.idb && globalThis.indexedDB && CBOR) {
         let categoryDecision = getDecision(TYPE.IDB);
         if (categoryDecision && typeof categoryDecision.then === "function")
           categoryDecision = await categoryDecision;
@@ -987,37 +3714,205 @@
         if (!aborted && categoryDecision !== DECISION.SKIP) {
           status.category = "IndexedDB";
           const trustAllDbs = categoryDecision === DECISION.TRUST;
-          const dbs = await window.indexedDB.databases();
+          const dbs = await globalThis.indexedDB.databases();
+
+          // Reads a store batch by batch and writes it. Returns { hash, written }: the SHA-256 of its encoded chunks and blob contents if hashStores is on (null if it couldn't all be read), and whether it was written.
+          // With unchangedHash (the baseline's), batches are held back until the hash shows whether the store changed, and it isn't written if it didn't. Stores over IDB_HELD_BYTES are only hashed then, so they have to be read again to be written.
+          async function exportStore(db, name, sName, unchangedHash = null) {
+            const sha = hashStores ? new Sha256() : null;
+            const storeKey = `${encodeURIComponent(name)}/${encodeURIComponent(sName)}`;
+            let lastKey = null;
+            let chunkId = 0;
+            let hasMore = true;
+            let held = unchangedHash ? [] : null; // [blobs, chunks, lastKey] of the batches not written yet
+            let heldBytes = 0;
+            let writing = !held;
+
+            // Resuming in the middle of this store: continue after the last key that was written (hashes need every record, so they are read again instead)
+            const resumeAt = checkpoint?.idb;
+            if (!sha && tar.skip > 0 && resumeAt?.key === storeKey) {
+              lastKey = resumeAt.lastKey;
+              chunkId = resumeAt.chunkId;
+              tar.skipEntries(tar.skip, checkpoint.lastPath);
+            }
+
+            // Encodes records as chunks. A batch that came out far over the budget is split in halves (a single record can't be split).
+            function encodeChunks(keys, values, out = []) {
+              const bytes = encoder.encode([keys, values]);
+              if (bytes.length > 2 * idbChunkSize && keys.length > 1) {
+                const half = keys.length >> 1;
+                encodeChunks(keys.slice(0, half), values.slice(0, half), out);
+                encodeChunks(keys.slice(half), values.slice(half), out);
+              } else {
+                out.push(bytes);
+              }
+              return out;
+            }
+
+            async function writeBatch(blobs, chunks, batchLastKey) {
+              for (const b of blobs) {
+                await tar.writeStream(
+                  `data/blobs/${b.uuid}`,
+                  b.blob.size,
+                  b.blob.stream(),
+                );
+              }
+              for (const bytes of chunks) {
+                await tar.writeEntry(
+                  `data/idb/${storeKey}/${chunkId++}.${cborExtensionName}`,
+                  bytes,
+                );
+              }
+              // Only checkpointed after the whole batch, since its blobs come before all of its chunks
+              currentStore = { key: storeKey, lastKey: batchLastKey, chunkId };
+              await maybeCheckpoint();
+            }
+
+            async function writeHeld() {
+              for (const batch of held) await writeBatch(...batch);
+              held = null;
+              writing = true;
+            }
+
+            // Blobs are numbered per store, so that their ids (and the hash) don't depend on the stores before it
+            const outerBlobId = blobIdCounter;
+            blobIdCounter = 0;
+            blobIdPrefix = `${new Sha256().update(ENC.encode(storeKey)).digest().slice(0, 16)}.`;
+            try {
+              // Batches are sized from the average record size of the previous one, and grow at most 8 times at once in case later records are larger
+              let batchSize = IDB_FIRST_BATCH;
+              while (hasMore && !aborted) {
+                const batch = await tryGraceful(
+                  () =>
+                    new Promise((resolve, reject) => {
+                      const store = db
+                        .transaction(sName, "readonly")
+                        .objectStore(sName);
+                      const range =
+                        lastKey !== null
+                          ? IDBKeyRange.lowerBound(lastKey, true)
+                          : null;
+                      // Both requests run in the same transaction, so the keys match the values
+                      const keysRequest = store.getAllKeys(range, batchSize);
+                      const valuesRequest = store.getAll(range, batchSize);
+                      valuesRequest.onsuccess = () =>
+                        resolve({
+                          keys: keysRequest.result,
+                          values: valuesRequest.result,
+                        });
+                      keysRequest.onerror = () => reject(keysRequest.error);
+                      valuesRequest.onerror = () => reject(valuesRequest.error);
+                    }),
+                  `Reading IDB ${name}/${sName}`,
+                );
+
+                // Unknown content, so never treated as unchanged
+                if (!batch) {
+                  if (held) await writeHeld();
+                  return { hash: null, written: writing };
+                }
+                hasMore = batch.keys.length === batchSize;
+
+                if (batch.keys.length > 0) {
+                  lastKey = batch.keys[batch.keys.length - 1];
+                  const processedValues = [];
+                  const blobs = [];
+                  for (let i = 0; i < batch.values.length; i++) {
+                    processedValues.push(
+                      LittleExport.prepForCBOR(
+                        batch.values[i],
+                        blobs,
+                        new WeakMap(),
+                        new Map(),
+                        idbBufferThreshold,
+                      ),
+                    );
+                  }
+                  const chunks = encodeChunks(batch.keys, processedValues);
+                  let encodedSize = 0;
+                  for (const bytes of chunks) {
+                    encodedSize += bytes.length;
+                    if (sha) sha.update(bytes);
+                  }
+                  // Externalized buffers were in memory as well. Neither their content nor that of Blobs is in the chunks, so they're hashed on their own.
+                  for (const b of blobs) {
+                    if (b.bytes) encodedSize += b.bytes.byteLength;
+                    if (!sha) continue;
+                    if (b.bytes) sha.update(b.bytes);
+                    else {
+                      const reader = b.blob.stream().getReader();
+                      while (true) {
+                        const { value, done } = await reader.read();
+                        if (done) break;
+                        sha.update(value);
+                      }
+                    }
+                  }
+                  batchSize = Math.max(
+                    1,
+                    Math.min(
+                      IDB_MAX_BATCH,
+                      batchSize * 8,
+                      Math.floor(
+                        idbChunkSize / (encodedSize / batch.keys.length),
+                      ),
+                    ),
+                  );
+
+                  if (held) {
+                    held.push([blobs, chunks, lastKey]);
+                    heldBytes += encodedSize;
+                    if (heldBytes > IDB_HELD_BYTES) {
+                      held = null;
+                      writing = false;
+                    }
+                  } else if (writing) {
+                    await writeBatch(blobs, chunks, lastKey);
+                  }
+                  const p = yielder();
+                  if (p) await p;
+                }
+              }
+
+              const hash = sha ? sha.digest() : null;
+              if (held && !aborted && hash !== unchangedHash) await writeHeld();
+              // An empty store still gets a chunk, so that imports which keep the database (incremental or upgradeSchema) clear it
+              if (writing && chunkId === 0 && !aborted) {
+                await tar.writeEntry(
+                  `data/idb/${storeKey}/0.${cborExtensionName}`,
+                  encoder.encode([[], []]),
+                );
+              }
+              return { hash, written: writing };
+            } finally {
+              blobIdCounter = outerBlobId;
+              blobIdPrefix = "";
+              currentStore = null;
+            }
+          }
+
+          if (baseline) {
+            const names = new Set(dbs.map((d) => d.name));
+            for (const dbName in baseline.index.idb) {
+              if (!names.has(dbName)) deleted.idb.push([dbName]);
+            }
+          }
+
+          if (checkpointing) dbs.sort((a, b) => (a.name < b.name ? -1 : 1));
 
           for (const { name, version } of dbs) {
             if (aborted) break;
+            if (name === STATE_DB || name.startsWith(`${STATE_DB}:`)) continue;
             currentFileProgress.written = 0;
             currentFileProgress.total = 0;
 
             status.detail = name;
             const safeName = encodeURIComponent(name);
 
-            const db = await tryGraceful(async () => {
-              return await new Promise((resolve, reject) => {
-                const req = indexedDB.open(name);
-                const timeout = setTimeout(
-                  () => reject(new Error(`Database ${name} timed out.`)),
-                  5000,
-                );
-                req.onblocked = () => {
-                  clearTimeout(timeout);
-                  reject(new Error(`Database ${name} blocked.`));
-                };
-                req.onsuccess = () => {
-                  clearTimeout(timeout);
-                  resolve(req.result);
-                };
-                req.onerror = () => {
-                  clearTimeout(timeout);
-                  reject(req.error);
-                };
-              });
-            }, `Opening IDB ${name}`);
+            const db = await tryGraceful(
+              () => openDatabase(name),
+              `Opening IDB ${name}`,
+            );
 
             if (!db) continue;
 
@@ -1047,9 +3942,19 @@
             }
 
             const trustAllStores = dbDecision === DECISION.TRUST;
+            const dbIndex = { version, stores: {} };
+            index.idb[name] = dbIndex;
 
             try {
               const storeNames = Array.from(db.objectStoreNames);
+              const baselineDb = baseline?.index.idb?.[name];
+              if (baselineDb) {
+                for (const sName in baselineDb.stores) {
+                  if (!storeNames.includes(sName)) {
+                    deleted.idb.push([name, sName]);
+                  }
+                }
+              }
 
               if (storeNames.length === 0) {
                 await tar.writeEntry(
@@ -1059,27 +3964,7 @@
                 continue;
               }
 
-              const stores = [];
-              const tx = db.transaction(storeNames, "readonly");
-
-              for (const sName of storeNames) {
-                const s = tx.objectStore(sName);
-                stores.push({
-                  name: sName,
-                  keyPath: s.keyPath,
-                  autoIncrement: s.autoIncrement,
-                  indexes: Array.from(s.indexNames).map((i) => {
-                    const idx = s.index(i);
-                    return {
-                      name: idx.name,
-                      keyPath: idx.keyPath,
-                      unique: idx.unique,
-                      multiEntry: idx.multiEntry,
-                    };
-                  }),
-                });
-              }
-
+              const { stores } = readSchema(db);
               await tar.writeEntry(
                 `data/idb/${safeName}/schema.${cborExtensionName}`,
                 encoder.encode({ name, version, stores }),
@@ -1113,67 +3998,37 @@
 
                 status.detail = `${name}/${sName}`;
 
-                let lastKey = null;
-                let chunkId = 0;
-                let hasMore = true;
-
-                while (hasMore && !aborted) {
-                  const batch = await tryGraceful(async () => {
-                    const batchSizeLimit = 25;
-                    return await new Promise((resolve, reject) => {
-                      const innerTx = db.transaction(sName, "readonly");
-                      const store = innerTx.objectStore(sName);
-                      const range =
-                        lastKey !== null
-                          ? IDBKeyRange.lowerBound(lastKey, true)
-                          : null;
-                      const request = store.openCursor(range);
-                      const keys = [];
-                      const values = [];
-
-                      request.onsuccess = (e) => {
-                        const cursor = e.target.result;
-                        if (cursor && keys.length < batchSizeLimit) {
-                          keys.push(cursor.key);
-                          values.push(cursor.value);
-                          lastKey = cursor.key;
-                          cursor.continue();
-                        } else {
-                          resolve({ keys, values, done: !cursor });
-                        }
-                      };
-                      request.onerror = () => reject(request.error);
-                    });
-                  }, `Reading IDB ${name}/${sName}`);
-
-                  if (!batch) break;
-                  hasMore = !batch.done;
-
-                  if (batch.keys.length > 0) {
-                    const processedValues = [];
-                    for (let i = 0; i < batch.values.length; i++) {
-                      const blobsInItem = [];
-                      const cleanValue = LittleExport.prepForCBOR(
-                        batch.values[i],
-                        blobsInItem,
-                      );
-                      processedValues.push(cleanValue);
-                      for (const b of blobsInItem) {
-                        await tar.writeStream(
-                          `data/blobs/${b.uuid}`,
-                          b.blob.size,
-                          b.blob.stream(),
-                        );
-                      }
-                    }
-
-                    await tar.writeEntry(
-                      `data/idb/${safeName}/${encodeURIComponent(sName)}/${chunkId++}.${cborExtensionName}`,
-                      encoder.encode([batch.keys, processedValues]),
-                    );
-                    const p = yielder();
-                    if (p) await p;
-                  }
+                // Finished before the checkpoint of a resumed export
+                const storeKey = `${safeName}/${encodeURIComponent(sName)}`;
+                const done = resumeStores[storeKey];
+                if (done && tar.skip > 0 && tar.skip >= done[0]) {
+                  tar.skipEntries(done[0], done[3]);
+                  blobIdCounter = done[2];
+                  dbIndex.stores[sName] = done[1];
+                  continue;
+                }
+                const entriesBefore = tar.entries;
+
+                // With a baseline, stores that didn't change aren't written (see exportStore)
+                const unchangedHash = baselineDb?.stores[sName] || null;
+                let { hash, written } = await exportStore(
+                  db,
+                  name,
+                  sName,
+                  unchangedHash,
+                );
+                if (!written && !aborted && hash !== unchangedHash) {
+                  ({ hash } = await exportStore(db, name, sName));
+                }
+                dbIndex.stores[sName] = hash;
+
+                if (checkpointing && !aborted) {
+                  resumeStores[storeKey] = [
+                    tar.entries - entriesBefore,
+                    hash,
+                    blobIdCounter,
+                    tar.lastPath,
+                  ];
                 }
               }
             } finally {
@@ -1184,7 +4039,7 @@
       }
 
       // localStorage
-      if (!aborted && opts.localStorage) {
+      if (!aborted && opts.localStorage && pageStorage) {
         let categoryDecision = getDecision(TYPE.LS);
         if (categoryDecision && typeof categoryDecision.then === "function")
           categoryDecision = await categoryDecision;
@@ -1196,8 +4051,9 @@
           const d = {};
           const trustAll = categoryDecision === DECISION.TRUST;
 
-          for (let i = 0; i < localStorage.length && !aborted; i++) {
-            const k = localStorage.key(i);
+          const items = await callHost("readStorage", "localStorage");
+          for (const k in items) {
+            if (aborted) break;
             status.detail = `localStorage: ${k}`;
 
             let shouldInclude = trustAll;
@@ -1205,7 +4061,7 @@
             if (!shouldInclude) {
               if (useOnVisit) {
                 let keyDecision = getDecision(TYPE.LS, [k], {
-                  value: localStorage.getItem(k),
+                  value: items[k],
                 });
                 if (keyDecision && typeof keyDecision.then === "function")
                   keyDecision = await keyDecision;
@@ -1221,18 +4077,19 @@
             }
 
             if (shouldInclude) {
-              d[k] = localStorage.getItem(k);
+              d[k] = items[k];
             }
           }
 
           if (!aborted && Object.keys(d).length > 0) {
             await tar.writeEntry("data/ls.json", JSON.stringify(d));
+            await maybeCheckpoint();
           }
         }
       }
 
       // sessionStorage
-      if (!aborted && opts.sessionStorage) {
+      if (!aborted && opts.sessionStorage && pageStorage) {
         let categoryDecision = getDecision(TYPE.SS);
         if (categoryDecision && typeof categoryDecision.then === "function")
           categoryDecision = await categoryDecision;
@@ -1244,8 +4101,9 @@
           const d = {};
           const trustAll = categoryDecision === DECISION.TRUST;
 
-          for (let i = 0; i < sessionStorage.length && !aborted; i++) {
-            const k = sessionStorage.key(i);
+          const items = await callHost("readStorage", "sessionStorage");
+          for (const k in items) {
+            if (aborted) break;
             status.detail = `sessionStorage: ${k}`;
 
             let shouldInclude = trustAll;
@@ -1253,7 +4111,7 @@
             if (!shouldInclude) {
               if (useOnVisit) {
                 let keyDecision = getDecision(TYPE.SS, [k], {
-                  value: sessionStorage.getItem(k),
+                  value: items[k],
                 });
                 if (keyDecision && typeof keyDecision.then === "function")
                   keyDecision = await keyDecision;
@@ -1269,18 +4127,19 @@
             }
 
             if (shouldInclude) {
-              d[k] = sessionStorage.getItem(k);
+              d[k] = items[k];
             }
           }
 
           if (!aborted && Object.keys(d).length > 0) {
             await tar.writeEntry("data/ss.json", JSON.stringify(d));
+            await maybeCheckpoint();
           }
         }
       }
 
       // Cookies
-      if (!aborted && opts.cookies) {
+      if (!aborted && opts.cookies && pageStorage) {
         let categoryDecision = getDecision(TYPE.COOKIE);
         if (categoryDecision && typeof categoryDecision.then === "function")
           categoryDecision = await categoryDecision;
@@ -1292,19 +4151,21 @@
           const c = {};
           const trustAll = categoryDecision === DECISION.TRUST;
 
-          const cookiePairs = document.cookie
-            .split(";")
-            .map((s) => s.trim())
-            .filter(Boolean);
+          // Without the Cookie Store API, only names and values can be read
+          const fullList = await callHost("getCookieList");
+          const cookieList = fullList || [];
+          const included = [];
+          if (!fullList) {
+            for (const [name, value] of Object.entries(await readCookies())) {
+              cookieList.push({ name, value });
+            }
+          }
 
-          for (const pair of cookiePairs) {
+          for (const cookie of cookieList) {
             if (aborted) break;
 
-            const eqIndex = pair.indexOf("=");
-            const key =
-              eqIndex > -1 ? pair.slice(0, eqIndex).trim() : pair.trim();
-            const val = eqIndex > -1 ? pair.slice(eqIndex + 1).trim() : "";
-
+            const key = cookie.name;
+            const val = cookie.value;
             if (!key) continue;
 
             status.detail = `Cookie: ${key}`;
@@ -1314,6 +4175,7 @@
               if (useOnVisit) {
                 let keyDecision = getDecision(TYPE.COOKIE, [key], {
                   value: val,
+                  cookie,
                 });
                 if (keyDecision && typeof keyDecision.then === "function")
                   keyDecision = await keyDecision;
@@ -1329,18 +4191,25 @@
             }
 
             if (shouldInclude) {
-              c[key] = val;
+              // Cookies of the same name on different paths are listed most specific first, like document.cookie
+              if (!(key in c)) c[key] = val;
+              included.push(cookie);
             }
           }
 
+          // The list comes first, so that importers know not to use the plain key-value cookies.json after it
+          if (!aborted && fullList && included.length > 0) {
+            await tar.writeEntry(COOKIE_LIST_PATH, JSON.stringify(included));
+          }
           if (!aborted && Object.keys(c).length > 0) {
             await tar.writeEntry("data/cookies.json", JSON.stringify(c));
+            await maybeCheckpoint();
           }
         }
       }
 
       // Cache storage
-      if (!aborted && opts.cache && window.caches && CBOR) {
+      if (!aborted && opts.cache && globalThis.caches && CBOR) {
         let categoryDecision = getDecision(TYPE.CACHE);
         if (categoryDecision && typeof categoryDecision.then === "function")
           categoryDecision = await categoryDecision;
@@ -1386,8 +4255,18 @@
               for (const req of await cache.keys()) {
                 const res = await cache.match(req);
                 if (!res) continue;
+                // The body of a no-cors response can't be read
+                if (res.type === "opaque") {
+                  logger(`Skipping opaque cache entry ${req.url}`);
+                  continue;
+                }
                 const blob = await res.blob();
-                const safeHash = btoa(req.url).slice(0, 50).replace(/\//g, "_");
+                const requestHeaders = getVaryHeaders(req, res);
+                const entryName = getCacheEntryName(
+                  req.method,
+                  req.url,
+                  requestHeaders,
+                );
                 const blobsInItem = [];
                 const cleanData = LittleExport.prepForCBOR(blob, blobsInItem);
 
@@ -1402,17 +4281,22 @@
 
                 // Write the metadata record containing the reference
                 await tar.writeEntry(
-                  `data/cache/${encodeURIComponent(cacheName)}/${safeHash}.${cborExtensionName}`,
+                  `data/cache/${encodeURIComponent(cacheName)}/${entryName}.${cborExtensionName}`,
                   encoder.encode({
                     meta: {
                       url: req.url,
+                      method: req.method,
+                      requestHeaders,
                       status: res.status,
+                      statusText: res.statusText,
                       headers: Object.fromEntries(res.headers),
                       type: blob.type,
+                      redirected: res.redirected,
                     },
                     data: cleanData,
                   }),
                 );
+                await maybeCheckpoint();
               }
             }, `Cache ${cacheName}`);
           }
@@ -1420,8 +4304,58 @@
       }
 
       status.category = "Finishing";
+      reportProgress();
+      if (tar.skip > 0) throw changedError();
+      if (!aborted) {
+        if (baseline && (deleted.opfs.length || deleted.idb.length)) {
+          await tar.writeEntry(DELETED_PATH, JSON.stringify(deleted));
+        }
+        if (tar.checksums) {
+          // ZIP archives only list the final manifest, which comes after the checksums
+          const sums =
+            format === "zip"
+              ? tar.checksums.filter(([path]) => path !== MANIFEST_PATH)
+              : tar.checksums;
+          tar.checksums = null;
+          await tar.writeEntry(
+            CHECKSUMS_PATH,
+            sums.map(([path, hash]) => `${hash}  ${path}\n`).join(""),
+          );
+        }
+        // Without store hashes the index can't be a baseline, so it's left out
+        await tar.writeEntry(
+          MANIFEST_PATH,
+          JSON.stringify({
+            ...manifest,
+            complete: true,
+            counts,
+            ...(hashStores && { index }),
+          }),
+        );
+        if (seekable) {
+          await tar.startSeekIndex();
+          const entries = Object.fromEntries(tar.offsets);
+          tar.offsets = null;
+          await tar.writeEntry(
+            SEEK_INDEX_PATH,
+            JSON.stringify({
+              // The last member ends where the seek index starts
+              members: [...blockGzip.members, [tar.pos, blockGzip.outputSize]],
+              entries,
+            }),
+          );
+        }
+      }
       await tar.close();
       await exportFinishedPromise;
+      if (checkpointing) {
+        await tryGraceful(
+          () => setState("checkpoint", null),
+          "Removing export checkpoint",
+        );
+      }
+
+      reportProgress("complete");
 
       let result = null;
 
@@ -1430,16 +4364,7 @@
       }
 
       if (opts.download !== false) {
-        if (result) {
-          const downloadUrl = URL.createObjectURL(result);
-          const a = document.createElement("a");
-          a.href = downloadUrl;
-          a.download = fileName;
-          a.click();
-
-          // Cleanup URL after a delay
-          setTimeout(() => URL.revokeObjectURL(downloadUrl), 1000);
-        }
+        if (result) await callHost("download", result, fileName);
 
         logger("Export complete!");
         return null;
@@ -1451,6 +4376,11 @@
       try {
         await outputStream.abort(e).catch(() => {});
       } catch (e) {}
+      // Aborting through the signal always rejects, and isn't passed to onerror
+      if (opts.signal?.aborted) {
+        logger("Export aborted.");
+        throw abortError(opts.signal);
+      }
       logger(`Error: ${e.message}`);
       if (opts.onerror) opts.onerror(e);
       if (!graceful) throw e;
@@ -1458,7 +4388,7 @@
   }
 
   async function importData(config = {}) {
-    const CBOR = window.CBOR;
+    const CBOR = globalThis.CBOR;
 
     // Check the LittleExport docs on all the options.
     const opts = {
@@ -1467,39 +4397,70 @@
       ...config,
     };
 
-    const decoder =
-      opts.decoder ||
-      new CBOR.Decoder({
-        structuredClone: true, // Circular references may cause errors/problems if disabled.
-        bundleStrings: true, // Optimization for strings at the cost of inconsistency with the formal CBOR spec (and lack of explicit documentation in cbor-x to parse). See the LittleExport README for more information.
-        copyBuffers: false, // Free optimization of preventing copying of buffers (less memory use).
-        // implied
-        ...opts.cborOptions,
-      });
+    let decoder = opts.decoder || createDecoder(opts.cborOptions);
 
-    const cborExtensionName = opts.cborExtensionName;
-    let sourceInput = opts.source;
-    if (!sourceInput) {
-      await new Promise((resolve) => {
-        const input = document.createElement("input");
-        input.type = "file";
-        input.onchange = (e) => {
-          const file = e.target.files[0];
-          resolve(file);
-        };
+    let cborExtensionName = opts.cborExtensionName;
+    let manifest = null;
 
-        input.click();
-      });
+    if (
+      opts.idbStrategy !== undefined &&
+      !IDB_STRATEGIES.includes(opts.idbStrategy)
+    ) {
+      throw new Error(`Unknown idbStrategy "${opts.idbStrategy}".`);
+    }
+    if (opts.atomic && opts.resumable) {
+      throw new Error("An import can't be both atomic and resumable.");
+    }
+
+    // Asks onConflict about data that would be overwritten. Returns { value } to write (the incoming value unless a merged one was returned), or null to keep what's there.
+    // incomingIsNewer is only passed for types with timestamps; without it, NEWER keeps the existing data.
+    async function resolveConflict(
+      type,
+      path,
+      existing,
+      incoming,
+      incomingIsNewer = false,
+      meta = null,
+    ) {
+      let res = opts.onConflict(
+        type,
+        path,
+        meta ? { existing, incoming, meta } : { existing, incoming },
+      );
+      if (res && typeof res.then === "function") res = await res;
+      if (res === CONFLICT.KEEP) return null;
+      if (res === CONFLICT.NEWER && !incomingIsNewer) return null;
+      if (res && typeof res === "object") return { value: res.value };
+      return { value: incoming };
+    }
+
+    // Incremental archives only carry changed stores, so by default their databases are upgraded in place instead of recreated
+    function getIdbStrategy() {
+      return (
+        opts.idbStrategy || (manifest?.delta ? "upgradeSchema" : "replace")
+      );
     }
 
     const logger = opts.logger || (() => {});
-    const yielder = createYielder(opts.logSpeed);
+    let reportProgress = () => {}; // Set up once the archive is open
+    const yielder = createYielder(
+      opts.logSpeed,
+      () => reportProgress(),
+      opts.signal,
+    );
     const graceful = opts.graceful !== false;
+    const atomic = opts.atomic === true;
+    const idbTransactionSize =
+      opts.idbTransactionSize > 0
+        ? opts.idbTransactionSize
+        : IDB_TRANSACTION_SIZE;
     const useOnVisit = typeof opts.onVisit === "function";
     const onVisit = opts.onVisit;
 
     let aborted = false;
+    let journal = null; // See startJournal
     let rootOpfs = null;
+    let blobRoot = null; // Where TEMP_BLOB_DIR is, even if OPFS isn't imported
     const categoryDecisions = {};
     const trustedPaths = {};
 
@@ -1512,6 +4473,8 @@
       try {
         return await fn();
       } catch (e) {
+        // An atomic import fails as a whole and is reported once, after the rollback
+        if (atomic || opts.signal?.aborted) throw e;
         if (opts.onerror) opts.onerror(e);
         logger(`Error: ${context} - ${e.message}`);
         if (!graceful) throw e;
@@ -1519,7 +4482,13 @@
       }
     }
 
-    async function shouldProcess(type, pathArray, pathStr, categoryKey) {
+    async function shouldProcess(
+      type,
+      pathArray,
+      pathStr,
+      categoryKey,
+      meta = null,
+    ) {
       if (aborted) return false;
 
       if (categoryDecisions[categoryKey] === undefined) {
@@ -1549,7 +4518,7 @@
           if (trustedPaths[categoryKey].has(parentKey)) return true;
         }
 
-        let decision = getDecision(type, pathArray, null);
+        let decision = getDecision(type, pathArray, meta);
         if (decision && typeof decision.then === "function")
           decision = await decision;
 
@@ -1571,282 +4540,637 @@
 
     let status = { category: "", detail: "" };
     const dbCache = {};
-    let foundEofMarker = false;
-
-    try {
-      let rawStream;
-      if (typeof sourceInput === "string") {
-        const response = await fetch(sourceInput, config.fetchInit);
-        if (!response.ok) throw new Error("Fetching of URL failed.");
-        rawStream = response.body;
-      } else if (sourceInput && typeof sourceInput.stream === "function") {
-        rawStream = sourceInput.stream();
-      } else {
-        throw new Error("Invalid source.");
-      }
 
-      const rawReader = rawStream.getReader();
-      const initialChunks = [];
-      let initialBytes = 0;
+    // In a worker without the bridge, page storage can't be reached
+    const pageStorage = hasHost();
+    if (
+      !pageStorage &&
+      (opts.localStorage !== false ||
+        opts.sessionStorage !== false ||
+        opts.cookies !== false)
+    ) {
+      LittleExport.warn(
+        "localStorage, sessionStorage and cookies need LittleExport.connectWorker() in a worker; skipping them.",
+      );
+    }
 
-      while (initialBytes < 8) {
-        const { value, done } = await rawReader.read();
-        if (done) break;
-        initialChunks.push(value);
-        initialBytes += value.byteLength;
-      }
-      rawReader.releaseLock();
+    // What an atomic import is about to change, so it can be put back. Values are null where nothing existed.
+    const undo = {
+      ls: new Map(),
+      ss: new Map(),
+      cookies: new Map(), // "name;path" to the cookie (with a null value if there was none)
+      cache: new Map(),
+      createdCaches: new Set(),
+      idb: new Map(),
+    };
+    const deferredDeletions = []; // OPFS deletions of an atomic import wait for the commit
+    let stagingDir = null;
+    let replacedDir = null; // See commit
+    const committed = []; // OPFS paths the commit has moved into place
 
-      let totalProcessed = 0;
-      const combinedStream = new ReadableStream({
-        async start(controller) {
-          for (const chunk of initialChunks) {
-            controller.enqueue(chunk);
-          }
-          const reader = rawStream.getReader();
-          try {
-            while (true) {
-              const { value, done } = await reader.read();
-              if (done) break;
-              controller.enqueue(value);
-            }
-            controller.close();
-          } catch (e) {
-            controller.error(e);
-          }
-        },
+    function closeDatabases() {
+      Object.values(dbCache).forEach((d) => {
+        try {
+          d.close();
+        } catch (e) {}
       });
+      for (const name in dbCache) delete dbCache[name];
+    }
 
-      const probeHeader = new Uint8Array(8);
-      if (initialBytes > 0) {
-        let offset = 0;
-        for (const chunk of initialChunks) {
-          const needed = 8 - offset;
-          if (needed <= 0) break;
-          const toCopy = Math.min(needed, chunk.byteLength);
-          probeHeader.set(chunk.subarray(0, toCopy), offset);
-          offset += toCopy;
-        }
-      }
-
-      const sig = DEC.decode(probeHeader.slice(0, 6));
-      let inputStream;
-
-      if (sig === "LE_ENC") {
-        if (opts.password === null) {
-          throw new Error("A password is required to decrypt this data.");
-        }
-        let password = opts.password || prompt("Enter the password:");
-        if (!password)
-          throw new Error("A password is required to decrypt this data.");
-        inputStream = new DecryptionSource(combinedStream, password, yielder)
-          .readable()
-          .pipeThrough(new DecompressionStream("gzip"));
-      } else if (probeHeader[0] === 0x1f && probeHeader[1] === 0x8b) {
-        inputStream = combinedStream.pipeThrough(
-          new DecompressionStream("gzip"),
-        );
-      } else {
-        inputStream = combinedStream;
+    async function snapshotIdb(dbName) {
+      if (!atomic || undo.idb.has(dbName)) return;
+      if (dbCache[dbName]) {
+        dbCache[dbName].close();
+        delete dbCache[dbName];
       }
+      undo.idb.set(dbName, await snapshotDatabase(dbName));
+    }
 
-      inputStream = inputStream.pipeThrough(
-        new TransformStream({
-          transform(chunk, controller) {
-            totalProcessed += chunk.byteLength;
-            controller.enqueue(chunk);
-          },
-        }),
-      );
-
-      const reader = inputStream.getReader();
-      const streamBuffer = new ChunkBuffer();
-      let done = false;
-      let filesProcessed = 0;
+    async function snapshotCache(cacheName, request) {
+      const key = JSON.stringify([
+        cacheName,
+        request.url,
+        [...request.headers],
+      ]);
+      if (!atomic || undo.cache.has(key)) return;
+      if (!(await caches.has(cacheName))) undo.createdCaches.add(cacheName);
+      const existing = await caches.match(request, { cacheName });
+      undo.cache.set(key, { cacheName, request, response: existing || null });
+    }
 
-      async function ensure(n) {
-        while (!streamBuffer.has(n) && !done) {
-          const { value, done: d } = await reader.read();
-          if (d) done = true;
-          else {
-            streamBuffer.push(value);
+    // Removes an OPFS entry (directories end with "/"), or moves it to the same place under aside
+    async function removeOpfsEntry(key, aside = null) {
+      try {
+        const parts = key.replace(/\/$/, "").split("/");
+        let dir = rootOpfs;
+        for (const p of parts.slice(0, -1)) {
+          dir = await dir.getDirectoryHandle(p);
+        }
+        const last = parts[parts.length - 1];
+        // Only remove it if it's still the same kind of entry (the path may have been recreated since)
+        const handle = key.endsWith("/")
+          ? await dir.getDirectoryHandle(last)
+          : await dir.getFileHandle(last);
+        if (aside) {
+          for (const p of parts.slice(0, -1)) {
+            aside = await aside.getDirectoryHandle(p, { create: true });
           }
+          await moveEntry(handle, dir, aside);
+        } else {
+          await dir.removeEntry(last, { recursive: true });
         }
-        return streamBuffer.has(n);
+      } catch (e) {
+        if (e.name !== "NotFoundError" && e.name !== "TypeMismatchError")
+          throw e;
       }
+    }
 
-      async function skip(n) {
-        let remaining = n;
-        while (remaining > 0) {
-          if (streamBuffer.totalSize === 0 && !done) await ensure(1);
-          if (streamBuffer.totalSize === 0) break;
-          const toSkip = Math.min(remaining, streamBuffer.totalSize);
-          streamBuffer.read(toSkip); // discard
-          remaining -= toSkip;
+    // Makes the staged OPFS writes and deferred deletions of an atomic import real and drops its snapshots.
+    // The OPFS entries they replace are kept in REPLACED_DIR until all of them are done, so rollback can still put them back.
+    async function commit() {
+      logger("Committing the import...");
+      if (stagingDir) {
+        replacedDir = await rootOpfs.getDirectoryHandle(REPLACED_DIR, {
+          create: true,
+        });
+        for (const key of deferredDeletions) {
+          await removeOpfsEntry(key, replacedDir);
         }
+        await commitStaging(stagingDir, rootOpfs, replacedDir, committed);
+        await rootOpfs.removeEntry(STAGING_DIR, { recursive: true });
+        stagingDir = null;
+        await rootOpfs.removeEntry(REPLACED_DIR, { recursive: true });
+        replacedDir = null;
+      }
+      for (const name of undo.idb.keys()) {
+        await deleteDatabase(snapshotName(name)).catch((e) =>
+          LittleExport.warn(`Removing the IDB snapshot of ${name} failed:`, e),
+        );
       }
+    }
 
-      async function streamToWriter(writer, size) {
+    // Puts back everything an atomic import changed before it failed or was aborted
+    async function rollback() {
+      logger("Rolling back the import...");
+      const restore = async (what, fn) => {
         try {
-          let remaining = size;
-          while (remaining > 0) {
-            const p = yielder();
-            if (p) {
-              let msg = `Importing ${status.category}: ${(totalProcessed / 1e6).toFixed(2)} MB`;
-              if (size > 1e6) {
-                msg += ` (${status.detail}: ${((size - remaining) / 1e6).toFixed(1)}/${(size / 1e6).toFixed(1)} MB)`;
-              } else {
-                msg += ` (${status.detail})`;
-              }
-              logger(msg);
-              await p;
-            }
-
-            if (streamBuffer.totalSize > 0) {
-              const batchSize = Math.min(remaining, streamBuffer.totalSize);
-              await streamBuffer.consume(batchSize, async (chunk) => {
-                await writer.write(chunk);
-                remaining -= chunk.byteLength;
-              });
-            } else {
-              let { value, done: d } = await reader.read();
-              if (d) throw new Error("Unexpected EOF.");
-              if (value.byteLength <= remaining) {
-                await writer.write(value);
-                remaining -= value.byteLength;
-              } else {
-                await writer.write(value.subarray(0, remaining));
-                streamBuffer.push(value.subarray(remaining));
-                remaining = 0;
-              }
-            }
-          }
+          await fn();
         } catch (e) {
-          try {
-            await writer.abort();
-          } catch (_) {}
-          throw e;
-        } finally {
-          try {
-            await writer.close();
-          } catch (e) {}
+          LittleExport.warn(`Restoring ${what} failed:`, e);
         }
+      };
+
+      if (undo.ls.size) {
+        await restore("localStorage", () =>
+          callHost("writeStorage", "localStorage", Object.fromEntries(undo.ls)),
+        );
+      }
+      if (undo.ss.size) {
+        await restore("sessionStorage", () =>
+          callHost(
+            "writeStorage",
+            "sessionStorage",
+            Object.fromEntries(undo.ss),
+          ),
+        );
+      }
+      if (undo.cookies.size) {
+        await restore("cookies", () =>
+          callHost("setCookieList", [...undo.cookies.values()]),
+        );
+      }
+      for (const { cacheName, request, response } of undo.cache.values()) {
+        if (undo.createdCaches.has(cacheName)) continue;
+        await restore(`Cache ${cacheName}`, async () => {
+          const cache = await caches.open(cacheName);
+          if (response) await cache.put(request, response);
+          else await cache.delete(request);
+        });
+      }
+      for (const cacheName of undo.createdCaches) {
+        await restore(`Cache ${cacheName}`, () => caches.delete(cacheName));
+      }
+      for (const [name, schema] of undo.idb) {
+        await restore(`IDB ${name}`, () => restoreDatabase(name, schema));
+      }
+      if (replacedDir) {
+        await restore("OPFS", async () => {
+          for (const key of committed.reverse()) await removeOpfsEntry(key);
+          await commitStaging(replacedDir, rootOpfs);
+          await rootOpfs.removeEntry(REPLACED_DIR, { recursive: true });
+        });
+      }
+      if (stagingDir) {
+        await restore("OPFS", () =>
+          rootOpfs.removeEntry(STAGING_DIR, { recursive: true }),
+        );
+      }
+    }
+
+    try {
+      checkSignal(opts.signal);
+      if (opts.persist) await requestPersistence(logger);
+      const source = opts.source || (await callHost("pickFile"));
+      const sourceInfo = {};
+      const tar = new TarReader(
+        await openArchiveStream(source, opts, yielder, sourceInfo),
+        yielder,
+        opts.verifyFile !== false,
+      );
+      const counts =
+        opts.checkQuota !== false || opts.onProgress
+          ? await readArchiveCounts(source, opts, sourceInfo.key)
+          : null;
+      if (opts.checkQuota !== false) {
+        await checkImportQuota(counts, sourceInfo.size, opts).catch((e) => {
+          tar.reader.cancel().catch(() => {});
+          throw e;
+        });
       }
 
+      // Structured progress for onProgress, reported whenever the yielder yields and when the phase changes. Bytes are the archive's when it's streamed and its size is known, otherwise entry contents (estimated from the manifest's counts).
+      const archiveBytes = !!sourceInfo.size && sourceInfo.bytesRead >= 0;
+      const contentEstimate = counts
+        ? Object.values(counts).reduce((n, c) => n + c.bytes, 0)
+        : null;
+      let progressPhase = "setup";
+      let bytesBefore = 0; // Contents of the entries before the current one
+      reportProgress = (phase = progressPhase) => {
+        progressPhase = phase;
+        if (!opts.onProgress) return;
+        const entry = phase === "importing" ? tar.entry : null;
+        const entryBytesDone = entry ? entry.size - tar.remaining : 0;
+        opts.onProgress({
+          phase,
+          category: entry ? getEntryCategory(entry.name) : null,
+          path: entry ? entry.name : null,
+          entryBytesDone,
+          entryBytesTotal: entry ? entry.size : 0,
+          totalBytesDone: archiveBytes
+            ? sourceInfo.bytesRead
+            : bytesBefore + entryBytesDone,
+          totalBytesEstimate: archiveBytes ? sourceInfo.size : contentEstimate,
+          entriesDone: entry ? tar.entriesRead - 1 : tar.entriesRead,
+        });
+      };
+      reportProgress();
+
+      tar.onFileProgress = (written, total) => {
+        let msg = `Importing ${status.category}: ${(tar.bytesRead / 1e6).toFixed(2)} MB`;
+        if (total > 1e6) {
+          msg += ` (${status.detail}: ${(written / 1e6).toFixed(1)}/${(total / 1e6).toFixed(1)} MB)`;
+        } else {
+          msg += ` (${status.detail})`;
+        }
+        logger(msg);
+      };
+
       rootOpfs =
         opts.opfs !== false && navigator.storage
           ? await navigator.storage.getDirectory()
           : null;
 
-      let tempBlobDir;
+      // Blobs are extracted to OPFS even when OPFS itself isn't imported, and only kept in memory without it
+      let tempBlobDir = null;
       try {
-        if (rootOpfs) {
-          tempBlobDir = await rootOpfs.getDirectoryHandle(TEMP_BLOB_DIR, {
+        blobRoot =
+          rootOpfs ||
+          (navigator.storage?.getDirectory
+            ? await navigator.storage.getDirectory()
+            : null);
+        if (blobRoot) {
+          tempBlobDir = await blobRoot.getDirectoryHandle(TEMP_BLOB_DIR, {
             create: true,
           });
         }
-      } catch (e) {}
+      } catch (e) {
+        blobRoot = null;
+      }
+      if (!tempBlobDir) tempBlobDir = new Map();
+
+      if (atomic && rootOpfs) {
+        // Leftovers of an atomic import that never finished
+        for (const name of [STAGING_DIR, REPLACED_DIR]) {
+          await rootOpfs.removeEntry(name, { recursive: true }).catch(() => {});
+        }
+        stagingDir = await rootOpfs.getDirectoryHandle(STAGING_DIR, {
+          create: true,
+        });
+      }
 
       const processedDbSchemas = new Set();
+      const clearedStores = new Set();
+      const KEEP_RECORD = {};
+
+      // Decoded IndexedDB chunks waiting to share a transaction: { dbName, ops: [{ storeName, keys, values, clearFirst, deferred, bytes }], bytes (of the ops that aren't deferred), deferredBytes, since: [entriesRead, path] before the first of them }
+      let idbQueue = null;
+      const idbStats = { records: 0, bytes: 0, transactions: 0, ms: 0 };
+      const indexCounts = new Map();
+
+      // Progress of a resumable import. Entries up to "applied" don't need to be applied again by a re-run, since archives are always read in the same order.
+      let journalSaved = 0;
+
+      async function startJournal() {
+        const id = `${manifest.origin} ${manifest.created}`;
+        const saved = await getState("import").catch(() => null);
+        if (saved?.id === id) {
+          journal = saved;
+          for (const n of saved.processedDbSchemas) processedDbSchemas.add(n);
+          for (const n of saved.clearedStores) clearedStores.add(n);
+          logger(`Resuming the import after ${saved.applied} entries.`);
+          return;
+        }
+        journal = {
+          id,
+          applied: 0,
+          lastPath: null,
+          processedDbSchemas: [],
+          clearedStores: [],
+        };
+      }
 
-      function parsePax(paxBytes) {
-        const res = {};
-        let pos = 0;
-        while (pos < paxBytes.length) {
-          // Find the first space to get the length
-          let spacePos = -1;
-          for (let i = pos; i < paxBytes.length; i++) {
-            if (paxBytes[i] === 32) {
-              spacePos = i;
-              break;
+      // Saved at most once per second, since re-applying a few entries is cheaper than a write per entry
+      async function saveJournal() {
+        if (Date.now() - journalSaved < 1000) return;
+        journalSaved = Date.now();
+        journal.processedDbSchemas = [...processedDbSchemas];
+        // Stores whose clear() is still queued have to be cleared again by a re-run
+        const queuedClears = new Set(
+          idbQueue?.ops
+            .filter((op) => op.clearFirst)
+            .map((op) => `${idbQueue.dbName}/${op.storeName}`),
+        );
+        journal.clearedStores = [...clearedStores].filter(
+          (key) => !queuedClears.has(key),
+        );
+        await setState("import", journal).catch((e) =>
+          LittleExport.warn("Saving the import journal failed:", e),
+        );
+      }
+
+      async function hasTempBlob(uuid, size) {
+        try {
+          return (await readTempBlob(tempBlobDir, uuid))?.size === size;
+        } catch (e) {
+          return false;
+        }
+      }
+
+      // Replaces incoming values of records that already exist with what onConflict decides (KEEP_RECORD to leave them alone)
+      async function resolveRecordConflicts(db, path, keys, values) {
+        const existing = await new Promise((resolve, reject) => {
+          const tx = db.transaction(path[1], "readonly");
+          const st = tx.objectStore(path[1]);
+          const found = new Map();
+          keys.forEach((key, i) => {
+            const req = st.openCursor(key);
+            req.onsuccess = () => {
+              if (req.result) found.set(i, req.result.value);
+            };
+          });
+          tx.oncomplete = () => resolve(found);
+          tx.onerror = () => reject(tx.error);
+        });
+
+        for (const [i, value] of existing) {
+          const res = await resolveConflict(
+            TYPE.IDB,
+            [...path, keys[i]],
+            value,
+            values[i],
+          );
+          values[i] = res ? res.value : KEEP_RECORD;
+        }
+      }
+
+      // Writes queued chunks in a single transaction. Relaxed durability lets the browser skip flushing to disk before every commit.
+      function putRecords(db, ops) {
+        const storeNames = [...new Set(ops.map((op) => op.storeName))];
+        const tx = db.transaction(storeNames, "readwrite", {
+          durability: "relaxed",
+        });
+        const strategy = getIdbStrategy();
+        for (const { storeName, keys, values, clearFirst } of ops) {
+          const st = tx.objectStore(storeName);
+          if (clearFirst) st.clear();
+          for (let i = 0; i < keys.length; i++) {
+            if (values[i] === KEEP_RECORD) continue;
+            const key = st.keyPath ? undefined : keys[i];
+            if (strategy !== "skipExisting") {
+              st.put(values[i], key);
+              continue;
             }
+            // add() fails on existing keys; that record is skipped without aborting the transaction
+            const req = st.add(values[i], key);
+            req.onerror = (e) => {
+              if (req.error.name !== "ConstraintError") return;
+              e.preventDefault();
+              e.stopPropagation();
+            };
           }
-          if (spacePos === -1) break;
-
-          const lenStr = DEC.decode(paxBytes.subarray(pos, spacePos));
-          const len = parseInt(lenStr, 10);
-          if (isNaN(len)) break;
-
-          // Slice the exact byte range for this record
-          const recordBytes = paxBytes.subarray(pos, pos + len);
-          const recordStr = DEC.decode(recordBytes);
-
-          const eq = recordStr.indexOf("=");
-          if (eq !== -1) {
-            const spaceIdx = recordStr.indexOf(" ");
-            const key = recordStr.slice(spaceIdx + 1, eq);
-            const val = recordStr.slice(eq + 1, -1); // remove trailing \n
-            res[key] = val;
-          }
-          pos += len;
         }
-        return res;
+        return new Promise((res, rej) => {
+          tx.oncomplete = res;
+          tx.onerror = (e) => rej(e.target.error || tx.error); // tx.error is only set once the transaction aborts
+          tx.onabort = () => rej(new Error("Transaction aborted."));
+        });
       }
 
-      let paxOverrides = null;
+      function queueRecords(dbName, storeName, keys, values, clearFirst, size) {
+        const storeKey = `${dbName}/${storeName}`;
+        if (!indexCounts.has(storeKey)) {
+          indexCounts.set(
+            storeKey,
+            dbCache[dbName].transaction(storeName).objectStore(storeName)
+              .indexNames.length,
+          );
+        }
+        const deferred = indexCounts.get(storeKey) >= IDB_INDEX_HEAVY;
+        if (!idbQueue) {
+          idbQueue = {
+            dbName,
+            ops: [],
+            bytes: 0,
+            deferredBytes: 0,
+            since: [tar.entriesRead - 1, previousPath],
+          };
+        }
+        idbQueue.ops.push({
+          storeName,
+          keys,
+          values,
+          clearFirst,
+          deferred,
+          bytes: size,
+        });
+        if (deferred) idbQueue.deferredBytes += size;
+        else idbQueue.bytes += size;
+      }
 
-      while (!aborted) {
-        const hasHeader = await ensure(512);
+      // Commits the queued chunks: stores with few indexes together, then (unless onlyPlain is set) each index-heavy store on its own, since its records also update every index
+      async function flushIdb(onlyPlain = false) {
+        if (!idbQueue) return;
+        const { dbName } = idbQueue;
+        const groups = [];
+        const plain = idbQueue.ops.filter((op) => !op.deferred);
+        if (plain.length) groups.push(plain);
+        if (onlyPlain) {
+          idbQueue.ops = idbQueue.ops.filter((op) => op.deferred);
+          idbQueue.bytes = 0;
+        } else {
+          const byStore = new Map();
+          for (const op of idbQueue.ops) {
+            if (!op.deferred) continue;
+            if (!byStore.has(op.storeName)) byStore.set(op.storeName, []);
+            byStore.get(op.storeName).push(op);
+          }
+          groups.push(...byStore.values());
+          idbQueue.ops = [];
+        }
+        if (!idbQueue.ops.length) idbQueue = null;
 
-        if (!hasHeader) {
-          // Stream ended but we never saw the two null blocks
-          if (opts.verifyFile !== false && !foundEofMarker) {
-            // If we processed at least one file, consider it successful anyway
-            if (filesProcessed > 0 && streamBuffer.totalSize === 0) {
-              LittleExport.warn(
-                "Warning: Stream ended without standard EOF blocks; import likely successful.",
+        for (const ops of groups) {
+          const db = dbCache[dbName];
+          const records = ops.reduce((n, op) => n + op.keys.length, 0);
+          const bytes = ops.reduce((n, op) => n + op.bytes, 0);
+          const started = performance.now();
+          try {
+            await putRecords(db, ops);
+          } catch (e) {
+            if (ops.length === 1) {
+              await tryGraceful(() => {
+                throw e;
+              }, `IDB ${dbName}/${ops[0].storeName}`);
+              continue;
+            }
+            // Retried chunk by chunk, so that one bad chunk doesn't lose the others
+            for (const op of ops) {
+              await tryGraceful(
+                () => putRecords(db, [op]),
+                `IDB ${dbName}/${op.storeName}`,
               );
-            } else {
-              throw new Error("Archive truncated: Stream ended prematurely.");
             }
+            continue;
           }
-          break;
+          const ms = performance.now() - started;
+          idbStats.records += records;
+          idbStats.bytes += bytes;
+          idbStats.transactions++;
+          idbStats.ms += ms;
+          logger(
+            `IndexedDB ${dbName}: wrote ${records} records (${(bytes / 1e6).toFixed(2)} MB) to ${new Set(ops.map((op) => op.storeName)).size} stores in ${ms.toFixed(0)} ms (${Math.round(records / (ms / 1000 || 0.001))} records/s)`,
+          );
         }
+      }
 
-        const header = streamBuffer.read(512);
+      // Sets cookies (see HOST.getCookieList), asking onVisit and onConflict about each of them
+      async function importCookies(list) {
+        const trustAll = categoryDecisions["cookies"] === DECISION.TRUST;
+        // Without the Cookie Store API, the paths of existing cookies are unknown
+        let existingList = [];
+        if (opts.onConflict || atomic) {
+          existingList =
+            (await callHost("getCookieList")) ||
+            Object.entries(await readCookies()).map(([name, value]) => ({
+              name,
+              value,
+              expires: Date.now() + 31536000000, // For putting them back
+            }));
+        }
+        const updates = [];
+
+        for (const cookie of list) {
+          if (aborted) break;
+          const k = cookie.name;
+
+          let shouldSet = trustAll;
+          if (!shouldSet) {
+            if (useOnVisit) {
+              let keyDecision = getDecision(TYPE.COOKIE, [k], {
+                value: cookie.value,
+                cookie,
+              });
+              if (keyDecision && typeof keyDecision.then === "function")
+                keyDecision = await keyDecision;
 
-        // Check for the first EOF block (all zeros)
-        if (
-          opts.verifyFile !== false &&
-          header[0] === 0 &&
-          header.every((b) => b === 0)
-        ) {
-          foundEofMarker = true;
-          continue;
+              if (keyDecision === DECISION.ABORT) {
+                aborted = true;
+                break;
+              }
+              shouldSet = keyDecision !== DECISION.SKIP;
+            } else {
+              shouldSet = checkSimpleFilter("cookies", k, opts);
+            }
+          }
+          if (!shouldSet) continue;
+
+          const path = cookie.path || "/";
+          const existing = existingList.find(
+            (e) => e.name === k && (!e.path || e.path === path),
+          );
+          const undoKey = `${k};${path}`;
+          if (atomic && !undo.cookies.has(undoKey)) {
+            undo.cookies.set(
+              undoKey,
+              existing || { name: k, value: null, path, domain: cookie.domain },
+            );
+          }
+
+          let value = cookie.value;
+          if (existing && existing.value !== value) {
+            const res = await resolveConflict(
+              TYPE.COOKIE,
+              [k],
+              existing.value,
+              value,
+            );
+            if (!res) continue;
+            value = String(res.value);
+          }
+          updates.push({ ...cookie, value });
         }
+        await callHost("setCookieList", updates);
+      }
 
-        if (opts.verifyFile !== false && !verifyChecksum(header)) {
-          // Relaxed check: if we are at EOF (trailing garbage) and have processed files, stop.
-          if (filesProcessed > 0 && streamBuffer.totalSize === 0 && done) {
-            break;
+      // Removes what an incremental archive lists as deleted since its baseline
+      async function applyDeletions(list) {
+        if (rootOpfs && opts.opfs !== false) {
+          for (const key of list.opfs || []) {
+            if (aborted) return;
+            const parts = key.replace(/\/$/, "").split("/");
+            if (
+              !(await shouldProcess(TYPE.OPFS, parts, parts.join("/"), "opfs"))
+            )
+              continue;
+            if (atomic) {
+              deferredDeletions.push(key);
+              continue;
+            }
+            await tryGraceful(
+              () => removeOpfsEntry(key),
+              `Deleting OPFS ${key}`,
+            );
           }
-          throw new Error("Corrupt TAR header: Checksum mismatch.");
         }
 
-        let name = DEC.decode(header.slice(0, 100)).replace(/\0/g, "").trim();
-        const typeFlag = header[156]; // '0', '5', 'x'
-        const sizeStr = DEC.decode(header.slice(124, 136))
-          .replace(/\0/g, "")
-          .trim();
-        const entrySize = parseInt(sizeStr, 8) || 0;
-        const padding = (512 - (entrySize % 512)) % 512;
+        if (globalThis.indexedDB && opts.idb !== false) {
+          const storesByDb = {};
+          for (const [dbName, storeName] of list.idb || []) {
+            if (aborted) return;
+            const pathArray = storeName ? [dbName, storeName] : [dbName];
+            if (
+              !(await shouldProcess(
+                TYPE.IDB,
+                pathArray,
+                pathArray.join("/"),
+                "idb",
+              ))
+            )
+              continue;
+            if (dbCache[dbName]) {
+              dbCache[dbName].close();
+              delete dbCache[dbName];
+            }
+            await tryGraceful(
+              () => snapshotIdb(dbName),
+              `Snapshotting IDB ${dbName}`,
+            );
+            if (storeName) {
+              if (!storesByDb[dbName]) storesByDb[dbName] = [];
+              storesByDb[dbName].push(storeName);
+            } else {
+              await tryGraceful(
+                () => deleteDatabase(dbName),
+                `Deleting IDB ${dbName}`,
+              );
+            }
+          }
+          for (const dbName in storesByDb) {
+            await tryGraceful(
+              () => deleteStores(dbName, storesByDb[dbName]),
+              `Deleting IDB stores in ${dbName}`,
+            );
+          }
+        }
+      }
 
-        if (typeFlag === 120) {
-          if (!(await ensure(entrySize))) throw new Error("Unexpected EOF.");
-          const paxBytes = streamBuffer.read(entrySize);
-          await skip(padding);
-          paxOverrides = parsePax(paxBytes);
-          continue; // Move to the next block which contains the actual file
+      reportProgress("importing");
+      let previousPath = null;
+      while (!aborted) {
+        // The previous entry is done, except for IndexedDB records that are still queued
+        const [done, donePath] = idbQueue
+          ? idbQueue.since
+          : [tar.entriesRead, tar.entry?.name];
+        if (journal && done > journal.applied) {
+          journal.applied = done;
+          journal.lastPath = donePath;
+          await saveJournal();
         }
 
-        let size = entrySize;
-        if (paxOverrides) {
-          if (paxOverrides.path) name = paxOverrides.path;
-          if (paxOverrides.size) size = parseInt(paxOverrides.size, 10);
-          paxOverrides = null;
+        previousPath = tar.entry?.name ?? null;
+        const previousSize = tar.entry?.size || 0;
+        const entry = await tar.next();
+        bytesBefore += previousSize;
+        if (!entry) break;
+        const { name, size } = entry;
+
+        // Queued records are written before anything but more records of the same database (or blobs, which are only extracted)
+        if (idbQueue && !name.startsWith("data/blobs/")) {
+          const parts = name.split("/");
+          if (
+            parts.length !== 5 ||
+            parts[1] !== "idb" ||
+            decodeURIComponent(parts[2]) !== idbQueue.dbName
+          ) {
+            await flushIdb();
+          }
         }
 
-        filesProcessed++;
+        if (opts.resumable && tar.entriesRead === 1 && name !== MANIFEST_PATH) {
+          LittleExport.warn(
+            "Only archives with a manifest can be resumed; importing without a journal.",
+          );
+        }
 
         if (name.startsWith("data/idb/")) {
           status.category = "IndexedDB";
@@ -1871,46 +5195,107 @@
         if (p) {
           if (status.category)
             logger(
-              `Importing ${status.category}: ${(totalProcessed / 1e6).toFixed(2)} MB (${status.detail})`,
+              `Importing ${status.category}: ${(tar.bytesRead / 1e6).toFixed(2)} MB (${status.detail})`,
             );
           await p;
         }
 
+        // Applied by an earlier run of this import. The manifest is always read, and blobs are only extracted again if they are missing.
+        if (
+          journal &&
+          tar.entriesRead <= journal.applied &&
+          name !== MANIFEST_PATH
+        ) {
+          if (
+            tar.entriesRead === journal.applied &&
+            name !== journal.lastPath
+          ) {
+            throw new Error("The archive doesn't match its import journal.");
+          }
+          if (
+            !name.startsWith("data/blobs/") ||
+            (await hasTempBlob(name.split("/").pop(), size))
+          )
+            continue;
+        }
+
         if (name.startsWith("data/")) {
           if (name.startsWith("data/blobs/")) {
             const uuid = name.split("/").pop();
-            if (tempBlobDir) {
-              let dataConsumed = false;
-              await tryGraceful(async () => {
-                const fh = await tempBlobDir.getFileHandle(uuid, {
-                  create: true,
-                });
-                await streamToWriter(await fh.createWritable(), size);
-                dataConsumed = true;
-              }, `Blob ${uuid}`);
-              if (!dataConsumed) {
-                await skip(size);
+            // Anything left unread is skipped by the next tar.next()
+            await tryGraceful(async () => {
+              if (tempBlobDir instanceof Map) {
+                tempBlobDir.set(uuid, new Blob([await tar.read()]));
+                return;
               }
-            } else {
-              await skip(size);
-            }
-            await skip(padding);
+              const fh = await tempBlobDir.getFileHandle(uuid, {
+                create: true,
+              });
+              await tar.pipeTo(await fh.createWritable());
+            }, `Blob ${uuid}`);
             continue;
           } else {
-            if (size === 0) {
-              await skip(padding);
-              continue;
-            }
-            if (!(await ensure(size)))
-              throw new Error("Unexpected EOF for metadata.");
-            const d = streamBuffer.read(size);
+            if (size === 0) continue;
+            const d = await tar.read();
 
+            // Manifest (the trailing copy only adds counts, so it is read the same way)
+            if (name === MANIFEST_PATH) {
+              await tryGraceful(async () => {
+                manifest = JSON.parse(DEC.decode(d));
+                if (manifest.formatVersion > FORMAT_VERSION) {
+                  LittleExport.warn(
+                    `Archive format version ${manifest.formatVersion} is newer than supported (${FORMAT_VERSION}); import may be incomplete.`,
+                  );
+                }
+                if (manifest.checksums && opts.verifyFile !== false) {
+                  tar.hashing = true;
+                }
+                if (opts.resumable && tar.entriesRead === 1) {
+                  await startJournal();
+                }
+                const cbor = manifest.cbor;
+                // Settings explicitly passed by the caller always win over the manifest
+                if (cbor?.extension && config.cborExtensionName === undefined) {
+                  cborExtensionName = cbor.extension;
+                }
+                if (
+                  cbor?.options &&
+                  CBOR &&
+                  !opts.decoder &&
+                  !config.cborOptions
+                ) {
+                  decoder = createDecoder(cbor.options);
+                }
+              }, "Reading manifest");
+            }
+            // Checksums of everything before it (only entries that were actually read can be checked)
+            else if (name === CHECKSUMS_PATH) {
+              if (tar.hashing) {
+                const { mismatches } = compareChecksums(
+                  DEC.decode(d),
+                  tar.digests,
+                );
+                for (const path of mismatches) {
+                  const err = new Error(`Checksum mismatch: ${path}`);
+                  err.path = path;
+                  if (!graceful || atomic) throw err;
+                  logger(`Error: ${err.message}`);
+                  if (opts.onerror) opts.onerror(err);
+                }
+              }
+            }
             // localStorage
-            if (name === "data/ls.json" && opts.localStorage !== false) {
+            else if (
+              name === "data/ls.json" &&
+              opts.localStorage !== false &&
+              pageStorage
+            ) {
               if (await shouldProcess(TYPE.LS, null, null, "localStorage")) {
                 const data = JSON.parse(DEC.decode(d));
                 const trustAll =
                   categoryDecisions["localStorage"] === DECISION.TRUST;
+                const current = await callHost("readStorage", "localStorage");
+                const updates = {};
 
                 for (const k in data) {
                   if (aborted) break;
@@ -1936,17 +5321,41 @@
                   }
 
                   if (shouldSet) {
-                    localStorage.setItem(k, data[k]);
+                    let value = data[k];
+                    const existing = current[k] ?? null;
+                    if (atomic && !undo.ls.has(k)) undo.ls.set(k, existing);
+                    if (
+                      opts.onConflict &&
+                      existing !== null &&
+                      existing !== value
+                    ) {
+                      const res = await resolveConflict(
+                        TYPE.LS,
+                        [k],
+                        existing,
+                        value,
+                      );
+                      if (!res) continue;
+                      value = String(res.value);
+                    }
+                    updates[k] = value;
                   }
                 }
+                await callHost("writeStorage", "localStorage", updates);
               }
             }
             // sessionStorage
-            else if (name === "data/ss.json" && opts.sessionStorage !== false) {
+            else if (
+              name === "data/ss.json" &&
+              opts.sessionStorage !== false &&
+              pageStorage
+            ) {
               if (await shouldProcess(TYPE.SS, null, null, "sessionStorage")) {
                 const data = JSON.parse(DEC.decode(d));
                 const trustAll =
                   categoryDecisions["sessionStorage"] === DECISION.TRUST;
+                const current = await callHost("readStorage", "sessionStorage");
+                const updates = {};
 
                 for (const k in data) {
                   if (aborted) break;
@@ -1972,45 +5381,57 @@
                   }
 
                   if (shouldSet) {
-                    sessionStorage.setItem(k, data[k]);
-                  }
-                }
-              }
-            }
-            // Cookies
-            else if (name === "data/cookies.json" && opts.cookies !== false) {
-              if (await shouldProcess(TYPE.COOKIE, null, null, "cookies")) {
-                const c = JSON.parse(DEC.decode(d));
-                const trustAll =
-                  categoryDecisions["cookies"] === DECISION.TRUST;
-
-                for (const k in c) {
-                  if (aborted) break;
-
-                  let shouldSet = trustAll;
-
-                  if (!shouldSet) {
-                    if (useOnVisit) {
-                      let keyDecision = getDecision(TYPE.COOKIE, [k], {
-                        value: c[k],
-                      });
-                      if (keyDecision && typeof keyDecision.then === "function")
-                        keyDecision = await keyDecision;
-
-                      if (keyDecision === DECISION.ABORT) {
-                        aborted = true;
-                        break;
-                      }
-                      shouldSet = keyDecision !== DECISION.SKIP;
-                    } else {
-                      shouldSet = checkSimpleFilter("cookies", k, opts);
+                    let value = data[k];
+                    const existing = current[k] ?? null;
+                    if (atomic && !undo.ss.has(k)) undo.ss.set(k, existing);
+                    if (
+                      opts.onConflict &&
+                      existing !== null &&
+                      existing !== value
+                    ) {
+                      const res = await resolveConflict(
+                        TYPE.SS,
+                        [k],
+                        existing,
+                        value,
+                      );
+                      if (!res) continue;
+                      value = String(res.value);
                     }
-                  }
-
-                  if (shouldSet) {
-                    document.cookie = `${k}=${c[k]}; path=/; max-age=31536000`;
+                    updates[k] = value;
                   }
                 }
+                await callHost("writeStorage", "sessionStorage", updates);
+              }
+            }
+            // Cookies with their attributes
+            else if (
+              name === COOKIE_LIST_PATH &&
+              opts.cookies !== false &&
+              pageStorage
+            ) {
+              if (await shouldProcess(TYPE.COOKIE, null, null, "cookies")) {
+                await importCookies(JSON.parse(DEC.decode(d)));
+              }
+            }
+            // Cookies (only names and values, so unused if the list with attributes came right before)
+            else if (
+              name === "data/cookies.json" &&
+              opts.cookies !== false &&
+              pageStorage &&
+              previousPath !== COOKIE_LIST_PATH
+            ) {
+              if (await shouldProcess(TYPE.COOKIE, null, null, "cookies")) {
+                const c = JSON.parse(DEC.decode(d));
+                const expires = Date.now() + 31536000000;
+                await importCookies(
+                  Object.keys(c).map((name) => ({
+                    name,
+                    value: c[name],
+                    path: "/",
+                    expires,
+                  })),
+                );
               }
             }
             // Custom items
@@ -2039,36 +5460,18 @@
                 }
 
                 await tryGraceful(async () => {
-                  await new Promise((r) => {
-                    const q = indexedDB.deleteDatabase(schema.name);
-                    q.onsuccess = r;
-                    q.onerror = r;
-                  });
-                  await new Promise((res, rej) => {
-                    const req = indexedDB.open(schema.name, schema.version);
-                    req.onupgradeneeded = (e) => {
-                      const db = e.target.result;
-                      schema.stores.forEach((s) => {
-                        if (!db.objectStoreNames.contains(s.name)) {
-                          const st = db.createObjectStore(s.name, {
-                            keyPath: s.keyPath,
-                            autoIncrement: s.autoIncrement,
-                          });
-                          s.indexes.forEach((i) =>
-                            st.createIndex(i.name, i.keyPath, {
-                              unique: i.unique,
-                              multiEntry: i.multiEntry,
-                            }),
-                          );
-                        }
-                      });
-                    };
-                    req.onsuccess = (e) => {
-                      e.target.result.close();
-                      res();
-                    };
-                    req.onerror = rej;
-                  });
+                  await snapshotIdb(dbName);
+                  if (getIdbStrategy() !== "replace") {
+                    await upgradeSchema(schema);
+                    return;
+                  }
+                  await deleteDatabase(schema.name);
+                  const db = await openDatabase(
+                    schema.name,
+                    schema.version,
+                    (db, tx) => applySchema(db, tx, schema),
+                  );
+                  db.close();
                 }, `IDB schema ${dbName}`);
               } else {
                 const storeName = decodeURIComponent(parts[3]);
@@ -2086,56 +5489,66 @@
                   continue;
 
                 const decoded = decoder.decode(d);
-                const [keys, values] = await LittleExport.restoreFromCBOR(
-                  decoded,
-                  tempBlobDir,
+                const restored = { bufferBytes: 0 };
+                const records = await tryGraceful(
+                  () =>
+                    LittleExport.restoreFromCBOR(
+                      decoded,
+                      tempBlobDir,
+                      restored,
+                    ),
+                  `IDB ${dbName}/${storeName}`,
                 );
+                if (!records) continue;
+                const [keys, values] = records;
 
                 if (!dbCache[dbName]) {
-                  const db = await tryGraceful(async () => {
-                    return await new Promise((resolve, reject) => {
-                      const req = indexedDB.open(dbName);
-                      const timeout = setTimeout(
-                        () =>
-                          reject(new Error(`Database ${dbName} timed out.`)),
-                        5000,
-                      );
-                      req.onblocked = () => {
-                        clearTimeout(timeout);
-                        reject(new Error(`Database ${dbName} blocked.`));
-                      };
-                      req.onsuccess = () => {
-                        clearTimeout(timeout);
-                        resolve(req.result);
-                      };
-                      req.onerror = () => {
-                        clearTimeout(timeout);
-                        reject(req.error);
-                      };
-                    });
-                  }, `Opening IDB ${dbName}`);
+                  const db = await tryGraceful(
+                    () => openDatabase(dbName),
+                    `Opening IDB ${dbName}`,
+                  );
 
                   if (!db) continue;
                   dbCache[dbName] = db;
                 }
 
+                // Stores in the archive replace their old records, but other stores are kept
+                const strategy = getIdbStrategy();
+                const storeKey = `${dbName}/${storeName}`;
+                const clearFirst =
+                  strategy === "upgradeSchema" && !clearedStores.has(storeKey);
+                clearedStores.add(storeKey);
+
                 await tryGraceful(async () => {
-                  const tx = dbCache[dbName].transaction(
+                  if (opts.onConflict && strategy === "merge") {
+                    await resolveRecordConflicts(
+                      dbCache[dbName],
+                      [dbName, storeName],
+                      keys,
+                      values,
+                    );
+                  }
+                  queueRecords(
+                    dbName,
                     storeName,
-                    "readwrite",
+                    keys,
+                    values,
+                    clearFirst,
+                    d.length + restored.bufferBytes, // Restored buffers count towards the transaction size too
                   );
-                  const st = tx.objectStore(storeName);
-                  for (let i = 0; i < keys.length; i++) {
-                    st.put(values[i], st.keyPath ? undefined : keys[i]);
-                  }
-                  await new Promise((res, rej) => {
-                    tx.oncomplete = res;
-                    tx.onerror = () => rej(tx.error);
-                    tx.onabort = () => rej(new Error("Transaction aborted."));
-                  });
                 }, `IDB ${dbName}/${storeName}`);
+
+                if (idbQueue?.deferredBytes >= 4 * idbTransactionSize) {
+                  await flushIdb();
+                } else if (idbQueue?.bytes >= idbTransactionSize) {
+                  await flushIdb(true);
+                }
               }
             }
+            // Deletion list of an incremental archive
+            else if (name === DELETED_PATH && opts.applyDeletions !== false) {
+              await applyDeletions(JSON.parse(DEC.decode(d)));
+            }
             // Cache storage
             else if (
               name.startsWith("data/cache/") &&
@@ -2150,20 +5563,44 @@
               ) {
                 await tryGraceful(async () => {
                   const data = decoder.decode(d);
+                  // Same method, URL (with its search) and varied-on headers, so that put() only replaces the entry that was exported. Entries that only ignoreSearch or ignoreVary would match together stay apart
+                  const request = toCacheRequest(data.meta);
+                  await snapshotCache(cacheName, request);
                   const cache = await caches.open(cacheName);
                   const restoredData = await LittleExport.restoreFromCBOR(
                     data.data,
                     tempBlobDir,
                   );
+                  if (restoredData === null) {
+                    throw new Error(
+                      `The body of ${data.meta.url} is missing from the archive's blobs.`,
+                    );
+                  }
                   const blob =
                     restoredData instanceof Blob
                       ? restoredData
                       : new Blob([restoredData]);
-                  const response = new Response(blob, {
-                    status: data.meta.status,
-                    headers: data.meta.headers,
-                  });
-                  await cache.put(data.meta.url, response);
+                  let response = toCacheResponse(blob, data.meta);
+                  if (opts.onConflict) {
+                    const existing = await cache.match(request);
+                    if (existing) {
+                      const res = await resolveConflict(
+                        TYPE.CACHE,
+                        [cacheName, data.meta.url],
+                        existing,
+                        response,
+                        false,
+                        // What a Response can't carry, like redirected and the request headers
+                        data.meta,
+                      );
+                      if (!res) return;
+                      response =
+                        res.value instanceof Response
+                          ? res.value
+                          : toCacheResponse(res.value, data.meta);
+                    }
+                  }
+                  await cache.put(request, response);
                 }, `Cache ${cacheName}`);
               }
             }
@@ -2172,7 +5609,8 @@
           // OPFS files and directories
           if (opts.opfs !== false) {
             const cleanName = name.startsWith("opfs/") ? name.slice(5) : name;
-            const isDirectory = cleanName.endsWith("/") || header[156] === 53;
+            const isDirectory =
+              cleanName.endsWith("/") || entry.typeFlag === 53;
             const normalizedName = cleanName.replace(/\/$/, "");
             const parts = normalizedName.split("/").filter((p) => p.length);
 
@@ -2185,10 +5623,18 @@
                   pathArray,
                   normalizedName,
                   "opfs",
+                  // The file's modification time in the archive, as OPFS files get the time they're written at
+                  isDirectory
+                    ? { kind: "directory" }
+                    : {
+                        kind: "file",
+                        size: entry.size,
+                        lastModified: entry.mtime,
+                      },
                 )
               ) {
                 await tryGraceful(async () => {
-                  let dir = rootOpfs;
+                  let dir = stagingDir || rootOpfs;
                   if (isDirectory) {
                     for (const p of parts) {
                       dir = await dir.getDirectoryHandle(p, { create: true });
@@ -2199,51 +5645,717 @@
                     for (const p of dirParts) {
                       dir = await dir.getDirectoryHandle(p, { create: true });
                     }
+                    let existing = null;
+                    if (opts.onConflict) {
+                      const existingHandle = await findFile(rootOpfs, parts);
+                      if (existingHandle)
+                        existing = await existingHandle.getFile();
+                    }
                     const fh = await dir.getFileHandle(fname, { create: true });
-                    if (size > 0) {
-                      await streamToWriter(await fh.createWritable(), size);
+                    if (!existing) {
+                      await tar.pipeTo(await fh.createWritable());
+                      return;
+                    }
+
+                    // The incoming content is only read into memory if onConflict asks for it
+                    let bytes = null;
+                    const incoming = {
+                      size: entry.size,
+                      lastModified: entry.mtime,
+                      data: async () => bytes || (bytes = await tar.read()),
+                    };
+                    const res = await resolveConflict(
+                      TYPE.OPFS,
+                      pathArray,
+                      existing,
+                      incoming,
+                      entry.mtime > existing.lastModified,
+                    );
+                    if (!res) return; // Unread content is skipped by the next tar.next()
+
+                    const writable = await fh.createWritable();
+                    if (res.value !== incoming || bytes) {
+                      try {
+                        await writable.write(
+                          res.value === incoming ? bytes : res.value,
+                        );
+                        await writable.close();
+                      } catch (e) {
+                        await writable.abort().catch(() => {});
+                        throw e;
+                      }
                     } else {
-                      const w = await fh.createWritable();
-                      await w.close();
+                      await tar.pipeTo(writable);
                     }
                   }
                 }, `OPFS ${normalizedName}`);
-              } else {
-                await skip(size);
               }
-            } else {
-              await skip(size);
             }
-          } else {
-            await skip(size);
           }
         }
-        await skip(padding);
       }
 
-      Object.values(dbCache).forEach((d) => d.close());
+      reportProgress("finishing");
+      // Also when aborted, since everything before the abort is kept (unless it's rolled back)
+      if (!(aborted && atomic)) await flushIdb();
+      if (idbStats.transactions) {
+        logger(
+          `IndexedDB: wrote ${idbStats.records} records (${(idbStats.bytes / 1e6).toFixed(2)} MB) in ${idbStats.transactions} transactions and ${(idbStats.ms / 1000).toFixed(1)} s (${Math.round(idbStats.records / (idbStats.ms / 1000 || 0.001))} records/s)`,
+        );
+      }
+      closeDatabases();
+      if (aborted && atomic) await rollback();
       if (!aborted) {
+        if (atomic) await commit();
+        if (journal) {
+          await setState("import", null).catch(() => {});
+          journal = null;
+        }
         logger("Import complete!");
+        reportProgress("complete");
       }
     } catch (e) {
-      Object.values(dbCache).forEach((d) => {
-        try {
-          d.close();
-        } catch (e) {}
-      });
+      closeDatabases();
+      if (atomic) await rollback();
 
+      // Aborting through the signal always rejects, and isn't passed to onerror
+      if (opts.signal?.aborted) {
+        logger("Import aborted.");
+        throw abortError(opts.signal);
+      }
       logger(`Error: ${e.message}`);
       if (opts.onerror) opts.onerror(e);
       if (!graceful) throw e;
     } finally {
-      if (rootOpfs) {
+      // An unfinished journaled import keeps its extracted blobs for the re-run, unless it was aborted (missing ones are extracted again)
+      if (blobRoot && (!journal || opts.signal?.aborted)) {
         try {
-          await rootOpfs.removeEntry(TEMP_BLOB_DIR, { recursive: true });
+          await blobRoot.removeEntry(TEMP_BLOB_DIR, { recursive: true });
         } catch (e) {}
       }
     }
   }
 
+  const NULL_WRITER = { write() {}, close() {}, abort() {} };
+
+  // Returns the last manifest in an archive (the one with counts and index), or null if there is none. Only the manifest entries are decoded.
+  async function readManifest(source, config = {}) {
+    const yielder = createYielder(config.logSpeed, null, config.signal);
+    const tar = new TarReader(
+      await openArchiveStream(source, config, yielder),
+      yielder,
+      config.verifyFile !== false,
+    );
+    let manifest = null;
+    while (true) {
+      const entry = await tar.next();
+      if (!entry) break;
+      if (entry.name === MANIFEST_PATH) {
+        manifest = JSON.parse(DEC.decode(await tar.read()));
+      }
+      const p = yielder();
+      if (p) await p;
+    }
+    return manifest;
+  }
+
+  // Lists what an archive contains without writing anything to storage.
+  async function inspectArchive(source, config = {}) {
+    const CBOR = globalThis.CBOR;
+    const opts = {
+      logSpeed: 100,
+      cborExtensionName: "cbor",
+      ...config,
+    };
+
+    let decoder = opts.decoder || (CBOR && createDecoder(opts.cborOptions));
+    let cborExtensionName = opts.cborExtensionName;
+    const logger = opts.logger || (() => {});
+    const yielder = createYielder(opts.logSpeed);
+
+    const listing = {
+      manifest: null,
+      opfs: [], // { path, size, lastModified }
+      idb: {}, // { [db]: { version, stores: { [store]: { records, chunks, bytes } } } }
+      localStorage: [],
+      sessionStorage: [],
+      cookies: [],
+      cache: {}, // { [cacheName]: [url] }
+      custom: [], // { path, size }
+      blobs: [], // { id, size }
+      other: [], // Entries LittleExport doesn't recognize
+      errors: [], // { path, message } for entries that couldn't be decoded or failed their checksum
+      checksums: null, // { verified, failed } if the archive has checksums
+      seekable: false, // Whether extractEntry can seek to entries through a seek index
+    };
+
+    const tar = new TarReader(
+      await openArchiveStream(source, opts, yielder),
+      yielder,
+      opts.verifyFile !== false,
+    );
+
+    while (true) {
+      const entry = await tar.next();
+      if (!entry) break;
+      const { name, size } = entry;
+      // Directories (like the opfs/ and data/ entries of packed archives) have nothing to list
+      if (entry.typeFlag === 53 || name.endsWith("/")) continue;
+
+      const p = yielder();
+      if (p) {
+        logger(`Inspecting: ${(tar.bytesRead / 1e6).toFixed(2)} MB (${name})`);
+        await p;
+      }
+
+      try {
+        if (name.startsWith("opfs/")) {
+          listing.opfs.push({
+            path: name.slice(5),
+            size,
+            lastModified: entry.mtime,
+          });
+        } else if (name.startsWith("data/blobs/")) {
+          listing.blobs.push({ id: name.slice(11), size });
+        } else if (name.startsWith("data/custom/")) {
+          listing.custom.push({ path: name.slice(12), size });
+        } else if (name === MANIFEST_PATH) {
+          listing.manifest = JSON.parse(DEC.decode(await tar.read()));
+          const cbor = listing.manifest.cbor;
+          if (cbor?.extension && config.cborExtensionName === undefined) {
+            cborExtensionName = cbor.extension;
+          }
+          if (cbor?.options && CBOR && !opts.decoder && !config.cborOptions) {
+            decoder = createDecoder(cbor.options);
+          }
+          if (listing.manifest.checksums && opts.verifyFile !== false) {
+            tar.hashing = true;
+          }
+        } else if (name === CHECKSUMS_PATH && tar.hashing) {
+          const { checked, mismatches } = compareChecksums(
+            DEC.decode(await tar.read()),
+            tar.digests,
+          );
+          for (const path of mismatches) {
+            listing.errors.push({ path, message: "Checksum mismatch" });
+          }
+          listing.checksums = {
+            verified: checked - mismatches.length,
+            failed: mismatches.length,
+          };
+        } else if (name === "data/ls.json") {
+          listing.localStorage = Object.keys(
+            JSON.parse(DEC.decode(await tar.read())),
+          );
+        } else if (name === "data/ss.json") {
+          listing.sessionStorage = Object.keys(
+            JSON.parse(DEC.decode(await tar.read())),
+          );
+        } else if (name === "data/cookies.json") {
+          listing.cookies = Object.keys(
+            JSON.parse(DEC.decode(await tar.read())),
+          );
+        } else if (name === COOKIE_LIST_PATH) {
+          // Same names as cookies.json, which follows it
+        } else if (name === SEEK_INDEX_PATH) {
+          listing.seekable = true;
+        } else if (name.startsWith("data/idb/") && decoder) {
+          const parts = name.split("/");
+          const dbName = decodeURIComponent(parts[2]);
+          if (!listing.idb[dbName]) {
+            listing.idb[dbName] = { version: null, stores: {} };
+          }
+          const db = listing.idb[dbName];
+
+          if (name.endsWith("schema." + cborExtensionName)) {
+            const schema = decoder.decode(await tar.read());
+            db.version = schema.version;
+            for (const s of schema.stores) {
+              if (!db.stores[s.name]) {
+                db.stores[s.name] = { records: 0, chunks: 0, bytes: 0 };
+              }
+            }
+          } else {
+            const storeName = decodeURIComponent(parts[3]);
+            if (!db.stores[storeName]) {
+              db.stores[storeName] = { records: 0, chunks: 0, bytes: 0 };
+            }
+            const store = db.stores[storeName];
+            const [keys] = decoder.decode(await tar.read());
+            store.records += keys.length;
+            store.chunks++;
+            store.bytes += size;
+          }
+        } else if (name.startsWith("data/cache/") && decoder) {
+          const cacheName = decodeURIComponent(name.split("/")[2]);
+          const data = decoder.decode(await tar.read());
+          if (!listing.cache[cacheName]) listing.cache[cacheName] = [];
+          listing.cache[cacheName].push(data.meta.url);
+        } else {
+          listing.other.push({ path: name, size });
+        }
+        // Entries that weren't decoded above still need to be read through for their checksum
+        if (tar.hashing && tar.remaining > 0) await tar.pipeTo(NULL_WRITER);
+      } catch (e) {
+        listing.errors.push({ path: name, message: e.message });
+      }
+    }
+
+    logger("Inspection complete!");
+    return listing;
+  }
+
+  // Reads byte ranges of an archive Blob's compressed stream, decrypting just the chunks they're in. Encrypted chunks all have chunkSize bytes but the last, so where a range is can be worked out.
+  // Returns { size, evenChunks, key, read(start, end) }; the seek index can only be found when evenChunks is true.
+  async function openCompressedRanges(blob, credentials) {
+    const readBytes = async (start, end) =>
+      new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    const sig = DEC.decode(await readBytes(0, 6));
+    if (!ENCRYPTION_VERSIONS[sig]) {
+      return { size: blob.size, evenChunks: true, read: readBytes };
+    }
+
+    let pos = 0;
+    const { version, key, chunkSize } = await openEncryptionHeader(
+      async (n) => {
+        if (pos + n > blob.size) return null;
+        pos += n;
+        return readBytes(pos - n, pos);
+      },
+      credentials,
+    );
+    const dataStart = pos;
+    const stride = chunkSize + 32; // IV, length and tag
+    const lastChunk = Math.floor((blob.size - dataStart) / stride);
+    const size = blob.size - dataStart - (lastChunk + 1) * 32;
+    // Archives that aren't seekable may have shorter chunks at checkpoints, so their last chunk isn't where the even ones put it
+    const lastStart = dataStart + lastChunk * stride;
+    const lastLength = await readBytes(lastStart + 12, lastStart + 16);
+    const evenChunks =
+      lastLength.byteLength === 4 &&
+      readUint32(lastLength) === blob.size - lastStart - 16;
+    if (evenChunks && size < 0) throw new Error("Corrupt header.");
+
+    let cached = null; // [index, bytes] of the last chunk read
+    async function readChunk(index) {
+      if (cached?.[0] === index) return cached[1];
+      const start = dataStart + index * stride;
+      const bytes = await readBytes(start, Math.min(start + stride, blob.size));
+      const error = new Error(
+        `Encrypted chunk ${index} is corrupt, out of order or truncated.`,
+      );
+      if (
+        bytes.byteLength < 32 ||
+        readUint32(bytes.subarray(12, 16)) !== bytes.byteLength - 16
+      ) {
+        throw error;
+      }
+      let plain;
+      try {
+        plain = await crypto.subtle.decrypt(
+          {
+            name: "AES-GCM",
+            iv: bytes.subarray(0, 12),
+            ...(version > 1 && {
+              additionalData: chunkAdditionalData(index, index === lastChunk),
+            }),
+          },
+          key,
+          bytes.subarray(16),
+        );
+      } catch (e) {
+        throw error;
+      }
+      cached = [index, new Uint8Array(plain)];
+      return cached[1];
+    }
+
+    return {
+      size,
+      evenChunks,
+      key,
+      async read(start, end) {
+        const out = new Uint8Array(end - start);
+        let offset = 0;
+        while (start + offset < end) {
+          const index = Math.floor((start + offset) / chunkSize);
+          const chunk = await readChunk(index);
+          const from = start + offset - index * chunkSize;
+          const part = chunk.subarray(from, from + end - start - offset);
+          if (part.byteLength === 0) throw new Error("Unexpected EOF.");
+          out.set(part, offset);
+          offset += part.byteLength;
+        }
+        return out;
+      },
+    };
+  }
+
+  // Reads the seek index a seekable archive ends with, or returns null if it has none
+  async function readSeekIndex(ranges) {
+    if (!ranges.evenChunks || ranges.size < SEEK_TRAILER_SIZE) return null;
+    const trailer = await ranges.read(
+      ranges.size - SEEK_TRAILER_SIZE,
+      ranges.size,
+    );
+    const indexOffset = trailer && readSeekTrailer(trailer);
+    if (indexOffset === null || indexOffset > ranges.size) return null;
+
+    // The seek index is the first entry of its member, which the tar's end follows
+    let pos = indexOffset;
+    const end = ranges.size - SEEK_TRAILER_SIZE;
+    const compressed = new ReadableStream({
+      async pull(controller) {
+        if (pos >= end) return controller.close();
+        const next = Math.min(pos + CHUNK_SIZE, end);
+        controller.enqueue(await ranges.read(pos, next));
+        pos = next;
+      },
+    });
+    const tar = new TarReader(gunzip(compressed), createYielder(), false);
+    const entry = await tar.next();
+    if (entry?.name !== SEEK_INDEX_PATH) return null;
+    const index = JSON.parse(DEC.decode(await tar.read()));
+    tar.reader.cancel().catch(() => {});
+    return index;
+  }
+
+  // Streams size bytes starting at offset of the tar stream, decompressing only the members they're in
+  function openSeekRange(ranges, members, offset, size) {
+    let low = 0;
+    let high = members.length - 2;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (members[mid][0] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    let member = low;
+    let skip = offset - members[member][0];
+    let remaining = size;
+    return new ReadableStream({
+      async pull(controller) {
+        if (remaining > 0 && member >= members.length - 1) {
+          throw new Error("The seek index doesn't match the archive.");
+        }
+        if (remaining > 0) {
+          const data = await gunzipMember(
+            await ranges.read(members[member][1], members[member + 1][1]),
+          );
+          const part = data.subarray(skip, skip + remaining);
+          member++;
+          skip = 0;
+          remaining -= part.byteLength;
+          if (part.byteLength > 0) controller.enqueue(part);
+        }
+        if (remaining === 0) controller.close();
+      },
+    });
+  }
+
+  // Throws if the checksums file has another hash for path than digest (paths it doesn't list pass)
+  function checkEntryDigest(checksumsText, path, digest) {
+    const { mismatches } = compareChecksums(
+      checksumsText,
+      new Map([[path, digest]]),
+    );
+    if (mismatches.length) {
+      const err = new Error(`Checksum mismatch: ${path}`);
+      err.path = path;
+      throw err;
+    }
+  }
+
+  // Reads a stream of entry data into chunks, with their SHA-256 if hashing
+  async function readEntryChunks(stream, hashing, yielder) {
+    const sha = hashing ? new Sha256() : null;
+    const chunks = [];
+    const reader = stream.getReader();
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      if (sha) sha.update(value);
+      const p = yielder();
+      if (p) await p;
+    }
+    return { chunks, digest: sha?.digest() };
+  }
+
+  // extractEntry for Blobs that can be seeked in: returns the File, null if the archive doesn't have it, or undefined if it isn't a seekable or (unencrypted) ZIP archive. info.key is kept like openArchiveStream does.
+  async function readIndexedEntry(blob, path, opts, yielder, info = {}) {
+    const name = path.split("/").filter(Boolean).pop() || path;
+    const hashing = opts.verifyFile !== false;
+    if (isZip(new Uint8Array(await blob.slice(0, 4).arrayBuffer()))) {
+      // The last copy, like for tar archives (older ZIP exports list the manifest twice)
+      const entries = await readZipDirectory(blob);
+      const find = (p) =>
+        entries.findLast((e) => e.name.replace(/\\/g, "/") === p);
+      const entry = find(path);
+      if (!entry) return null;
+      const { chunks, digest } = await readEntryChunks(
+        await openZipEntry(blob, entry),
+        hashing,
+        yielder,
+      );
+      const sums = hashing && find(CHECKSUMS_PATH);
+      if (sums) {
+        const text = await new Response(await openZipEntry(blob, sums)).text();
+        checkEntryDigest(text, path, digest);
+      }
+      return new File(chunks, name, { lastModified: entry.mtime });
+    }
+
+    const ranges = await openCompressedRanges(blob, {
+      password: opts.password,
+      privateKey: opts.privateKey,
+      key: info.key,
+    });
+    info.key = ranges.key;
+    let index = null;
+    try {
+      index = await readSeekIndex(ranges);
+    } catch (e) {
+      LittleExport.warn("Reading the seek index failed:", e);
+    }
+    if (!index) return undefined;
+    if (!Object.hasOwn(index.entries, path)) return null;
+
+    const [offset, size, mtime] = index.entries[path];
+    const { chunks, digest } = await readEntryChunks(
+      openSeekRange(ranges, index.members, offset, size),
+      hashing,
+      yielder,
+    );
+    const sums = hashing && index.entries[CHECKSUMS_PATH];
+    if (sums) {
+      const text = await new Response(
+        openSeekRange(ranges, index.members, sums[0], sums[1]),
+      ).text();
+      checkEntryDigest(text, path, digest);
+    }
+    return new File(chunks, name, { lastModified: mtime });
+  }
+
+  // Returns one file of an archive as a File (named after the end of its path, with its modification time), or null if the archive doesn't have it.
+  // Seekable archives (and ZIP archives that aren't encrypted) only read the parts of the file the entry is in, when they're a Blob or File; anything else is read up to the entry, and on to the checksums if there are any.
+  async function extractEntry(source, path, config = {}) {
+    const opts = { logSpeed: 100, ...config };
+    const yielder = createYielder(opts.logSpeed);
+    if (!source) source = await callHost("pickFile");
+    const info = {}; // Keeps the key, so it's only asked for once
+    if (source instanceof Blob) {
+      const file = await readIndexedEntry(source, path, opts, yielder, info);
+      if (file !== undefined) return file;
+    }
+
+    // Without a seek index the archive is read until the entry is found
+    const tar = new TarReader(
+      await openArchiveStream(source, opts, yielder, info),
+      yielder,
+      opts.verifyFile !== false,
+    );
+    tar.hashing = opts.verifyFile !== false;
+    while (true) {
+      const entry = await tar.next();
+      if (!entry) return null;
+      if (entry.name === MANIFEST_PATH && entry.name !== path && tar.hashing) {
+        // Archives without checksums don't have to be read past the file
+        tar.hashing = !!JSON.parse(DEC.decode(await tar.read())).checksums;
+      } else if (entry.name === path && entry.typeFlag !== 53) {
+        const chunks = [];
+        await tar.pipeTo({
+          write: (chunk) => chunks.push(chunk),
+          close() {},
+          abort() {},
+        });
+        // The checksums come after the files, so the rest of the archive is read to check this one
+        while (tar.hashing) {
+          const next = await tar.next();
+          if (!next) break;
+          if (next.name === CHECKSUMS_PATH) {
+            const text = DEC.decode(await tar.read());
+            checkEntryDigest(text, path, tar.digests.get(path));
+            break;
+          }
+          const p = yielder();
+          if (p) await p;
+        }
+        tar.reader.cancel().catch(() => {});
+        return new File(chunks, path.split("/").filter(Boolean).pop() || path, {
+          lastModified: entry.mtime,
+        });
+      }
+      const p = yielder();
+      if (p) await p;
+    }
+  }
+
+  // Returns the bytes of an archive with its encryption swapped, without decompressing it. If decrypt is set, the archive must be encrypted and is decrypted with password (prompted for if missing) or privateKey; if newPassword or newRecipients is set, the result is encrypted to them with a fresh salt or content key.
+  async function openReencryptedStream(
+    source,
+    opts = {},
+    yielder = createYielder(),
+  ) {
+    if (!source) source = await callHost("pickFile");
+    const { head, stream } = await peekStream(
+      await openSourceStream(source, opts.fetchInit),
+      6,
+    );
+    const encrypted = !!ENCRYPTION_VERSIONS[DEC.decode(head)];
+
+    let output = stream;
+    if (opts.decrypt) {
+      if (!encrypted) throw new Error("The archive isn't encrypted.");
+      output = new DecryptionSource(
+        stream,
+        { password: opts.password, privateKey: opts.privateKey },
+        yielder,
+      ).readable();
+    } else if (encrypted) {
+      throw new Error("The archive is already encrypted.");
+    }
+    if (opts.newPassword || opts.newRecipients?.length) {
+      output = output.pipeThrough(
+        new TransformStream(
+          new EncryptionTransformer(
+            opts.newPassword || { recipients: opts.newRecipients },
+            crypto.getRandomValues(new Uint8Array(16)),
+          ),
+        ),
+      );
+    }
+    return output;
+  }
+
+  // Writes the output of openReencryptedStream like exportData writes archives: to a picked file, as a download, or returned as a Blob with download: false
+  async function saveReencrypted(source, opts, streamOpts, extension) {
+    const logger = opts.logger || (() => {});
+    const yielder = createYielder(opts.logSpeed);
+    let stream = null;
+    let fileName = opts.fileName;
+    if (!fileName || !fileName.includes(".")) {
+      // An extension that depends on the content (a function of its first bytes) needs the archive opened before the picker
+      if (typeof extension === "function") {
+        const peeked = await peekStream(
+          await openReencryptedStream(source, streamOpts, yielder),
+          4,
+        );
+        stream = peeked.stream;
+        extension = extension(peeked.head);
+      }
+      fileName = `${fileName || "archive"}.${extension}`;
+    }
+
+    // The picker is opened before anything is read (unless the name needed it), while the page still has the user's activation
+    let handle = null;
+    if (
+      (globalThis.showSaveFilePicker || !inWindow) &&
+      opts.download !== false
+    ) {
+      try {
+        handle = await callHost("showSaveFilePicker", fileName);
+      } catch (e) {
+        if (e.name === "AbortError") {
+          logger("Cancelled.");
+          return null;
+        }
+        LittleExport.warn("FileSystem picker failed, falling back.");
+      }
+    }
+
+    const chunks = [];
+    const outputStream = handle
+      ? await handle.createWritable()
+      : new WritableStream({
+          write(c) {
+            chunks.push(c);
+          },
+        });
+    let bytesWritten = 0;
+    try {
+      if (!stream) {
+        stream = await openReencryptedStream(source, streamOpts, yielder);
+      }
+      await stream
+        .pipeThrough(
+          new TransformStream({
+            async transform(chunk, controller) {
+              bytesWritten += chunk.byteLength;
+              const p = yielder();
+              if (p) {
+                logger(`Writing: ${(bytesWritten / 1e6).toFixed(2)} MB`);
+                await p;
+              }
+              controller.enqueue(chunk);
+            },
+          }),
+        )
+        .pipeTo(outputStream);
+    } catch (e) {
+      await outputStream.abort(e).catch(() => {});
+      throw e;
+    }
+
+    logger("Done!");
+    if (handle) return null;
+    const result = new Blob(chunks, { type: "application/octet-stream" });
+    if (opts.download === false) return result;
+    await callHost("download", result, fileName);
+    return null;
+  }
+
+  // Changes the password (or recipients) of an encrypted archive
+  async function reencryptArchive(source, config = {}) {
+    if (!config.newPassword && !config.newRecipients?.length) {
+      throw new Error("A new password or newRecipients is required.");
+    }
+    return saveReencrypted(
+      source,
+      config,
+      {
+        decrypt: true,
+        password: config.oldPassword,
+        privateKey: config.privateKey,
+        newPassword: config.newPassword,
+        newRecipients: config.newRecipients,
+        fetchInit: config.fetchInit,
+      },
+      "enc",
+    );
+  }
+
+  // Removes the encryption of an archive, leaving its gzip (or ZIP) content as it is
+  async function decryptArchive(source, config = {}) {
+    return saveReencrypted(
+      source,
+      config,
+      {
+        decrypt: true,
+        password: config.password,
+        privateKey: config.privateKey,
+        fetchInit: config.fetchInit,
+      },
+      (head) => (isZip(head) ? "zip" : "tar.gz"),
+    );
+  }
+
+  // Encrypts an archive that was exported without a password, with a password or to recipients
+  async function encryptArchive(source, config = {}) {
+    if (!config.password && !config.recipients?.length) {
+      throw new Error("A password or recipients is required.");
+    }
+    return saveReencrypted(
+      source,
+      config,
+      {
+        newPassword: config.password,
+        newRecipients: config.recipients,
+        fetchInit: config.fetchInit,
+      },
+      "enc",
+    );
+  }
+
   function folderToTarStream(source, yielder, options = {}) {
     const { readable, writable } = new TransformStream();
     // Generate stream on the fly
@@ -2255,7 +6367,7 @@
     (async () => {
       try {
         if (
-          window.FileSystemDirectoryHandle &&
+          globalThis.FileSystemDirectoryHandle &&
           source instanceof FileSystemDirectoryHandle
         ) {
           async function walk(dir, currentPath) {
@@ -2266,7 +6378,12 @@
 
               if (entry.kind === "file") {
                 const file = await entry.getFile();
-                await tar.writeStream(destPath, file.size, file.stream());
+                await tar.writeStream(
+                  destPath,
+                  file.size,
+                  file.stream(),
+                  file.lastModified,
+                );
               } else if (entry.kind === "directory") {
                 await tar.writeDir(destPath);
                 await walk(entry, fullPath);
@@ -2296,7 +6413,12 @@
             }
 
             if (!path) path = file.name;
-            await tar.writeStream(safePrefix + path, file.size, file.stream());
+            await tar.writeStream(
+              safePrefix + path,
+              file.size,
+              file.stream(),
+              file.lastModified,
+            );
           }
         }
         await tar.close();
@@ -2312,7 +6434,8 @@
 
   async function importFromFolder(config = {}) {
     const opts = config;
-    const yielder = createYielder(opts.logSpeed);
+    checkSignal(opts.signal);
+    const yielder = createYielder(opts.logSpeed, null, opts.signal);
     let logger = opts.logger || (() => {});
 
     // Helper to run the importData logic using our custom stream
@@ -2325,18 +6448,22 @@
       });
     };
 
-    if (window.showDirectoryPicker && opts.legacy !== true) {
+    // Workers can only use the directory picker (through the bridge)
+    if ((globalThis.showDirectoryPicker && opts.legacy !== true) || !inWindow) {
       try {
-        const handle = await window.showDirectoryPicker();
+        const handle = await callHost("showDirectoryPicker");
+        if (!handle) throw new Error("showDirectoryPicker isn't supported.");
         const stream = folderToTarStream(handle, yielder, {
           pathPrefix: opts.pathPrefix,
         });
         return await runImport(stream);
       } catch (e) {
+        if (opts.signal?.aborted) throw e;
         if (e.name === "AbortError") {
           logger("User cancelled the directory picker.");
           return;
         }
+        if (!inWindow) throw e;
         logger("Directory Picker failed, falling back to legacy input.");
         LittleExport.warn(
           "Directory Picker failed, falling back to legacy input.",
@@ -2382,8 +6509,9 @@
   }
 
   async function clearData(types = {}) {
+    const { signal, ...categories } = types;
     // default to clearing everything if no types provided
-    if (Object.keys(types).length === 0) {
+    if (Object.keys(categories).length === 0) {
       types = {
         opfs: true,
         idb: true,
@@ -2394,89 +6522,115 @@
       };
     }
 
-    if (types.opfs && navigator.storage) {
+    // Failures are only warned about, but an aborted signal stops clearing with an AbortError
+    async function clear(name, fn) {
+      checkSignal(signal);
       try {
+        await fn();
+      } catch (e) {
+        if (signal?.aborted) throw abortError(signal);
+        LittleExport.warn(`Failed to clear ${name}:`, e);
+      }
+    }
+
+    if (types.opfs && navigator.storage) {
+      await clear("OPFS", async () => {
         const root = await navigator.storage.getDirectory();
         for await (const name of root.keys()) {
+          checkSignal(signal);
           await root.removeEntry(name, { recursive: true });
         }
-      } catch (e) {
-        LittleExport.warn("Failed to clear OPFS:", e);
-      }
+      });
     }
 
     if (types.localStorage) {
-      try {
-        localStorage.clear();
-      } catch (e) {
-        LittleExport.warn("Failed to clear localStorage:", e);
-      }
+      await clear("localStorage", () =>
+        callHost("clearStorage", "localStorage"),
+      );
     }
 
     if (types.sessionStorage) {
-      try {
-        sessionStorage.clear();
-      } catch (e) {
-        LittleExport.warn("Failed to clear sessionStorage:", e);
-      }
+      await clear("sessionStorage", () =>
+        callHost("clearStorage", "sessionStorage"),
+      );
     }
 
     if (types.cookies) {
-      try {
-        // Note that this cookie logic is not guaranteed to clear custom domains or non-standard paths.
-        const cookies = document.cookie.split(";");
-
-        for (let i = 0; i < cookies.length; i++) {
-          const cookie = cookies[i];
-          const eqPos = cookie.indexOf("=");
-          const name =
-            eqPos > -1 ? cookie.trim().substring(0, eqPos) : cookie.trim();
-
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`; // current path
-          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=${window.location.hostname}; path=/`; // current domain
-          const domainParts = window.location.hostname.split(".");
-          if (domainParts.length > 2) {
-            const baseDomain = domainParts.slice(-2).join(".");
-            document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; domain=.${baseDomain}; path=/`; // clear base domain
-          }
-        }
-      } catch (e) {
-        LittleExport.warn("Failed to clear cookies:", e);
-      }
+      await clear("cookies", () => callHost("clearCookies"));
     }
 
-    if (types.cache && window.caches) {
-      try {
+    if (types.cache && globalThis.caches) {
+      await clear("cache", async () => {
         const keys = await caches.keys();
-        for (const k of keys) await caches.delete(k);
-      } catch (e) {
-        LittleExport.warn("Failed to clear cache:", e);
-      }
+        for (const k of keys) {
+          checkSignal(signal);
+          await caches.delete(k);
+        }
+      });
     }
 
-    if (types.idb && window.indexedDB) {
-      try {
-        const dbs = await window.indexedDB.databases();
+    if (types.idb && globalThis.indexedDB) {
+      await clear("IndexedDB", async () => {
+        const dbs = await globalThis.indexedDB.databases();
         for (const { name } of dbs) {
+          checkSignal(signal);
           indexedDB.deleteDatabase(name);
         }
-      } catch (e) {
-        LittleExport.warn("Failed to clear IndexedDB:", e);
-      }
+      });
     }
   }
 
-  window.LittleExport = {
+  // What an unfinished resumable export got to, or null if there is none
+  async function getExportCheckpoint() {
+    const checkpoint = await getState("checkpoint");
+    if (!checkpoint) return null;
+    const { fileName, offset, category, detail, updated, salt, contentKey } =
+      checkpoint;
+    return {
+      fileName,
+      offset,
+      category,
+      detail,
+      updated,
+      encrypted: !!(salt || contentKey),
+    };
+  }
+
+  function discardExportCheckpoint() {
+    return setState("checkpoint", null);
+  }
+
+  globalThis.LittleExport = {
     importData,
     exportData,
+    inspectArchive,
+    readManifest,
+    extractEntry,
+    reencryptArchive,
+    decryptArchive,
+    encryptArchive,
     deriveKey,
     prepForCBOR,
     restoreFromCBOR,
     importFromFolder,
     folderToTarStream,
+    zipToTarStream,
+    connectWorker,
+    openArchiveStream,
+    createDecoder,
+    TarReader,
+    TarWriter,
+    ZipWriter,
+    EncryptionTransformer,
+    openReencryptedStream,
     clearData,
+    getExportCheckpoint,
+    discardExportCheckpoint,
     TYPE,
     warn: console.warn,
     DECISION,
+    CONFLICT,
+    VERSION,
+    FORMAT_VERSION,
   };
 })();